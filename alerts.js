@@ -0,0 +1,279 @@
+// ================================================================
+//  STORM SURGE WEATHER — NWS Alerts
+//  Caches the active-alert feed, gives zone-only alerts a geometry by
+//  resolving their UGC zones, filters by point / bbox / severity /
+//  event and returns a trimmed GeoJSON FeatureCollection.
+//
+//  Update and Cancel messages are fetched too: anything referenced by
+//  a newer message is dropped as superseded, and cancellations come
+//  back separately in meta.cancelled so the client can tell a warning
+//  that was cancelled from one that simply expired.
+//
+//  Zone polygons are cached for a day and simplified (~1 km) before
+//  they go out. A cold zone cache is filled in the background: a
+//  request waits at most ZONE_BUDGET_MS, later requests get the rest.
+// ================================================================
+const NodeCache = require('node-cache');
+const providers = require('./providers');
+
+const cache = new NodeCache({ stdTTL: 60 });
+const ZONE_TTL = 86400;
+const ZONE_BUDGET_MS = 4000;
+const ZONE_CONCURRENCY = 6;
+const SIMPLIFY_DEG = 0.01;
+const MAX_PAGES = 10;
+
+const NWS_HEADERS = { headers: { 'Accept': 'application/geo+json' } };
+const nwsTime = d => d.toISOString().replace(/\.\d+Z$/, 'Z');
+
+providers.register('nws.alerts', {
+  describe: 'NWS active alerts (or alerts issued in a past window)',
+  live: async ({ start, end }, io) => {
+    if (!start) return io.json('https://api.weather.gov/alerts/active?status=actual', NWS_HEADERS);
+    // A national 24 h window runs past one page, so follow the cursor
+    let url = `https://api.weather.gov/alerts?status=actual&start=${nwsTime(start)}&end=${nwsTime(end)}&limit=500`, out = null;
+    for (let n = 0; url; n++) {
+      if (n === MAX_PAGES) { console.warn(`NWS alerts: stopped after ${MAX_PAGES} pages`); break; }
+      const d = await io.json(url, NWS_HEADERS);
+      if (out) out.features.push(...(d.features || [])); else out = { ...d, features: d.features || [] };
+      url = d.features?.length ? d.pagination?.next : null;
+    }
+    delete out.pagination;
+    return out;
+  },
+  // Fixture alerts would all be expired by now, so shift their times to
+  // make the feed's `updated` stamp line up with the requested moment.
+  fixture: async ({ end }, read) => {
+    const d = await read('nws.alerts.json');
+    const shift = (end || new Date()).getTime() - Date.parse(d.updated);
+    const move = v => v && new Date(Date.parse(v) + shift).toISOString();
+    (d.features || []).forEach(f => ['sent', 'effective', 'onset', 'expires', 'ends'].forEach(k => { if (f.properties[k]) f.properties[k] = move(f.properties[k]); }));
+    return d;
+  },
+});
+
+providers.register('nws.zone', {
+  describe: 'NWS zone/county geometry',
+  live: ({ type, id }, io) => io.json(`https://api.weather.gov/zones/${type}/${id}`, NWS_HEADERS),
+  fixture: async ({ id }, read) => {
+    const zones = await read('nws.zones.json');
+    if (!zones[id]) throw new Error(`No fixture zone ${id}`);
+    return zones[id];
+  },
+});
+
+// Same buckets as the alert filter buttons in app.js
+function sevClass(ev) {
+  const e = (ev || '').toLowerCase();
+  if (e.includes('tornado') || e.includes('hurricane') || e.includes('extreme')) return 'emergency';
+  if (e.includes('warning')) return 'warning';
+  if (e.includes('watch')) return 'watch';
+  if (e.includes('advisory')) return 'advisory';
+  return 'default';
+}
+
+// ── GEOMETRY ─────────────────────────────────────────────────────
+// Polygons as arrays of rings, whatever the GeoJSON type
+function polygonsOf(g) {
+  if (!g) return [];
+  if (g.type === 'Polygon') return [g.coordinates];
+  if (g.type === 'MultiPolygon') return g.coordinates;
+  if (g.type === 'GeometryCollection') return (g.geometries || []).flatMap(polygonsOf);
+  return [];
+}
+
+function bboxOf(g) {
+  const b = [Infinity, Infinity, -Infinity, -Infinity];
+  polygonsOf(g).forEach(poly => poly[0].forEach(([x, y]) => {
+    if (x < b[0]) b[0] = x; if (y < b[1]) b[1] = y;
+    if (x > b[2]) b[2] = x; if (y > b[3]) b[3] = y;
+  }));
+  return b[0] === Infinity ? null : b;
+}
+
+function inRing(x, y, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i], [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function containsPoint(g, lat, lng) {
+  return polygonsOf(g).some(([outer, ...holes]) => inRing(lng, lat, outer) && !holes.some(h => inRing(lng, lat, h)));
+}
+
+// Shortest distance (km) from a point to the polygon edges, 0 when inside.
+// Equirectangular around the point — plenty for "how far is that warning".
+function distanceKm(g, lat, lng) {
+  if (containsPoint(g, lat, lng)) return 0;
+  const kx = 111.32 * Math.cos(lat * Math.PI / 180), ky = 110.57;
+  let best = Infinity;
+  polygonsOf(g).forEach(poly => poly.forEach(ring => {
+    for (let i = 1; i < ring.length; i++) {
+      const ax = (ring[i - 1][0] - lng) * kx, ay = (ring[i - 1][1] - lat) * ky;
+      const bx = (ring[i][0] - lng) * kx, by = (ring[i][1] - lat) * ky;
+      const dx = bx - ax, dy = by - ay, l2 = dx * dx + dy * dy;
+      const t = l2 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / l2)) : 0;
+      best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy));
+    }
+  }));
+  return best;
+}
+
+function bboxHits(a, b) { return a && a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1]; }
+
+// Douglas–Peucker on one ring
+function simplifyRing(pts, tol) {
+  if (pts.length <= 4) return pts;
+  const keep = new Uint8Array(pts.length); keep[0] = keep[pts.length - 1] = 1;
+  const stack = [[0, pts.length - 1]];
+  while (stack.length) {
+    const [a, b] = stack.pop();
+    const [ax, ay] = pts[a], [bx, by] = pts[b], dx = bx - ax, dy = by - ay, len = Math.hypot(dx, dy) || 1e-12;
+    let far = -1, max = tol;
+    for (let i = a + 1; i < b; i++) {
+      const d = Math.abs(dy * pts[i][0] - dx * pts[i][1] + bx * ay - by * ax) / len;
+      if (d > max) { max = d; far = i; }
+    }
+    if (far > 0) { keep[far] = 1; stack.push([a, far], [far, b]); }
+  }
+  const out = pts.filter((_, i) => keep[i]).map(([x, y]) => [Math.round(x * 1e3) / 1e3, Math.round(y * 1e3) / 1e3]);
+  return out.length >= 4 ? out : pts;
+}
+
+function simplify(g) {
+  const polys = polygonsOf(g).map(p => p.map(r => simplifyRing(r, SIMPLIFY_DEG)));
+  if (!polys.length) return null;
+  return polys.length === 1 ? { type: 'Polygon', coordinates: polys[0] } : { type: 'MultiPolygon', coordinates: polys };
+}
+
+// ── ZONES ────────────────────────────────────────────────────────
+const _pending = new Map();   // zone id → Promise
+const _queue = [];
+let _active = 0;
+
+function pump() {
+  while (_active < ZONE_CONCURRENCY && _queue.length) {
+    const job = _queue.shift(); _active++;
+    job().finally(() => { _active--; pump(); });
+  }
+}
+
+// url like https://api.weather.gov/zones/county/OKC027
+function zoneRef(url) {
+  const m = /\/zones\/(\w+)\/([A-Z]{2}[CZ]\d{3})$/.exec(url || '');
+  return m ? { type: m[1], id: m[2] } : null;
+}
+
+function loadZone(ref) {
+  const k = 'zone_' + ref.id, hit = cache.get(k);
+  if (hit !== undefined) return Promise.resolve(hit);
+  if (_pending.has(ref.id)) return _pending.get(ref.id);
+  const p = new Promise(res => {
+    _queue.push(() => providers.get('nws.zone', ref)
+      .then(d => { const g = simplify(d.geometry); cache.set(k, g, ZONE_TTL); res(g); })
+      .catch(() => res(null))
+      .finally(() => _pending.delete(ref.id)));
+    pump();
+  });
+  _pending.set(ref.id, p);
+  return p;
+}
+
+async function resolveZones(features) {
+  const need = features.filter(f => !f.geometry);
+  const refs = new Map();
+  need.forEach(f => (f.properties.affectedZones || []).map(zoneRef).filter(Boolean).forEach(r => refs.set(r.id, r)));
+  const all = Promise.all([...refs.values()].map(loadZone));
+  let timer;
+  await Promise.race([all, new Promise(r => { timer = setTimeout(r, ZONE_BUDGET_MS); })]);
+  clearTimeout(timer);
+  need.forEach(f => {
+    const polys = (f.properties.affectedZones || []).map(zoneRef).filter(Boolean)
+      .map(r => cache.get('zone_' + r.id)).filter(Boolean).flatMap(polygonsOf);
+    if (polys.length) { f.geometry = { type: 'MultiPolygon', coordinates: polys }; f._geomSource = 'zones'; }
+  });
+}
+
+// ── FEED ─────────────────────────────────────────────────────────
+const KEEP = ['id', 'event', 'headline', 'severity', 'certainty', 'urgency', 'areaDesc', 'description', 'instruction',
+  'senderName', 'sent', 'effective', 'onset', 'expires', 'ends', 'messageType'];
+
+function compact(f) {
+  const p = f.properties || {}, props = {};
+  KEEP.forEach(k => { if (p[k] != null) props[k] = p[k]; });
+  props.ugc = p.geocode?.UGC || [];
+  props.affectedZones = p.affectedZones || [];
+  props.sev = sevClass(p.event);
+  props.references = (p.references || []).map(r => r.identifier).filter(Boolean);
+  return { type: 'Feature', id: p.id || f.id, geometry: f.geometry ? simplify(f.geometry) : null, properties: props, _geomSource: f.geometry ? 'polygon' : null };
+}
+
+async function feed(at) {
+  const k = at ? 'nws_alerts_' + at.getTime() : 'nws_alerts';
+  const hit = cache.get(k); if (hit) return hit;
+  const d = await providers.get('nws.alerts', at ? { start: new Date(at.getTime() - 86400000), end: at } : {});
+  const now = at || new Date();
+  const all = (d.features || [])
+    .filter(f => f.properties?.event && new Date(f.properties.expires) > now && (!at || new Date(f.properties.effective || f.properties.sent) <= now))
+    .map(compact);
+  const superseded = new Set(all.flatMap(f => f.properties.references));
+  const current = all.filter(f => !superseded.has(f.id));
+  const out = {
+    features: current.filter(f => f.properties.messageType !== 'Cancel'),
+    cancelled: current.filter(f => f.properties.messageType === 'Cancel')
+      .map(f => ({ id: f.id, event: f.properties.event, sent: f.properties.sent, references: f.properties.references })),
+  };
+  cache.set(k, out, at ? 3600 : 60);
+  return out;
+}
+
+// opts: { at, point:{lat,lng}, bbox:[w,s,e,n], severity:[...], event:[...] }
+async function query(opts = {}) {
+  const { features: all, cancelled } = await feed(opts.at);
+  let list = all;
+  if (opts.severity?.length) list = list.filter(f => opts.severity.includes(f.properties.sev));
+  if (opts.event?.length) { const ev = opts.event.map(e => e.toLowerCase()); list = list.filter(f => ev.includes(f.properties.event.toLowerCase())); }
+  await resolveZones(list);
+  if (opts.point) list = list.filter(f => f.geometry && containsPoint(f.geometry, opts.point.lat, opts.point.lng));
+  if (opts.bbox) list = list.filter(f => bboxHits(bboxOf(f.geometry), opts.bbox));
+  const features = list.map(f => {
+    const { affectedZones, ...props } = f.properties;
+    return { type: 'Feature', id: f.id, geometry: f.geometry, properties: { ...props, geometrySource: f._geomSource } };
+  });
+  return {
+    type: 'FeatureCollection', features,
+    meta: { count: features.length, unresolved: features.filter(f => !f.geometry).length, cancelled, ...(opts.at && { at: opts.at.toISOString() }) },
+  };
+}
+
+const SEV_RANK = { emergency: 4, warning: 3, watch: 2, advisory: 1, default: 0 };
+
+// For each { name, lat, lng }: alerts whose polygon contains it, and
+// alerts within radiusKm with their distance. Both sorted worst-first.
+// `cancelled` lists the ids of alerts a Cancel message has withdrawn.
+async function forLocations(locations, { at, radiusKm = 50 } = {}) {
+  const { features: list, cancelled } = await feed(at);
+  await resolveZones(list);
+  const brief = f => ({ id: f.id, event: f.properties.event, sev: f.properties.sev, headline: f.properties.headline, expires: f.properties.expires, references: f.properties.references });
+  const worst = (a, b) => SEV_RANK[b.sev] - SEV_RANK[a.sev];
+  const out = locations.map(loc => {
+    const inside = [], nearby = [];
+    list.forEach(f => {
+      if (!f.geometry) return;
+      const py = radiusKm / 110, px = radiusKm / (111 * Math.max(0.1, Math.cos(loc.lat * Math.PI / 180)));
+      if (!bboxHits(bboxOf(f.geometry), [loc.lng - px, loc.lat - py, loc.lng + px, loc.lat + py])) return;
+      const d = distanceKm(f.geometry, loc.lat, loc.lng);
+      if (d === 0) inside.push(brief(f));
+      else if (d <= radiusKm) nearby.push({ ...brief(f), distKm: Math.round(d * 10) / 10 });
+    });
+    inside.sort(worst);
+    nearby.sort((a, b) => a.distKm - b.distKm || worst(a, b));
+    return { name: loc.name, lat: loc.lat, lng: loc.lng, inside, nearby };
+  });
+  return { locations: out, radiusKm, unresolved: list.filter(f => !f.geometry).length, cancelled: cancelled.flatMap(c => c.references), ...(at && { at: at.toISOString() }) };
+}
+
+module.exports = { SEV_RANK, query, forLocations, sevClass, polygonsOf, bboxOf, containsPoint, distanceKm };
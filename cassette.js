@@ -0,0 +1,63 @@
+// ================================================================
+//  STORM SURGE WEATHER — HTTP Cassette
+//  Records every upstream response (JSON/text and binary tiles) to a
+//  directory keyed by URL and plays them back verbatim later.
+//
+//    SS_CASSETTE=record|replay    off when unset
+//    SS_CASSETTE_DIR=<dir>        default ./cassettes/default
+//
+//  One file per URL: <sha1>.json = { url, recordedAt, type, encoding, body }
+//  Binary bodies are base64. In replay a miss is an error, so routes
+//  fall through to their normal "unavailable" handling.
+// ================================================================
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const MODE = ['record', 'replay'].includes(process.env.SS_CASSETTE) ? process.env.SS_CASSETTE : null;
+const DIR  = process.env.SS_CASSETTE_DIR || path.join(__dirname, 'cassettes', 'default');
+
+// Lookback start → the end param that pins the window. Without an end
+// the start is just "now minus N" and changes on every request, so it's
+// dropped from the key and a replayed live session still matches. With
+// an end (an as-of query) both stay: different moments, different data.
+const LOOKBACK = { time__gte: 'time__lte' };
+
+function keyOf(url) {
+  let u = url;
+  try {
+    const p = new URL(url);
+    Object.entries(LOOKBACK).forEach(([from, to]) => { if (!p.searchParams.has(to)) p.searchParams.delete(from); });
+    u = p.toString();
+  } catch(e) {}
+  return crypto.createHash('sha1').update(u).digest('hex');
+}
+
+const fileOf = url => path.join(DIR, keyOf(url) + '.json');
+
+async function load(url) {
+  let raw;
+  try { raw = await fs.promises.readFile(fileOf(url), 'utf8'); }
+  catch(e) { throw new Error(`Not in cassette: ${url}`); }
+  const e = JSON.parse(raw);
+  return e.encoding === 'base64' ? { buf: Buffer.from(e.body, 'base64'), type: e.type } : e.body;
+}
+
+async function save(url, data) {
+  const bin = Buffer.isBuffer(data?.buf);
+  const entry = { url, recordedAt: new Date().toISOString(), type: bin ? data.type : 'text', encoding: bin ? 'base64' : 'utf8', body: bin ? data.buf.toString('base64') : data };
+  try {
+    await fs.promises.mkdir(DIR, { recursive: true });
+    await fs.promises.writeFile(fileOf(url), JSON.stringify(entry));
+  } catch(e) { console.warn('Cassette write failed:', e.message); }
+}
+
+// fetcher() resolves a string (text/JSON) or { buf, type } (binary)
+async function wrap(url, fetcher) {
+  if (MODE === 'replay') return load(url);
+  const data = await fetcher();
+  if (MODE === 'record') await save(url, data);
+  return data;
+}
+
+module.exports = { wrap, keyOf, mode: MODE, dir: DIR };
@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, shell, Tray, Menu, nativeImage } = require('electron');
+const { app, BrowserWindow, ipcMain, shell, Tray, Menu, nativeImage, Notification, dialog } = require('electron');
 const path   = require('path');
 const fs     = require('fs');
 const https  = require('https');
@@ -18,9 +18,17 @@ let tray = null;
 
 // ── Settings ─────────────────────────────────────────────────────
 const SETTINGS_PATH = path.join(app.getPath('userData'), 'settings.json');
+// Event types that raise a desktop notification; anything not listed stays quiet
+const NOTIFY_DEFAULTS = {
+  'Tornado Warning': true, 'Severe Thunderstorm Warning': true, 'Flash Flood Warning': true,
+  'Extreme Wind Warning': true, 'Hurricane Warning': true, 'Tornado Watch': false,
+  'Severe Thunderstorm Watch': false, 'Flood Warning': false, 'Winter Storm Warning': false,
+};
 function loadSettings() {
-  try { if (fs.existsSync(SETTINGS_PATH)) return JSON.parse(fs.readFileSync(SETTINGS_PATH, 'utf8')); } catch {}
-  return { startMinimized: false, minimizeToTray: true, autoLaunch: false };
+  const d = { startMinimized: false, minimizeToTray: true, autoLaunch: false, alertNotify: true, notifyEvents: {}, favorites: [] };
+  try { if (fs.existsSync(SETTINGS_PATH)) Object.assign(d, JSON.parse(fs.readFileSync(SETTINGS_PATH, 'utf8'))); } catch {}
+  d.notifyEvents = { ...NOTIFY_DEFAULTS, ...d.notifyEvents };
+  return d;
 }
 function saveSettings(d) {
   try { fs.writeFileSync(SETTINGS_PATH, JSON.stringify(d, null, 2)); } catch {}
@@ -33,6 +41,10 @@ function applyAutoLaunch(on) {
 // ── Inline Express server ─────────────────────────────────────────
 const SERVER_PORT = process.env.PORT || '3001';
 process.env.PORT  = SERVER_PORT;
+// Radar tiles survive restarts (see tile-cache.js)
+process.env.SS_TILE_CACHE_DIR = process.env.SS_TILE_CACHE_DIR || path.join(app.getPath('userData'), 'tile-cache');
+// Offline region packs (see offline-pack.js)
+process.env.SS_PACK_DIR = process.env.SS_PACK_DIR || path.join(app.getPath('userData'), 'packs');
 require('./server.js');
 
 // ── Python Radar Microservice ─────────────────────────────────────
@@ -86,6 +98,75 @@ function waitForServer(port, timeout = 10000) {
   });
 }
 
+// ── Alert notifications ───────────────────────────────────────────
+// Polls the local /api/alerts/locations for every saved favorite, also
+// while the window is hidden in the tray. Notifies once per alert per
+// location; "upgraded" when it beats the worst alert already there.
+// An update or extension references the alert it replaces and counts
+// as already seen.
+const ALERT_POLL_MS = 2 * 60 * 1000;
+const { SEV_RANK } = require('./alerts');
+// location name → Map(alert id → { rank, expires }). An id stays until
+// the alert expires or is cancelled, not just while the last poll listed
+// it: an alert whose zones didn't resolve in time drops out of one poll
+// and must not notify again when it comes back. Kept in settings.json so
+// a restart doesn't notify again for warnings that are already up.
+const _alertSeen = new Map(Object.entries(settings.alertSeen || {}).map(([name, ids]) => [name, new Map(Object.entries(ids))]));
+
+let _polling = null, _pollAgain = false;
+
+// One poll at a time: polls read and then write _alertSeen, so two at
+// once would both notify for the same warning. A call made while one is
+// running queues a single follow-up (favorites may have changed).
+function pollAlerts() {
+  if (_polling) { _pollAgain = true; return _polling; }
+  _polling = checkAlerts().finally(() => {
+    _polling = null;
+    if (_pollAgain) { _pollAgain = false; pollAlerts(); }
+  });
+  return _polling;
+}
+
+async function checkAlerts() {
+  const favs = (settings.favorites || []).filter(f => Number.isFinite(f.lat) && Number.isFinite(f.lng));
+  if (!settings.alertNotify || !favs.length || !Notification.isSupported()) return;
+  try {
+    const r = await fetch(`http://localhost:${SERVER_PORT}/api/alerts/locations`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ locations: favs, radiusKm: 1 }), signal: AbortSignal.timeout(20000),
+    });
+    if (!r.ok) throw new Error('HTTP ' + r.status);
+    const { locations, cancelled } = await r.json();
+    const gone = new Set(cancelled || []), t = Date.now();
+    (locations || []).forEach(loc => {
+      const seen = _alertSeen.get(loc.name) || new Map();
+      seen.forEach((s, id) => { if (gone.has(id) || Date.parse(s.expires) <= t) seen.delete(id); });
+      const prevMax = Math.max(0, ...[...seen.values()].map(s => s.rank));
+      const known = a => seen.has(a.id) || (a.references || []).some(r => seen.has(r));
+      loc.inside.filter(a => !known(a) && settings.notifyEvents[a.event])
+        .forEach(a => notifyAlert(loc, a, seen.size > 0 && (SEV_RANK[a.sev] || 0) > prevMax));
+      loc.inside.forEach(a => seen.set(a.id, { rank: SEV_RANK[a.sev] || 0, expires: a.expires }));
+      _alertSeen.set(loc.name, seen);
+    });
+    const saved = Object.fromEntries((locations || []).map(loc => [loc.name, Object.fromEntries(_alertSeen.get(loc.name))]));
+    if (JSON.stringify(saved) !== JSON.stringify(settings.alertSeen || {})) { settings.alertSeen = saved; saveSettings(settings); }
+  } catch (e) { console.warn('[alerts] poll failed:', e.message); }
+}
+
+function notifyAlert(loc, a, upgraded) {
+  const n = new Notification({
+    title: `${upgraded ? '⬆ Upgraded: ' : ''}${a.event} — ${loc.name}`,
+    body: a.headline || a.event,
+    urgency: (SEV_RANK[a.sev] || 0) >= 3 ? 'critical' : 'normal',
+    timeoutType: 'never',
+  });
+  n.on('click', () => {
+    createWindow(); win?.show(); win?.focus();
+    if (win && !win.isDestroyed()) win.webContents.send('alert-event', { event: 'open', location: loc.name, id: a.id });
+  });
+  n.show();
+}
+
 // ── Updater state ─────────────────────────────────────────────────
 let _readyInstallerPath = null;
 let _downloading        = false;
@@ -209,6 +290,8 @@ function updateTrayMenu() {
       click: (i) => { settings.autoLaunch = i.checked; saveSettings(settings); applyAutoLaunch(i.checked); updateTrayMenu(); } },
     { label: '📌 Minimize to tray on close', type: 'checkbox', checked: settings.minimizeToTray,
       click: (i) => { settings.minimizeToTray = i.checked; saveSettings(settings); updateTrayMenu(); } },
+    { label: '🔔 Warning notifications', type: 'checkbox', checked: settings.alertNotify,
+      click: (i) => { settings.alertNotify = i.checked; saveSettings(settings); updateTrayMenu(); } },
     { type: 'separator' },
     { label: '✕ Quit', click: () => { win?.destroy(); app.quit(); } }
   ]);
@@ -237,9 +320,46 @@ ipcMain.handle('save-settings', (_, d) => {
   Object.assign(settings, d);
   saveSettings(settings);
   applyAutoLaunch(settings.autoLaunch);
+  updateTrayMenu();
   return settings;
 });
 
+// Renderer keeps ss_favs in localStorage; mirror them here for background polling
+ipcMain.handle('sync-favorites', (_, favs) => {
+  settings.favorites = (Array.isArray(favs) ? favs : []).slice(0, 50)
+    .map(f => ({ name: String(f?.name || ''), lat: Number(f?.lat), lng: Number(f?.lng) }));
+  saveSettings(settings);
+  pollAlerts();
+  return settings.favorites;
+});
+
+// Radar loop → MP4. The renderer can only record WebM, so it is
+// converted here with ffmpeg (on PATH, or FFMPEG_PATH).
+ipcMain.handle('export-video', async (_, { bytes, name }) => {
+  const { canceled, filePath } = await dialog.showSaveDialog(win, {
+    defaultPath: name, filters: [{ name: 'MP4 video', extensions: ['mp4'] }]
+  });
+  if (canceled || !filePath) return { canceled: true };
+  const tmp = path.join(app.getPath('temp'), `ss-loop-${Date.now()}.webm`);
+  try {
+    fs.writeFileSync(tmp, Buffer.from(bytes));
+    await new Promise((resolve, reject) => {
+      const ff = spawn(process.env.FFMPEG_PATH || 'ffmpeg',
+        ['-y', '-loglevel', 'error', '-i', tmp, '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-movflags', '+faststart', filePath],
+        { stdio: ['ignore', 'ignore', 'pipe'] });
+      let err = '';
+      ff.stderr.on('data', d => err += d);
+      ff.on('error', e => reject(new Error(e.code === 'ENOENT' ? 'ffmpeg not found — install it or set FFMPEG_PATH' : e.message)));
+      ff.on('close', code => code === 0 ? resolve() : reject(new Error(err.trim().split('\n').pop() || `ffmpeg exited with ${code}`)));
+    });
+    return { path: filePath };
+  } catch (e) {
+    return { error: e.message };
+  } finally {
+    try { fs.unlinkSync(tmp); } catch {}
+  }
+});
+
 // ── Window ────────────────────────────────────────────────────────
 function createWindow() {
   if (win) { win.show(); win.focus(); return; }
@@ -280,6 +400,7 @@ function createTray() {
 
 // ── Boot ──────────────────────────────────────────────────────────
 app.whenReady().then(async () => {
+  if (process.platform === 'win32') app.setAppUserModelId('com.stormsurge.weather');
   applyAutoLaunch(settings.autoLaunch);
 
   createTray();
@@ -306,6 +427,9 @@ app.whenReady().then(async () => {
     }
   }, 8000);
 
+  pollAlerts();
+  setInterval(pollAlerts, ALERT_POLL_MS);
+
   // Re-check every 2 hours
   setInterval(async () => {
     if (_readyInstallerPath) return;
@@ -13,5 +13,18 @@ contextBridge.exposeInMainWorld('electronUpdater', {
 
 contextBridge.exposeInMainWorld('electronSettings', {
   get:  ()      => ipcRenderer.invoke('get-settings'),
-  save: (data)  => ipcRenderer.invoke('save-settings', data)
+  save: (data)  => ipcRenderer.invoke('save-settings', data),
+  syncFavorites: (favs) => ipcRenderer.invoke('sync-favorites', favs)
+});
+
+contextBridge.exposeInMainWorld('electronExport', {
+  // WebM bytes → save dialog → MP4 via ffmpeg; resolves { path } | { canceled } | { error }
+  saveVideo: (data) => ipcRenderer.invoke('export-video', data)
+});
+
+contextBridge.exposeInMainWorld('electronAlerts', {
+  // Main → Renderer: a desktop alert notification was clicked
+  onAlertEvent: (cb) => {
+    ipcRenderer.on('alert-event', (_event, data) => cb(data));
+  }
 });
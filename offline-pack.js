@@ -0,0 +1,138 @@
+// ================================================================
+//  STORM SURGE WEATHER — Offline Region Packs
+//  A pack is everything the app needs for one region, downloaded
+//  ahead of time: favorite forecasts, radar frames and tiles, NEXRAD
+//  stations, alerts and SPC products. Routes fall back to the newest
+//  ready pack when their upstream fails.
+//
+//    SS_PACK_DIR=<dir>    off when unset; the desktop app sets it to
+//                         <userData>/packs
+//
+//  <dir>/<id>/manifest.json   spec, status, progress, asOf, points
+//  <dir>/<id>/data/<sha1>     JSON results, by key ('frames', 'alerts',
+//                             'proxy:/api/spc/outlooks?day=1', …)
+//  <dir>/<id>/tiles/<sha1>    tile bytes, by upstream URL
+//
+//  What goes into a pack is decided by server.js (buildPack); this
+//  module only stores and finds.
+// ================================================================
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const DIR = process.env.SS_PACK_DIR || null;
+
+const packs = new Map();   // id → manifest
+
+const sha1    = s => crypto.createHash('sha1').update(s).digest('hex');
+const dirOf   = id => path.join(DIR, id);
+const summary = m => { const { points, ...rest } = m; return { ...rest, points: points.length }; };
+
+function load() {
+  let ids = [];
+  try { ids = fs.readdirSync(DIR); } catch(e) {}
+  ids.forEach(id => {
+    try {
+      const m = JSON.parse(fs.readFileSync(path.join(dirOf(id), 'manifest.json'), 'utf8'));
+      // A build cut short by a restart won't resume
+      if (m.status === 'building') { m.status = 'failed'; m.error = 'Interrupted'; }
+      packs.set(id, m);
+    } catch(e) {}
+  });
+}
+
+async function saveManifest(m) {
+  try { await fs.promises.writeFile(path.join(dirOf(m.id), 'manifest.json'), JSON.stringify(m)); }
+  catch(e) { console.warn('Pack manifest write failed:', e.message); }
+}
+
+// Ready packs, newest first
+const ready = () => [...packs.values()].filter(m => m.status === 'ready').sort((a, b) => b.asOf.localeCompare(a.asOf));
+
+function list() { return [...packs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt)).map(summary); }
+
+// build(writer) fills the pack; writer = { json(key, data), point(kind, lat, lng, data),
+// tile(url, buf), progress(done, total, failed) }. Resolves when the pack is registered;
+// the build itself runs on in the background.
+async function create(spec, build) {
+  const id = new Date().toISOString().replace(/\D/g, '').slice(0, 14) + '-' + crypto.randomBytes(2).toString('hex');
+  const m = { id, ...spec, createdAt: new Date().toISOString(), asOf: null, status: 'building', done: 0, total: 0, failed: 0, bytes: 0, error: null, points: [] };
+  await fs.promises.mkdir(path.join(dirOf(id), 'data'), { recursive: true });
+  await fs.promises.mkdir(path.join(dirOf(id), 'tiles'), { recursive: true });
+  packs.set(id, m);
+  await saveManifest(m);
+
+  const write = async (file, body) => { await fs.promises.writeFile(path.join(dirOf(id), file), body); m.bytes += body.length; };
+  const writer = {
+    json:  (key, data) => write(path.join('data', sha1(key)), JSON.stringify(data)),
+    point: async (kind, lat, lng, data) => {
+      const key = `${kind}:${lat.toFixed(3)},${lng.toFixed(3)}`;
+      await writer.json(key, data);
+      m.points.push({ kind, lat, lng, key });
+    },
+    tile:  (url, buf) => write(path.join('tiles', sha1(url)), buf),
+    progress: (done, total, failed) => { m.done = done; m.total = total; m.failed = failed || 0; },
+  };
+  // Progress is polled; write the manifest now and then, not per tile
+  const tick = setInterval(() => saveManifest(m), 5000);
+  (async () => {
+    try {
+      await build(writer);
+      m.status = 'ready'; m.asOf = new Date().toISOString();
+    } catch(e) {
+      m.status = 'failed'; m.error = e.message;
+    }
+    clearInterval(tick);
+    await saveManifest(m);
+  })();
+  return summary(m);
+}
+
+async function remove(id) {
+  if (!packs.has(id) || packs.get(id).status === 'building') return false;
+  packs.delete(id);
+  await fs.promises.rm(dirOf(id), { recursive: true, force: true });
+  return true;
+}
+
+// ── Lookups (newest ready pack wins) ─────────────────────────────
+async function readFrom(m, file) {
+  try { return await fs.promises.readFile(path.join(dirOf(m.id), file)); } catch(e) { return null; }
+}
+
+// → { data, asOf } | null
+async function json(key) {
+  for (const m of ready()) {
+    const raw = await readFrom(m, path.join('data', sha1(key)));
+    if (raw) return { data: JSON.parse(raw), asOf: m.asOf };
+  }
+  return null;
+}
+
+// Closest point of `kind` within maxKm → { data, asOf, lat, lng } | null
+async function nearest(kind, lat, lng, maxKm = 50) {
+  const rad = Math.PI / 180;
+  const km = p => 6371 * 2 * Math.asin(Math.sqrt(Math.sin((p.lat - lat) * rad / 2) ** 2 +
+    Math.cos(lat * rad) * Math.cos(p.lat * rad) * Math.sin((p.lng - lng) * rad / 2) ** 2));
+  let best = null;
+  ready().forEach(m => m.points.filter(p => p.kind === kind).forEach(p => {
+    const d = km(p);
+    if (d <= maxKm && (!best || d < best.d)) best = { m, p, d };
+  }));
+  if (!best) return null;
+  const raw = await readFrom(best.m, path.join('data', sha1(best.p.key)));
+  return raw && { data: JSON.parse(raw), asOf: best.m.asOf, lat: best.p.lat, lng: best.p.lng };
+}
+
+// → { buf, type, asOf } | null
+async function tile(url) {
+  for (const m of ready()) {
+    const buf = await readFrom(m, path.join('tiles', sha1(url)));
+    if (buf) return { buf, type: 'image/png', asOf: m.asOf };
+  }
+  return null;
+}
+
+if (DIR) load();
+
+module.exports = { enabled: !!DIR, dir: DIR, list, create, remove, json, nearest, tile };
@@ -0,0 +1,130 @@
+// ================================================================
+//  STORM SURGE WEATHER — Upstream Providers
+//  Every upstream data source server.js talks to is registered here
+//  with a `live` fetcher and a `fixture` loader. Routes ask for data
+//  by provider name and never see the upstream URL.
+//
+//  Mode is chosen per provider from the environment:
+//    SS_PROVIDERS=live|fixture         default for every provider
+//    SS_PROVIDER_<NAME>=live|fixture   override one provider; name is
+//                                      upper-cased with . and - → _
+//                                      e.g. SS_PROVIDER_RAINVIEWER_FRAMES
+//    SS_FIXTURE_DIR=<dir>              fixture files (default ./fixtures)
+// ================================================================
+const fs   = require('fs');
+const path = require('path');
+const severe = require('./severe');
+
+const FIXTURE_DIR = process.env.SS_FIXTURE_DIR || path.join(__dirname, 'fixtures');
+const MODES = ['live', 'fixture'];
+
+const registry = new Map();
+let io = null;
+
+// io = { json(url,opts), text(url,opts), bin(url) } — supplied by server.js
+function use(transport) { io = transport; }
+
+function envName(name) { return 'SS_PROVIDER_' + name.toUpperCase().replace(/[^A-Z0-9]/g, '_'); }
+
+function modeOf(name) {
+  const m = String(process.env[envName(name)] || process.env.SS_PROVIDERS || 'live').toLowerCase();
+  return MODES.includes(m) ? m : 'live';
+}
+
+async function readFixture(file) {
+  const raw = await fs.promises.readFile(path.join(FIXTURE_DIR, file), 'utf8');
+  return file.endsWith('.json') ? JSON.parse(raw) : raw;
+}
+
+// def: { describe, live(params, io), fixture: 'file.ext' | (params, readFixture) => data }
+function register(name, def) {
+  if (!def || typeof def.live !== 'function') throw new Error(`Provider ${name}: live() required`);
+  registry.set(name, { name, describe: def.describe || '', live: def.live, fixture: def.fixture || `${name}.json` });
+}
+
+async function get(name, params = {}) {
+  const p = registry.get(name);
+  if (!p) throw new Error(`Unknown provider ${name}`);
+  if (modeOf(name) === 'fixture')
+    return typeof p.fixture === 'function' ? p.fixture(params, readFixture) : readFixture(p.fixture);
+  if (!io) throw new Error('Provider transport not set');
+  return p.live(params, io);
+}
+
+function status() {
+  return [...registry.values()].map(p => ({ name: p.name, mode: modeOf(p.name), describe: p.describe }));
+}
+
+// ── BUILT-IN PROVIDERS ───────────────────────────────────────────
+const OM_UNITS = '&temperature_unit=celsius&wind_speed_unit=ms&precipitation_unit=mm&timezone=auto';
+
+register('openmeteo.forecast', {
+  describe: 'Open-Meteo 14-day forecast (current/hourly/daily)',
+  live: ({ lat, lng }, io) => io.json('https://api.open-meteo.com/v1/forecast'
+    + `?latitude=${lat}&longitude=${lng}`
+    + '&current=temperature_2m,apparent_temperature,relative_humidity_2m,dew_point_2m,precipitation,rain,snowfall,weather_code,wind_speed_10m,wind_direction_10m,wind_gusts_10m,surface_pressure,cloud_cover,visibility,uv_index,is_day'
+    + '&hourly=temperature_2m,apparent_temperature,relative_humidity_2m,dew_point_2m,precipitation_probability,precipitation,weather_code,wind_speed_10m,wind_direction_10m,wind_gusts_10m,uv_index,visibility,cloud_cover,cape,lifted_index,surface_pressure'
+    + '&daily=weather_code,temperature_2m_max,temperature_2m_min,apparent_temperature_max,apparent_temperature_min,sunrise,sunset,daylight_duration,uv_index_max,precipitation_sum,precipitation_probability_max,wind_speed_10m_max,wind_gusts_10m_max'
+    + '&forecast_days=14' + OM_UNITS),
+});
+
+register('openmeteo.severe', {
+  describe: 'Open-Meteo 3-day hourly convective parameters and pressure-level winds',
+  live: ({ lat, lng }, io) => io.json('https://api.open-meteo.com/v1/forecast'
+    + `?latitude=${lat}&longitude=${lng}`
+    + '&hourly=' + severe.HOURLY.join(',')
+    + '&forecast_days=3' + OM_UNITS),
+});
+
+register('openmeteo.airquality', {
+  describe: 'Open-Meteo air quality',
+  live: ({ lat, lng }, io) => io.json('https://air-quality-api.open-meteo.com/v1/air-quality'
+    + `?latitude=${lat}&longitude=${lng}`
+    + '&current=pm10,pm2_5,carbon_monoxide,nitrogen_dioxide,sulphur_dioxide,ozone,us_aqi'
+    + '&hourly=pm2_5,pm10,us_aqi&forecast_days=3&timezone=auto'),
+});
+
+register('openmeteo.marine', {
+  describe: 'Open-Meteo marine',
+  live: ({ lat, lng }, io) => io.json('https://marine-api.open-meteo.com/v1/marine'
+    + `?latitude=${lat}&longitude=${lng}`
+    + '&current=wave_height,wave_direction,wave_period,wind_wave_height,swell_wave_height,swell_wave_direction,swell_wave_period,ocean_current_velocity,ocean_current_direction'
+    + '&hourly=wave_height,wave_direction,wave_period&forecast_days=3&timezone=auto'),
+});
+
+register('rainviewer.frames', {
+  describe: 'RainViewer radar frame index',
+  live: (_, io) => io.json('https://api.rainviewer.com/public/weather-maps.json'),
+});
+
+const iemTime = d => d.toISOString().slice(0, 16) + 'Z';
+register('iem.composite.scans', {
+  describe: 'IEM national composite (USCOMP N0Q) scan times between start and end',
+  live: ({ start, end }, io) => io.json(`https://mesonet.agron.iastate.edu/json/radar.py?operation=list&product=N0Q&radar=USCOMP&start=${iemTime(start)}&end=${iemTime(end)}`),
+  // The fixture is one 6 h evening; shift it so its last scan is `end`
+  fixture: async ({ start, end }, read) => {
+    const d = await read('iem.composite.scans.json');
+    const shift = end.getTime() - Date.parse(d.scans[d.scans.length - 1].ts);
+    const scans = d.scans.map(s => Date.parse(s.ts) + shift).filter(t => t >= start.getTime()).map(t => ({ ts: iemTime(new Date(t)) }));
+    return { scans };
+  },
+});
+
+register('mping.reports', {
+  describe: 'mPing crowd-sourced reports',
+  live: ({ since, until }, io) => io.json(`https://mping.nssl.noaa.gov/mping/api/v2/reports/?format=json&time__gte=${since}${until ? `&time__lte=${until}` : ''}&limit=200`,
+    { headers: { 'Accept': 'application/json' } }),
+});
+
+register('spc.reports', {
+  describe: 'SPC filtered storm reports (CSV); kind = torn|hail|wind, day = today|yesterday|YYMMDD',
+  live: ({ day, kind }, io) => io.text(`https://www.spc.noaa.gov/climo/reports/${/^\d{6}$/.test(day) ? day + '_rpts' : day}_filtered_${kind}.csv`),
+  fixture: ({ kind }, read) => read(`spc.reports.${kind}.csv`),
+});
+
+register('awc.metar', {
+  describe: 'AviationWeather.gov METAR',
+  live: ({ station }, io) => io.json(`https://aviationweather.gov/api/data/metar?ids=${station}&format=json`, { timeout: 8000 }),
+});
+
+module.exports = { use, register, get, status, modeOf, FIXTURE_DIR };
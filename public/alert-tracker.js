@@ -0,0 +1,130 @@
+// ================================================================
+//  ALERT TRACKER  v14.0
+//  Follows each NWS alert across polls and works out what changed:
+//  NEW, UPDATED, EXTENDED, UPGRADED, CANCELLED, EXPIRED EARLY.
+//
+//  Updates arrive as new alerts whose `references` point at the ones
+//  they replace, so history is carried along that chain.
+//
+//  Public API (window.AlertTracker):
+//    AlertTracker.update(features, cancelled)  → { fresh:[], changed:[], ended:[] }
+//    AlertTracker.badges(id)    → [{ k, label }]
+//    AlertTracker.history(id)   → [{ ts, kind, text }]
+//    AlertTracker.ended()       → recently ended entries (for the list)
+//    AlertTracker.get(id)       → tracked entry
+//    AlertTracker.reset()
+// ================================================================
+
+window.AlertTracker = (() => {
+  'use strict';
+
+  const BADGE_MS  = 30 * 60 * 1000;  // how long a badge stays on a card
+  const ENDED_MS  = 30 * 60 * 1000;  // how long ended alerts stay listed
+  const NEW_MS    = 10 * 60 * 1000;  // first poll: only this recent counts as NEW
+  const EARLY_MS  = 2 * 60 * 1000;   // slack before "expired early"
+
+  const LABELS = { new: 'NEW', updated: 'UPDATED', extended: 'EXTENDED', upgraded: 'UPGRADED', cancelled: 'CANCELLED', early: 'EXPIRED EARLY' };
+
+  let _known = new Map();   // id → entry
+  let _ended = [];          // entries no longer active
+  let _first = true;
+
+  // Warning > Watch > Advisory > Statement, then the filter-button bucket
+  function rank(ev) {
+    const e = (ev || '').toLowerCase();
+    const prod = e.includes('warning') ? 3 : e.includes('watch') ? 2 : e.includes('advisory') ? 1 : 0;
+    const sev = e.includes('tornado') || e.includes('hurricane') || e.includes('extreme') ? 1 : 0;
+    return prod * 2 + sev;
+  }
+
+  const t = iso => iso ? new Date(iso).getTime() : 0;
+  const hm = ms => new Date(ms).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+  function entryFor(f, now) {
+    const p = f.properties || {};
+    return { id: f.id, event: p.event, ugc: p.ugc || [], expires: t(p.ends || p.expires), sent: t(p.sent), firstSeen: now, history: [], marks: [], feature: f };
+  }
+
+  // "Tornado Warning" → "tornado"; used to pair a new warning with its watch
+  const hazard = ev => (ev || '').toLowerCase().replace(/\s+(warning|watch)$/, '');
+
+  function mark(e, k, now, text) {
+    e.marks = e.marks.filter(m => m.k !== k);
+    e.marks.push({ k, ts: now });
+    if (text) e.history.push({ ts: now, kind: k, text });
+  }
+
+  function update(features, cancelled = []) {
+    const now = Date.now();
+    const fresh = [], changed = [], ended = [];
+    const seen = new Set();
+    // Watches in this feed as well as known ones, so a warning listed
+    // ahead of its watch (always possible on the first poll) still pairs
+    const watches = [..._known.values(), ...(features || []).map(f => entryFor(f, now))]
+      .filter(w => /watch$/i.test(w.event || ''));
+
+    (features || []).forEach(f => {
+      const p = f.properties || {};
+      seen.add(f.id);
+      if (_known.has(f.id)) return;
+
+      const e = entryFor(f, now);
+      const prev = (p.references || []).map(id => _known.get(id)).filter(Boolean);
+      if (prev.length) {
+        // Inherit the chain, newest-referenced first
+        prev.sort((a, b) => b.sent - a.sent);
+        const old = prev[0];
+        e.history = prev.flatMap(x => x.history).sort((a, b) => a.ts - b.ts);
+        e.firstSeen = old.firstSeen;
+        prev.forEach(x => _known.delete(x.id));
+        const before = e.history.length;
+        if (rank(e.event) > rank(old.event)) mark(e, 'upgraded', now, `Upgraded ${old.event} → ${e.event}`);
+        if (e.expires > old.expires + 60000) mark(e, 'extended', now, `Extended to ${hm(e.expires)} (was ${hm(old.expires)})`);
+        else if (e.expires && e.expires < old.expires - 60000) e.history.push({ ts: now, kind: 'updated', text: `Shortened to ${hm(e.expires)}` });
+        mark(e, 'updated', now, e.history.length === before ? `Updated ${hm(now)}` : null);
+        changed.push(e);
+      } else {
+        e.history.push({ ts: e.sent || now, kind: 'new', text: `${p.messageType === 'Update' ? 'Updated' : 'Issued'} ${hm(e.sent || now)}` });
+        if (!_first || now - e.sent < NEW_MS) { mark(e, 'new', now); fresh.push(e); }
+        // A warning over counties already under the matching watch
+        const watch = /warning$/i.test(e.event || '') && watches.find(w =>
+          hazard(w.event) === hazard(e.event) && w.ugc.some(u => e.ugc.includes(u)));
+        if (watch) { mark(e, 'upgraded', now, `Upgraded ${watch.event} → ${e.event}`); if (!fresh.includes(e)) changed.push(e); }
+      }
+      _known.set(f.id, e);
+    });
+
+    // Gone from the feed: cancelled, ended before its time, or just expired
+    const cancelledIds = new Map();
+    (cancelled || []).forEach(c => (c.references || []).forEach(id => cancelledIds.set(id, c)));
+    [..._known.keys()].filter(id => !seen.has(id)).forEach(id => {
+      const e = _known.get(id);
+      _known.delete(id);
+      if (cancelledIds.has(id)) mark(e, 'cancelled', now, `Cancelled ${hm(t(cancelledIds.get(id).sent) || now)}`);
+      else if (e.expires && now < e.expires - EARLY_MS) mark(e, 'early', now, `Ended early ${hm(now)} (was until ${hm(e.expires)})`);
+      else return;
+      e.endedAt = now;
+      _ended.unshift(e);
+      ended.push(e);
+    });
+    _ended = _ended.filter(e => now - e.endedAt < ENDED_MS);
+
+    _first = false;
+    return { fresh, changed, ended };
+  }
+
+  function get(id) { return _known.get(id) || _ended.find(e => e.id === id) || null; }
+
+  function badges(id) {
+    const e = get(id); if (!e) return [];
+    const now = Date.now();
+    return e.marks.filter(m => now - m.ts < BADGE_MS || m.k === 'cancelled' || m.k === 'early')
+      .map(m => ({ k: m.k, label: LABELS[m.k] }));
+  }
+
+  function history(id) { return get(id)?.history || []; }
+  function ended() { return _ended.slice(); }
+  function reset() { _known = new Map(); _ended = []; _first = true; }
+
+  return { update, badges, history, ended, get, reset };
+})();
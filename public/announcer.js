@@ -0,0 +1,151 @@
+// ================================================================
+//  ALERT ANNOUNCER  v14.0
+//  Plays a tone and reads new alerts aloud (Web Speech API) so a wall
+//  display can be heard from across the room.
+//
+//  Each severity bucket (emergency / warning / watch / advisory) is set
+//  to 'off', 'tone' or 'speak' (tone, then the spoken summary).
+//
+//  Public API (window.Announcer):
+//    Announcer.configure({ modes, volume })
+//    Announcer.announce(msg)   msg = { id, sev, event, areas[], expires,
+//                                      lines:{hazard,source,impact}, place }
+//    Announcer.test(sev)       tone + sample speech, whatever the mode
+//    Announcer.script(msg)     → the text that would be spoken
+//    Announcer.stop()
+//    Announcer.supported()     → { speech, audio }
+// ================================================================
+
+window.Announcer = (() => {
+  'use strict';
+
+  const TONES = {
+    emergency: 'sounds/emergency.wav',
+    warning:   'sounds/warning.wav',
+    watch:     'sounds/watch.wav',
+    advisory:  'sounds/advisory.wav',
+  };
+  const MAX_AREAS = 6;   // counties read out before "and N more"
+  const SPEECH_MS_PER_CHAR = 120;   // ~2× normal speaking time at rate 0.95
+  const TONE_MAX_MS = 5000;         // longest tone is under 2 s
+
+  let _modes = { emergency: 'speak', warning: 'speak', watch: 'tone', advisory: 'off' };
+  let _volume = 1;
+  let _said = new Set();       // alert ids already announced
+  let _queue = Promise.resolve();
+  let _gen = 0;                // bumped by stop() to drop queued items
+  let _unlocked = false;
+
+  const hasSpeech = () => 'speechSynthesis' in window && typeof SpeechSynthesisUtterance !== 'undefined';
+
+  // Browsers keep audio muted until the page has had a user gesture;
+  // prime both outputs on the first click/key so later alerts can play.
+  function unlock() {
+    if (_unlocked) return;
+    _unlocked = true;
+    try { const a = new Audio(TONES.advisory); a.volume = 0; a.play().catch(() => {}); } catch (e) {}
+    if (hasSpeech()) { try { speechSynthesis.speak(new SpeechSynthesisUtterance('')); } catch (e) {} }
+  }
+  ['pointerdown', 'keydown'].forEach(ev => window.addEventListener(ev, unlock, { once: true, capture: true }));
+
+  function configure(cfg = {}) {
+    if (cfg.modes) _modes = { ..._modes, ...cfg.modes };
+    if (Number.isFinite(cfg.volume)) _volume = Math.max(0, Math.min(1, cfg.volume));
+  }
+
+  function playTone(sev) {
+    return new Promise(resolve => {
+      try {
+        const a = new Audio(TONES[sev] || TONES.advisory);
+        a.volume = _volume;
+        // onended never fires if playback stalls (e.g. a suspended audio
+        // output), so the speech after it would never start
+        const timer = setTimeout(() => { a.pause(); resolve(); }, TONE_MAX_MS);
+        const done = () => { clearTimeout(timer); resolve(); };
+        a.onended = a.onerror = done;
+        a.play().catch(done);
+      } catch (e) { resolve(); }
+    });
+  }
+
+  function speak(text) {
+    if (!hasSpeech() || !text) return Promise.resolve();
+    return new Promise(resolve => {
+      const u = new SpeechSynthesisUtterance(text);
+      u.lang = 'en-US';
+      u.rate = 0.95;
+      u.volume = _volume;
+      // Chromium sometimes fires neither onend nor onerror (voices changed,
+      // tab in the background); give up after well over the speaking time
+      // so the queue doesn't stall behind it.
+      const timer = setTimeout(() => { speechSynthesis.cancel(); resolve(); }, SPEECH_MS_PER_CHAR * text.length + 5000);
+      u.onend = u.onerror = () => { clearTimeout(timer); resolve(); };
+      speechSynthesis.speak(u);
+    });
+  }
+
+  // "Cleveland, OK" → "Cleveland"
+  function areaList(areas) {
+    const names = (areas || []).map(a => a.replace(/,\s*[A-Z]{2}$/, '').trim()).filter(Boolean);
+    if (names.length <= 1) return names[0] || '';
+    const head = names.slice(0, MAX_AREAS);
+    const more = names.length - head.length;
+    return more > 0 ? `${head.join(', ')}, and ${more} more` : `${head.slice(0, -1).join(', ')} and ${head[head.length - 1]}`;
+  }
+
+  function sentence(s) {
+    const t = (s || '').replace(/\s+/g, ' ').trim().replace(/\.+$/, '');
+    return t ? t + '.' : '';
+  }
+
+  function script(msg) {
+    const parts = [];
+    parts.push(sentence(`${msg.event}${msg.place ? ' for ' + msg.place : ''}`));
+    const areas = areaList(msg.areas);
+    if (areas) parts.push(sentence(`Including ${areas}`));
+    if (msg.expires) parts.push(sentence(`In effect until ${new Date(msg.expires).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}`));
+    const l = msg.lines || {};
+    if (l.hazard) parts.push(sentence('Hazard: ' + l.hazard));
+    if (l.source) parts.push(sentence('Source: ' + l.source));
+    if (l.impact) parts.push(sentence('Impact: ' + l.impact));
+    return parts.join(' ');
+  }
+
+  function enqueue(fn) {
+    const gen = _gen;
+    const run = () => gen === _gen ? fn() : undefined;
+    _queue = _queue.then(run, run);
+    return _queue;
+  }
+
+  function announce(msg) {
+    if (!msg || (msg.id && _said.has(msg.id))) return false;
+    const mode = _modes[msg.sev] || 'off';
+    if (mode === 'off') return false;
+    if (msg.id) _said.add(msg.id);
+    enqueue(async () => {
+      await playTone(msg.sev);
+      if (mode === 'speak') await speak(script(msg));
+    });
+    return true;
+  }
+
+  function test(sev) {
+    const sample = {
+      emergency: 'Tornado Warning', warning: 'Severe Thunderstorm Warning', watch: 'Tornado Watch', advisory: 'Wind Advisory',
+    }[sev] || 'Test alert';
+    enqueue(async () => {
+      await playTone(sev);
+      await speak(script({ event: sample, areas: ['Example, OK'], expires: Date.now() + 45 * 60000, lines: { source: 'This is a test' } }));
+    });
+  }
+
+  function stop() {
+    _gen++;
+    if (hasSpeech()) speechSynthesis.cancel();
+  }
+
+  function supported() { return { speech: hasSpeech(), audio: typeof Audio !== 'undefined' }; }
+
+  return { configure, announce, test, stop, supported, script };
+})();
@@ -35,15 +35,19 @@ const S = {
   map: null, canvas: null, drawCanvas: null, drawCtx: null,
   drawing: false, drawMode: false, drawStrokes: [], drawColor: '#f59e0b', drawSize: 3,
   lat: 40.7128, lng: -74.006, locName: 'New York',
-  frames: [], nowcastFrames: [], frame: 0, playing: false, showingNowcast: false,
-  alerts: [], weather: null, aqi: null, spotterReports: [], stormReports: [],
-  rightTab: 'alerts', alertFilter: 'all', alertQuery: '',
-  fcMode: 'hourly', mapStyle: 'dark', favorites: [],
+  frames: [], nowcastFrames: [], rvNowcast: [], radarLoop: null, offline: {}, frame: 0, playing: false, showingNowcast: false, extrapSeq: 0, extrapTimer: null,
+  alerts: [], weather: null, aqi: null, spotterReports: [], stormReports: [], stormMeta: null,
+  reportOpts: { day: 'today', types: ['tornado','hail','wind'], sig: false, near: false, minEF: '', minHail: '', minWind: '' },
+  rightTab: 'alerts', alertFilter: 'all', alertQuery: '', locAlerts: [], alertLoc: null, alertChanges: null,
+  asOf: null,  // epoch ms when replaying a past event, null = live
+  pick: null,  // { pts, cb } while the user is clicking out a line on the map
+  fcMode: 'hourly', fcChart: null, mapStyle: 'dark', favorites: [],
   cfg: {
     tempUnit:'C', windUnit:'ms', distUnit:'km', timeFormat:'12',
-    opacity:.75, speed:600, autoPlay:false, nowcast:true,
+    opacity:.75, speed:600, autoPlay:false, nowcast:true, readout:true, loopMin:120, loopStep:10, dwell:0, exportFmt:'gif', exportWidth:960, packZoom:'med', packMinutes:120,
     alertZones:true, crosshair:true, clickNWS:true, animBg:true,
     radarColor:'6', cardPos:'tl', cardStyle:'full', theme:'dark',
+    announce:{emergency:'speak',warning:'speak',watch:'tone',advisory:'off'}, announceVol:1,
   }
 };
 
@@ -64,6 +68,9 @@ window.addEventListener('load', async () => {
   loadFavs();
   applyTheme(S.cfg.theme);
   initUI();
+  initAsOf();
+  initDesktopAlerts();
+  initServiceWorker();
   initDrawMode();
   updateDate();
   setInterval(updateDate, 30000);
@@ -200,14 +207,17 @@ function initMap() {
       if (window.RadarAnimator) {
         RadarAnimator.init(S.map, S.canvas, {
           apiBase:API, opacity:S.cfg.opacity||.75, color:S.cfg.radarColor||'6',
-          speed:S.cfg.speed||600, smooth:true, nowcast:S.cfg.nowcast
+          speed:S.cfg.speed||600, smooth:true, nowcast:S.cfg.nowcast, dwell:S.cfg.dwell||0
         });
-        RadarAnimator.onFrameChange = idx => {
+        RadarAnimator.onFrameChange = (idx,frame) => {
           S.frame=idx; S.frames=RadarAnimator._frames;
           updateSlots(idx);
           const tr=$('tRange'); if(tr) tr.value=idx;
-          const nb=$('nowcastBadge'); if(nb) nb.style.display=(S.cfg.nowcast&&idx>=S.frames.length)?'block':'none';
+          const nb=$('nowcastBadge');
+          if(nb){nb.style.display=idx>=S.frames.length?'block':'none';nb.textContent=frame?.extrapolated?'EXTRAPOLATED':'NOWCAST';nb.classList.toggle('extrap',!!frame?.extrapolated);}
         };
+        // Extrapolated frames cover the view they were made for
+        S.map.on('moveend',()=>{if(!S.showingNowcast)return;clearTimeout(S.extrapTimer);S.extrapTimer=setTimeout(extendNowcast,1000);});
         RadarAnimator.onPlayStateChange = p => {
           S.playing=p;
           const pb=$('playBtn'); if(pb){pb.textContent=p?'⏸':'▶';pb.classList.toggle('playing',p);}
@@ -217,12 +227,23 @@ function initMap() {
       }
 
       if (window.NexradRadar) NexradRadar.init(S.map, API);
+      if (window.Level2Canvas) Level2Canvas.init(S.map, API);
+      if (window.RadarReadout) { RadarReadout.init(S.map); RadarReadout.setEnabled(S.cfg.readout!==false); }
+      if (window.CellTracker) {
+        CellTracker.init(S.map,()=>[{name:S.locName||'Current location',lat:S.lat,lng:S.lng},...S.favorites.filter(f=>f.name!==S.locName)]);
+        CellTracker.onUpdate=()=>{if(S.rightTab==='info')renderRadarInfo();};
+      }
       if (window.NexradPanel) { NexradPanel.init(API); NexradPanel.preloadNearby(S.lat,S.lng); }
       if (window.SpotterNetwork) {
         SpotterNetwork.init(S.map, API);
         SpotterNetwork.onUpdate = r => { S.spotterReports=r; };
       }
       if (window.SeverePanel) SeverePanel.init(API);
+      if (window.SPCLayers) {
+        SPCLayers.onChange = on => $('spcBtn')?.classList.toggle('active', on);
+        SPCLayers.init(S.map, API);
+        SPCLayers.onChange(SPCLayers.isVisible());
+      }
 
       loadRadar();
       loadWeather();
@@ -244,6 +265,9 @@ function initMap() {
     });
 
     S.map.on('click', e => { if (!S.drawMode) handleClick(e); });
+    // Layer-bound handlers outlive the layer, so register them once here
+    S.map.on('mouseenter','reports-circle',()=>S.map.getCanvas().style.cursor='pointer');
+    S.map.on('mouseleave','reports-circle',()=>S.map.getCanvas().style.cursor='');
 
   } catch(e) {
     clearTimeout(mapTimeout);
@@ -279,9 +303,12 @@ function cycleStyle() {
   S.map.setStyle(MAP_STYLES[S.mapStyle]);
   S.map.once('style.load',()=>{
     if(S.cfg.alertZones&&S.alerts.length)putAlertsOnMap();
+    putReportsOnMap();
     if(window.RadarAnimator)RadarAnimator.refresh();
     if(window.NexradRadar?.isVisible()){const st=NexradRadar._station,pr=NexradRadar._product;if(st){NexradRadar.hide();NexradRadar.show(st.id,pr,st);}}
     if(window.SpotterNetwork?.isVisible())SpotterNetwork.renderMarkers?.();
+    if(window.CellTracker?.isVisible())CellTracker.render();
+    if(window.SPCLayers?.isVisible())SPCLayers.render();
     toast('🗺 '+S.mapStyle[0].toUpperCase()+S.mapStyle.slice(1));
   });
 }
@@ -313,17 +340,60 @@ function clearDraw(){S.drawStrokes=[];S.drawCtx.clearRect(0,0,S.drawCanvas.width
 
 // ── MAP CLICK ─────────────────────────────────────────────────────
 function handleClick(e) {
+  if(S.pick){pickPoint(e.lngLat);return;}
+  if(window.CellTracker?.handleClick(e))return;
   const{lat,lng}=e.lngLat;
   if(S.map?.getSource?.('alerts-src')){
     const hits=S.map.queryRenderedFeatures(e.point,{layers:['alert-fill']});
     if(hits.length){const idx=S.alerts.findIndex(a=>a.properties.event===hits[0].properties.event);if(idx>=0){openAlertModal(idx);return;}}
   }
+  if(S.map?.getLayer?.('reports-circle')){
+    const hit=S.map.queryRenderedFeatures(e.point,{layers:['reports-circle']})[0];
+    const r=hit&&S.stormReports.find(x=>x.id===hit.properties.id);
+    if(r){reportPopup(r);return;}
+  }
+  if(window.SPCLayers?.handleClick(e))return;
   S.lat=lat;S.lng=lng;
   reverseGeo(lat,lng);
   if(S.cfg.clickNWS){toast('📡 Fetching NWS…');fetchNWS(lat,lng);}
   else loadWeather();
 }
 
+// ── MAP PICK ──────────────────────────────────────────────────────
+// Two clicks on the map → cb([[lng,lat],[lng,lat]]); Esc cancels with cb(null).
+// Used by the Pro panel's cross-section tool.
+function pickLine(cb,hint){
+  if(!S.map){cb(null);return;}
+  if(S.pick)endPick(null);
+  S.pick={pts:[],cb};
+  drawPickLine([]);
+  S.map.getCanvas().style.cursor='crosshair';
+  toast(hint||'Click the start point — Esc to cancel',6000);
+}
+function pickPoint(lngLat){
+  const p=S.pick;p.pts.push([lngLat.lng,lngLat.lat]);
+  drawPickLine(p.pts);
+  if(p.pts.length<2){toast('Click the end point',6000);return;}
+  endPick(p.pts);
+}
+function endPick(pts){
+  const p=S.pick;S.pick=null;
+  if(S.map)S.map.getCanvas().style.cursor='';
+  if(!pts)drawPickLine([]);
+  if(p)p.cb(pts);
+}
+function drawPickLine(pts){
+  if(!S.map?.isStyleLoaded())return;
+  const data={type:'FeatureCollection',features:[...pts.map(c=>({type:'Feature',geometry:{type:'Point',coordinates:c},properties:{}})),...(pts.length>1?[{type:'Feature',geometry:{type:'LineString',coordinates:pts},properties:{}}]:[])]};
+  const src=S.map.getSource('pick-src');
+  if(src){src.setData(data);return;}
+  try{
+    S.map.addSource('pick-src',{type:'geojson',data});
+    S.map.addLayer({id:'pick-line',type:'line',source:'pick-src',filter:['==','$type','LineString'],paint:{'line-color':'#f59e0b','line-width':2.5,'line-dasharray':[2,1]}});
+    S.map.addLayer({id:'pick-pts',type:'circle',source:'pick-src',filter:['==','$type','Point'],paint:{'circle-radius':5,'circle-color':'#f59e0b','circle-stroke-color':'#000','circle-stroke-width':1}});
+  }catch(e){SS.log('Pick line failed',e.message);}
+}
+
 async function fetchNWS(lat,lng){
   try{
     const r=await fetch(`https://api.weather.gov/points/${lat.toFixed(4)},${lng.toFixed(4)}`,{headers:{'User-Agent':'(StormSurgeWeather/14.0)','Accept':'application/geo+json'}});
@@ -355,18 +425,23 @@ function openNWSModal(props,fcast,hourly){
 // ── RADAR ─────────────────────────────────────────────────────────
 async function loadRadar(){
   try{
-    const r=await fetch(`${API}/api/radar/frames`);
+    const r=await fetch(`${API}/api/radar/frames?minutes=${S.cfg.loopMin}&step=${S.cfg.loopStep}${atQ('&')}`);
     if(!r.ok)throw new Error('HTTP '+r.status);
+    noteOffline('radar',r);
     const d=await r.json();
-    S.frames=d.past||[]; S.nowcastFrames=S.cfg.nowcast?(d.nowcast||[]):[];
+    S.frames=d.past||[]; S.rvNowcast=S.cfg.nowcast?(d.nowcast||[]):[]; S.nowcastFrames=S.rvNowcast;
     if(!S.frames.length)throw new Error('No frames in response');
+    S.radarLoop={source:d.source,minutes:d.minutes,step:d.step};
+    if(d.coarsened)toast(`Loop step widened to ${d.step} min`);
     S.frame=S.frames.length-1; S.showingNowcast=false;
+    if(window.RadarAnimator)RadarAnimator.setTrim(null);
     buildSlots(); resizeCanvas();
     if(window.RadarAnimator){
       RadarAnimator.setFrames(S.frames,S.nowcastFrames);
       RadarAnimator.goTo(S.frame);
       if(S.cfg.autoPlay)RadarAnimator.play();
     }
+    if(window.CellTracker?.isVisible())CellTracker.refresh();
     console.log('✓ Radar loaded', S.frames.length, 'frames');
   }catch(e){SS.log('Radar load failed',e.message);toast('⚠ Radar unavailable');}
 }
@@ -376,19 +451,53 @@ function buildSlots(){
   const frames=allF(),c=$('tSlots');if(!c)return;
   c.innerHTML='';
   const tr=$('tRange');if(tr){tr.max=Math.max(0,frames.length-1);tr.value=S.frame;}
+  const base=S.frames[S.frames.length-1]?.time;
   frames.forEach((f,i)=>{
-    const d=new Date(f.time*1000),btn=document.createElement('button');
-    btn.className='tslot'+(i===S.frame?' active':'')+(i>=S.frames.length?' nowcast':'');
-    btn.textContent=i>=S.frames.length?'+'+(i-S.frames.length+1)*10+'m':fmtT(d,true);
-    btn.title=i>=S.frames.length?'Nowcast +'+(i-S.frames.length+1)*10+'min':d.toLocaleTimeString();
+    const d=new Date(f.time*1000),btn=document.createElement('button'),lead=Math.round((f.time-base)/60);
+    btn.className='tslot'+(i===S.frame?' active':'')+(i>=S.frames.length?' nowcast':'')+(f.extrapolated?' extrap':'');
+    btn.textContent=i>=S.frames.length?'+'+lead+'m':fmtT(d,true);
+    btn.title=i>=S.frames.length?(f.extrapolated?'Extrapolated':'Nowcast')+' +'+lead+'min':d.toLocaleTimeString();
     btn.onclick=()=>goFrame(i);
     c.appendChild(btn);
   });
+  updateSlots(S.frame);
+}
+function updateSlots(idx){
+  const t=window.RadarAnimator?.getTrim();
+  document.querySelectorAll('.tslot').forEach((s,j)=>{s.classList.toggle('active',j===idx);s.classList.toggle('trimmed',!!t&&(j<t.start||j>t.end));s.classList.toggle('trim-edge',!!t&&(j===t.start||j===t.end));});
+}
+// ⇤ / ⇥ make the current frame the loop's first / last; again on the same frame clears it
+function trimLoop(edge){
+  const n=allF().length;if(!n||!window.RadarAnimator)return;
+  const t=RadarAnimator.getTrim()||{start:0,end:n-1};
+  if(edge==='start'){t.start=t.start===S.frame?0:S.frame;if(t.end<t.start)t.end=n-1;}
+  else{t.end=t.end===S.frame?n-1:S.frame;if(t.start>t.end)t.start=0;}
+  const full=t.start===0&&t.end===n-1;
+  RadarAnimator.setTrim(full?null:t);
+  updateSlots(S.frame);
+  toast(full?'Loop: all frames':`Loop: frames ${t.start+1}–${t.end+1} of ${n}`);
 }
-function updateSlots(idx){document.querySelectorAll('.tslot').forEach((s,j)=>s.classList.toggle('active',j===idx));}
 function goFrame(i){S.frame=Math.max(0,Math.min(allF().length-1,i));updateSlots(i);const tr=$('tRange');if(tr)tr.value=i;if(window.RadarAnimator)RadarAnimator.goTo(i);}
 function togglePlay(){if(window.RadarAnimator)RadarAnimator.togglePlay();}
-function toggleNowcast(){if(!S.nowcastFrames.length){toast('⚠ Nowcast unavailable');return;}S.showingNowcast=!S.showingNowcast;if(window.RadarAnimator)RadarAnimator.setFrames(S.frames,S.showingNowcast?S.nowcastFrames:[]);buildSlots();toast(S.showingNowcast?'🟢 Nowcast ON':'Nowcast OFF');}
+async function toggleNowcast(){
+  if(!S.cfg.nowcast){toast('Nowcast is off in Settings');return;}
+  if(!S.showingNowcast&&!S.nowcastFrames.some(f=>f.extrapolated)){toast('⏳ Extrapolating…');await extendNowcast();}
+  if(!S.nowcastFrames.length){toast('⚠ Nowcast unavailable');return;}
+  S.showingNowcast=!S.showingNowcast;if(window.RadarAnimator)RadarAnimator.setFrames(S.frames,S.showingNowcast?S.nowcastFrames:[]);buildSlots();toast(S.showingNowcast?'🟢 Nowcast ON':'Nowcast OFF');
+}
+// Our own extrapolated frames continue RainViewer's nowcast (or stand in
+// for it) out to +60 min. Rebuilt for the current view.
+async function extendNowcast(){
+  if(!window.Nowcast||!window.RadarAnimator||!S.frames.length)return;
+  const seq=++S.extrapSeq;
+  const up=S.rvNowcast;
+  const after=(up.length?up[up.length-1]:S.frames[S.frames.length-1]).time;
+  let ex=[];
+  try{ex=await Nowcast.extrapolate(RadarAnimator,{after,minutes:60,step:10});}catch(e){SS.log('Extrapolation failed',e.message);}
+  if(seq!==S.extrapSeq)return;
+  S.nowcastFrames=[...up,...ex];
+  if(S.showingNowcast){RadarAnimator.setFrames(S.frames,S.nowcastFrames);buildSlots();}
+}
 
 // ── WEATHER ───────────────────────────────────────────────────────
 async function loadWeather(){
@@ -396,6 +505,7 @@ async function loadWeather(){
   try{
     const r=await fetch(`${API}/api/weather?lat=${S.lat}&lng=${S.lng}`);
     if(!r.ok)throw new Error('HTTP '+r.status+' from /api/weather');
+    noteOffline('forecast',r);
     const d=await r.json();
     if(d.error)throw new Error(d.error);
     S.weather=d;
@@ -405,6 +515,7 @@ async function loadWeather(){
     refreshWidgets(d);
     if(window.NexradPanel)NexradPanel.updateLocation(S.lat,S.lng);
     if(window.SpotterNetwork?.isVisible())SpotterNetwork.refresh(S.lat,S.lng);
+    if(S.stormMeta)loadStormReports();  // distances are from the current location
     console.log('✓ Weather loaded for',S.locName);
   }catch(e){SS.log('Weather failed',e.message);toast('⚠ Weather: '+e.message);}
   loader(false);
@@ -491,33 +602,53 @@ function renderForecast(d){
   else if(S.fcMode==='feels') renderChart(d,c,'feels');
 }
 
+// Hover shows a cursor here and on the severe timeline (same hour, via 'ss-hour-hover')
 function renderChart(d,container,type){
   const canvas=document.createElement('canvas');
-  canvas.style.cssText='width:100%;height:100px;display:block';
+  canvas.style.cssText='width:100%;height:100px;display:block;cursor:crosshair';
   container.appendChild(canvas);
-  requestAnimationFrame(()=>{
-    const w=canvas.parentElement.clientWidth;canvas.width=w;canvas.height=100;
+  const n=Math.min(24,d.hourly.time.length),times=d.hourly.time.slice(0,n);
+  let w=0;
+  // x of hour i: bar centres for precip, line vertices otherwise
+  const xAt=i=>type==='precip'?(i+.5)*w/n:(i/(n-1))*w;
+  const draw=cursor=>{
     const ctx=canvas.getContext('2d');
+    ctx.clearRect(0,0,w,100);
     ctx.fillStyle='rgba(255,255,255,.03)';ctx.fillRect(0,0,w,100);
     if(type==='precip'){
-      const vals=d.hourly.precipitation_probability.slice(0,24),bW=w/vals.length;
+      const vals=d.hourly.precipitation_probability.slice(0,n),bW=w/vals.length;
       vals.forEach((v,i)=>{const h=(v/100)*78;ctx.fillStyle=`rgba(6,182,212,${.2+(v/100)*.7})`;ctx.fillRect(i*bW+1,100-h,bW-2,h);});
       ctx.fillStyle='rgba(255,255,255,.6)';ctx.font='bold 10px Inter';ctx.fillText('Precip probability 24h',6,14);
     }else if(type==='wind'){
-      const vals=d.hourly.wind_speed_10m.slice(0,24),gusts=d.hourly.wind_gusts_10m.slice(0,24),maxV=Math.max(...gusts,1);
-      const path=pts=>{ctx.beginPath();pts.forEach((v,i)=>{const x=(i/(pts.length-1))*w,y=90-(v/maxV)*78;i===0?ctx.moveTo(x,y):ctx.lineTo(x,y);});};
+      const vals=d.hourly.wind_speed_10m.slice(0,n),gusts=d.hourly.wind_gusts_10m.slice(0,n),maxV=Math.max(...gusts,1);
+      const path=pts=>{ctx.beginPath();pts.forEach((v,i)=>{const x=xAt(i),y=90-(v/maxV)*78;i===0?ctx.moveTo(x,y):ctx.lineTo(x,y);});};
       ctx.fillStyle='rgba(168,85,247,.15)';path(gusts);ctx.lineTo(w,100);ctx.lineTo(0,100);ctx.closePath();ctx.fill();
       ctx.strokeStyle='#a855f7';ctx.lineWidth=2;path(vals);ctx.stroke();
       ctx.fillStyle='rgba(255,255,255,.6)';ctx.font='bold 10px Inter';ctx.fillText('Wind speed vs gusts 24h',6,14);
     }else{
-      const temps=d.hourly.temperature_2m.slice(0,24).map(cvtT),feels=d.hourly.apparent_temperature.slice(0,24).map(cvtT);
+      const temps=d.hourly.temperature_2m.slice(0,n).map(cvtT),feels=d.hourly.apparent_temperature.slice(0,n).map(cvtT);
       const allV=[...temps,...feels].filter(v=>v!=='--');
       const minV=Math.min(...allV)-2,maxV=Math.max(...allV)+2,sy=v=>90-((v-minV)/(maxV-minV))*78;
-      const drawL=(arr,clr,lw)=>{ctx.beginPath();ctx.strokeStyle=clr;ctx.lineWidth=lw;arr.forEach((v,i)=>{const x=(i/(arr.length-1))*w,y=sy(v);i===0?ctx.moveTo(x,y):ctx.lineTo(x,y);});ctx.stroke();};
+      const drawL=(arr,clr,lw)=>{ctx.beginPath();ctx.strokeStyle=clr;ctx.lineWidth=lw;arr.forEach((v,i)=>{const x=xAt(i),y=sy(v);i===0?ctx.moveTo(x,y):ctx.lineTo(x,y);});ctx.stroke();};
       drawL(temps,'rgba(240,165,0,.6)',1.5);drawL(feels,'#f97316',2);
       ctx.fillStyle='rgba(255,255,255,.6)';ctx.font='bold 10px Inter';ctx.fillText('Temp vs Feels Like 24h',6,14);
     }
-  });
+    if(cursor>=0){
+      const x=Math.round(xAt(cursor));
+      ctx.fillStyle='rgba(255,255,255,.8)';ctx.fillRect(x-1,20,2,80);
+      ctx.font='bold 10px Inter';ctx.textAlign=x>w-50?'right':'left';
+      ctx.fillText(fmtT(new Date(times[cursor]),true),x+(x>w-50?-5:5),30);ctx.textAlign='left';
+    }
+  };
+  requestAnimationFrame(()=>{w=canvas.parentElement.clientWidth;canvas.width=w;canvas.height=100;draw(-1);});
+  S.fcChart={canvas,cursor:t=>{if(w)draw(times.indexOf(t));}};
+  const hover=time=>window.dispatchEvent(new CustomEvent('ss-hour-hover',{detail:{time}}));
+  canvas.onmousemove=e=>{
+    const r=canvas.getBoundingClientRect(),f=(e.clientX-r.left)/r.width;
+    const i=Math.max(0,Math.min(n-1,type==='precip'?Math.floor(f*n):Math.round(f*(n-1))));
+    hover(times[i]);
+  };
+  canvas.onmouseleave=()=>hover(null);
 }
 
 // ── AQI ───────────────────────────────────────────────────────────
@@ -525,6 +656,7 @@ async function loadAQI(){
   try{
     const r=await fetch(`${API}/api/airquality?lat=${S.lat}&lng=${S.lng}`);
     if(!r.ok)throw new Error('HTTP '+r.status);
+    noteOffline('air quality',r);
     S.aqi=await r.json();
     const aqi=S.aqi.current?.us_aqi;
     if(aqi!=null){
@@ -564,55 +696,110 @@ async function openMarinePanel(){
 // ── ALERTS ─────────────────────────────────────────────────────────
 async function loadAlerts(){
   try{
-    const r=await fetch('https://api.weather.gov/alerts/active?status=actual&message_type=alert',{headers:{'User-Agent':'(StormSurgeWeather/14.0)','Accept':'application/geo+json'}});
+    // Server drops expired alerts (as of S.asOf when replaying) and fills in zone geometry
+    const r=await fetch(`${API}/api/alerts${atQ('?')}`);
     if(!r.ok)throw new Error('HTTP '+r.status);
+    noteOffline('alerts',r);
     const d=await r.json();
-    S.alerts=(d.features||[]).filter(f=>f.properties?.event&&new Date(f.properties.expires)>new Date());
+    S.alerts=d.features||[];
+    // Compare with the previous poll: NEW / UPDATED / EXTENDED / CANCELLED …
+    S.alertChanges=window.AlertTracker?AlertTracker.update(S.alerts,d.meta?.cancelled):null;
     renderAlerts(); updateAlertCount();
     if(S.cfg.alertZones&&S.map)putAlertsOnMap();
     console.log('✓ Alerts loaded', S.alerts.length);
+    loadLocAlerts();
   }catch(e){SS.log('Alerts failed',e.message);S.alerts=[];renderAlerts();updateAlertCount();}
 }
 
+// Which alerts cover (or are near) the current location and each favorite
+async function loadLocAlerts(){
+  const locs=[{name:S.locName,lat:S.lat,lng:S.lng},...S.favorites.filter(f=>f.name!==S.locName)];
+  try{
+    const r=await fetch(`${API}/api/alerts/locations`,{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({locations:locs,radiusKm:50,at:S.asOf?new Date(S.asOf).toISOString():undefined})});
+    if(!r.ok)throw new Error('HTTP '+r.status);
+    S.locAlerts=(await r.json()).locations||[];
+    if(S.alertLoc&&!S.locAlerts.some(l=>l.name===S.alertLoc))S.alertLoc=null;
+    renderAlerts();
+    announceLocAlerts();
+  }catch(e){SS.log('Location alerts failed',e.message);}
+}
+
+// Read out alerts that are new this poll (or upgraded watch → warning) and cover a saved place
+function announceLocAlerts(){
+  const ch=S.alertChanges;S.alertChanges=null;
+  if(!window.Announcer||!ch||S.asOf)return;
+  [...ch.fresh,...ch.changed.filter(e=>e.marks.some(m=>m.k==='upgraded'))].forEach(e=>{
+    const loc=S.locAlerts.find(l=>l.inside.some(x=>x.id===e.id));if(!loc)return;
+    const p=e.feature.properties;
+    Announcer.announce({id:e.id,sev:p.sev,event:p.event,areas:(p.areaDesc||'').split(';'),expires:p.ends||p.expires,lines:alertLines(p.description),place:loc.name});
+  });
+}
+
+function locStrip(){
+  if(!S.locAlerts.length)return'';
+  return'<div class="loc-strip">'+S.locAlerts.map(l=>{
+    const top=l.inside[0],near=l.nearby[0];
+    const sev=top?top.sev:near?'near':'clear';
+    const stat=top?alertIcon(top.event)+' '+_esc(top.event)+(l.inside.length>1?` +${l.inside.length-1}`:''):near?`${_esc(near.event)} · ${cvtD(near.distKm)}`:'✓ Clear';
+    return`<button class="loc-chip lc-${sev}${S.alertLoc===l.name?' active':''}" data-l="${_esc(l.name)}" title="${_esc(l.name)}"><span class="lc-name">${l.name===S.locName?'📍':'★'} ${_esc(l.name)}</span><span class="lc-stat">${stat}</span></button>`;
+  }).join('')+'</div>';
+}
+
 function updateAlertCount(){
   const n=S.alerts.length;
   st('alertBadge',n); st('navAlertBadge',n||'');
   const nb=$('navAlertBadge');if(nb)nb.style.display=n>0?'':'none';
 }
 
-function alertSev(ev){const e=(ev||'').toLowerCase();if(e.includes('tornado')||e.includes('hurricane')||e.includes('extreme'))return'emergency';if(e.includes('warning'))return'warning';if(e.includes('watch'))return'watch';if(e.includes('advisory'))return'advisory';return'default';}
 function alertIcon(ev){const e=(ev||'').toLowerCase();if(e.includes('tornado'))return'🌪';if(e.includes('hurricane')||e.includes('typhoon'))return'🌀';if(e.includes('thunder'))return'⛈';if(e.includes('snow')||e.includes('blizzard')||e.includes('winter'))return'❄️';if(e.includes('flood'))return'🌊';if(e.includes('wind'))return'💨';if(e.includes('fog'))return'🌫';if(e.includes('fire')||e.includes('heat'))return'🔥';if(e.includes('ice')||e.includes('frost'))return'🧊';return'⚠️';}
 
 function renderAlerts(){
   if(S.rightTab!=='alerts')return;
   const body=$('alertsBody');
   const q=(S.alertQuery||'').trim().toLowerCase();
+  const loc=S.alertLoc&&S.locAlerts.find(l=>l.name===S.alertLoc);
+  const locIds=loc?new Set([...loc.inside,...loc.nearby].map(x=>x.id)):null;
   const filtered=S.alerts.filter((a,i)=>{
     a._idx=i;
-    const sevOK=S.alertFilter==='all'||alertSev(a.properties.event)===S.alertFilter;
+    if(locIds&&!locIds.has(a.id))return false;
+    const sevOK=S.alertFilter==='all'||a.properties.sev===S.alertFilter;
     if(!sevOK)return false;
     if(!q)return true;
     const p=a.properties||{};
     return[p.event,p.headline,p.areaDesc,p.description,p.senderName].join(' ').toLowerCase().includes(q);
   });
-  const filterBar=`<div class="alert-filters"><button class="af-btn${S.alertFilter==='all'?' active':''}" data-f="all">All <span>${S.alerts.length}</span></button><button class="af-btn${S.alertFilter==='emergency'?' active':''}" data-f="emergency">🌪</button><button class="af-btn${S.alertFilter==='warning'?' active':''}" data-f="warning">⚠</button><button class="af-btn${S.alertFilter==='watch'?' active':''}" data-f="watch">👁</button><button class="af-btn${S.alertFilter==='advisory'?' active':''}" data-f="advisory">ℹ</button><button class="af-refresh" id="alRefresh">↻</button></div><div class="alert-search"><input id="alSearchInput" type="text" placeholder="Search…" value="${_esc(S.alertQuery||'')}"><button id="alSearchBtn">Go</button></div>`;
-  if(!filtered.length){body.innerHTML=filterBar+'<div class="empty-s"><div class="es-ico">✓</div><div>No active alerts</div></div>';bindAlertUI();return;}
-  body.innerHTML=filterBar+filtered.map(a=>{
-    const p=a.properties,sev=alertSev(p.event),ico=alertIcon(p.event);
-    const area=p.areaDesc?p.areaDesc.split(';')[0].trim():'Unknown';
-    const exp=p.expires?new Date(p.expires):null;
-    return`<div class="acard sev-${sev}" data-i="${a._idx}" tabindex="0" role="button"><div class="ac-header"><span>${ico}</span><div><div class="ac-event">${_esc(p.event)}</div><div class="ac-area">📍 ${_esc(area)}</div></div><span class="ac-arr">›</span></div><div class="ac-hl">${_esc(p.headline||'')}</div>${exp?`<div class="ac-exp">Expires ${fmtDT(exp)}</div>`:''}</div>`;
-  }).join('');
+  const filterBar=`<div class="alert-filters"><button class="af-btn${S.alertFilter==='all'?' active':''}" data-f="all">All <span>${S.alerts.length}</span></button><button class="af-btn${S.alertFilter==='emergency'?' active':''}" data-f="emergency">🌪</button><button class="af-btn${S.alertFilter==='warning'?' active':''}" data-f="warning">⚠</button><button class="af-btn${S.alertFilter==='watch'?' active':''}" data-f="watch">👁</button><button class="af-btn${S.alertFilter==='advisory'?' active':''}" data-f="advisory">ℹ</button><button class="af-refresh" id="alRefresh">↻</button></div>${locStrip()}<div class="alert-search"><input id="alSearchInput" type="text" placeholder="Search…" value="${_esc(S.alertQuery||'')}"><button id="alSearchBtn">Go</button></div>`;
+  const ended=(window.AlertTracker?AlertTracker.ended():[]).filter(e=>(!locIds||locIds.has(e.id))&&(S.alertFilter==='all'||e.feature.properties.sev===S.alertFilter));
+  const endedHtml=ended.length?'<div class="ac-ended-head">Recently ended</div>'+ended.map(e=>alertCard(e.feature,`data-id="${_esc(e.id)}"`,' ac-ended')).join(''):'';
+  if(!filtered.length){body.innerHTML=filterBar+`<div class="empty-s"><div class="es-ico">✓</div><div>${loc?'No alerts at or near '+_esc(loc.name):'No active alerts'}</div></div>`+endedHtml;bindAlertCards();bindAlertUI();return;}
+  body.innerHTML=filterBar+filtered.map(a=>alertCard(a,`data-i="${a._idx}"`,'')).join('')+endedHtml;
+  bindAlertCards();
+  bindAlertUI();
+}
+
+function alertBadges(id){
+  return(window.AlertTracker?AlertTracker.badges(id):[]).map(b=>`<span class="ac-badge ab-${b.k}">${b.label}</span>`).join('');
+}
+
+function alertCard(a,attr,cls){
+  const p=a.properties,sev=p.sev||'default',ico=alertIcon(p.event);
+  const area=p.areaDesc?p.areaDesc.split(';')[0].trim():'Unknown';
+  const exp=p.expires?new Date(p.expires):null;
+  const badges=alertBadges(a.id);
+  return`<div class="acard sev-${sev}${cls}" ${attr} tabindex="0" role="button"><div class="ac-header"><span>${ico}</span><div><div class="ac-event">${_esc(p.event)}</div><div class="ac-area">📍 ${_esc(area)}</div></div><span class="ac-arr">›</span></div>${badges?`<div class="ac-badges">${badges}</div>`:''}<div class="ac-hl">${_esc(p.headline||'')}</div>${exp&&!cls?`<div class="ac-exp">Expires ${fmtDT(exp)}</div>`:''}</div>`;
+}
+
+function bindAlertCards(){
   document.querySelectorAll('.acard').forEach(card=>{
-    const open=()=>openAlertModal(+card.dataset.i);
+    const open=()=>card.dataset.id?showAlertModal(AlertTracker.get(card.dataset.id)?.feature):openAlertModal(+card.dataset.i);
     card.addEventListener('click',open);
     card.addEventListener('keydown',e=>{if(e.key==='Enter'||e.key===' ')open();});
   });
-  bindAlertUI();
 }
 
 function bindAlertUI(){
   document.querySelectorAll('.af-btn').forEach(btn=>btn.addEventListener('click',()=>{S.alertFilter=btn.dataset.f;renderAlerts();}));
+  document.querySelectorAll('.loc-chip').forEach(btn=>btn.addEventListener('click',()=>{S.alertLoc=S.alertLoc===btn.dataset.l?null:btn.dataset.l;renderAlerts();}));
   const rb=$('alRefresh');if(rb)rb.addEventListener('click',()=>{toast('Refreshing…');loadAlerts();});
   const sb=$('alSearchBtn'),si=$('alSearchInput');
   const run=()=>{S.alertQuery=si?si.value.trim():'';renderAlerts();};
@@ -620,21 +807,38 @@ function bindAlertUI(){
   if(si)si.addEventListener('keydown',e=>{if(e.key==='Enter')run();});
 }
 
-function fmtAlertText(text){
-  if(!text?.trim())return'<p style="color:var(--t3)">No details.</p>';
+function alertParas(text){
   const paras=[];let cur=[];
-  text.trim().split('\n').forEach(line=>{if(line.trim()===''){if(cur.length){paras.push(cur.join('\n'));cur=[];}}else cur.push(line);});
+  (text||'').trim().split('\n').forEach(line=>{if(line.trim()===''){if(cur.length){paras.push(cur.join('\n'));cur=[];}}else cur.push(line);});
   if(cur.length)paras.push(cur.join('\n'));
-  return paras.map(para=>{const t=para.trim();if(!t)return'';const alpha=t.replace(/[^A-Za-z]/g,'');if(alpha.length>1&&alpha===alpha.toUpperCase()&&t.length<80)return'<div class="ad-head">'+_esc(t)+'</div>';return'<p>'+_esc(t).replace(/\n/g,'<br>')+'</p>';}).join('');
+  return paras;
+}
+
+// NWS warnings carry "HAZARD...", "SOURCE..." and "IMPACT..." paragraphs
+const HIS_RX=/^(HAZARD|SOURCE|IMPACT)\.\.\.\s*([\s\S]*)$/;
+function alertLines(text){
+  const out={};
+  alertParas(text).forEach(para=>{const m=para.trim().match(HIS_RX);if(m)out[m[1].toLowerCase()]=m[2].replace(/\s+/g,' ').trim();});
+  return out;
+}
+
+function fmtAlertText(text){
+  if(!text?.trim())return'<p style="color:var(--t3)">No details.</p>';
+  return alertParas(text).map(para=>{const t=para.trim();if(!t)return'';const his=t.match(HIS_RX);if(his)return'<div class="ad-his"><span class="ad-his-k">'+his[1]+'</span>'+_esc(his[2].replace(/\s+/g,' '))+'</div>';const alpha=t.replace(/[^A-Za-z]/g,'');if(alpha.length>1&&alpha===alpha.toUpperCase()&&t.length<80)return'<div class="ad-head">'+_esc(t)+'</div>';return'<p>'+_esc(t).replace(/\n/g,'<br>')+'</p>';}).join('');
 }
 
-function openAlertModal(idx){
-  const alert=S.alerts[idx];if(!alert)return;
+function openAlertModal(idx){showAlertModal(S.alerts[idx]);}
+
+function showAlertModal(alert){
+  if(!alert)return;
   const p=alert.properties,ico=alertIcon(p.event);
   const onset=p.onset?new Date(p.onset):p.sent?new Date(p.sent):null;
   const expires=p.expires?new Date(p.expires):null;
+  const badges=alertBadges(alert.id);
+  const hist=window.AlertTracker?AlertTracker.history(alert.id):[];
+  const histHtml=hist.length>1||hist.some(h=>h.kind!=='new')?`<div class="ad-section"><div class="ad-sub">History</div><div class="ad-tl">${hist.map(h=>`<div class="adt-row adt-${h.kind}"><span class="adt-ts">${fmtT(new Date(h.ts))}</span><span>${_esc(h.text)}</span></div>`).join('')}</div></div>`:'';
   st('mTitle',ico+' '+p.event);
-  $('mBody').innerHTML=`<div class="ad-hdr"><div class="ad-ico">${ico}</div><div class="ad-title">${_esc(p.headline||p.event)}</div></div><div class="ad-chips">${onset?`<span class="ad-chip">📅 ${onset.toLocaleDateString('en-US',{weekday:'short',month:'short',day:'numeric'})}</span>`:''} ${expires?`<span class="ad-chip">⏱ ${fmtDT(expires)}</span>`:''} ${p.severity?`<span class="ad-chip">⚡ ${_esc(p.severity)}</span>`:''} ${p.certainty?`<span class="ad-chip">🎯 ${_esc(p.certainty)}</span>`:''} ${p.urgency?`<span class="ad-chip">⏰ ${_esc(p.urgency)}</span>`:''}</div>${p.areaDesc?`<div class="ad-area">📍 ${_esc(p.areaDesc.split(';').map(s=>s.trim()).filter(Boolean).slice(0,6).join(' · '))}</div>`:''}<div class="ad-section"><div class="ad-sub">Description</div><div class="ad-text">${fmtAlertText(p.description)}</div></div>${p.instruction?`<div class="ad-section"><div class="ad-sub">⚠ Instructions</div><div class="ad-text ad-instr">${fmtAlertText(p.instruction)}</div></div>`:''} ${p.senderName?`<div class="ad-sender">Issued by: ${_esc(p.senderName)}</div>`:''}`;
+  $('mBody').innerHTML=`<div class="ad-hdr"><div class="ad-ico">${ico}</div><div class="ad-title">${_esc(p.headline||p.event)}</div></div>${badges?`<div class="ac-badges">${badges}</div>`:''}<div class="ad-chips">${onset?`<span class="ad-chip">📅 ${onset.toLocaleDateString('en-US',{weekday:'short',month:'short',day:'numeric'})}</span>`:''} ${expires?`<span class="ad-chip">⏱ ${fmtDT(expires)}</span>`:''} ${p.severity?`<span class="ad-chip">⚡ ${_esc(p.severity)}</span>`:''} ${p.certainty?`<span class="ad-chip">🎯 ${_esc(p.certainty)}</span>`:''} ${p.urgency?`<span class="ad-chip">⏰ ${_esc(p.urgency)}</span>`:''}</div>${p.areaDesc?`<div class="ad-area">📍 ${_esc(p.areaDesc.split(';').map(s=>s.trim()).filter(Boolean).slice(0,6).join(' · '))}</div>`:''}${histHtml}<div class="ad-section"><div class="ad-sub">Description</div><div class="ad-text">${fmtAlertText(p.description)}</div></div>${p.instruction?`<div class="ad-section"><div class="ad-sub">⚠ Instructions</div><div class="ad-text ad-instr">${fmtAlertText(p.instruction)}</div></div>`:''} ${p.senderName?`<div class="ad-sender">Issued by: ${_esc(p.senderName)}</div>`:''}`;
   openModal('alertModal');
 }
 
@@ -643,7 +847,7 @@ function putAlertsOnMap(){
   rmLayers(['alert-fill','alert-line'],['alerts-src']);
   const valid=S.alerts.filter(a=>a.geometry);if(!valid.length)return;
   try{
-    S.map.addSource('alerts-src',{type:'geojson',data:{type:'FeatureCollection',features:valid.map(a=>({type:'Feature',geometry:a.geometry,properties:{event:a.properties.event,severity:alertSev(a.properties.event)}}))}});
+    S.map.addSource('alerts-src',{type:'geojson',data:{type:'FeatureCollection',features:valid.map(a=>({type:'Feature',geometry:a.geometry,properties:{event:a.properties.event,severity:a.properties.sev}}))}});
     S.map.addLayer({id:'alert-fill',type:'fill',source:'alerts-src',paint:{'fill-color':['match',['get','severity'],'emergency','#ff2020','warning','#ef4444','watch','#06b6d4','#f59e0b'],'fill-opacity':.16}});
     S.map.addLayer({id:'alert-line',type:'line',source:'alerts-src',paint:{'line-color':['match',['get','severity'],'emergency','#ff2020','warning','#ef4444','watch','#06b6d4','#f59e0b'],'line-width':1.5}});
     S.map.on('mouseenter','alert-fill',()=>S.map.getCanvas().style.cursor='pointer');
@@ -658,46 +862,114 @@ function rmLayers(layers,sources){
 }
 
 // ── STORM REPORTS ─────────────────────────────────────────────────
+const SR_TYPES={tornado:{icon:'🌪',color:'#ef4444'},hail:{icon:'🧊',color:'#22c55e'},wind:{icon:'💨',color:'#3b82f6'}};
+// Magnitude thresholds offered per type: [query param, [value, label]…]
+const SR_MIN={tornado:['minEF',[['1','EF1+'],['2','EF2+'],['3','EF3+'],['4','EF4+']]],hail:['minHail',[['1','1"+'],['1.5','1.5"+'],['2','2"+'],['3','3"+']]],wind:['minWind',[['58','58+ mph'],['65','65+ mph'],['75','75+ mph'],['90','90+ mph']]]};
 function renderStormReports(){
   if(S.rightTab!=='severe')return;
   const body=$('alertsBody');
-  if(!S.stormReports.length){body.innerHTML='<div class="empty-s"><div class="es-ico">⛈</div><div>Loading reports…</div></div>';loadStormReports();return;}
-  body.innerHTML='<div class="sr-head">⛈ SPC Storm Reports</div>'+S.stormReports.slice(0,20).map(r=>'<div class="sr-row"><span class="sr-type sr-'+r.type+'">'+{tornado:'🌪',hail:'🧊',wind:'💨'}[r.type||'']||'⚠'+' '+r.type.toUpperCase()+'</span><span class="sr-mag">'+_esc(r.magnitude||'?')+'</span><span class="sr-text">'+_esc(r.text||'')+'</span></div>').join('')+'<div class="sr-src">Source: NOAA SPC</div>';
+  if(!S.stormMeta){body.innerHTML='<div class="empty-s"><div class="es-ico">⛈</div><div>Loading reports…</div></div>';loadStormReports();return;}
+  const o=S.reportOpts,m=S.stormMeta,c=m.counts||{};
+  const btn=(attr,on,html)=>`<button class="af-btn${on?' active':''}" ${attr}>${html}</button>`;
+  const days=S.asOf?`<span class="sr-day">Replay · ${_esc(m.date||'')}</span>`:
+    btn('data-day="today"',o.day==='today','Today')+btn('data-day="yesterday"',o.day==='yesterday','Yesterday')+
+    `<input type="date" class="sr-date" id="srDate" max="${new Date().toISOString().slice(0,10)}" value="${/^\d{4}-/.test(o.day)?o.day:''}">`;
+  const bar=`<div class="alert-filters">${days}<button class="af-refresh" id="srRefresh">↻</button></div>`+
+    `<div class="alert-filters">${Object.entries(SR_TYPES).map(([t,v])=>btn(`data-type="${t}"`,o.types.includes(t),`${v.icon} <span>${c[t]??0}</span>`)).join('')}`+
+    btn('data-opt="sig"',o.sig,'Sig')+btn('data-opt="near"',o.near,'Nearest')+'</div>'+
+    // Sig already sets its own thresholds, so these sit idle while it's on
+    `<div class="alert-filters">${Object.entries(SR_MIN).map(([t,[k,opts]])=>`<select class="sr-date sr-min" data-min="${k}" title="Minimum ${t} magnitude"${o.sig?' disabled':''}><option value="">${SR_TYPES[t].icon} any</option>${opts.map(([v,l])=>`<option value="${v}"${o[k]===v?' selected':''}>${SR_TYPES[t].icon} ${l}</option>`).join('')}</select>`).join('')}</div>`;
+  const row=r=>`<div class="sr-row${r.sig?' sr-sig':''}" data-id="${_esc(r.id)}"><span class="sr-type sr-${_esc(r.type)}">${SR_TYPES[r.type]?.icon||'⚠'}</span>`+
+    `<span class="sr-mag">${_esc(r.magnitude||'?')}</span><span class="sr-text" title="${_esc(r.text||'')}">${_esc(r.location||'')}${r.state?', '+_esc(r.state):''}</span>`+
+    `<span class="sr-mag">${r.time?fmtT(new Date(r.time)):''}${Number.isFinite(r.distKm)?' · '+cvtD(r.distKm):''}</span></div>`;
+  const list=S.stormReports.length?S.stormReports.slice(0,100).map(row).join(''):
+    `<div class="empty-s"><div class="es-ico">⛈</div><div>${m.source==='unavailable'?'Reports unavailable':'No reports match'}</div></div>`;
+  body.innerHTML=bar+`<div class="sr-head">⛈ SPC Storm Reports · ${S.stormReports.length}${m.missing?' · no '+m.missing.join('/')+' data':''}</div>`+list+
+    `<div class="sr-src">Source: NOAA SPC · day ${_esc(m.date||'')} 12Z–12Z${o.sig?' · significant only (EF2+, 2" hail, 75 mph)':''}</div>`;
+  body.querySelectorAll('[data-day]').forEach(b=>b.onclick=()=>setReportOpts({day:b.dataset.day}));
+  body.querySelectorAll('[data-type]').forEach(b=>b.onclick=()=>{const t=b.dataset.type;setReportOpts({types:o.types.includes(t)?o.types.filter(x=>x!==t):[...o.types,t]});});
+  body.querySelectorAll('[data-opt]').forEach(b=>b.onclick=()=>setReportOpts({[b.dataset.opt]:!o[b.dataset.opt]}));
+  body.querySelectorAll('select[data-min]').forEach(sel=>sel.onchange=()=>setReportOpts({[sel.dataset.min]:sel.value}));
+  const date=$('srDate');if(date)date.onchange=()=>{if(date.value)setReportOpts({day:date.value});};
+  $('srRefresh').onclick=()=>{S.stormMeta=null;renderStormReports();};
+  body.querySelectorAll('.sr-row[data-id]').forEach(el=>el.onclick=()=>{
+    const r=S.stormReports.find(x=>x.id===el.dataset.id);
+    if(!r||!S.map)return;
+    S.map.flyTo({center:[r.lng,r.lat],zoom:Math.max(S.map.getZoom(),8)});
+    reportPopup(r);
+  });
+}
+
+function setReportOpts(p){
+  Object.assign(S.reportOpts,p);
+  S.stormMeta=null;
+  renderStormReports();
 }
 
 async function loadStormReports(){
+  const o=S.reportOpts;
+  const q=new URLSearchParams({lat:S.lat.toFixed(3),lng:S.lng.toFixed(3)});
+  if(!S.asOf)q.set('day',o.day);
+  q.set('types',o.types.join(','));
+  if(o.sig)q.set('sig','1');
+  else Object.values(SR_MIN).forEach(([k])=>{if(o[k])q.set(k,o[k]);});
+  if(o.near)q.set('sort','dist');
   try{
-    const r=await fetch(`${API}/api/storm-reports`);
-    S.stormReports=(await r.json()).items||[];
+    // With every type switched off there's nothing to ask for ("no types" means all to the server)
+    const d=o.types.length?await(await fetch(`${API}/api/storm-reports?${q}${atQ('&')}`)).json():null;
+    S.stormMeta=d||{counts:S.stormMeta?.counts||{},date:S.stormMeta?.date,items:[]};
+    S.stormReports=S.stormMeta.items||[];
     if(S.rightTab==='severe')renderStormReports();
     putReportsOnMap();
   }catch(e){SS.log('Storm reports failed',e.message);}
 }
 
+// SPC colours (tornado red, hail green, wind blue); size grows with EF
+// rating / hail size / gust, and significant reports get a dark ring.
 function putReportsOnMap(){
   if(!S.map||!S.map.isStyleLoaded())return;
   rmLayers(['reports-circle'],['reports-src']);
   if(!S.stormReports.length)return;
   try{
-    S.map.addSource('reports-src',{type:'geojson',data:{type:'FeatureCollection',features:S.stormReports.filter(r=>r.lat&&r.lng).map(r=>({type:'Feature',geometry:{type:'Point',coordinates:[r.lng,r.lat]},properties:{type:r.type,mag:r.magnitude}}))}});
-    S.map.addLayer({id:'reports-circle',type:'circle',source:'reports-src',paint:{'circle-radius':6,'circle-color':['match',['get','type'],'tornado','#ef4444','hail','#06b6d4','#f59e0b'],'circle-stroke-width':1.5,'circle-stroke-color':'#fff','circle-opacity':.9}});
+    S.map.addSource('reports-src',{type:'geojson',data:{type:'FeatureCollection',features:S.stormReports.filter(r=>r.lat&&r.lng).map(r=>({type:'Feature',geometry:{type:'Point',coordinates:[r.lng,r.lat]},properties:{id:r.id,type:r.type,mag:r.mag??0,sig:!!r.sig}}))}});
+    S.map.addLayer({id:'reports-circle',type:'circle',source:'reports-src',
+      layout:{'circle-sort-key':['+',['match',['get','type'],'tornado',2,'hail',1,0],['case',['get','sig'],3,0]]},
+      paint:{
+        'circle-radius':['match',['get','type'],
+          'tornado',['interpolate',['linear'],['get','mag'],0,5,5,12],
+          'hail',['interpolate',['linear'],['get','mag'],.75,4,2,7,4,11],
+          ['interpolate',['linear'],['get','mag'],50,4,75,7,100,10]],
+        'circle-color':['match',['get','type'],'tornado',SR_TYPES.tornado.color,'hail',SR_TYPES.hail.color,SR_TYPES.wind.color],
+        'circle-stroke-width':['case',['get','sig'],2.5,1],'circle-stroke-color':['case',['get','sig'],'#111','#fff'],'circle-opacity':.9}});
   }catch(e){SS.log('Reports map overlay failed',e.message);}
 }
 
+function reportPopup(r){
+  if(!S.map||!window.mapboxgl)return;
+  S.reportPopup?.remove();
+  const html=`<b>${SR_TYPES[r.type]?.icon||''} ${_esc(r.type[0].toUpperCase()+r.type.slice(1))} · ${_esc(r.magnitude)}</b>`+
+    `<div>${_esc(r.location)}${r.county?', '+_esc(r.county)+' Co.':''} ${_esc(r.state||'')}</div>`+
+    `<div style="opacity:.7">${r.time?fmtDT(new Date(r.time)):''}${Number.isFinite(r.distKm)?' · '+cvtD(r.distKm)+' away':''}</div>`+
+    (r.text?`<div style="margin-top:4px">${_esc(r.text)}</div>`:'');
+  S.reportPopup=new mapboxgl.Popup({maxWidth:'280px'}).setLngLat([r.lng,r.lat]).setHTML(html).addTo(S.map);
+}
+
 // ── RADAR INFO ────────────────────────────────────────────────────
 function renderRadarInfo(){
-  const frames=window.RadarAnimator?RadarAnimator._allFrames?..()||allF():allF();
+  const frames=window.RadarAnimator?._allFrames?.()||allF();
   const newest=frames.length?new Date(frames[frames.length-1].time*1000):null;
   const oldest=frames.length?new Date(frames[0].time*1000):null;
   const rs=(l,v)=>`<div class="ri-stat"><span>${_esc(l)}</span><span>${_esc(String(v))}</span></div>`;
   $('alertsBody').innerHTML='<div class="radar-info">'+
     '<div class="ri-title">Radar</div>'+
-    rs('Source','RainViewer')+rs('Frames',S.frames.length+'/12')+rs('Nowcast',S.nowcastFrames.length+' frames')+
+    rs('Source',{rainviewer:'RainViewer','iem-live':'IEM composite','iem-archive':'IEM archive'}[S.radarLoop?.source]||'—')+
+    rs('Frames',S.frames.length+(S.radarLoop?` · ${S.radarLoop.step} min apart`:''))+rs('Nowcast',S.nowcastFrames.length+' frames')+
     rs('Latest',newest?fmtT(newest,true):'N/A')+rs('Oldest',oldest?fmtT(oldest,true):'N/A')+
     rs('Color',{'1':'Classic','2':'Universal','4':'Rainbow','6':'NOAA','7':'Dark Sky'}[S.cfg.radarColor]||'NOAA')+
     '<div class="ri-title" style="margin-top:12px">NEXRAD</div>'+
     rs('Station',window.NexradRadar?.isVisible()?(NexradRadar._station?.id||'—'):'Off')+
     rs('Product',window.NexradRadar?.isVisible()?(NexradRadar._product||'—'):'—')+
+    cellsInfo()+
     '<div class="ri-title" style="margin-top:12px">Spotter</div>'+
     rs('Reports',S.spotterReports.length+' nearby')+
     rs('Status',window.SpotterNetwork?.isVisible()?'Active':'Off')+
@@ -708,6 +980,49 @@ function renderRadarInfo(){
     '</div></div>';
 }
 
+// Tracked cells, nearest ETA first, for the Radar tab
+function cellsInfo(){
+  if(!window.CellTracker?.isVisible())return '';
+  const cells=CellTracker.cells(),etas=CellTracker.etas();
+  const row=c=>{
+    const now=c.pts[c.pts.length-1],e=etas.find(x=>x.id===c.id);
+    const mv=c.moving?`${Math.round(c.dir)}° ${Math.round(c.speedKt)} kt`:'—';
+    return `<div class="ri-stat"><span>${_esc(c.id)} · ${now.maxDbz} dBZ · ${mv}</span><span>${e?_esc(e.place)+' '+(e.min?e.min+' min':'now'):''}</span></div>`;
+  };
+  const sorted=cells.slice().sort((a,b)=>{const ea=etas.find(x=>x.id===a.id),eb=etas.find(x=>x.id===b.id);return (ea?ea.min:1e9)-(eb?eb.min:1e9)||b.pts[b.pts.length-1].maxDbz-a.pts[a.pts.length-1].maxDbz;});
+  return '<div class="ri-title" style="margin-top:12px">Cells</div>'+(sorted.length?sorted.slice(0,12).map(row).join(''):'<div class="ri-stat"><span>No cells ≥ 40 dBZ in view</span><span></span></div>');
+}
+
+// ── AS-OF (event replay) ──────────────────────────────────────────
+// One timestamp drives radar, alerts, storm reports and spotters. It lives
+// in the URL (?at=) so a replay can be bookmarked or shared.
+function atQ(sep){return S.asOf?sep+'at='+encodeURIComponent(new Date(S.asOf).toISOString()):'';}
+function toLocalInput(ts){const d=new Date(ts);return new Date(ts-d.getTimezoneOffset()*60000).toISOString().slice(0,16);}
+function initAsOf(){
+  const at=new URLSearchParams(location.search).get('at');
+  if(at)setAsOf(Date.parse(at),true);
+  renderAsOf();
+}
+function setAsOf(ts,quiet){
+  S.asOf=Number.isFinite(ts)&&ts<Date.now()?ts:null;
+  try{const u=new URL(location.href);if(S.asOf)u.searchParams.set('at',new Date(S.asOf).toISOString());else u.searchParams.delete('at');history.replaceState(null,'',u);}catch(e){}
+  if(window.SpotterNetwork)SpotterNetwork.setAsOf(S.asOf?new Date(S.asOf).toISOString():null);
+  renderAsOf();
+  if(quiet)return;
+  S.stormReports=[];S.stormMeta=null;
+  if(window.AlertTracker)AlertTracker.reset();
+  window.Announcer?.stop();
+  if(S.map)loadRadar();
+  loadAlerts();loadStormReports();
+  if(window.SpotterNetwork?.isVisible())SpotterNetwork.refresh(S.lat,S.lng);
+  toast(S.asOf?'⏪ Replaying '+fmtDT(new Date(S.asOf)):'● Back to live');
+}
+function renderAsOf(){
+  const lp=$('livePill');
+  if(lp){lp.classList.toggle('replay',!!S.asOf);lp.innerHTML='<span class="live-dot"></span>'+(S.asOf?'REPLAY '+_esc(fmtDT(new Date(S.asOf))):'LIVE');lp.title=S.asOf?'Viewing a past event — click to return to live':'';}
+  const inp=$('sAsOf');if(inp){inp.value=S.asOf?toLocalInput(S.asOf):'';inp.max=toLocalInput(Date.now());}
+}
+
 // ── SEARCH & GEOCODE ──────────────────────────────────────────────
 async function doSearch(q){
   if(!q||q.length<2){hideDrop();return;}
@@ -754,10 +1069,125 @@ function geolocate(){
 
 // ── FAVORITES ─────────────────────────────────────────────────────
 function loadFavs(){try{const s=localStorage.getItem('ss_favs');if(s)S.favorites=JSON.parse(s);}catch(e){}renderFavs();}
-function saveFavs(){try{localStorage.setItem('ss_favs',JSON.stringify(S.favorites));}catch(e){}}
-function addFav(){if(S.favorites.some(f=>f.name===S.locName)){toast('★ Already saved');return;}S.favorites.push({name:S.locName,lat:S.lat,lng:S.lng});saveFavs();renderFavs();toast('★ Saved '+S.locName);}
-function rmFav(name){S.favorites=S.favorites.filter(f=>f.name!==name);saveFavs();renderFavs();}
+function saveFavs(){try{localStorage.setItem('ss_favs',JSON.stringify(S.favorites));}catch(e){}window.electronSettings?.syncFavorites?.(S.favorites);}
+function addFav(){if(S.favorites.some(f=>f.name===S.locName)){toast('★ Already saved');return;}S.favorites.push({name:S.locName,lat:S.lat,lng:S.lng});saveFavs();renderFavs();loadLocAlerts();toast('★ Saved '+S.locName);}
+function rmFav(name){S.favorites=S.favorites.filter(f=>f.name!==name);saveFavs();renderFavs();loadLocAlerts();}
 function goFav(fav){S.lat=fav.lat;S.lng=fav.lng;S.locName=fav.name;st('locName',fav.name);st('tbLocName',fav.name);if(S.map)S.map.flyTo({center:[fav.lng,fav.lat],zoom:9,duration:1200});loadWeather();loadAlerts();toast('📍 '+fav.name);}
+// ── DESKTOP ALERTS (Electron only) ────────────────────────────────
+// The main process polls favorites in the background and notifies;
+// this just mirrors favorites to it and edits the per-event opt-ins.
+async function initDesktopAlerts(){
+  const es=window.electronSettings;if(!es)return;
+  es.syncFavorites?.(S.favorites);
+  window.electronAlerts?.onAlertEvent(d=>{
+    if(d?.event!=='open')return;
+    const fav=S.favorites.find(f=>f.name===d.location);if(fav)goFav(fav);
+    document.querySelectorAll('.rpt').forEach(x=>x.classList.remove('active'));document.querySelector('.rpt[data-rt="alerts"]')?.classList.add('active');
+    S.rightTab='alerts';S.alertLoc=d.location||null;renderAlerts();
+  });
+  try{
+    const cfg=await es.get();
+    const sec=$('sDeskSec');if(sec)sec.style.display='';
+    const master=$('sDeskNotify');if(master){master.checked=cfg.alertNotify!==false;master.onchange=e=>es.save({alertNotify:e.target.checked});}
+    const ev=cfg.notifyEvents||{},box=$('sDeskEvents');
+    if(box){
+      box.innerHTML=Object.keys(ev).map((name,i)=>`<div class="s-row"><span>${alertIcon(name)} ${_esc(name)}</span><label class="tog"><input type="checkbox" data-ev="${i}"${ev[name]?' checked':''}><span class="tog-t"></span></label></div>`).join('');
+      const names=Object.keys(ev);
+      box.querySelectorAll('input[data-ev]').forEach(inp=>inp.onchange=()=>{ev[names[+inp.dataset.ev]]=inp.checked;es.save({notifyEvents:ev});});
+    }
+  }catch(e){SS.log('Desktop alert settings failed',e.message);}
+}
+
+// ── OFFLINE PACKS ─────────────────────────────────────────────────
+// When upstream fails the server answers from a downloaded region pack
+// and says so in X-Offline-As-Of; in the web build the service worker
+// may answer from its cache first (X-SW-Fetched-At). The banner shows
+// which panels are on saved data and how old it is.
+const SW_STALE_MS=90000;
+function noteOffline(src,r){
+  const pack=r.headers.get('X-Offline-As-Of'),sw=Number(r.headers.get('X-SW-Fetched-At'));
+  if(pack)S.offline[src]={asOf:new Date(pack).getTime(),kind:'pack'};
+  else if(sw&&Date.now()-sw>SW_STALE_MS)S.offline[src]={asOf:sw,kind:'cache'};
+  else delete S.offline[src];
+  const el=$('offlineBanner');if(!el)return;
+  const srcs=Object.keys(S.offline);
+  el.style.display=srcs.length?'':'none';
+  if(!srcs.length)return;
+  const oldest=Math.min(...srcs.map(k=>S.offline[k].asOf));
+  const lead=srcs.some(k=>S.offline[k].kind==='pack')?'📦 Offline data as of':'⏱ Saved data from';
+  el.innerHTML=`${lead} <b>${_esc(fmtDT(new Date(oldest)))}</b> · ${_esc(srcs.join(', '))}`;
+}
+
+// ── SERVICE WORKER (web build) ────────────────────────────────────
+// sw.js answers data requests from cache and refreshes behind; when the
+// refresh differs from a stale copy it asks us to reload that panel.
+function initServiceWorker(){
+  if(!('serviceWorker' in navigator)||window.electronUpdater||location.protocol==='file:')return;
+  navigator.serviceWorker.register('sw.js').catch(e=>SS.log('Service worker failed',e.message));
+  navigator.serviceWorker.addEventListener('message',e=>{
+    if(e.data?.type!=='swr-update'||S.asOf)return;
+    const reload={'/api/weather':loadWeather,'/api/airquality':loadAQI,'/api/alerts':loadAlerts,
+      // Don't yank frames out from under a playing loop; the next load picks them up
+      '/api/radar/frames':()=>{if(S.map&&!S.playing)loadRadar();}}[e.data.path];
+    if(reload)reload();
+  });
+}
+
+const PACK_ZOOMS={low:[4,5,6],med:[5,6,7],high:[6,7,8]};
+async function renderPacks(){
+  clearTimeout(S.packTimer);
+  try{
+    const r=await fetch(`${API}/api/offline/packs`);
+    if(!r.ok)throw new Error('HTTP '+r.status);
+    const d=await r.json();
+    const sec=$('sPackSec');if(sec)sec.style.display=d.enabled?'':'none';
+    const el=$('sPackList');if(!d.enabled||!el)return;
+    const meta=p=>p.status==='building'?`Downloading ${p.done}/${p.total||'…'}`
+      :p.status==='failed'?'⚠ '+_esc(p.error||'Failed')
+      :`${_esc(fmtDT(new Date(p.asOf)))} · ${(p.bytes/1048576).toFixed(1)} MB · z${p.zooms.join(',')} · ${p.points} forecast${p.points===1?'':'s'}${p.failed?` · ${p.failed} missing`:''}`;
+    el.innerHTML=d.packs.length?d.packs.map(p=>`<div class="fav-item pack-item"><div class="pack-name">${_esc(p.name)}<div class="pack-meta${p.status==='failed'?' bad':''}">${meta(p)}</div></div>${p.status==='building'?'':`<button class="fav-del" data-id="${_esc(p.id)}" title="Delete pack">×</button>`}</div>`).join(''):'<div class="fav-empty">No packs downloaded</div>';
+    el.querySelectorAll('[data-id]').forEach(b=>b.onclick=()=>deletePack(b.dataset.id));
+    if(d.packs.some(p=>p.status==='building'))S.packTimer=setTimeout(renderPacks,2000);
+  }catch(e){SS.log('Offline packs failed',e.message);}
+}
+
+async function buildPack(){
+  if(!S.map){toast('⚠ Map not ready');return;}
+  const b=S.map.getBounds();
+  const body={
+    name:S.locName, bbox:[b.getWest(),b.getSouth(),b.getEast(),b.getNorth()].map(v=>+v.toFixed(3)),
+    zooms:PACK_ZOOMS[S.cfg.packZoom]||PACK_ZOOMS.med, minutes:S.cfg.packMinutes, color:S.cfg.radarColor,
+    favorites:[{name:S.locName,lat:S.lat,lng:S.lng},...S.favorites]
+  };
+  try{
+    const r=await fetch(`${API}/api/offline/packs`,{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify(body)});
+    const d=await r.json();
+    if(!r.ok)throw new Error(d.error||'HTTP '+r.status);
+    toast(`📦 Downloading ${d.tiles} radar tiles…`);
+    renderPacks();
+  }catch(e){SS.log('Pack build failed',e.message);toast('⚠ '+e.message);}
+}
+
+async function deletePack(id){
+  try{
+    const r=await fetch(`${API}/api/offline/packs/${encodeURIComponent(id)}`,{method:'DELETE'});
+    if(!r.ok)throw new Error((await r.json()).error||'HTTP '+r.status);
+    renderPacks();
+  }catch(e){toast('⚠ '+e.message);}
+}
+
+// Disk tile cache (tile-cache.js on the server; on in the desktop app)
+async function renderTileCache(clear){
+  try{
+    const r=await fetch(`${API}/api/tile-cache${clear?'/clear':''}`,{method:clear?'POST':'GET'});
+    if(!r.ok)throw new Error('HTTP '+r.status);
+    const d=await r.json();
+    const sec=$('sCacheSec');if(sec)sec.style.display=d.enabled?'':'none';
+    st('sTileCache',`${(d.bytes/1048576).toFixed(0)} / ${(d.maxBytes/1048576).toFixed(0)} MB · ${d.tiles} tiles`);
+    if(clear)toast('🗑 Tile cache cleared');
+  }catch(e){SS.log('Tile cache status failed',e.message);}
+}
+
 function renderFavs(){
   const el=$('favList');if(!el)return;
   if(!S.favorites.length){el.innerHTML='<div class="fav-empty">No saved locations</div>';return;}
@@ -788,6 +1218,38 @@ function openShareCard(){
   if(daily?.temperature_2m_max?.[0]!=null){ctx.font='bold 13px JetBrains Mono';ctx.fillStyle='#f97316';ctx.fillText('H: '+cvtT(daily.temperature_2m_max[0])+'°  ',22,280);ctx.fillStyle='#06b6d4';ctx.fillText('L: '+cvtT(daily.temperature_2m_min[0])+'°',90,280);}
 }
 
+// ── LOOP EXPORT ───────────────────────────────────────────────────
+// The current loop (trimmed window) as GIF or WebM; MP4 goes through
+// the desktop app, which converts the WebM with ffmpeg.
+async function exportLoop(){
+  if(S.exporting)return;
+  if(!window.RadarAnimator||!S.frames.length){toast('⚠ No radar loop loaded');return;}
+  const fmt=S.cfg.exportFmt,name='storm-surge-radar-'+S.locName.toLowerCase().replace(/[^a-z0-9]+/g,'-')+'.'+fmt;
+  if(fmt==='mp4'&&!window.electronExport){toast('⚠ MP4 export needs the desktop app');return;}
+  S.exporting=true;$('shareLoop').disabled=true;
+  const legend=window.RadarReadout?.palette(S.radarLoop?.source==='rainviewer'?'rv'+S.cfg.radarColor:'N0Q');
+  try{
+    const blob=await RadarAnimator.exportLoop({
+      format:fmt==='gif'?'gif':'webm', width:S.cfg.exportWidth, place:S.locName, legend,
+      timeLabel:(f,nc)=>fmtDT(new Date(f.time*1000))+(f.extrapolated?' · EXTRAPOLATED':nc?' · NOWCAST':''),
+      onProgress:(i,n)=>st('shareLoopStatus',i<n?`Rendering ${i}/${n}…`:'Encoding…')
+    });
+    if(fmt==='mp4'){
+      st('shareLoopStatus','Converting…');
+      const r=await window.electronExport.saveVideo({bytes:await blob.arrayBuffer(),name});
+      if(r.error)throw new Error(r.error);
+      if(!r.canceled)toast('⬇ Saved '+r.path.split(/[\\/]/).pop());
+    }else{
+      const a=document.createElement('a');a.download=name;a.href=URL.createObjectURL(blob);a.click();
+      setTimeout(()=>URL.revokeObjectURL(a.href),10000);
+      toast(`⬇ ${fmt.toUpperCase()} · ${(blob.size/1048576).toFixed(1)} MB`);
+    }
+    st('shareLoopStatus','');
+  }catch(e){
+    SS.log('Loop export failed',e.message);st('shareLoopStatus','');toast('⚠ Export failed: '+e.message);
+  }finally{S.exporting=false;$('shareLoop').disabled=false;}
+}
+
 // ── LEGEND ────────────────────────────────────────────────────────
 function updateLegend(){
   const layer=document.querySelector('.lb.active')?.dataset.layer||'precipitation';
@@ -808,6 +1270,7 @@ function initUI(){
   $('playBtn').onclick=togglePlay;
   $('favAddBtn').onclick=addFav;
   $('shareBtn').onclick=openShareCard;
+  window.addEventListener('ss-hour-hover',e=>{if(S.fcChart&&document.body.contains(S.fcChart.canvas))S.fcChart.cursor(e.detail?.time);});
 
   $('spotterBtn').onclick=()=>{
     const active=SpotterNetwork?.toggle(S.lat,S.lng);
@@ -820,6 +1283,11 @@ function initUI(){
     if(window.SeverePanel){if(SeverePanel.isOpen()){SeverePanel.close();$('severeBtn').classList.remove('active');}else{SeverePanel.load(S.lat,S.lng);$('severeBtn').classList.add('active');}}
   };
 
+  const spcBtn=$('spcBtn');
+  if(spcBtn)spcBtn.onclick=()=>{if(window.SPCLayers)SPCLayers.toggleMenu(spcBtn);};
+  const cellsBtn=$('cellsBtn');
+  if(cellsBtn)cellsBtn.onclick=()=>{if(!window.CellTracker)return;const on=CellTracker.toggle();cellsBtn.classList.toggle('active',on);toast(on?'🎯 Cell tracking ON':'Cell tracking OFF');if(S.rightTab==='info')renderRadarInfo();};
+
   const nwsBtn=$('nwsSocialBtn');
   if(nwsBtn)nwsBtn.onclick=()=>{if(!window.NWSsocial)return;const open=NWSsocial.toggle(S.lat,S.lng);nwsBtn.classList.toggle('active',open);toast(open?'🐦 NWS Feed ON':'NWS Feed OFF');};
 
@@ -829,6 +1297,8 @@ function initUI(){
   $('tRange').addEventListener('input',e=>goFrame(+e.target.value));
   $('quickOpacity').addEventListener('input',e=>{S.cfg.opacity=+e.target.value/100;const so=$('sOpacity');if(so)so.value=e.target.value;const sv=$('sOpacityVal');if(sv)sv.textContent=e.target.value+'%';if(window.RadarAnimator)RadarAnimator.setOpacity(S.cfg.opacity);saveCfg();});
   $('tPrev').onclick=()=>{if(S.frame>0)goFrame(S.frame-1);};
+  $('tTrimS').onclick=()=>trimLoop('start');
+  $('tTrimE').onclick=()=>trimLoop('end');
   $('tNext').onclick=()=>{if(S.frame<allF().length-1)goFrame(S.frame+1);};
   $('drawBtn').onclick=()=>S.drawMode?exitDraw():enterDraw();
   $('drawExit').onclick=exitDraw;
@@ -849,7 +1319,7 @@ function initUI(){
     e.preventDefault();
     document.querySelectorAll('.sni').forEach(x=>x.classList.remove('active'));item.classList.add('active');
     const p=item.dataset.p;
-    if(p==='settings')openModal('settingsModal');
+    if(p==='settings'){openModal('settingsModal');renderTileCache();renderPacks();}
     else if(p==='aqi')openAQIPanel();
     else if(p==='marine')openMarinePanel();
     else if(p==='cameras')openModal('cameraModal');
@@ -878,6 +1348,16 @@ function initUI(){
   $('shareModal').onclick=e=>{if(e.target===$('shareModal'))closeModal('shareModal');};
 
   $('shareDL').onclick=()=>{const a=document.createElement('a');a.download='storm-surge-'+S.locName.toLowerCase().replace(/\s+/g,'-')+'.png';a.href=$('shareCanvas').toDataURL('image/png');a.click();toast('⬇ Downloaded');};
+  $('shareLoop').onclick=exportLoop;
+  $('sTileCacheClear').onclick=()=>renderTileCache(true);
+  $('sPackBuild').onclick=buildPack;
+  segBind('sPackZoom',  v=>{S.cfg.packZoom=v;saveCfg();});
+  segBind('sPackWin',   v=>{S.cfg.packMinutes=+v;saveCfg();});
+  segBind('shareFmt',   v=>{S.cfg.exportFmt=v;saveCfg();});
+  segBind('shareWidth', v=>{S.cfg.exportWidth=+v;saveCfg();});
+  if(!window.electronExport)document.querySelector('#shareFmt [data-v="mp4"]')?.remove();
+  if(!window.LoopEncoder?.supports('webm'))document.querySelector('#shareFmt [data-v="webm"]')?.remove();
+  if(!document.querySelector(`#shareFmt [data-v="${S.cfg.exportFmt}"]`))S.cfg.exportFmt='gif';
   $('shareCopy').onclick=()=>navigator.clipboard.writeText(window.location.href).then(()=>toast('📋 Copied')).catch(()=>toast('⚠ Copy failed'));
 
   $('camSearchBtn').onclick=()=>{const q=$('camSearch').value.trim();if(!q)return;$('camGrid').innerHTML='<div class="empty-s"><div class="es-ico">📷</div><div><a href="https://hazcams.com/search?query='+encodeURIComponent(q)+'" target="_blank" rel="noopener" style="color:#3b82f6">Open Hazcams → '+_esc(q)+'</a></div></div>';};
@@ -888,13 +1368,25 @@ function initUI(){
   segBind('sDistUnit',  v=>{S.cfg.distUnit=v;saveCfg();if(S.weather)renderWeather(S.weather);});
   segBind('sTimeFormat',v=>{S.cfg.timeFormat=v;saveCfg();if(S.weather){renderWeather(S.weather);renderForecast(S.weather);}if(S.frames.length)buildSlots();});
   segBind('sSpeed',     v=>{S.cfg.speed=+v;saveCfg();if(window.RadarAnimator)RadarAnimator.setSpeed(+v);});
+  segBind('sLoop',      v=>{S.cfg.loopMin=+v;saveCfg();if(S.map)loadRadar();});
+  segBind('sStep',      v=>{S.cfg.loopStep=+v;saveCfg();if(S.map)loadRadar();});
+  segBind('sDwell',     v=>{S.cfg.dwell=+v;saveCfg();if(window.RadarAnimator)RadarAnimator.setDwell(+v);});
   segBind('sRadarColor',v=>{S.cfg.radarColor=v;saveCfg();if(window.RadarAnimator)RadarAnimator.setColor(v);});
   segBind('sCardPos',   v=>{S.cfg.cardPos=v;saveCfg();if(S.weather)renderWeather(S.weather);});
   segBind('sCardStyle', v=>{S.cfg.cardStyle=v;saveCfg();if(S.weather)renderWeather(S.weather);});
+  ['emergency','warning','watch','advisory'].forEach(sev=>{
+    segBind('sAnn-'+sev,v=>{S.cfg.announce={...S.cfg.announce,[sev]:v};saveCfg();applyAnnouncer();});
+    const tb=$('sAnnTest-'+sev);if(tb)tb.onclick=()=>window.Announcer?.test(sev);
+  });
+  $('sAnnVol').addEventListener('input',e=>{S.cfg.announceVol=+e.target.value/100;st('sAnnVolVal',e.target.value+'%');saveCfg();applyAnnouncer();});
 
   $('sOpacity').addEventListener('input',e=>{S.cfg.opacity=+e.target.value/100;st('sOpacityVal',e.target.value+'%');const qo=$('quickOpacity');if(qo)qo.value=e.target.value;if(window.RadarAnimator)RadarAnimator.setOpacity(S.cfg.opacity);saveCfg();});
   $('sNowcast').addEventListener('change',e=>{S.cfg.nowcast=e.target.checked;saveCfg();if(window.RadarAnimator)RadarAnimator.setNowcast(e.target.checked);if(S.frames.length)buildSlots();});
   $('sAutoPlay').addEventListener('change',e=>{S.cfg.autoPlay=e.target.checked;saveCfg();});
+  $('sReadout').addEventListener('change',e=>{S.cfg.readout=e.target.checked;saveCfg();if(window.RadarReadout)RadarReadout.setEnabled(S.cfg.readout);});
+  $('sAsOfGo').onclick=()=>{const v=$('sAsOf').value;if(!v){toast('⚠ Pick a date & time');return;}const t=new Date(v).getTime();if(!(t<Date.now())){toast('⚠ Must be in the past');return;}setAsOf(t);};
+  $('sAsOfLive').onclick=()=>setAsOf(null);
+  $('livePill').onclick=()=>{if(S.asOf)setAsOf(null);};
   $('sAlertZones').addEventListener('change',e=>{S.cfg.alertZones=e.target.checked;saveCfg();if(e.target.checked)putAlertsOnMap();else rmLayers(['alert-fill','alert-line'],['alerts-src']);});
   $('sCrosshair').addEventListener('change',e=>{S.cfg.crosshair=e.target.checked;saveCfg();const ch=$('crosshair');if(ch)ch.style.display=e.target.checked?'':'none';});
   $('sClickNWS').addEventListener('change',e=>{S.cfg.clickNWS=e.target.checked;saveCfg();});
@@ -902,6 +1394,7 @@ function initUI(){
 
   document.addEventListener('keydown',e=>{
     if(e.key==='Escape'){
+      if(S.pick){endPick(null);return;}
       ['alertModal','settingsModal','aqiModal','marineModal','cameraModal','shareModal'].forEach(closeModal);
       if(window.NexradPanel)NexradPanel.close();
       if(window.ProPanel?.isOpen())ProPanel.close();
@@ -931,19 +1424,26 @@ function closeSettingsModal(){closeModal('settingsModal');document.querySelector
 
 function applySettingsUI(){
   const c=S.cfg;
-  [['sTempUnit',c.tempUnit],['sWindUnit',c.windUnit],['sDistUnit',c.distUnit],['sTimeFormat',c.timeFormat],['sSpeed',String(c.speed)],['sRadarColor',String(c.radarColor)],['sCardPos',c.cardPos],['sCardStyle',c.cardStyle||'full']].forEach(([id,val])=>document.querySelectorAll('#'+id+' .sb').forEach(b=>b.classList.toggle('active',b.dataset.v===val)));
+  [['sTempUnit',c.tempUnit],['sWindUnit',c.windUnit],['sDistUnit',c.distUnit],['sTimeFormat',c.timeFormat],['sSpeed',String(c.speed)],['sLoop',String(c.loopMin)],['sStep',String(c.loopStep)],['sDwell',String(c.dwell||0)],['sRadarColor',String(c.radarColor)],['sCardPos',c.cardPos],['sCardStyle',c.cardStyle||'full'],['shareFmt',c.exportFmt],['shareWidth',String(c.exportWidth)],['sPackZoom',c.packZoom],['sPackWin',String(c.packMinutes)]].forEach(([id,val])=>document.querySelectorAll('#'+id+' .sb').forEach(b=>b.classList.toggle('active',b.dataset.v===val)));
   const so=$('sOpacity');if(so)so.value=Math.round(c.opacity*100);
   const qo=$('quickOpacity');if(qo)qo.value=Math.round(c.opacity*100);
   st('sOpacityVal',Math.round(c.opacity*100)+'%');
   const sn=$('sNowcast');if(sn)sn.checked=c.nowcast;
   const sa=$('sAutoPlay');if(sa)sa.checked=c.autoPlay;
+  const sro=$('sReadout');if(sro)sro.checked=c.readout!==false;
   const sal=$('sAlertZones');if(sal)sal.checked=c.alertZones;
   const sc=$('sCrosshair');if(sc)sc.checked=c.crosshair;
   const scn=$('sClickNWS');if(scn)scn.checked=c.clickNWS;
   const sab=$('sAnimBg');if(sab)sab.checked=c.animBg;
+  Object.entries(c.announce||{}).forEach(([sev,v])=>document.querySelectorAll('#sAnn-'+sev+' .sb').forEach(b=>b.classList.toggle('active',b.dataset.v===v)));
+  const sav=$('sAnnVol');if(sav)sav.value=Math.round(c.announceVol*100);
+  st('sAnnVolVal',Math.round(c.announceVol*100)+'%');
+  applyAnnouncer();
   if(!c.crosshair){const ch=$('crosshair');if(ch)ch.style.display='none';}
 }
 
+function applyAnnouncer(){window.Announcer?.configure({modes:S.cfg.announce,volume:S.cfg.announceVol});}
+
 function saveCfg(){try{localStorage.setItem('ss14_cfg',JSON.stringify(S.cfg));}catch(e){}}
 function loadCfg(){try{const s=localStorage.getItem('ss14_cfg')||localStorage.getItem('ss13_cfg')||localStorage.getItem('ss12_cfg');if(s)Object.assign(S.cfg,JSON.parse(s));}catch(e){}}
 
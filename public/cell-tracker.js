@@ -0,0 +1,427 @@
+// ================================================================
+//  STORM CELL TRACKER  v14.0
+//  Finds reflectivity cores in successive radar frames, keeps a
+//  persistent ID per cell, fits its motion and projects it forward
+//  15/30/45/60 minutes with a widening cone, plus ETAs to the current
+//  location and favorites.
+//
+//  Frames come from the RainViewer/IEM mosaic (RadarAnimator, past
+//  frames only — nowcast frames are already extrapolated) or, while
+//  the Level II canvas is up, from each Level II scan as it loads.
+//
+//  Detection is SCIT-like: cores ≥ 40 dBZ; a core too large to be a
+//  single cell (a line or cluster) is split at 50, then 55 dBZ.
+//
+//  Public API (window.CellTracker):
+//    CellTracker.init(map, placesFn)   placesFn() → [{ name, lat, lng }]
+//    CellTracker.show() / hide() / toggle() → visible
+//    CellTracker.refresh()             re-detect over the current view
+//    CellTracker.cells()               → active tracks with motion + forecast
+//    CellTracker.etas()                → [{ id, place, min, distKm }]
+//    CellTracker.handleClick(e)        → true if a cell was clicked
+//    CellTracker.render()              redraw map layers (after setStyle)
+//    CellTracker.isVisible()
+//    CellTracker.onUpdate              callback(cells) after each run
+// ================================================================
+
+window.CellTracker = (() => {
+  'use strict';
+
+  const THRESHOLDS  = [40, 50, 55];   // dBZ; later ones split big cores
+  const SPLIT_KM2   = 1500;           // cores larger than this are split
+  const MIN_KM2     = 12;             // smaller blobs are noise
+  const MAX_KMH     = 130;            // fastest plausible cell motion
+  const LEADS       = [15, 30, 45, 60];
+  const FIT_PTS     = 5;              // positions used for the motion fit
+  const MAX_MISS    = 1;              // frames a cell may vanish and be re-acquired
+  const RASTER_PX   = 768;            // mosaic composite size for detection
+
+  const SRC = 'cells-src';
+  const LAYERS = ['cells-cone', 'cells-cone-line', 'cells-track', 'cells-fcst', 'cells-tick', 'cells-pt', 'cells-lbl'];
+
+  let _map = null, _places = () => [];
+  let _visible = false;
+  let _tracks = [];            // all tracks of the last run
+  let _known = new Map();      // id → track, from earlier runs, so IDs survive a refresh
+  let _nextId = 0;
+  let _frames = [];            // [{ time, cells }] in time order
+  let _l2Frames = [];          // Level II scans ingested, same shape
+  let _l2Station = null;
+  let _detCache = new Map();   // raster key → cells
+  let _runSeq = 0, _moveTimer = null;
+  let _popup = null;
+
+  // ── Grids ────────────────────────────────────────────────────
+  // A grid is dBZ on a Web Mercator raster: lng linear in x,
+  // mercator y linear in y.
+  function gridLngLat(g, x, y) {
+    return [g.lng0 + (x + 0.5) * g.dlng, Math.atan(Math.sinh(g.my0 - (y + 0.5) * g.dmy)) * 180 / Math.PI];
+  }
+  const kmPerPx = (g, lat) => g.dlng * 111.32 * Math.cos(lat * Math.PI / 180);
+
+  function mosaicGrid(r) {
+    const n = 1 << r.z, span = n * 256 * r.scale;
+    const dbz = new Float32Array(r.w * r.h).fill(NaN);
+    const px = [0, 0, 0, 0];
+    for (let i = 0; i < r.w * r.h; i++) {
+      const a = r.data[i * 4 + 3];
+      if (a < 24) continue;
+      px[0] = r.data[i * 4]; px[1] = r.data[i * 4 + 1]; px[2] = r.data[i * 4 + 2]; px[3] = a;
+      const v = RadarReadout.dbz(px, r.color, r.archive);
+      if (v != null) dbz[i] = v;
+    }
+    return { dbz, w: r.w, h: r.h, lng0: r.x0 / n * 360 - 180, dlng: 360 / span, my0: Math.PI * (1 - 2 * r.y0 / n), dmy: 2 * Math.PI / span };
+  }
+
+  function level2Grid(r) {
+    const merc = lat => Math.log(Math.tan(Math.PI / 4 + lat * Math.PI / 360));
+    const e = r.extent;
+    return { dbz: r.values, w: r.w, h: r.h, lng0: e.w, dlng: (e.e - e.w) / r.w, my0: merc(e.n), dmy: (merc(e.n) - merc(e.s)) / r.h };
+  }
+
+  // ── Detection ────────────────────────────────────────────────
+  // 4-connected regions ≥ thr; `within` limits the search to one parent core
+  function regions(g, thr, within) {
+    const { dbz, w, h } = g;
+    const seen = new Uint8Array(w * h);
+    const out = [], stack = [];
+    const n = within ? within.length : w * h;
+    const visit = i => { if (!seen[i] && dbz[i] >= thr) { seen[i] = 1; stack.push(i); } };
+    for (let k = 0; k < n; k++) {
+      const i0 = within ? within[k] : k;
+      if (seen[i0] || !(dbz[i0] >= thr)) continue;
+      const px = [];
+      seen[i0] = 1; stack.push(i0);
+      while (stack.length) {
+        const i = stack.pop(), x = i % w;
+        px.push(i);
+        if (x > 0) visit(i - 1);
+        if (x < w - 1) visit(i + 1);
+        if (i >= w) visit(i - w);
+        if (i < w * (h - 1)) visit(i + w);
+      }
+      out.push(px);
+    }
+    return out;
+  }
+
+  // Linear-Z weighted centroid, so the core (not the anvil) sets the position
+  function describe(g, px) {
+    let sw = 0, sx = 0, sy = 0, max = -Infinity;
+    for (const i of px) {
+      const v = g.dbz[i], wt = Math.pow(10, v / 10), x = i % g.w;
+      sw += wt; sx += wt * x; sy += wt * (i - x) / g.w;
+      if (v > max) max = v;
+    }
+    const [lng, lat] = gridLngLat(g, sx / sw, sy / sw);
+    const areaKm2 = px.length * kmPerPx(g, lat) ** 2;
+    return { lat, lng, maxDbz: Math.round(max), areaKm2 };
+  }
+
+  function detect(g, level = 0, within = null) {
+    const cells = [];
+    regions(g, THRESHOLDS[level], within).forEach(px => {
+      const c = describe(g, px);
+      if (c.areaKm2 < MIN_KM2) return;
+      if (c.areaKm2 > SPLIT_KM2 && level + 1 < THRESHOLDS.length) {
+        const sub = detect(g, level + 1, px);
+        if (sub.length) { cells.push(...sub); return; }
+      }
+      cells.push(c);
+    });
+    return cells;
+  }
+
+  // ── Tracking ─────────────────────────────────────────────────
+  // Local flat km coordinates around a reference point
+  const toKm = (ref, p) => [(p.lng - ref.lng) * 111.32 * Math.cos(ref.lat * Math.PI / 180), (p.lat - ref.lat) * 110.574];
+  const fromKm = (ref, x, y) => ({ lng: ref.lng + x / (111.32 * Math.cos(ref.lat * Math.PI / 180)), lat: ref.lat + y / 110.574 });
+
+  // "A0".."Z0", "A1".. like the WSR-88D storm IDs
+  const cellId = n => String.fromCharCode(65 + n % 26) + (Math.floor(n / 26) % 10);
+
+  // Least-squares velocity (km/h) over the last few positions
+  function fitMotion(t) {
+    const pts = t.pts.slice(-FIT_PTS);
+    if (pts.length < 2) { t.u = t.v = 0; t.moving = false; return; }
+    const ref = pts[pts.length - 1];
+    const xy = pts.map(p => toKm(ref, p)), ts = pts.map(p => (p.t - ref.t) / 3600);
+    const tm = ts.reduce((a, b) => a + b) / ts.length;
+    const xm = xy.reduce((a, p) => a + p[0], 0) / xy.length, ym = xy.reduce((a, p) => a + p[1], 0) / xy.length;
+    let stt = 0, stx = 0, sty = 0;
+    ts.forEach((tt, i) => { stt += (tt - tm) ** 2; stx += (tt - tm) * (xy[i][0] - xm); sty += (tt - tm) * (xy[i][1] - ym); });
+    t.u = stt ? stx / stt : 0; t.v = stt ? sty / stt : 0;
+    const spd = Math.hypot(t.u, t.v);
+    if (spd > MAX_KMH) { t.u *= MAX_KMH / spd; t.v *= MAX_KMH / spd; }
+    t.moving = true;
+  }
+
+  function track(frames) {
+    const all = [];
+    let live = [];
+    frames.forEach((f, k) => {
+      if (k && f.time - frames[k - 1].time > 3600) live = [];   // too long a gap to link across
+      const pairs = [];
+      live.forEach(t => {
+        const last = t.pts[t.pts.length - 1];
+        const dt = (f.time - last.t) / 3600;
+        const gate = t.moving ? 10 + 40 * dt : 5 + MAX_KMH * dt;
+        f.cells.forEach((c, j) => {
+          const [x, y] = toKm(last, c);
+          const d = Math.hypot(x - t.u * dt, y - t.v * dt);
+          if (d <= gate) pairs.push({ t, j, d });
+        });
+      });
+      pairs.sort((a, b) => a.d - b.d);
+      const usedT = new Set(), usedC = new Set();
+      pairs.forEach(p => {
+        if (usedT.has(p.t) || usedC.has(p.j)) return;
+        usedT.add(p.t); usedC.add(p.j);
+        p.t.pts.push({ ...f.cells[p.j], t: f.time });
+        p.t.miss = 0;
+        fitMotion(p.t);
+      });
+      live.forEach(t => { if (!usedT.has(t)) t.miss++; });
+      f.cells.forEach((c, j) => {
+        if (usedC.has(j)) return;
+        const t = { id: null, pts: [{ ...c, t: f.time }], u: 0, v: 0, moving: false, miss: 0 };
+        all.push(t); live.push(t);
+      });
+      live = live.filter(t => t.miss <= MAX_MISS);
+    });
+    const latest = frames.length ? frames[frames.length - 1].time : 0;
+    all.forEach(t => { t.active = t.pts[t.pts.length - 1].t === latest; });
+    assignIds(all, latest);
+    return all;
+  }
+
+  // Each run re-tracks the whole loop, so IDs come from earlier runs: a
+  // track that shares a scan with a known one (same time, same place)
+  // keeps its ID; failing that, one that picks up where a known track's
+  // motion puts it. Only what's left gets a new ID.
+  function matchKnown(t, used) {
+    let best = null, bestD = Infinity;
+    const consider = (id, d) => { if (d < bestD) { best = id; bestD = d; } };
+    _known.forEach((k, id) => {
+      if (used.has(id)) return;
+      t.pts.forEach(p => {
+        const q = k.pts.find(q => q.t === p.t);
+        if (q) { const d = Math.hypot(...toKm(q, p)); if (d <= 5) consider(id, d); }
+      });
+    });
+    if (best) return best;
+    const first = t.pts[0];
+    _known.forEach((k, id) => {
+      if (used.has(id)) return;
+      const last = k.pts[k.pts.length - 1], dt = (first.t - last.t) / 3600;
+      if (dt <= 0 || dt > 1) return;
+      const [x, y] = toKm(last, first);
+      const d = Math.hypot(x - k.u * dt, y - k.v * dt);
+      if (d <= (k.moving ? 10 + 40 * dt : 5 + MAX_KMH * dt)) consider(id, d);
+    });
+    return best;
+  }
+
+  function assignIds(all, latest) {
+    const used = new Set();
+    // Longest tracks first: they have the most scans to match on
+    all.slice().sort((a, b) => b.pts.length - a.pts.length).forEach(t => {
+      t.id = matchKnown(t, used);
+      if (t.id) { used.add(t.id); return; }
+      do t.id = cellId(_nextId++); while (_known.has(t.id) || used.has(t.id));
+      used.add(t.id);
+    });
+    // Unmatched tracks from earlier runs stay re-acquirable for an hour
+    const keep = [..._known].filter(([id, k]) => !used.has(id) && latest - k.pts[k.pts.length - 1].t <= 3600);
+    _known = new Map([...keep, ...all.map(t => [t.id, t])].slice(-200));
+  }
+
+  // ── Forecast ─────────────────────────────────────────────────
+  function spreadOf(t) { return t.pts.length >= 3 ? 0.25 : 0.4; }
+  function radiusOf(t) { return Math.max(3, Math.sqrt(t.pts[t.pts.length - 1].areaKm2 / Math.PI)); }
+  const coneR = (t, min) => radiusOf(t) + spreadOf(t) * Math.hypot(t.u, t.v) * min / 60;
+
+  function forecast(t) {
+    const now = t.pts[t.pts.length - 1];
+    if (!t.moving) return [];
+    return LEADS.map(min => ({ min, ...fromKm(now, t.u * min / 60, t.v * min / 60), r: coneR(t, min) }));
+  }
+
+  function conePolygon(t) {
+    const c0 = t.pts[t.pts.length - 1];
+    const spd = Math.hypot(t.u, t.v);
+    if (!t.moving || spd < 5) return null;
+    const ux = t.u / spd, uy = t.v / spd;            // along track
+    const lead = LEADS[LEADS.length - 1];
+    const ring = [];
+    const steps = [0, ...LEADS];
+    steps.forEach(m => { const d = spd * m / 60, r = coneR(t, m); ring.push([ux * d - uy * r, uy * d + ux * r]); });
+    const dEnd = spd * lead / 60, rEnd = coneR(t, lead), a0 = Math.atan2(ux, -uy);
+    for (let k = 1; k < 12; k++) { const a = a0 - Math.PI * k / 12; ring.push([ux * dEnd + rEnd * Math.cos(a), uy * dEnd + rEnd * Math.sin(a)]); }
+    steps.slice().reverse().forEach(m => { const d = spd * m / 60, r = coneR(t, m); ring.push([ux * d + uy * r, uy * d - ux * r]); });
+    const r0 = coneR(t, 0), b0 = Math.atan2(-ux, uy);
+    for (let k = 1; k < 12; k++) { const a = b0 - Math.PI * k / 12; ring.push([r0 * Math.cos(a), r0 * Math.sin(a)]); }
+    ring.push(ring[0]);
+    return ring.map(([x, y]) => { const p = fromKm(c0, x, y); return [p.lng, p.lat]; });
+  }
+
+  // Minutes until the cone reaches a place (0 = already over it)
+  function etaTo(t, place) {
+    const now = t.pts[t.pts.length - 1];
+    const [x, y] = toKm(now, place);
+    const dist = Math.hypot(x, y);
+    if (dist <= radiusOf(t)) return { min: 0, distKm: dist };
+    const spd = Math.hypot(t.u, t.v);
+    if (!t.moving || spd < 5) return null;
+    const along = (x * t.u + y * t.v) / spd, cross = Math.abs(x * t.v - y * t.u) / spd;
+    if (along <= 0) return null;
+    const min = along / spd * 60;
+    if (min > LEADS[LEADS.length - 1] || cross > coneR(t, min)) return null;
+    return { min: Math.round(min), distKm: dist };
+  }
+
+  // ── Runs ─────────────────────────────────────────────────────
+  async function mosaicFrames(seq) {
+    const RA = window.RadarAnimator;
+    if (!RA || !window.RadarReadout) return null;
+    const frames = [];
+    for (let i = 0; i < RA.pastCount; i++) {
+      const r = await RA.frameRaster(i, RASTER_PX);
+      if (seq !== _runSeq) return null;
+      if (!r) continue;
+      const key = [r.time, r.z, r.x0, r.y0, r.w, r.h, r.color].join('|');
+      if (!_detCache.has(key)) _detCache.set(key, detect(mosaicGrid(r)));
+      frames.push({ time: r.time, cells: _detCache.get(key) });
+    }
+    if (_detCache.size > 60) _detCache = new Map([..._detCache].slice(-30));
+    return frames;
+  }
+
+  function ingestLevel2() {
+    const r = window.Level2Canvas?.raster();
+    if (!r?.scanTime) return;
+    if (r.station !== _l2Station) { _l2Frames = []; _l2Station = r.station; }
+    const time = Math.round(r.scanTime / 1000);
+    if (_l2Frames.some(f => f.time === time)) return;
+    _l2Frames.push({ time, cells: detect(level2Grid(r)) });
+    _l2Frames.sort((a, b) => a.time - b.time);
+    _l2Frames = _l2Frames.slice(-12);
+  }
+
+  async function refresh() {
+    if (!_visible || !_map) return;
+    const seq = ++_runSeq;
+    let frames;
+    if (window.Level2Canvas?.isVisible()) { ingestLevel2(); frames = _l2Frames; }
+    else frames = await mosaicFrames(seq);
+    if (seq !== _runSeq || !frames) return;
+    _frames = frames;
+    _tracks = track(frames);
+    render();
+    if (typeof api.onUpdate === 'function') api.onUpdate(cells());
+  }
+
+  // ── Map ──────────────────────────────────────────────────────
+  function geojson() {
+    const feats = [];
+    cells().forEach(t => {
+      const now = t.pts[t.pts.length - 1];
+      const props = { id: t.id, dbz: now.maxDbz };
+      const cone = conePolygon(t);
+      if (cone) feats.push({ type: 'Feature', properties: { ...props, kind: 'cone' }, geometry: { type: 'Polygon', coordinates: [cone] } });
+      if (t.pts.length > 1) feats.push({ type: 'Feature', properties: { ...props, kind: 'track' }, geometry: { type: 'LineString', coordinates: t.pts.map(p => [p.lng, p.lat]) } });
+      if (t.forecast.length) {
+        feats.push({ type: 'Feature', properties: { ...props, kind: 'fcst' }, geometry: { type: 'LineString', coordinates: [[now.lng, now.lat], ...t.forecast.map(f => [f.lng, f.lat])] } });
+        t.forecast.forEach(f => feats.push({ type: 'Feature', properties: { ...props, kind: 'tick', label: String(f.min) }, geometry: { type: 'Point', coordinates: [f.lng, f.lat] } }));
+      }
+      const mv = t.moving ? ` ${Math.round(t.dir)}°/${Math.round(t.speedKt)}kt` : '';
+      feats.push({ type: 'Feature', properties: { ...props, kind: 'cell', label: `${t.id} ${now.maxDbz}dBZ${mv}` }, geometry: { type: 'Point', coordinates: [now.lng, now.lat] } });
+    });
+    return { type: 'FeatureCollection', features: feats };
+  }
+
+  const DBZ_COLOR = ['step', ['get', 'dbz'], '#eab308', 50, '#f97316', 55, '#ef4444', 60, '#d946ef'];
+
+  function removeLayers() {
+    if (!_map) return;
+    LAYERS.slice().reverse().forEach(id => { try { if (_map.getLayer(id)) _map.removeLayer(id); } catch (e) {} });
+    try { if (_map.getSource(SRC)) _map.removeSource(SRC); } catch (e) {}
+  }
+
+  function render() {
+    if (!_map || !_visible) return;
+    const data = geojson();
+    const src = _map.getSource(SRC);
+    if (src) { src.setData(data); return; }
+    _map.addSource(SRC, { type: 'geojson', data });
+    const kind = k => ['==', ['get', 'kind'], k];
+    _map.addLayer({ id: 'cells-cone', type: 'fill', source: SRC, filter: kind('cone'), paint: { 'fill-color': DBZ_COLOR, 'fill-opacity': .12 } });
+    _map.addLayer({ id: 'cells-cone-line', type: 'line', source: SRC, filter: kind('cone'), paint: { 'line-color': DBZ_COLOR, 'line-width': 1, 'line-opacity': .6 } });
+    _map.addLayer({ id: 'cells-track', type: 'line', source: SRC, filter: kind('track'), paint: { 'line-color': '#ffffff', 'line-width': 1.5, 'line-opacity': .7 } });
+    _map.addLayer({ id: 'cells-fcst', type: 'line', source: SRC, filter: kind('fcst'), paint: { 'line-color': DBZ_COLOR, 'line-width': 2, 'line-dasharray': [2, 1.5] } });
+    _map.addLayer({ id: 'cells-tick', type: 'symbol', source: SRC, filter: kind('tick'),
+      layout: { 'text-field': ['get', 'label'], 'text-font': ['DIN Offc Pro Medium', 'Arial Unicode MS Bold'], 'text-size': 10, 'text-allow-overlap': true },
+      paint: { 'text-color': '#ffffff', 'text-halo-color': 'rgba(0,0,0,.8)', 'text-halo-width': 1.5 } });
+    _map.addLayer({ id: 'cells-pt', type: 'circle', source: SRC, filter: kind('cell'),
+      paint: { 'circle-radius': 5, 'circle-color': DBZ_COLOR, 'circle-stroke-color': '#000', 'circle-stroke-width': 1.5 } });
+    _map.addLayer({ id: 'cells-lbl', type: 'symbol', source: SRC, filter: kind('cell'),
+      layout: { 'text-field': ['get', 'label'], 'text-font': ['DIN Offc Pro Medium', 'Arial Unicode MS Bold'], 'text-size': 11, 'text-anchor': 'left', 'text-offset': [0.8, 0] },
+      paint: { 'text-color': '#ffffff', 'text-halo-color': 'rgba(0,0,0,.85)', 'text-halo-width': 2 } });
+  }
+
+  function esc(s) { return String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c])); }
+
+  function handleClick(e) {
+    if (!_visible || !_map?.getLayer('cells-pt')) return false;
+    const hit = _map.queryRenderedFeatures([[e.point.x - 6, e.point.y - 6], [e.point.x + 6, e.point.y + 6]], { layers: ['cells-pt'] })[0];
+    const t = hit && cells().find(c => c.id === hit.properties.id);
+    if (!t) return false;
+    const now = t.pts[t.pts.length - 1];
+    const eta = etas().filter(x => x.id === t.id);
+    const html = `<div class="cell-pop">
+      <div class="cell-pop-h">Cell ${esc(t.id)} · ${now.maxDbz} dBZ</div>
+      <div class="cell-pop-r">${t.moving ? `Moving from ${Math.round((t.dir + 180) % 360)}° at ${Math.round(t.speedKt)} kt` : 'Motion not yet known'} · ${Math.round(now.areaKm2)} km² · tracked ${t.pts.length} frames</div>
+      ${eta.length ? eta.map(x => `<div class="cell-pop-eta">${esc(x.place)}: ${x.min ? 'in ~' + x.min + ' min' : 'overhead now'}</div>`).join('') : '<div class="cell-pop-r">Not heading for any saved place in the next hour</div>'}
+    </div>`;
+    if (_popup) _popup.remove();
+    _popup = new mapboxgl.Popup({ closeButton: true, maxWidth: '260px', className: 'cell-popup' }).setLngLat([now.lng, now.lat]).setHTML(html).addTo(_map);
+    return true;
+  }
+
+  // ── Public API ───────────────────────────────────────────────
+  function cells() {
+    return _tracks.filter(t => t.active).map(t => {
+      // dir = direction the cell is heading, degrees from north
+      const dir = (Math.atan2(t.u, t.v) * 180 / Math.PI + 360) % 360;
+      return { ...t, dir, speedKt: Math.hypot(t.u, t.v) / 1.852, forecast: forecast(t) };
+    });
+  }
+
+  function etas() {
+    const out = [];
+    const places = _places() || [];
+    _tracks.filter(t => t.active).forEach(t => places.forEach(p => {
+      const e = etaTo(t, p);
+      if (e) out.push({ id: t.id, place: p.name, ...e });
+    }));
+    return out.sort((a, b) => a.min - b.min);
+  }
+
+  function init(map, placesFn) {
+    _map = map;
+    if (placesFn) _places = placesFn;
+    map.on('moveend', () => {
+      if (!_visible || window.Level2Canvas?.isVisible()) return;
+      clearTimeout(_moveTimer);
+      _moveTimer = setTimeout(refresh, 800);
+    });
+    if (window.Level2Canvas) Level2Canvas.onLoad = () => { if (_visible) refresh(); };
+  }
+
+  function show() { _visible = true; refresh(); return true; }
+  function hide() { _visible = false; _runSeq++; if (_popup) _popup.remove(); removeLayers(); return false; }
+  function toggle() { return _visible ? hide() : show(); }
+
+  const api = { init, show, hide, toggle, refresh, cells, etas, handleClick, render, isVisible: () => _visible, onUpdate: null };
+  return api;
+})();
@@ -0,0 +1,335 @@
+// ================================================================
+//  STORM SURGE WEATHER — Level II Canvas Renderer v14.0
+//
+//  Paints decoded Level II radials (from /api/radar/level2/radials,
+//  the compact "SSL2" binary format documented in radar_service.py)
+//  onto a Mapbox canvas source. The payload carries every base moment
+//  of one tilt, so switching product or colour table is a local
+//  repaint, and values under the cursor come straight from the gates.
+//
+//  Public API  (window.Level2Canvas)
+//    init(map, apiBase)
+//    load(station, tilt)        → Promise<info>  fetch + show a tilt
+//    setProduct(name)           reflectivity | velocity | zdr | cc | sw
+//    setColorTable(name)
+//    colorTables(product)       → [names]
+//    setOpacity(0–1)
+//    hide()
+//    sample(lng, lat)           → { product, value, unit, rangeKm,
+//                                   groundKm, azimuth, beamHeightKm } | null
+//    info()                     → { station, tilt, elevations, products,
+//                                   product, table, scanTime } | null
+//    isVisible()
+//    raster()                   → { values, w, h, extent, scanTime, station }
+//                                 reflectivity (dBZ, NaN = none) on the
+//                                 canvas grid, for cell detection
+//    onLoad                     callback(info) after each load()
+// ================================================================
+window.Level2Canvas = (() => {
+  'use strict';
+
+  const SRC_ID  = 'l2canvas-src';
+  const LYR_ID  = 'l2canvas-lyr';
+  const MAX_PX  = 1200;             // canvas edge; ~0.8 km/px over a 460 km radius
+  const KE_RE   = 4 / 3 * 6371;     // 4/3-earth radius for beam height (km)
+  const AZ_BINS = 3600;             // 0.1° azimuth lookup
+
+  const PRODUCTS = {
+    reflectivity: { label: 'Reflectivity', short: 'REF', unit: 'dBZ', min: 5 },
+    velocity:     { label: 'Velocity',     short: 'VEL', unit: 'm/s' },
+    zdr:          { label: 'Diff. Refl.',  short: 'ZDR', unit: 'dB'  },
+    cc:           { label: 'Corr. Coeff.', short: 'CC',  unit: 'ρhv' },
+    sw:           { label: 'Spectrum Width', short: 'SW', unit: 'm/s' },
+  };
+
+  // [value, colour] stops, linearly interpolated
+  const COLOR_TABLES = {
+    reflectivity: {
+      nws:  [[5,'#04e9e7'],[10,'#019ff4'],[15,'#0300f4'],[20,'#02fd02'],[25,'#01c501'],[30,'#008e00'],[35,'#fdf802'],[40,'#e5bc00'],[45,'#fd9500'],[50,'#fd0000'],[55,'#d40000'],[60,'#bc0000'],[65,'#f800fd'],[70,'#9854c6'],[75,'#ffffff']],
+      gr:   [[5,'#2c3e50'],[15,'#3a8fd9'],[20,'#1fb34a'],[30,'#0d6b22'],[35,'#f2e311'],[45,'#f28c11'],[50,'#e01b1b'],[60,'#8c0a0a'],[65,'#e81ee8'],[75,'#ffffff']],
+      gray: [[5,'#1a1a1a'],[75,'#ffffff']],
+    },
+    velocity: {
+      nws:    [[-64,'#00ff90'],[-40,'#00e000'],[-20,'#008000'],[-2,'#3c5c3c'],[0,'#777777'],[2,'#5c3c3c'],[20,'#8b0000'],[40,'#ff0000'],[64,'#ffb0b0']],
+      bright: [[-64,'#66ffff'],[-30,'#0080ff'],[-10,'#003399'],[0,'#303030'],[10,'#993300'],[30,'#ff6600'],[64,'#ffff66']],
+    },
+    zdr: { default: [[-4,'#303030'],[-1,'#8080a0'],[0,'#c0c0c0'],[1,'#00c0ff'],[2,'#00ff00'],[3,'#ffff00'],[4,'#ff8000'],[6,'#ff0000'],[8,'#ff00ff']] },
+    cc:  { default: [[0.2,'#000066'],[0.6,'#4040ff'],[0.8,'#00c0c0'],[0.9,'#00ff00'],[0.95,'#ffff00'],[0.97,'#ff8000'],[1.0,'#ff0000'],[1.05,'#ffc0ff']] },
+    sw:  { default: [[0,'#303030'],[4,'#4080ff'],[8,'#00ff00'],[12,'#ffff00'],[16,'#ff8000'],[20,'#ff0000']] },
+  };
+
+  let _map = null, _apiBase = '';
+  let _canvas = null, _ctx = null;
+  let _vol = null;            // parsed payload
+  let _product = 'reflectivity';
+  let _tables = {};           // product → chosen colour table name
+  let _opacity = 0.85;
+  let _visible = false;
+  let _loadSeq = 0;
+
+  // ── Payload ──────────────────────────────────────────────────
+  function parse(buf, station) {
+    const dv = new DataView(buf);
+    const magic = String.fromCharCode(...new Uint8Array(buf, 0, 4));
+    if (magic !== 'SSL2') throw new Error('Not a Level II radial payload');
+    const nprod = dv.getUint8(5), ntilt = dv.getUint8(6);
+    const vol = {
+      station, tilt: dv.getUint8(7),
+      lat: dv.getFloat32(8, true), lon: dv.getFloat32(12, true), heightKm: dv.getFloat32(16, true),
+      scanTime: dv.getFloat64(24, true) || null,
+      elevations: [], products: {},
+    };
+    let p = 32;
+    for (let i = 0; i < ntilt; i++, p += 4) vol.elevations.push(+dv.getFloat32(p, true).toFixed(2));
+    for (let i = 0; i < nprod; i++) {
+      const name = String.fromCharCode(...new Uint8Array(buf, p, 8)).trim();
+      const b = {
+        name, nrad: dv.getUint16(p + 8, true), ngates: dv.getUint16(p + 10, true),
+        elev: dv.getFloat32(p + 12, true), first: dv.getFloat32(p + 16, true), gate: dv.getFloat32(p + 20, true),
+        scale: dv.getFloat32(p + 24, true), offset: dv.getFloat32(p + 28, true), nyquist: dv.getFloat32(p + 32, true),
+      };
+      p += 36;
+      b.az = new Float32Array(b.nrad);
+      for (let r = 0; r < b.nrad; r++, p += 2) b.az[r] = dv.getUint16(p, true) / 100;
+      b.data = new Uint8Array(buf, p, b.nrad * b.ngates);
+      p += b.nrad * b.ngates;
+      b.azIndex = azLookup(b.az);
+      vol.products[name] = b;
+    }
+    return vol;
+  }
+
+  // Nearest radial for each 0.1° bin, -1 where the gap is over 1.5°
+  function azLookup(az) {
+    const out = new Int16Array(AZ_BINS).fill(-1);
+    const n = az.length; if (!n) return out;
+    let j = 0;
+    for (let k = 0; k < AZ_BINS; k++) {
+      const a = k / 10 + 0.05;
+      while (j < n - 1 && az[j + 1] <= a) j++;
+      let best = -1, bd = 1.5;
+      [j, (j + 1) % n, (j - 1 + n) % n].forEach(i => {
+        const d = Math.abs(((a - az[i] + 540) % 360) - 180);
+        if (d <= bd) { bd = d; best = i; }
+      });
+      out[k] = best;
+    }
+    return out;
+  }
+
+  // ── Geometry ─────────────────────────────────────────────────
+  const RAD = Math.PI / 180;
+  function fromRadar(lat, lng) {
+    const p1 = _vol.lat * RAD, p2 = lat * RAD, dl = (lng - _vol.lon) * RAD;
+    const a = Math.sin((p2 - p1) / 2) ** 2 + Math.cos(p1) * Math.cos(p2) * Math.sin(dl / 2) ** 2;
+    const ground = 2 * 6371 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    const az = (Math.atan2(Math.sin(dl) * Math.cos(p2), Math.cos(p1) * Math.sin(p2) - Math.sin(p1) * Math.cos(p2) * Math.cos(dl)) / RAD + 360) % 360;
+    return { ground, az };
+  }
+  const slantFor = (ground, el) => { const t = ground / KE_RE; return KE_RE * Math.sin(t) / Math.cos(t + el * RAD); };
+  const beamHeight = (slant, el) => Math.sqrt(slant * slant + KE_RE * KE_RE + 2 * slant * KE_RE * Math.sin(el * RAD)) - KE_RE + (_vol?.heightKm || 0);
+
+  function gateIndex(b, lat, lng) {
+    const { ground, az } = fromRadar(lat, lng);
+    const slant = slantFor(ground, b.elev);
+    const g = Math.round((slant - b.first) / b.gate);
+    const r = b.azIndex[Math.floor(az * 10) % AZ_BINS];
+    return { ground, az, slant, idx: slant > 0 && g >= 0 && g < b.ngates && r >= 0 ? r * b.ngates + g : -1 };
+  }
+
+  // Web Mercator extent of the radar's coverage
+  function extent() {
+    const maxKm = Math.max(...Object.values(_vol.products).map(b => b.first + b.gate * b.ngates));
+    const dlat = maxKm / 6371 / RAD;
+    const dlon = dlat / Math.max(Math.cos(_vol.lat * RAD), 0.01);
+    const px = Math.min(MAX_PX, Math.round(2 * maxKm / 0.25));
+    return { n: _vol.lat + dlat, s: _vol.lat - dlat, w: _vol.lon - dlon, e: _vol.lon + dlon, px };
+  }
+
+  // Canvas pixel → data index, built once per product per load
+  function pixelIndex(b) {
+    if (b.pixIndex) return b.pixIndex;
+    const { n, s, w, e, px } = _vol.extent;
+    const merc = lat => Math.log(Math.tan(Math.PI / 4 + lat * RAD / 2));
+    const yN = merc(n), yS = merc(s);
+    const out = new Int32Array(px * px);
+    for (let y = 0; y < px; y++) {
+      const lat = (2 * Math.atan(Math.exp(yN - (y + 0.5) / px * (yN - yS))) - Math.PI / 2) / RAD;
+      for (let x = 0; x < px; x++) out[y * px + x] = gateIndex(b, lat, w + (x + 0.5) / px * (e - w)).idx;
+    }
+    return (b.pixIndex = out);
+  }
+
+  // ── Colour ───────────────────────────────────────────────────
+  const hex = h => [parseInt(h.slice(1, 3), 16), parseInt(h.slice(3, 5), 16), parseInt(h.slice(5, 7), 16)];
+
+  function lut(b, product, table) {
+    const stops = (COLOR_TABLES[product] || {})[table] || Object.values(COLOR_TABLES[product] || COLOR_TABLES.sw)[0];
+    const min = PRODUCTS[product]?.min;
+    const out = new Uint8ClampedArray(256 * 4);
+    for (let raw = 1; raw < 256; raw++) {
+      const v = raw * b.scale + b.offset;
+      if (min != null && v < min) continue;
+      let i = stops.findIndex(s => s[0] >= v);
+      let c;
+      if (i <= 0) c = hex(stops[i < 0 ? stops.length - 1 : 0][1]);
+      else {
+        const [v0, c0] = stops[i - 1], [v1, c1] = stops[i];
+        const t = (v - v0) / (v1 - v0), a = hex(c0), z = hex(c1);
+        c = a.map((x, k) => x + (z[k] - x) * t);
+      }
+      out.set([c[0], c[1], c[2], 255], raw * 4);
+    }
+    return out;
+  }
+
+  function paint() {
+    const b = _vol?.products[_product];
+    if (!b || !_ctx) return;
+    const px = _vol.extent.px;
+    const index = pixelIndex(b);
+    const colors = lut(b, _product, _tables[_product]);
+    const img = _ctx.createImageData(px, px);
+    const d = img.data;
+    for (let i = 0; i < index.length; i++) {
+      const k = index[i];
+      if (k < 0) continue;
+      const c = b.data[k] * 4;
+      d[i * 4] = colors[c]; d[i * 4 + 1] = colors[c + 1]; d[i * 4 + 2] = colors[c + 2]; d[i * 4 + 3] = colors[c + 3];
+    }
+    _ctx.putImageData(img, 0, 0);
+    refreshSource();
+  }
+
+  // ── Map ──────────────────────────────────────────────────────
+  function coordinates() {
+    const { n, s, w, e } = _vol.extent;
+    return [[w, n], [e, n], [e, s], [w, s]];
+  }
+
+  // A paused canvas source only re-uploads its texture while playing
+  function refreshSource() {
+    const src = _map?.getSource(SRC_ID);
+    if (!src) return;
+    src.play();
+    _map.once('render', () => src.pause());
+    _map.triggerRepaint();
+  }
+
+  function mount() {
+    const px = _vol.extent.px;
+    if (_canvas.width !== px) { _canvas.width = px; _canvas.height = px; }
+    const src = _map.getSource(SRC_ID);
+    if (src) { src.setCoordinates(coordinates()); return; }
+    _map.addSource(SRC_ID, { type: 'canvas', canvas: _canvas, coordinates: coordinates(), animate: false });
+    _map.addLayer({ id: LYR_ID, type: 'raster', source: SRC_ID,
+      paint: { 'raster-opacity': _opacity, 'raster-fade-duration': 0, 'raster-resampling': 'nearest' } });
+  }
+
+  function unmount() {
+    if (!_map) return;
+    try { if (_map.getLayer(LYR_ID))  _map.removeLayer(LYR_ID);  } catch (e) {}
+    try { if (_map.getSource(SRC_ID)) _map.removeSource(SRC_ID); } catch (e) {}
+  }
+
+  // ── Public API ───────────────────────────────────────────────
+  function init(map, apiBase) {
+    _map = map;
+    _apiBase = (apiBase || '').replace(/\/$/, '');
+    _canvas = document.createElement('canvas');
+    _canvas.width = _canvas.height = 1;
+    _ctx = _canvas.getContext('2d');
+  }
+
+  async function load(station, tilt = 0) {
+    if (!_map) throw new Error('Map not ready');
+    const seq = ++_loadSeq;
+    const r = await fetch(`${_apiBase}/api/radar/level2/radials?station=${encodeURIComponent(station)}&tilt=${tilt}`);
+    if (!r.ok) {
+      let msg = 'HTTP ' + r.status;
+      try { msg = (await r.json()).error || msg; } catch (e) {}
+      throw new Error(msg);
+    }
+    const vol = parse(await r.arrayBuffer(), station);
+    if (seq !== _loadSeq) return info();   // a newer load won
+    _vol = vol;
+    _vol.extent = extent();
+    if (!_vol.products[_product]) _product = Object.keys(_vol.products)[0];
+    mount();
+    _visible = true;
+    paint();
+    const out = info();
+    if (typeof api.onLoad === 'function') api.onLoad(out);
+    return out;
+  }
+
+  function setProduct(name) {
+    if (!_vol?.products[name]) return false;
+    _product = name;
+    paint();
+    return true;
+  }
+
+  function setColorTable(name) {
+    if (!(COLOR_TABLES[_product] || {})[name]) return;
+    _tables[_product] = name;
+    paint();
+  }
+
+  function colorTables(product) { return Object.keys(COLOR_TABLES[product || _product] || {}); }
+
+  function setOpacity(v) {
+    _opacity = Math.max(0, Math.min(1, v));
+    try { if (_map?.getLayer(LYR_ID)) _map.setPaintProperty(LYR_ID, 'raster-opacity', _opacity); } catch (e) {}
+  }
+
+  function hide() {
+    _visible = false;
+    _loadSeq++;
+    unmount();
+  }
+
+  function sample(lng, lat) {
+    const b = _visible && _vol?.products[_product];
+    if (!b) return null;
+    const g = gateIndex(b, lat, lng);
+    const raw = g.idx >= 0 ? b.data[g.idx] : 0;
+    return {
+      product: _product, unit: PRODUCTS[_product].unit,
+      value: raw ? raw * b.scale + b.offset : null,
+      rangeKm: g.slant, groundKm: g.ground, azimuth: g.az, elev: b.elev,
+      beamHeightKm: g.slant > 0 ? beamHeight(g.slant, b.elev) : null,
+    };
+  }
+
+  function info() {
+    if (!_vol) return null;
+    return {
+      station: _vol.station, tilt: _vol.tilt, elevations: _vol.elevations.slice(),
+      products: Object.keys(_vol.products), product: _product,
+      table: _tables[_product] || colorTables(_product)[0], scanTime: _vol.scanTime,
+      lat: _vol.lat, lng: _vol.lon,
+    };
+  }
+
+  function raster() {
+    const b = _vol?.products.reflectivity;
+    if (!b) return null;
+    const index = pixelIndex(b);
+    const values = new Float32Array(index.length).fill(NaN);
+    for (let i = 0; i < index.length; i++) {
+      const raw = index[i] >= 0 ? b.data[index[i]] : 0;
+      if (raw) values[i] = raw * b.scale + b.offset;
+    }
+    const px = _vol.extent.px;
+    return { values, w: px, h: px, extent: { ..._vol.extent }, scanTime: _vol.scanTime, station: _vol.station };
+  }
+
+  const api = {
+    init, load, setProduct, setColorTable, colorTables, setOpacity, hide, sample, info, raster,
+    isVisible: () => _visible,
+    onLoad: null,
+    PRODUCTS,
+  };
+  return api;
+})();
@@ -0,0 +1,205 @@
+// ================================================================
+//  STORM SURGE WEATHER — Loop Encoder v14.0
+//
+//  Turns a list of equally sized canvases into an animated file,
+//  in the browser with no libraries:
+//    GIF   own encoder — one median-cut palette shared by all frames
+//          (radar colours survive because the map is mostly flat),
+//          LZW compressed, loops forever
+//    WebM  MediaRecorder on a canvas stream, frames pushed by hand;
+//          runs in real time, so a loop takes as long as it plays
+//  MP4 is not encoded here: the desktop app converts the WebM with
+//  ffmpeg (window.electronExport, see electron-main.js).
+//
+//  Public API  (window.LoopEncoder)
+//    gif(canvases, delaysMs)          → Blob image/gif
+//    webm(canvases, delaysMs)         → Promise<Blob video/webm>
+//    supports(format)                 → bool   'gif' | 'webm'
+// ================================================================
+window.LoopEncoder = (() => {
+  'use strict';
+
+  const SAMPLE_STEP = 3;   // palette is built from every 3rd pixel
+
+  // ── Palette (median cut on a 5-bit-per-channel histogram) ────
+  function histogram(frames) {
+    const hist = new Uint32Array(32768);
+    frames.forEach(d => {
+      for (let i = 0; i < d.length; i += 4 * SAMPLE_STEP)
+        hist[((d[i] >> 3) << 10) | ((d[i + 1] >> 3) << 5) | (d[i + 2] >> 3)]++;
+    });
+    return hist;
+  }
+
+  function medianCut(hist, size) {
+    const all = [];
+    for (let k = 0; k < hist.length; k++) if (hist[k]) all.push(k);
+    const ch = (k, c) => (k >> (10 - c * 5)) & 31;
+    const box = keys => {
+      let n = 0;
+      const lo = [31, 31, 31], hi = [0, 0, 0];
+      keys.forEach(k => {
+        n += hist[k];
+        for (let c = 0; c < 3; c++) { lo[c] = Math.min(lo[c], ch(k, c)); hi[c] = Math.max(hi[c], ch(k, c)); }
+      });
+      const span = hi.map((h, c) => h - lo[c]);
+      const axis = span.indexOf(Math.max(...span));
+      return { keys, n, axis, score: n * (span[axis] + 1) };
+    };
+    const boxes = [box(all)];
+    while (boxes.length < size) {
+      let bi = -1;
+      boxes.forEach((b, i) => { if (b.keys.length > 1 && (bi < 0 || b.score > boxes[bi].score)) bi = i; });
+      if (bi < 0) break;
+      const b = boxes[bi];
+      b.keys.sort((p, q) => ch(p, b.axis) - ch(q, b.axis));
+      let acc = 0, cut = 1;
+      for (; cut < b.keys.length - 1; cut++) { acc += hist[b.keys[cut - 1]]; if (acc >= b.n / 2) break; }
+      boxes.splice(bi, 1, box(b.keys.slice(0, cut)), box(b.keys.slice(cut)));
+    }
+    return boxes.map(b => {
+      const s = [0, 0, 0];
+      b.keys.forEach(k => { for (let c = 0; c < 3; c++) s[c] += (ch(k, c) * 8 + 4) * hist[k]; });
+      return s.map(v => Math.round(v / Math.max(1, b.n)));
+    });
+  }
+
+  // Frame pixels → palette indices, nearest colour memoised per bucket
+  function indexer(palette) {
+    const memo = new Int16Array(32768).fill(-1);
+    return d => {
+      const out = new Uint8Array(d.length / 4);
+      for (let i = 0, p = 0; i < d.length; i += 4, p++) {
+        const k = ((d[i] >> 3) << 10) | ((d[i + 1] >> 3) << 5) | (d[i + 2] >> 3);
+        let idx = memo[k];
+        if (idx < 0) {
+          let best = Infinity;
+          for (let j = 0; j < palette.length; j++) {
+            const [r, g, b] = palette[j];
+            const dist = (r - d[i]) ** 2 + (g - d[i + 1]) ** 2 + (b - d[i + 2]) ** 2;
+            if (dist < best) { best = dist; idx = j; }
+          }
+          memo[k] = idx;
+        }
+        out[p] = idx;
+      }
+      return out;
+    };
+  }
+
+  // ── GIF writer ───────────────────────────────────────────────
+  function ByteOut() {
+    let buf = new Uint8Array(1 << 16), n = 0;
+    const grow = k => { if (n + k > buf.length) { const b = new Uint8Array(Math.max(buf.length * 2, n + k)); b.set(buf); buf = b; } };
+    return {
+      byte(v) { grow(1); buf[n++] = v; },
+      word(v) { grow(2); buf[n++] = v & 255; buf[n++] = (v >> 8) & 255; },
+      str(s)  { for (let i = 0; i < s.length; i++) this.byte(s.charCodeAt(i)); },
+      bytes(a) { grow(a.length); buf.set(a, n); n += a.length; },
+      done()  { return buf.subarray(0, n); },
+    };
+  }
+
+  // Variable-width LZW, min code size 8, written as 255-byte sub-blocks
+  function lzw(out, px) {
+    const CLEAR = 256, EOI = 257;
+    const block = new Uint8Array(255);
+    let blen = 0, acc = 0, bits = 0, size = 9, next = EOI + 1;
+    const dict = new Map();
+    const flushByte = b => { block[blen++] = b; if (blen === 255) { out.byte(255); out.bytes(block); blen = 0; } };
+    const emit = code => {
+      acc |= code << bits; bits += size;
+      while (bits >= 8) { flushByte(acc & 255); acc >>>= 8; bits -= 8; }
+    };
+    out.byte(8);
+    emit(CLEAR);
+    let prefix = px[0];
+    for (let i = 1; i < px.length; i++) {
+      const k = px[i], key = (prefix << 8) | k;
+      const hit = dict.get(key);
+      if (hit !== undefined) { prefix = hit; continue; }
+      emit(prefix);
+      if (next === 4096) {
+        emit(CLEAR);
+        dict.clear(); size = 9; next = EOI + 1;
+      } else {
+        if (next >= (1 << size)) size++;
+        dict.set(key, next++);
+      }
+      prefix = k;
+    }
+    emit(prefix);
+    emit(EOI);
+    if (bits > 0) flushByte(acc & 255);
+    if (blen) { out.byte(blen); out.bytes(block.subarray(0, blen)); }
+    out.byte(0);
+  }
+
+  function gif(canvases, delays) {
+    const w = canvases[0].width, h = canvases[0].height;
+    const frames = canvases.map(c => c.getContext('2d').getImageData(0, 0, w, h).data);
+    const palette = medianCut(histogram(frames), 256);
+    while (palette.length < 256) palette.push([0, 0, 0]);
+    const toIdx = indexer(palette);
+
+    const out = ByteOut();
+    out.str('GIF89a');
+    out.word(w); out.word(h);
+    out.byte(0xF7); out.byte(0); out.byte(0);          // global table, 256 colours
+    palette.forEach(([r, g, b]) => { out.byte(r); out.byte(g); out.byte(b); });
+    out.byte(0x21); out.byte(0xFF); out.byte(11); out.str('NETSCAPE2.0');
+    out.byte(3); out.byte(1); out.word(0); out.byte(0); // loop forever
+    frames.forEach((d, i) => {
+      out.byte(0x21); out.byte(0xF9); out.byte(4);
+      out.byte(0x04);                                    // dispose: leave in place
+      out.word(Math.max(2, Math.round((delays[i] || 500) / 10)));
+      out.byte(0); out.byte(0);
+      out.byte(0x2C); out.word(0); out.word(0); out.word(w); out.word(h); out.byte(0);
+      lzw(out, toIdx(d));
+    });
+    out.byte(0x3B);
+    return new Blob([out.done()], { type: 'image/gif' });
+  }
+
+  // ── WebM via MediaRecorder ───────────────────────────────────
+  function webmType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+      .find(t => MediaRecorder.isTypeSupported(t)) || null;
+  }
+
+  function webm(canvases, delays) {
+    const type = webmType();
+    if (!type) return Promise.reject(new Error('WebM recording not supported in this browser'));
+    const c = document.createElement('canvas');
+    c.width = canvases[0].width; c.height = canvases[0].height;
+    const ctx = c.getContext('2d');
+    const stream = c.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const rec = new MediaRecorder(stream, { mimeType: type, videoBitsPerSecond: 6e6 });
+    const chunks = [];
+    rec.ondataavailable = e => { if (e.data.size) chunks.push(e.data); };
+    const wait = ms => new Promise(r => setTimeout(r, ms));
+    return new Promise((resolve, reject) => {
+      rec.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+      rec.onerror = e => reject(e.error || new Error('Recording failed'));
+      rec.start();
+      (async () => {
+        for (let i = 0; i < canvases.length; i++) {
+          ctx.drawImage(canvases[i], 0, 0);
+          if (track.requestFrame) track.requestFrame();
+          await wait(delays[i] || 500);
+        }
+        rec.stop();
+      })();
+    });
+  }
+
+  function supports(format) {
+    if (format === 'gif') return true;
+    if (format === 'webm') return !!webmType() && !!HTMLCanvasElement.prototype.captureStream;
+    return false;
+  }
+
+  return { gif, webm, supports };
+})();
@@ -1,6 +1,7 @@
 // ================================================================
 //  STORM SURGE WEATHER — NEXRAD Panel UI v13.7
 //  Depends on: window.NexradRadar (nexrad.js)
+//              window.Level2Canvas (level2-canvas.js, optional)
 // ================================================================
 (function () {
   'use strict';
@@ -21,6 +22,7 @@
   };
 
   const state = { open: false, product: 'N0Q', stationId: null, opacity: 0.85 };
+  const l2 = { product: 'reflectivity', tilt: 0, busy: false };
 
   const LEGENDS = {
     N0Q: { label: 'Reflectivity (dBZ)',          gradient: 'linear-gradient(to right,#555 0%,#04e9e7 15%,#019ff4 30%,#02fd02 45%,#fdf802 60%,#fd9500 75%,#fd0000 90%,#bc0000 100%)', scale: ['-30','0','20','40','60','75+'] },
@@ -87,6 +89,26 @@
           <button class="np-btn np-btn-danger" id="npHideBtn">✕ Hide</button>
         </div>
       </div>
+      <div class="np-section" id="npL2Sec">
+        <div class="np-label">LEVEL II (AWS)</div>
+        <div class="np-products" id="npL2Products">
+          ${Object.entries(window.Level2Canvas?.PRODUCTS || {}).map(([k,p])=>`
+            <button class="np-prod-btn${k===l2.product?' active':''}" data-l2="${k}" title="${p.label} (${p.unit})">
+              <span class="np-prod-label">${p.short}</span>
+            </button>`).join('')}
+        </div>
+        <div class="np-actions">
+          <button class="np-btn np-btn-sm" id="npL2TiltDn" title="Lower tilt">▼</button>
+          <span class="np-l2-tilt" id="npL2Tilt">—</span>
+          <button class="np-btn np-btn-sm" id="npL2TiltUp" title="Higher tilt">▲</button>
+          <select class="np-input" id="npL2Table" title="Colour table"></select>
+        </div>
+        <div class="np-actions">
+          <button class="np-btn np-btn-primary" id="npL2Load">⬇ Load Level II</button>
+          <button class="np-btn np-btn-danger" id="npL2Hide">✕</button>
+        </div>
+        <div class="np-sta-empty" id="npL2Status">Full-resolution scan of the selected station, drawn in the browser</div>
+      </div>
       <div class="np-section np-legend">
         <div class="np-label">LEGEND — <span id="npLegendProduct">Reflectivity (dBZ)</span></div>
         <div class="np-legend-bar" id="npLegendBar"></div>
@@ -143,6 +165,42 @@
     }
   }
 
+  // ── Level II ────────────────────────────────────────────────
+  function l2Status(msg) { const el=$('npL2Status'); if (el) el.textContent = msg; }
+
+  function l2Sync() {
+    const info = window.Level2Canvas?.info();
+    const tables = window.Level2Canvas ? Level2Canvas.colorTables(l2.product) : [];
+    const sel = $('npL2Table');
+    if (sel) {
+      sel.innerHTML = tables.map(t=>`<option value="${t}">${t}</option>`).join('');
+      if (info && info.product===l2.product) sel.value = info.table;
+      sel.disabled = tables.length < 2;
+    }
+    document.querySelectorAll('#npL2Products .np-prod-btn').forEach(b => b.classList.toggle('active', b.dataset.l2===l2.product));
+    const tilt = $('npL2Tilt');
+    if (tilt) tilt.textContent = info ? `${info.elevations[info.tilt]?.toFixed(1) ?? '?'}° (${info.tilt+1}/${info.elevations.length})` : '—';
+  }
+
+  async function l2Load(tilt) {
+    if (!window.Level2Canvas || l2.busy) return;
+    const id = state.stationId;
+    if (!id) { l2Status('Select a station first'); return; }
+    l2.busy = true;
+    l2Status(`Loading ${id} Level II…`);
+    try {
+      const info = await Level2Canvas.load(id, tilt);
+      l2.tilt = info.tilt;
+      if (!Level2Canvas.setProduct(l2.product)) l2.product = info.product;
+      Level2Canvas.setOpacity(state.opacity);
+      l2Status(`${info.station} · ${info.scanTime ? new Date(info.scanTime).toISOString().slice(11,16)+'Z' : 'latest scan'}`);
+    } catch (e) {
+      l2Status('Level II unavailable: ' + e.message);
+    }
+    l2.busy = false;
+    l2Sync();
+  }
+
   function updateToggleBtn(visible) {
     const btn = $('npToggleBtn');
     if (!btn) return;
@@ -216,6 +274,22 @@
       state.opacity = pct/100;
       const val = $('npOpacityVal'); if (val) val.textContent = pct+'%';
       if (window.NexradRadar) NexradRadar.setOpacity(state.opacity);
+      if (window.Level2Canvas) Level2Canvas.setOpacity(state.opacity);
+    });
+
+    $('npL2Products')?.addEventListener('click', e => {
+      const btn = e.target.closest('.np-prod-btn'); if (!btn) return;
+      l2.product = btn.dataset.l2;
+      Level2Canvas.setProduct(l2.product);
+      l2Sync();
+    });
+    $('npL2Table')?.addEventListener('change', e => Level2Canvas.setColorTable(e.target.value));
+    $('npL2Load')?.addEventListener('click', () => l2Load(l2.tilt));
+    $('npL2Hide')?.addEventListener('click', () => { Level2Canvas.hide(); l2Status('Hidden'); });
+    $('npL2TiltDn')?.addEventListener('click', () => { if (Level2Canvas.info() && l2.tilt > 0) l2Load(l2.tilt - 1); });
+    $('npL2TiltUp')?.addEventListener('click', () => {
+      const info = Level2Canvas.info();
+      if (info && l2.tilt < info.elevations.length - 1) l2Load(l2.tilt + 1);
     });
 
     $('npToggleBtn')?.addEventListener('click', () => {
@@ -243,6 +317,7 @@
       buildPanel();
       bindEvents();
       updateLegend('N0Q');
+      if (window.Level2Canvas) l2Sync(); else $('npL2Sec')?.remove();
       if (window.NexradRadar) {
         NexradRadar.onStationChange = st => {
           state.stationId = st.id;
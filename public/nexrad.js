@@ -17,10 +17,17 @@
 //    show(stationId, product)
 //    hide()
 //    setProduct(product)
-//    setOpacity(0–1)
+//    setOpacity(0–1)                      — IEM tiles and Level II overlay
+//    showLevel2({ station, product, tilt, motion })  → meta (Level II
+//                                           sweep from the Python service,
+//                                           georeferenced on the map)
+//    hideLevel2()
+//    getLevel2()                          — current overlay meta or null
 //    loadNearestStation(lat, lng)
 //    getActiveStation()
 //    getProducts()
+//    sample(lng, lat)                     → Promise<{ rgba, product, station }
+//                                           | null> — tile colour under a point
 //    destroy()
 //    onStationChange   callback(station)  — fired after show()
 //    onProductChange   callback(product)
@@ -44,6 +51,8 @@
   const RING_LYR = 'nexrad-rings';
   const LABEL_SRC= 'nexrad-label-src';
   const LABEL_LYR= 'nexrad-label';
+  const L2_SRC   = 'nexrad-l2-src';
+  const L2_LYR   = 'nexrad-l2-lyr';
 
   // ── State ─────────────────────────────────────────────────────
   let _map         = null;
@@ -53,6 +62,7 @@
   let _opacity     = 0.85;
   let _visible     = false;
   let _refreshTimer= null;
+  let _l2          = null;   // { station, product, tilt, motion, meta } while the Level II overlay is up
   const REFRESH_MS = 5 * 60 * 1000;
 
   // ── Helpers ──────────────────────────────────────────────────
@@ -144,6 +154,77 @@
     } catch (e) {}
   }
 
+  // ── Level II overlay ─────────────────────────────────────────
+  // /api/radar/level2/geo returns a PNG url plus the corner coordinates
+  // of its Web Mercator extent, which is exactly what an image source takes.
+  async function fetchLevel2(opts) {
+    const q = new URLSearchParams({ station: opts.station, product: opts.product || 'reflectivity' });
+    if (opts.tilt != null) q.set('tilt', opts.tilt);
+    if (opts.motion) q.set('motion', opts.motion);
+    const r = await fetch(`${_apiBase}/api/radar/level2/geo?${q}`);
+    const d = await r.json();
+    if (!r.ok || d.error) throw new Error(d.error || 'HTTP ' + r.status);
+    return d;
+  }
+
+  function putLevel2(meta) {
+    const url = `${_apiBase}${meta.url}`;
+    const src = _map.getSource(L2_SRC);
+    if (src) { src.updateImage({ url, coordinates: meta.coordinates }); return; }
+    _map.addSource(L2_SRC, { type: 'image', url, coordinates: meta.coordinates });
+    _map.addLayer({
+      id: L2_LYR, type: 'raster', source: L2_SRC,
+      paint: { 'raster-opacity': _opacity, 'raster-fade-duration': 0, 'raster-resampling': 'nearest' }
+    });
+  }
+
+  function removeLevel2() {
+    if (!_map) return;
+    try { if (_map.getLayer(L2_LYR))  _map.removeLayer(L2_LYR);  } catch (e) {}
+    try { if (_map.getSource(L2_SRC)) _map.removeSource(L2_SRC); } catch (e) {}
+  }
+
+  // ── Pixel sampling ───────────────────────────────────────────
+  // Tiles come through our own proxy, so they can be read back; the
+  // last few are kept decoded for the cursor readout.
+  const _sampleTiles = new Map();   // url → Promise<Uint8ClampedArray|null>
+  const SAMPLE_KEEP  = 24;
+
+  function tileData(url) {
+    if (_sampleTiles.has(url)) return _sampleTiles.get(url);
+    const p = new Promise(resolve => {
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      img.onload = () => {
+        const c = document.createElement('canvas');
+        c.width = c.height = 256;
+        const ctx = c.getContext('2d');
+        ctx.drawImage(img, 0, 0, 256, 256);
+        try { resolve(ctx.getImageData(0, 0, 256, 256).data); } catch (e) { resolve(null); }
+      };
+      img.onerror = () => resolve(null);
+      img.src = url;
+    });
+    _sampleTiles.set(url, p);
+    if (_sampleTiles.size > SAMPLE_KEEP) _sampleTiles.delete(_sampleTiles.keys().next().value);
+    return p;
+  }
+
+  async function sampleTile(lng, lat) {
+    const z   = Math.max(2, Math.min(12, Math.floor(_map.getZoom())));
+    const n   = 1 << z;
+    const rad = Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180;
+    const gx  = ((lng + 180) / 360) * n;
+    const gy  = (1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * n;
+    const x   = ((Math.floor(gx) % n) + n) % n, y = Math.floor(gy);
+    if (y < 0 || y >= n) return null;
+    const url  = nexradTileUrl().replace('{z}', z).replace('{x}', x).replace('{y}', y);
+    const data = await tileData(url);
+    if (!data) return null;
+    const i = (Math.min(255, Math.floor((gy - y) * 256)) * 256 + Math.min(255, Math.floor((gx - Math.floor(gx)) * 256))) * 4;
+    return [data[i], data[i + 1], data[i + 2], data[i + 3]];
+  }
+
   function startRefreshTimer() {
     if (_refreshTimer) clearInterval(_refreshTimer);
     _refreshTimer = setInterval(refreshTiles, REFRESH_MS);
@@ -192,10 +273,26 @@
 
     setOpacity(val) {
       _opacity = Math.max(0, Math.min(1, val));
-      if (!_map || !_visible) return;
-      try { _map.setPaintProperty('nexrad-tiles-lyr', 'raster-opacity', _opacity); } catch (e) {}
+      if (!_map) return;
+      if (_visible) try { _map.setPaintProperty('nexrad-tiles-lyr', 'raster-opacity', _opacity); } catch (e) {}
+      if (_l2) try { _map.setPaintProperty(L2_LYR, 'raster-opacity', _opacity); } catch (e) {}
+    },
+
+    async showLevel2(opts) {
+      if (!_map || !opts?.station) return null;
+      const meta = await fetchLevel2(opts);
+      putLevel2(meta);
+      _l2 = { ...opts, meta };
+      return meta;
     },
 
+    hideLevel2() {
+      _l2 = null;
+      removeLevel2();
+    },
+
+    getLevel2() { return _l2 ? { ..._l2 } : null; },
+
     async loadNearestStation(lat, lng) {
       if (!_apiBase) return null;
       try {
@@ -218,10 +315,17 @@
     getActiveProduct() { return _product; },
     refresh()          { refreshTiles(); },
 
+    async sample(lng, lat) {
+      if (!_map || !_visible || !_station) return null;
+      const rgba = await sampleTile(lng, lat);
+      return rgba ? { rgba, product: _product, station: { ..._station } } : null;
+    },
+
     destroy() {
       stopRefreshTimer();
       removeMapLayers();
-      _map = null; _station = null; _visible = false;
+      removeLevel2();
+      _map = null; _station = null; _visible = false; _l2 = null;
     }
   };
 
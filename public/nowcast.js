@@ -0,0 +1,224 @@
+// ================================================================
+//  EXTRAPOLATED NOWCAST  v14.0
+//  Our own short-range forecast frames, for when RainViewer's nowcast
+//  is missing or ends too soon: a motion field is estimated from the
+//  last past frames (block matching on reflectivity) and the latest
+//  frame is advected along it, semi-Lagrangian, out to 60 minutes.
+//
+//  Growth and decay are not modelled, so echoes are faded with lead
+//  time to show the falling confidence.
+//
+//  Public API (window.Nowcast):
+//    Nowcast.extrapolate(animator, { after, minutes, step })
+//        → Promise<[{ time, lead, extrapolated:true, raster }]>
+//          raster frames for RadarAnimator, covering the current view,
+//          for leads past `after` (unix s) up to `minutes` ahead
+//    Nowcast.motion()   → last motion field summary { u, v, n } (px/s,
+//                          mean over blocks with echo) or null
+// ================================================================
+
+window.Nowcast = (() => {
+  'use strict';
+
+  const RASTER_PX = 1024;   // composite size of the source frames
+  const DOWN      = 4;      // flow is estimated on a 1/DOWN grid
+  const BLOCK     = 8;      // block size on that grid
+  const MIN_DBZ   = 15;     // echoes weaker than this don't steer the match
+  const MAX_KMH   = 130;    // search radius, as a speed
+  const FADE_60   = 0.5;    // alpha left at 60 min
+
+  let _motion = null;
+
+  // ── Intensity grid ───────────────────────────────────────────
+  // max(0, dBZ − MIN_DBZ), averaged down DOWN×DOWN
+  function intensity(r) {
+    const w = Math.floor(r.w / DOWN), h = Math.floor(r.h / DOWN);
+    const out = new Float32Array(w * h);
+    const px = [0, 0, 0, 0];
+    for (let y = 0; y < h * DOWN; y++) {
+      for (let x = 0; x < w * DOWN; x++) {
+        const i = (y * r.w + x) * 4;
+        if (r.data[i + 3] < 24) continue;
+        px[0] = r.data[i]; px[1] = r.data[i + 1]; px[2] = r.data[i + 2]; px[3] = r.data[i + 3];
+        const v = RadarReadout.dbz(px, r.color, r.archive);
+        if (v != null && v > MIN_DBZ) out[Math.floor(y / DOWN) * w + Math.floor(x / DOWN)] += (v - MIN_DBZ) / (DOWN * DOWN);
+      }
+    }
+    return { v: out, w, h };
+  }
+
+  // ── Block matching ───────────────────────────────────────────
+  // Displacement of each block from a to b (grid px), NaN where a block
+  // has too little echo to say.
+  function blockFlow(a, b, radius) {
+    const bw = Math.floor(a.w / BLOCK), bh = Math.floor(a.h / BLOCK);
+    const dx = new Float32Array(bw * bh).fill(NaN), dy = new Float32Array(bw * bh).fill(NaN);
+    for (let by = 0; by < bh; by++) {
+      for (let bx = 0; bx < bw; bx++) {
+        const x0 = bx * BLOCK, y0 = by * BLOCK;
+        let lit = 0;
+        for (let y = y0; y < y0 + BLOCK; y++) for (let x = x0; x < x0 + BLOCK; x++) if (a.v[y * a.w + x] > 0) lit++;
+        if (lit < BLOCK * BLOCK / 4) continue;
+        const sadAt = (ox, oy, limit) => {
+          let sad = 0;
+          for (let y = y0; y < y0 + BLOCK && sad < limit; y++) {
+            const ra = y * a.w, rb = (y + oy) * b.w + ox;
+            for (let x = x0; x < x0 + BLOCK; x++) sad += Math.abs(a.v[ra + x] - b.v[rb + x]);
+          }
+          return sad;
+        };
+        const zero = sadAt(0, 0, Infinity);
+        let best = zero, bdx = 0, bdy = 0;
+        for (let oy = -radius; oy <= radius; oy++) {
+          for (let ox = -radius; ox <= radius; ox++) {
+            if (y0 + oy < 0 || x0 + ox < 0 || y0 + oy + BLOCK > b.h || x0 + ox + BLOCK > b.w) continue;
+            const sad = sadAt(ox, oy, best);
+            if (sad < best) { best = sad; bdx = ox; bdy = oy; }
+          }
+        }
+        // Blocks inside a uniform echo match anywhere; leave them to the fill
+        if ((bdx || bdy) && best >= zero * 0.95) continue;
+        dx[by * bw + bx] = bdx; dy[by * bw + bx] = bdy;
+      }
+    }
+    return { dx, dy, bw, bh };
+  }
+
+  // Blocks without a vector take their neighbours' average, spreading
+  // outward; anything still unreached gets the mean motion.
+  function fill(arr, bw, bh, mean) {
+    for (let pass = 0; pass < Math.max(bw, bh); pass++) {
+      let missing = 0;
+      const next = arr.slice();
+      for (let i = 0; i < arr.length; i++) {
+        if (!isNaN(arr[i])) continue;
+        const x = i % bw, y = (i - x) / bw;
+        let s = 0, k = 0;
+        if (x > 0      && !isNaN(arr[i - 1]))  { s += arr[i - 1];  k++; }
+        if (x < bw - 1 && !isNaN(arr[i + 1]))  { s += arr[i + 1];  k++; }
+        if (y > 0      && !isNaN(arr[i - bw])) { s += arr[i - bw]; k++; }
+        if (y < bh - 1 && !isNaN(arr[i + bw])) { s += arr[i + bw]; k++; }
+        if (k) next[i] = s / k; else missing++;
+      }
+      arr.set(next);
+      if (!missing) break;
+    }
+    for (let i = 0; i < arr.length; i++) if (isNaN(arr[i])) arr[i] = mean;
+  }
+
+  // 3×3 box filter, so the field has no block edges
+  function smooth(arr, bw, bh) {
+    const out = new Float32Array(arr.length);
+    for (let y = 0; y < bh; y++) for (let x = 0; x < bw; x++) {
+      let s = 0, k = 0;
+      for (let oy = -1; oy <= 1; oy++) for (let ox = -1; ox <= 1; ox++) {
+        const nx = x + ox, ny = y + oy;
+        if (nx >= 0 && ny >= 0 && nx < bw && ny < bh) { s += arr[ny * bw + nx]; k++; }
+      }
+      out[y * bw + x] = s / k;
+    }
+    arr.set(out);
+  }
+
+  // Motion field in full-resolution px per second, per block
+  function motionField(rasters) {
+    const grids = rasters.map(intensity);
+    const last = rasters[rasters.length - 1];
+    const n = 1 << last.z;
+    // km per grid px at the middle of the view
+    const midLat = Math.atan(Math.sinh(Math.PI * (1 - 2 * (last.y0 + last.h / 2 / (256 * last.scale)) / n)));
+    const kmPerPx = 40075 * Math.cos(midLat) / (n * 256 * last.scale) * DOWN;
+    const pairs = [];
+    for (let i = 1; i < grids.length; i++) {
+      const dt = rasters[i].time - rasters[i - 1].time;
+      if (dt <= 0) continue;
+      const radius = Math.max(2, Math.min(10, Math.ceil(MAX_KMH * dt / 3600 / kmPerPx)));
+      pairs.push({ f: blockFlow(grids[i - 1], grids[i], radius), dt });
+    }
+    if (!pairs.length || !pairs[0].f.dx.length) return null;
+    const { bw, bh } = pairs[0].f;
+    const u = new Float32Array(bw * bh).fill(NaN), v = new Float32Array(bw * bh).fill(NaN);
+    let su = 0, sv = 0, cnt = 0;
+    for (let i = 0; i < bw * bh; i++) {
+      let pu = 0, pv = 0, k = 0;
+      pairs.forEach(({ f, dt }) => { if (!isNaN(f.dx[i])) { pu += f.dx[i] * DOWN / dt; pv += f.dy[i] * DOWN / dt; k++; } });
+      if (!k) continue;
+      u[i] = pu / k; v[i] = pv / k;
+      su += u[i]; sv += v[i]; cnt++;
+    }
+    if (!cnt) return null;
+    fill(u, bw, bh, su / cnt); fill(v, bw, bh, sv / cnt);
+    for (let k = 0; k < 2; k++) { smooth(u, bw, bh); smooth(v, bw, bh); }
+    return { u, v, bw, bh, cell: BLOCK * DOWN, mean: { u: su / cnt, v: sv / cnt, n: cnt } };
+  }
+
+  // Bilinear sample of a block field at full-resolution pixel (x, y)
+  function at(f, arr, x, y) {
+    const gx = Math.max(0, Math.min(f.bw - 1.001, x / f.cell - 0.5));
+    const gy = Math.max(0, Math.min(f.bh - 1.001, y / f.cell - 0.5));
+    const x0 = Math.floor(gx), y0 = Math.floor(gy), tx = gx - x0, ty = gy - y0;
+    const x1 = Math.min(f.bw - 1, x0 + 1), y1 = Math.min(f.bh - 1, y0 + 1);
+    return (arr[y0 * f.bw + x0] * (1 - tx) + arr[y0 * f.bw + x1] * tx) * (1 - ty) +
+           (arr[y1 * f.bw + x0] * (1 - tx) + arr[y1 * f.bw + x1] * tx) * ty;
+  }
+
+  // ── Advection ────────────────────────────────────────────────
+  // Backward semi-Lagrangian with a midpoint step: each output pixel
+  // takes the colour found upstream along the motion field.
+  function advect(src, f, secs) {
+    const { w, h } = src;
+    const out = new Uint8ClampedArray(w * h * 4);
+    const fade = 1 - (1 - FADE_60) * Math.min(1, secs / 3600);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        let u = at(f, f.u, x, y), v = at(f, f.v, x, y);
+        const mx = x - u * secs / 2, my = y - v * secs / 2;
+        u = at(f, f.u, mx, my); v = at(f, f.v, mx, my);
+        const sx = Math.round(x - u * secs), sy = Math.round(y - v * secs);
+        if (sx < 0 || sy < 0 || sx >= w || sy >= h) continue;
+        const si = (sy * w + sx) * 4, oi = (y * w + x) * 4;
+        out[oi] = src.data[si]; out[oi + 1] = src.data[si + 1]; out[oi + 2] = src.data[si + 2];
+        out[oi + 3] = src.data[si + 3] * fade;
+      }
+    }
+    return out;
+  }
+
+  function toCanvas(data, w, h) {
+    const c = document.createElement('canvas');
+    c.width = w; c.height = h;
+    c.getContext('2d').putImageData(new ImageData(data, w, h), 0, 0);
+    return c;
+  }
+
+  // ── Public API ───────────────────────────────────────────────
+  async function extrapolate(animator, opts = {}) {
+    const minutes = opts.minutes || 60, step = opts.step || 10;
+    const past = animator.pastCount;
+    if (past < 2 || !window.RadarReadout) return [];
+    const rasters = [];
+    for (let i = Math.max(0, past - 3); i < past; i++) {
+      const r = await animator.frameRaster(i, RASTER_PX);
+      if (r) rasters.push(r);
+    }
+    if (rasters.length < 2) return [];
+    const f = motionField(rasters);
+    _motion = f ? { ...f.mean } : null;
+    if (!f) return [];
+    const last = rasters[rasters.length - 1];
+    const frames = [];
+    for (let lead = step; lead <= minutes; lead += step) {
+      const time = last.time + lead * 60;
+      if (opts.after && time <= opts.after) continue;
+      const data = advect(last, f, lead * 60);
+      frames.push({
+        time, lead, extrapolated: true,
+        raster: { canvas: toCanvas(data, last.w, last.h), data, w: last.w, h: last.h, z: last.z, x0: last.x0, y0: last.y0, scale: last.scale, color: last.color, archive: last.archive }
+      });
+      await new Promise(r => setTimeout(r));   // keep the page responsive between frames
+    }
+    return frames;
+  }
+
+  return { extrapolate, motion: () => _motion };
+})();
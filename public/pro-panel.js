@@ -95,15 +95,33 @@ window.ProPanel = (() => {
                 <option value="zdr">Diff. Reflectivity (ZDR)</option>
                 <option value="cc">Correlation Coefficient (CC)</option>
                 <option value="sw">Spectrum Width</option>
+                <optgroup label="Derived">
+                  <option value="srv">Storm-Relative Velocity</option>
+                  <option value="composite">Composite Reflectivity</option>
+                  <option value="echotops">Echo Tops (18 dBZ)</option>
+                  <option value="vil">Vert. Integrated Liquid</option>
+                </optgroup>
               </select>
             </div>
+            <div class="pp-col" id="l2MotionCol" style="flex:0;display:none">
+              <label class="pp-label" title="Direction the storm moves from / knots. Blank = estimate from the 0–6 km mean wind">Motion</label>
+              <input id="l2Motion" class="pp-input" placeholder="240/30" style="width:80px">
+            </div>
             <div class="pp-col" style="flex:0">
               <label class="pp-label">&nbsp;</label>
               <button id="l2Load" class="pp-btn pp-btn-primary">Load Scan</button>
             </div>
           </div>
           <div id="l2Status" class="pp-info-box" style="display:none"></div>
+          <div class="pp-row pp-tilt-row" id="l2TiltRow" style="display:none">
+            <button id="l2TiltDn" class="pp-btn" title="Lower tilt ([)">▼</button>
+            <span id="l2TiltLbl" class="pp-tilt-lbl"></span>
+            <button id="l2TiltUp" class="pp-btn" title="Higher tilt (])">▲</button>
+            <button id="l2Xsect" class="pp-btn" title="Draw a line on the map for a range-height cross-section">✂ Cross-section</button>
+            <button id="l2Map" class="pp-btn" title="Overlay this sweep on the main map (opacity follows the NEXRAD panel slider)">🗺 On map</button>
+          </div>
           <div id="l2Image" class="pp-radar-canvas"></div>
+          <div id="l2XsectImg" class="pp-radar-canvas"></div>
           <div id="l2Meta" class="pp-meta-row"></div>
         </div>
         <div class="pp-section">
@@ -129,23 +147,44 @@ window.ProPanel = (() => {
         </div>
       `;
 
-      document.getElementById('l2Load').addEventListener('click', async () => {
+      document.getElementById('l2Product').addEventListener('change', e => {
+        document.getElementById('l2MotionCol').style.display = e.target.value === 'srv' ? '' : 'none';
+      });
+
+      // Tilt stepping reuses the volume the service already decoded, so it's quick
+      const l2 = { tilt: 0, elevations: [], opts: null };
+      const loadScan = async (tilt) => {
         const station = document.getElementById('l2Station').value;
         const product = document.getElementById('l2Product').value;
+        const motion  = product === 'srv' ? document.getElementById('l2Motion').value.trim() : '';
         const status  = document.getElementById('l2Status');
         const imgDiv  = document.getElementById('l2Image');
         const meta    = document.getElementById('l2Meta');
+        const tiltRow = document.getElementById('l2TiltRow');
 
         status.style.display = 'block';
         status.className = 'pp-info-box pp-info-loading';
-        status.textContent = `Fetching latest scan from AWS S3 for ${station}…`;
-        imgDiv.innerHTML = '';
+        status.textContent = tilt ? `Loading tilt ${tilt + 1}…` : `Fetching latest scan from AWS S3 for ${station}…`;
+        if (!tilt) imgDiv.innerHTML = '';
 
         try {
-          const r = await fetch(`${API()}/api/radar/level2/render?station=${station}&product=${product}`);
+          const r = await fetch(`${API()}/api/radar/level2/render?station=${station}&product=${product}&tilt=${tilt || 0}${motion ? '&motion=' + encodeURIComponent(motion) : ''}`);
           const d = await r.json();
           if (d.error) throw new Error(d.error);
 
+          l2.tilt = d.tilt || 0;
+          l2.elevations = d.elevations || [];
+          l2.opts = { station, product, tilt: l2.tilt, motion };
+          // Keep the map overlay in step with what the panel shows
+          if (window.NexradRadar?.getLevel2()) NexradRadar.showLevel2(l2.opts).catch(() => {});
+          tiltRow.style.display = '';
+          const hasTilts = l2.elevations.length > 1;
+          document.getElementById('l2TiltLbl').textContent = l2.elevations.length
+            ? `${l2.elevations[l2.tilt]}° · tilt ${l2.tilt + 1}/${l2.elevations.length}`
+            : `${d.tilts || ''} tilts combined`;
+          document.getElementById('l2TiltDn').disabled = !hasTilts || l2.tilt === 0;
+          document.getElementById('l2TiltUp').disabled = !hasTilts || l2.tilt >= l2.elevations.length - 1;
+
           status.className = 'pp-info-box pp-info-success';
           status.textContent = `✓ Scan loaded — ${d.scan_time || 'latest'} · ${d.available_sweeps || '?'} sweeps · Fields: ${(d.available_fields||[]).join(', ')}`;
 
@@ -155,7 +194,8 @@ window.ProPanel = (() => {
                    style="max-width:100%;border-radius:8px;border:1px solid rgba(255,255,255,.1)"
                    alt="NEXRAD Level II ${product}" />
               <div style="margin-top:6px;font-size:.72rem;color:var(--t3)">
-                ${_esc(station)} · ${_esc(product)} · Range ~${Math.round(d.range_km||250)}km
+                ${_esc(station)} · ${_esc(product)} · Range ~${Math.round(d.range_km||250)}km${d.elevation_deg != null ? ` · ${d.elevation_deg}°` : ''}${d.tilts ? ` · ${d.tilts} tilts` : ''}
+                ${d.storm_motion ? `<br>Storm motion ${d.storm_motion.dir}° / ${d.storm_motion.speed_kt} kt (${d.storm_motion.source === 'user' ? 'entered' : 'estimated from mean wind'})` : ''}
               </div>
             </div>
           `;
@@ -169,6 +209,67 @@ window.ProPanel = (() => {
           status.className = 'pp-info-box pp-info-error';
           status.textContent = `Error: ${e.message}. The Python radar service must be running (python3 radar_service.py).`;
         }
+      };
+
+      const stepTilt = (d) => {
+        const next = l2.tilt + d;
+        if (next >= 0 && next < l2.elevations.length) loadScan(next);
+      };
+
+      // Hide the panel while the user clicks two points on the map
+      const drawXsect = () => {
+        if (typeof window.pickLine !== 'function') return;
+        const station = document.getElementById('l2Station').value;
+        const sel     = document.getElementById('l2Product').value;
+        const product = ['reflectivity', 'velocity', 'zdr', 'cc', 'sw'].includes(sel) ? sel : 'reflectivity';
+        const out     = document.getElementById('l2XsectImg');
+        _panel.style.display = 'none';
+        window.pickLine(async pts => {
+          if (_open) _panel.style.display = 'flex';
+          if (!pts) return;
+          const [[lng1, lat1], [lng2, lat2]] = pts;
+          out.innerHTML = '<div class="pp-loading">Building cross-section from the full volume…</div>';
+          try {
+            const r = await fetch(`${API()}/api/radar/level2/xsect?station=${station}&product=${product}&start=${lat1.toFixed(4)},${lng1.toFixed(4)}&end=${lat2.toFixed(4)},${lng2.toFixed(4)}`);
+            const d = await r.json();
+            if (d.error) throw new Error(d.error);
+            out.innerHTML = `
+              <img src="data:image/png;base64,${d.image_b64}"
+                   style="max-width:100%;border-radius:8px;border:1px solid rgba(255,255,255,.1)"
+                   alt="${_esc(product)} cross-section" />
+              <div style="margin-top:6px;font-size:.72rem;color:var(--t3)">
+                ${_esc(station)} · ${_esc(product)} · ${d.length_km} km · ${d.tilts} tilts · ${_esc(d.scan_time || '')}
+              </div>`;
+          } catch(e) {
+            out.innerHTML = `<div class="pp-info-box pp-info-error">Cross-section failed: ${_esc(e.message)}</div>`;
+          }
+        }, `✂ ${station} ${product}: click the start point — Esc to cancel`);
+      };
+
+      document.getElementById('l2Load').addEventListener('click', () => loadScan(0));
+      document.getElementById('l2TiltDn').addEventListener('click', () => stepTilt(-1));
+      document.getElementById('l2TiltUp').addEventListener('click', () => stepTilt(1));
+      document.getElementById('l2Xsect').addEventListener('click', drawXsect);
+      const mapBtn = document.getElementById('l2Map');
+      mapBtn.classList.toggle('pp-btn-primary', !!window.NexradRadar?.getLevel2());
+      mapBtn.addEventListener('click', async () => {
+        if (!window.NexradRadar || !l2.opts) return;
+        if (NexradRadar.getLevel2()) { NexradRadar.hideLevel2(); mapBtn.classList.remove('pp-btn-primary'); return; }
+        mapBtn.disabled = true;
+        try {
+          await NexradRadar.showLevel2(l2.opts);
+          mapBtn.classList.add('pp-btn-primary');
+          ProPanel.close();
+        } catch(e) {
+          const status = document.getElementById('l2Status');
+          status.className = 'pp-info-box pp-info-error';
+          status.textContent = `Map overlay failed: ${e.message}`;
+        }
+        mapBtn.disabled = false;
+      });
+      document.getElementById('l2TiltRow').addEventListener('keydown', e => {
+        if (e.key === '[') stepTilt(-1);
+        if (e.key === ']') stepTilt(1);
       });
 
     } catch(e) {
@@ -0,0 +1,214 @@
+// ================================================================
+//  STORM SURGE WEATHER — Radar Cursor Readout v14.0
+//
+//  Shows the radar value under the mouse: dBZ, velocity (kt), ZDR,
+//  CC, echo tops or rainfall, plus slant range and beam height from
+//  the active NEXRAD station.
+//
+//  Sources, first visible wins:
+//    Level II canvas   exact gate value (Level2Canvas.sample)
+//    NEXRAD IEM tiles  tile colour → value via the product palette
+//    RainViewer mosaic tile colour → dBZ via the colour scheme
+//  Colour reverse-mapping is nearest-colour against the palettes
+//  below, so tile readouts are approximate (shown with ≈).
+//
+//  Public API  (window.RadarReadout)
+//    init(map)
+//    setEnabled(bool)
+//    isEnabled()
+//    read(lng, lat)   → Promise<{ source, label, value, unit, text,
+//                                 rangeKm, beamHeightKm, station } | null>
+//    dbz(rgba, color, archive)  → dBZ of a mosaic pixel, or null
+//    palette(key)     → { label, unit, stops } for 'rv<colour id>' or an
+//                       IEM product code (legends), or null
+// ================================================================
+window.RadarReadout = (() => {
+  'use strict';
+
+  const KE_RE     = 4 / 3 * 6371;   // 4/3-earth radius (km)
+  const BASE_ELEV = 0.5;            // lowest tilt, for tile products
+  const MAX_DIST  = 60;             // RGB distance beyond which a colour is "not in palette"
+  const MS_KT     = 1.943844;
+
+  // [value, colour] stops per palette; values in the unit listed.
+  // RainViewer schemes are keyed by their colour id.
+  const NWS_DBZ = [[5,'#04e9e7'],[10,'#019ff4'],[15,'#0300f4'],[20,'#02fd02'],[25,'#01c501'],[30,'#008e00'],[35,'#fdf802'],[40,'#e5bc00'],[45,'#fd9500'],[50,'#fd0000'],[55,'#d40000'],[60,'#bc0000'],[65,'#f800fd'],[70,'#9854c6'],[75,'#fdfdfd']];
+  const PALETTES = {
+    rv1: { unit: 'dBZ', label: 'Reflectivity', stops: [[5,'#dfdfdf'],[10,'#9ce8ff'],[20,'#39a9ff'],[25,'#0f6eff'],[30,'#15c215'],[35,'#0f8f0f'],[40,'#ffe000'],[45,'#ff9a00'],[50,'#ff3c00'],[55,'#d00000'],[60,'#ff40ff'],[65,'#b000b0'],[70,'#ffffff']] },
+    rv2: { unit: 'dBZ', label: 'Reflectivity', stops: [[5,'#88ddee'],[15,'#0099cc'],[25,'#0077aa'],[30,'#005588'],[35,'#ffee00'],[40,'#ffaa00'],[45,'#ff7000'],[50,'#ff4400'],[55,'#ff0000'],[60,'#c00000'],[65,'#ff00ff'],[70,'#ffffff']] },
+    rv4: { unit: 'dBZ', label: 'Reflectivity', stops: [[5,'#00ffff'],[15,'#0080ff'],[25,'#00ff00'],[35,'#ffff00'],[45,'#ff8000'],[55,'#ff0000'],[65,'#ff00ff'],[75,'#ffffff']] },
+    rv6: { unit: 'dBZ', label: 'Reflectivity', stops: NWS_DBZ },
+    rv7: { unit: 'dBZ', label: 'Reflectivity', stops: [[5,'#5a6fd0'],[20,'#3a4bd6'],[30,'#6b38c9'],[40,'#b23aa8'],[50,'#e8455e'],[60,'#ff8a3d'],[70,'#ffd24a']] },
+    N0Q: { unit: 'dBZ', label: 'Reflectivity', stops: NWS_DBZ },
+    N0U: { unit: 'kt',  label: 'Velocity',     stops: [[-64,'#0000ff'],[-32,'#00aaff'],[0,'#888888'],[32,'#ff5500'],[64,'#ff0000']], scale: MS_KT },
+    N0C: { unit: '',    label: 'CC',           stops: [[0,'#222222'],[0.2,'#663399'],[0.5,'#00aaff'],[0.8,'#00ff00'],[1,'#ffffff']], digits: 2 },
+    N0X: { unit: 'dB',  label: 'ZDR',          stops: [[-8,'#0000aa'],[-4,'#00aaff'],[0,'#00ff00'],[4,'#ffff00'],[8,'#ff0000']], digits: 1 },
+    EET: { unit: 'kft', label: 'Echo Tops',    stops: [[0,'#000033'],[10,'#003388'],[30,'#00aaff'],[50,'#ffff00'],[70,'#ff0000']] },
+    DAA: { unit: 'in',  label: 'Precip',       stops: [[0,'#ffffff'],[0.1,'#aaddff'],[0.5,'#0066ff'],[1,'#005500'],[2,'#ffff00']], digits: 2 },
+  };
+  const L2_UNITS = {
+    reflectivity: { label: 'Reflectivity', unit: 'dBZ' },
+    velocity:     { label: 'Velocity',     unit: 'kt', scale: MS_KT },
+    zdr:          { label: 'ZDR',          unit: 'dB', digits: 1 },
+    cc:           { label: 'CC',           unit: '',   digits: 2 },
+    sw:           { label: 'Spectrum Width', unit: 'kt', scale: MS_KT },
+  };
+
+  let _map = null, _el = null;
+  let _enabled = true;
+  let _seq = 0, _raf = null, _last = null;
+  const _luts = {};
+  const _memo = {};   // palette → Map(rgb24 → value), tiles repeat few colours
+
+  // ── Palette reverse lookup ───────────────────────────────────
+  const hex = h => [parseInt(h.slice(1, 3), 16), parseInt(h.slice(3, 5), 16), parseInt(h.slice(5, 7), 16)];
+
+  // 64 interpolated entries per palette segment
+  function lut(key) {
+    if (_luts[key]) return _luts[key];
+    const stops = PALETTES[key].stops, out = [];
+    for (let i = 0; i < stops.length - 1; i++) {
+      const [v0, c0] = stops[i], [v1, c1] = stops[i + 1];
+      const a = hex(c0), b = hex(c1);
+      for (let k = 0; k < 64; k++) {
+        const t = k / 64;
+        out.push({ v: v0 + (v1 - v0) * t, c: a.map((x, j) => x + (b[j] - x) * t) });
+      }
+    }
+    const [vl, cl] = stops[stops.length - 1];
+    out.push({ v: vl, c: hex(cl) });
+    return (_luts[key] = out);
+  }
+
+  function unmap(key, rgba) {
+    if (!rgba || rgba[3] < 24) return null;
+    const memo = _memo[key] || (_memo[key] = new Map());
+    const rgb = (rgba[0] << 16) | (rgba[1] << 8) | rgba[2];
+    if (memo.has(rgb)) return memo.get(rgb);
+    let best = null, bd = Infinity;
+    for (const e of lut(key)) {
+      const d = (e.c[0] - rgba[0]) ** 2 + (e.c[1] - rgba[1]) ** 2 + (e.c[2] - rgba[2]) ** 2;
+      if (d < bd) { bd = d; best = e; }
+    }
+    const v = bd <= MAX_DIST * MAX_DIST ? best.v : null;
+    if (memo.size < 65536) memo.set(rgb, v);
+    return v;
+  }
+
+  const mosaicKey = (color, archive) => archive ? 'N0Q' : (PALETTES['rv' + color] ? 'rv' + color : 'rv6');
+  const dbz = (rgba, color, archive) => unmap(mosaicKey(color, archive), rgba);
+
+  // ── Geometry ─────────────────────────────────────────────────
+  const RAD = Math.PI / 180;
+  function groundKm(lat1, lng1, lat2, lng2) {
+    const a = Math.sin((lat2 - lat1) * RAD / 2) ** 2 + Math.cos(lat1 * RAD) * Math.cos(lat2 * RAD) * Math.sin((lng2 - lng1) * RAD / 2) ** 2;
+    return 2 * 6371 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  // Slant range and beam-centre height (above the radar) for a ground distance
+  function beam(ground, elev) {
+    const t = ground / KE_RE;
+    const slant = KE_RE * Math.sin(t) / Math.cos(t + elev * RAD);
+    return { rangeKm: slant, beamHeightKm: Math.sqrt(slant * slant + KE_RE * KE_RE + 2 * slant * KE_RE * Math.sin(elev * RAD)) - KE_RE };
+  }
+
+  function activeStation() {
+    const l2 = window.Level2Canvas?.isVisible() && Level2Canvas.info();
+    if (l2) return { id: l2.station, lat: l2.lat, lng: l2.lng };
+    const st = window.NexradRadar?.getActiveStation();
+    return st && (st.lat || st.lng) ? st : null;
+  }
+
+  // ── Reading ──────────────────────────────────────────────────
+  function fmt(v, meta) {
+    if (v == null) return null;
+    const x = v * (meta.scale || 1);
+    return { value: x, text: `${meta.digits ? x.toFixed(meta.digits) : Math.round(x)}${meta.unit ? ' ' + meta.unit : ''}` };
+  }
+
+  async function read(lng, lat) {
+    let out = null;
+    if (window.Level2Canvas?.isVisible()) {
+      const s = Level2Canvas.sample(lng, lat);
+      if (s) {
+        const meta = L2_UNITS[s.product] || { label: s.product, unit: s.unit };
+        const f = fmt(s.value, meta);
+        return { source: 'level2', label: meta.label, unit: meta.unit, value: f?.value ?? null, text: f?.text || 'no echo',
+          rangeKm: s.rangeKm, beamHeightKm: s.beamHeightKm, station: Level2Canvas.info()?.station };
+      }
+    }
+    if (window.NexradRadar?.isVisible()) {
+      const s = await NexradRadar.sample(lng, lat);
+      if (s && PALETTES[s.product]) {
+        const meta = PALETTES[s.product];
+        const f = fmt(unmap(s.product, s.rgba), meta);
+        out = { source: 'nexrad', label: meta.label, unit: meta.unit, value: f?.value ?? null, text: f ? '≈ ' + f.text : 'no echo' };
+      }
+    }
+    if (!out && window.RadarAnimator) {
+      const s = RadarAnimator.sample(lng, lat);
+      if (s) {
+        const key = mosaicKey(s.color, s.archive);
+        const f = fmt(unmap(key, s.rgba), PALETTES[key]);
+        out = { source: s.archive ? 'archive' : 'rainviewer', label: s.nowcast ? 'Nowcast' : 'Reflectivity', unit: 'dBZ',
+          value: f?.value ?? null, text: f ? '≈ ' + f.text : 'no echo' };
+      }
+    }
+    if (!out) return null;
+    const st = activeStation();
+    if (st) {
+      const b = beam(groundKm(st.lat, st.lng, lat, lng), BASE_ELEV);
+      Object.assign(out, { station: st.id, rangeKm: b.rangeKm, beamHeightKm: b.beamHeightKm });
+    }
+    return out;
+  }
+
+  // ── Display ──────────────────────────────────────────────────
+  function distText(km) {
+    return window.cvtD ? cvtD(km) : Math.round(km) + ' km';
+  }
+
+  function render(r, point) {
+    if (!_el) return;
+    if (!r) { _el.style.display = 'none'; return; }
+    const geo = r.rangeKm != null
+      ? `<div class="rr-geo">${r.station} · ${distText(r.rangeKm)} · beam ${Math.round(r.beamHeightKm * 3280.84).toLocaleString()} ft</div>` : '';
+    _el.innerHTML = `<div class="rr-val${r.value == null ? ' rr-none' : ''}">${r.text}</div><div class="rr-lbl">${r.label}</div>${geo}`;
+    _el.style.display = '';
+    _el.style.transform = `translate(${Math.round(point.x + 14)}px,${Math.round(point.y + 14)}px)`;
+  }
+
+  function onMove(e) {
+    _last = e;
+    if (_raf) return;
+    _raf = requestAnimationFrame(async () => {
+      _raf = null;
+      const ev = _last, seq = ++_seq;
+      let r = null;
+      try { r = await read(ev.lngLat.lng, ev.lngLat.lat); } catch (err) {}
+      if (seq === _seq && _enabled) render(r, ev.point);
+    });
+  }
+
+  function onLeave() { _seq++; render(null); }
+
+  function init(map) {
+    _map = map;
+    _el = document.createElement('div');
+    _el.className = 'radar-readout';
+    _el.style.display = 'none';
+    map.getContainer().appendChild(_el);
+    map.on('mousemove', e => { if (_enabled) onMove(e); });
+    map.on('mouseout', onLeave);
+    map.on('movestart', onLeave);
+  }
+
+  function setEnabled(on) { _enabled = !!on; if (!_enabled) onLeave(); }
+
+  function palette(key) {
+    const p = PALETTES[key];
+    return p ? { label: p.label, unit: p.unit, stops: p.stops.slice() } : null;
+  }
+
+  return { init, setEnabled, isEnabled: () => _enabled, read, dbz, palette };
+})();
@@ -13,11 +13,30 @@
 //    RadarAnimator.setSpeed(ms)
 //    RadarAnimator.setSmooth(bool)
 //    RadarAnimator.setNowcast(bool)
+//    RadarAnimator.setDwell(ms)        extra pause on the loop's last frame
+//    RadarAnimator.setTrim({ start, end } | null)  loop only these frames
+//    RadarAnimator.getTrim()           → { start, end } | null
 //    RadarAnimator.refresh()
 //    RadarAnimator.resize()
 //    RadarAnimator.destroy()
+//    RadarAnimator.sample(lng, lat)   → { rgba:[r,g,b,a], color, archive,
+//                                       nowcast, time } from the cached
+//                                       tile under a point, or null
 //    RadarAnimator.currentFrame   (getter)
 //    RadarAnimator.frameCount     (getter)
+//    RadarAnimator.pastCount      (getter)  observed frames, before nowcast
+//    RadarAnimator.frameRaster(index, maxPx) → Promise<{ data, w, h, z, x0,
+//                                       y0, scale, time, color, archive }>
+//                                       viewport composite in tile pixels
+//    RadarAnimator.exportLoop({ format, width, place, legend, timeLabel,
+//                               onProgress }) → Promise<Blob>
+//                                       the playback window over a map
+//                                       snapshot, as 'gif' or 'webm'
+//                                       (needs LoopEncoder)
+//
+//  A frame is either a tile frame ({ time, path } or { time, tile }) or
+//  a raster frame ({ time, raster }) — a pre-rendered canvas in the
+//  frameRaster() layout, used for extrapolated nowcast frames.
 //    RadarAnimator.isPlaying      (getter)
 //    RadarAnimator.onFrameChange      = (index, frame) => void
 //    RadarAnimator.onPlayStateChange  = (playing) => void
@@ -93,28 +112,40 @@
   }
 
   // ── Tile cache ─────────────────────────────────────────────────────
-  const _cache     = new Map();  // url → HTMLImageElement
+  const _cache     = new Map();  // url → HTMLImageElement, least recently used first
   const _inflight  = new Map();  // url → Promise<img|null>
-  const MAX_CACHE  = 1200;
-
-  function buildUrl(apiBase, framePath, z, x, y, color) {
-    const clean = String(framePath || '')
+  const MIN_CACHE  = 1200;
+  const MAX_CACHE  = 4000;       // ceiling however long the loop
+  let _cacheLimit  = MIN_CACHE;  // loop frames × view tiles + slack, set by _prewarm
+  const PREFETCH_PARALLEL = 8;   // long loops queue hundreds of tiles
+
+  // Archived frames carry their own `tile` template ({z}/{x}/{y});
+  // everything else is a RainViewer path proxied through /api/radar/tile.
+  function buildUrl(apiBase, frame, z, x, y, color) {
+    if (frame && frame.tile)
+      return apiBase + frame.tile.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+    const clean = String(frame && frame.path || '')
       .replace(/^https?:\/\/[^/]+\//, '')
       .replace(/^\/+/, '');
     return apiBase + '/api/radar/tile?path=' +
       encodeURIComponent(clean + '/256/' + z + '/' + x + '/' + y + '/' + color + '/1_1.png');
   }
 
+  // Cached tile, marked as just used
+  function cached(url) {
+    const img = _cache.get(url);
+    if (img) { _cache.delete(url); _cache.set(url, img); }
+    return img;
+  }
+
   function fetchTile(url) {
-    if (_cache.has(url))    return Promise.resolve(_cache.get(url));
+    if (_cache.has(url))    return Promise.resolve(cached(url));
     if (_inflight.has(url)) return _inflight.get(url);
     const p = new Promise(resolve => {
       const img = new Image();
       img.crossOrigin = 'anonymous';
       img.onload = () => {
-        if (_cache.size >= MAX_CACHE) {
-          Array.from(_cache.keys()).slice(0, 200).forEach(k => _cache.delete(k));
-        }
+        while (_cache.size >= _cacheLimit) _cache.delete(_cache.keys().next().value);
         _cache.set(url, img);
         _inflight.delete(url);
         resolve(img);
@@ -126,6 +157,56 @@
     return p;
   }
 
+  // Background prefetch, a few tiles at a time. A new call replaces the
+  // queue, since it is made for a new view or loop window.
+  let _prefetchQ = [];
+  let _prefetching = 0;
+  function prefetch(urls) {
+    _prefetchQ = urls.filter(u => !_cache.has(u));
+    const pump = () => {
+      while (_prefetching < PREFETCH_PARALLEL && _prefetchQ.length) {
+        _prefetching++;
+        fetchTile(_prefetchQ.shift()).then(() => { _prefetching--; pump(); });
+      }
+    };
+    pump();
+  }
+
+  // ── Pixel sampling ─────────────────────────────────────────────────
+  // Decoded pixels per tile image, so a moving cursor doesn't redraw
+  // the tile for every read.
+  const _pixels = new WeakMap();
+  let _sampleCtx = null;
+
+  function tilePixel(img, fx, fy) {
+    let data = _pixels.get(img);
+    if (!data) {
+      if (!_sampleCtx) _sampleCtx = makeCanvas(256, 256).getContext('2d', { willReadFrequently: true });
+      _sampleCtx.clearRect(0, 0, 256, 256);
+      _sampleCtx.drawImage(img, 0, 0, 256, 256);
+      try { data = _sampleCtx.getImageData(0, 0, 256, 256).data; } catch (e) { return null; }
+      _pixels.set(img, data);
+    }
+    const px = Math.min(255, Math.floor(fx * 256)), py = Math.min(255, Math.floor(fy * 256));
+    const i  = (py * 256 + px) * 4;
+    return [data[i], data[i + 1], data[i + 2], data[i + 3]];
+  }
+
+  // Screen rectangle of a raster frame (see frameRaster)
+  function rasterRect(r, proj) {
+    const n    = 1 << r.z, span = 256 * r.scale;
+    const lat  = y => Math.atan(Math.sinh(Math.PI * (1 - 2 * y / n))) * 180 / Math.PI;
+    const nw   = proj([r.x0 / n * 360 - 180, lat(r.y0)]);
+    const se   = proj([(r.x0 + r.w / span) / n * 360 - 180, lat(r.y0 + r.h / span)]);
+    return { x: nw.x, y: nw.y, w: se.x - nw.x, h: se.y - nw.y };
+  }
+
+  // Draw a raster frame at its map position
+  function drawRaster(ctx, r, proj) {
+    const a = rasterRect(r, proj);
+    if (a.w > 0 && a.h > 0) ctx.drawImage(r.canvas, a.x, a.y, a.w, a.h);
+  }
+
   // ── Offscreen buffer helpers ───────────────────────────────────────
   function makeCanvas(w, h) {
     const c = document.createElement('canvas');
@@ -153,7 +234,9 @@
     this._playTimer     = null;
     this._drawSeq       = 0;
 
-    this._cfg = { opacity: 0.75, color: '6', speed: 600, smooth: true, nowcast: true };
+    this._trim          = null;   // { start, end } frame window for playback
+
+    this._cfg = { opacity: 0.75, color: '6', speed: 600, smooth: true, nowcast: true, dwell: 0 };
 
     this.onFrameChange     = null;
     this.onPlayStateChange = null;
@@ -168,7 +251,7 @@
       || (window.SS_API_URL || window.location.origin || '').replace(/\/$/, '');
 
     if (cfg) {
-      ['opacity','color','speed','smooth','nowcast'].forEach(k => {
+      ['opacity','color','speed','smooth','nowcast','dwell'].forEach(k => {
         if (cfg[k] != null) this._cfg[k] = cfg[k];
       });
     }
@@ -199,6 +282,13 @@
     if (this._allFrames().length) this._drawFrame(this._frame, false);
   };
 
+  // Playback window [start, end] within the current frame list
+  RadarAnimator.prototype._window = function (n) {
+    if (!this._trim) return [0, n - 1];
+    const end = Math.min(n - 1, this._trim.end);
+    return [Math.min(end, Math.max(0, this._trim.start)), end];
+  };
+
   RadarAnimator.prototype._allFrames = function () {
     return this._cfg.nowcast
       ? this._frames.concat(this._nowcastFrames)
@@ -233,8 +323,10 @@
     const step = () => {
       const all = self._allFrames();
       if (!all.length) return;
-      self.goTo((self._frame + 1) % all.length);
-      self._playTimer = setTimeout(step, Math.max(80, self._cfg.speed));
+      const [start, end] = self._window(all.length);
+      const next = self._frame >= end || self._frame < start ? start : self._frame + 1;
+      self.goTo(next);
+      self._playTimer = setTimeout(step, Math.max(80, self._cfg.speed) + (next === end ? self._cfg.dwell : 0));
     };
     this._playTimer = setTimeout(step, Math.max(80, this._cfg.speed));
   };
@@ -255,6 +347,12 @@
   RadarAnimator.prototype.setSpeed    = function (v) { this._cfg.speed   = v;  if (this._playing) { this.pause(); this.play(); } };
   RadarAnimator.prototype.setSmooth   = function (v) { this._cfg.smooth  = v; };
   RadarAnimator.prototype.setNowcast  = function (v) { this._cfg.nowcast = v; };
+  RadarAnimator.prototype.setDwell    = function (v) { this._cfg.dwell   = Math.max(0, +v || 0); };
+  RadarAnimator.prototype.getTrim     = function ()  { return this._trim ? { ...this._trim } : null; };
+  RadarAnimator.prototype.setTrim     = function (t) {
+    this._trim = t && t.end >= t.start ? { start: t.start, end: t.end } : null;
+    this._prewarm();
+  };
 
   RadarAnimator.prototype.refresh = function () {
     _cache.clear();
@@ -271,6 +369,7 @@
 
   Object.defineProperty(RadarAnimator.prototype, 'currentFrame', { get() { return this._frame; } });
   Object.defineProperty(RadarAnimator.prototype, 'frameCount',   { get() { return this._allFrames().length; } });
+  Object.defineProperty(RadarAnimator.prototype, 'pastCount',    { get() { return this._frames.length; } });
   Object.defineProperty(RadarAnimator.prototype, 'isPlaying',    { get() { return this._playing; } });
 
   // ── Drawing ────────────────────────────────────────────────────────
@@ -294,9 +393,10 @@
     bCtx.clearRect(0, 0, this._bufB.width, this._bufB.height);
     bCtx.imageSmoothingEnabled = this._cfg.smooth;
 
-    tiles.forEach(t => {
+    if (frame.raster) drawRaster(bCtx, frame.raster, proj);
+    else tiles.forEach(t => {
       // Use the same apiBase that was used when tiles were fetched
-      const img = _cache.get(buildUrl(apiBase, frame.path, t.z, t.x, t.y, color));
+      const img = cached(buildUrl(apiBase, frame, t.z, t.x, t.y, color));
       if (!img) return;
       const nw = proj([t.b.west, t.b.north]);
       const se = proj([t.b.east, t.b.south]);
@@ -330,8 +430,8 @@
     const tiles = tilesForBounds(this._map.getBounds(), z);
     if (!tiles.length) return;
 
-    Promise.all(
-      tiles.map(t => fetchTile(buildUrl(apiBase, frame.path, t.z, t.x, t.y, color))
+    Promise.all(frame.raster ? [] :
+      tiles.map(t => fetchTile(buildUrl(apiBase, frame, t.z, t.x, t.y, color))
         .then(img => ({ t, img })))
     ).then(results => {
       if (seq !== self._drawSeq || !self._map) return;
@@ -355,6 +455,7 @@
         const pw = se.x - nw.x, ph = se.y - nw.y;
         if (pw > 0 && ph > 0) bCtx.drawImage(img, nw.x, nw.y, pw, ph);
       });
+      if (frame.raster) drawRaster(bCtx, frame.raster, proj);
 
       if (crossfade) {
         self._crossfade();
@@ -390,7 +491,8 @@
     this._fadeRaf = requestAnimationFrame(tick);
   };
 
-  // Pre-fetch tiles for all frames at current viewport zoom
+  // Pre-fetch tiles for the loop window at current viewport zoom,
+  // nearest frames to the current one first
   RadarAnimator.prototype._prewarm = function () {
     if (!this._map || !this._frames.length) return;
     const z       = radarZoom(this._map.getZoom());
@@ -398,17 +500,24 @@
     const apiBase = this._apiBase;
     const tiles   = tilesForBounds(this._map.getBounds(), z);
     const all     = this._allFrames();
-    const cur     = this._frame;
+    const [start, end] = this._window(all.length);
+    const cur     = Math.max(start, Math.min(end, this._frame));
 
-    // Load current ±2 frames first, then the rest
     const order = [];
-    for (let d = 0; d <= all.length; d++) {
-      if (cur + d < all.length) order.push(cur + d);
-      if (d > 0 && cur - d >= 0) order.push(cur - d);
+    for (let d = 0; d <= end - start; d++) {
+      if (cur + d <= end) order.push(cur + d);
+      if (d > 0 && cur - d >= start) order.push(cur - d);
     }
+    const urls = [];
     order.forEach(fi => {
-      tiles.forEach(t => fetchTile(buildUrl(apiBase, all[fi].path, t.z, t.x, t.y, color)));
+      if (all[fi].raster) return;
+      tiles.forEach(t => urls.push(buildUrl(apiBase, all[fi], t.z, t.x, t.y, color)));
     });
+    // Room for the whole window over this view plus slack for panning; past
+    // the ceiling only the frames nearest the current one are fetched, so
+    // prefetch doesn't evict what it fetched a moment earlier.
+    _cacheLimit = Math.min(MAX_CACHE, Math.max(MIN_CACHE, urls.length + tiles.length * 4));
+    prefetch(urls.slice(0, _cacheLimit - tiles.length * 2));
   };
 
   RadarAnimator.prototype._onViewChange = function () {
@@ -420,6 +529,179 @@
     });
   };
 
+  // Colour of the current frame at a point, read from tiles already
+  // fetched for the viewport (no network). Used by the cursor readout.
+  RadarAnimator.prototype.sample = function (lng, lat) {
+    const all = this._allFrames();
+    if (!this._map || !all.length) return null;
+    const frame = all[this._frame];
+    if (frame.raster) return rasterSample(frame, lng, lat);
+    const z     = radarZoom(this._map.getZoom());
+    const n     = 1 << z;
+    const t     = ll2tile(lng, lat, z);
+    const img   = _cache.get(buildUrl(this._apiBase, frame, z, t.x, t.y, this._cfg.color));
+    if (!img) return null;
+    const rad = Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180;
+    const gx  = ((lng + 180) / 360) * n;
+    const gy  = (1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * n;
+    const rgba = tilePixel(img, gx - Math.floor(gx), gy - t.y);
+    if (!rgba) return null;
+    return {
+      rgba, color: this._cfg.color, archive: !!frame.tile,
+      nowcast: this._frame >= this._frames.length, time: frame.time
+    };
+  };
+
+  function rasterSample(frame, lng, lat) {
+    const r   = frame.raster, n = 1 << r.z, span = 256 * r.scale;
+    const rad = Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180;
+    const px  = Math.floor((((lng + 180) / 360) * n - r.x0) * span);
+    const py  = Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * n - r.y0) * span);
+    if (px < 0 || py < 0 || px >= r.w || py >= r.h) return null;
+    const i = (py * r.w + px) * 4;
+    return {
+      rgba: [r.data[i], r.data[i + 1], r.data[i + 2], r.data[i + 3]],
+      color: r.color, archive: r.archive, nowcast: true, extrapolated: true, time: frame.time
+    };
+  }
+
+  // One frame composited over the viewport in tile-pixel (Web Mercator)
+  // space, for cell detection. Pixel (px, py) is global tile coordinate
+  // x0 + px / (256·scale), y0 + py / (256·scale) at zoom z.
+  RadarAnimator.prototype.frameRaster = async function (idx, maxPx) {
+    const frame = this._allFrames()[idx];
+    if (!this._map || !frame) return null;
+    if (frame.raster) return { ...frame.raster, time: frame.time };
+    const z     = radarZoom(this._map.getZoom());
+    const color = this._cfg.color;
+    const tiles = tilesForBounds(this._map.getBounds(), z);
+    if (!tiles.length) return null;
+    const xs = tiles.map(t => t.x), ys = tiles.map(t => t.y);
+    const x0 = Math.min(...xs), y0 = Math.min(...ys);
+    const cols = Math.max(...xs) - x0 + 1, rows = Math.max(...ys) - y0 + 1;
+    const scale = Math.min(1, (maxPx || 1024) / (Math.max(cols, rows) * 256));
+    const size = 256 * scale;
+    const w = Math.round(cols * size), h = Math.round(rows * size);
+    const imgs = await Promise.all(tiles.map(t => fetchTile(buildUrl(this._apiBase, frame, t.z, t.x, t.y, color))));
+    const c = makeCanvas(w, h), ctx = c.getContext('2d', { willReadFrequently: true });
+    ctx.imageSmoothingEnabled = false;
+    tiles.forEach((t, i) => { if (imgs[i]) ctx.drawImage(imgs[i], (t.x - x0) * size, (t.y - y0) * size, size, size); });
+    let data;
+    try { data = ctx.getImageData(0, 0, w, h).data; } catch (e) { return null; }
+    return { data, w, h, z, x0, y0, scale, time: frame.time, color, archive: !!frame.tile };
+  };
+
+  // ── Loop export ────────────────────────────────────────────────────
+  // The WebGL buffer is only readable inside the render event, before
+  // the browser clears it, so grab it there.
+  function mapSnapshot(map, w, h) {
+    return new Promise(resolve => {
+      const c = makeCanvas(w, h);
+      map.once('render', () => {
+        c.getContext('2d').drawImage(map.getCanvas(), 0, 0, w, h);
+        resolve(c);
+      });
+      map.triggerRepaint();
+    });
+  }
+
+  // Title + place top left, time top right, legend bottom left
+  function drawChrome(ctx, w, h, frame, nowcast, opts) {
+    const fs  = Math.max(11, Math.round(w / 64)), pad = Math.round(fs * 0.8);
+    const bar = fs * 2 + pad;
+    ctx.save();
+    ctx.fillStyle = 'rgba(10,14,26,.72)';
+    ctx.fillRect(0, 0, w, bar);
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#fff';
+    ctx.font = `700 ${fs}px Inter, sans-serif`;
+    const title = '⛈ STORM SURGE WEATHER';
+    ctx.fillText(title, pad, bar / 2);
+    if (opts.place) {
+      ctx.font = `${fs}px Inter, sans-serif`;
+      ctx.fillStyle = 'rgba(255,255,255,.75)';
+      ctx.fillText('·  ' + opts.place, pad * 2 + ctx.measureText(title).width + fs, bar / 2);
+    }
+    const time = opts.timeLabel ? opts.timeLabel(frame, nowcast) : new Date(frame.time * 1000).toISOString().slice(0, 16).replace('T', ' ') + 'Z';
+    ctx.font = `700 ${fs}px "JetBrains Mono", monospace`;
+    ctx.fillStyle = nowcast ? '#c4b5fd' : '#fff';
+    ctx.textAlign = 'right';
+    ctx.fillText(time, w - pad, bar / 2);
+
+    const lg = opts.legend;
+    if (lg && lg.stops && lg.stops.length) {
+      const sw = Math.round(fs * 1.6), sh = Math.round(fs * 0.7);
+      const lw = sw * lg.stops.length, lh = sh + fs * 2 + pad;
+      const x0 = pad, y0 = h - pad - lh;
+      ctx.fillStyle = 'rgba(10,14,26,.72)';
+      ctx.fillRect(x0 - pad / 2, y0 - pad / 2, lw + pad, lh + pad / 2);
+      ctx.textAlign = 'left';
+      ctx.font = `600 ${Math.round(fs * 0.8)}px Inter, sans-serif`;
+      ctx.fillStyle = '#fff';
+      ctx.fillText(`${lg.label}${lg.unit ? ' (' + lg.unit + ')' : ''}`, x0, y0 + fs / 2);
+      ctx.font = `${Math.round(fs * 0.7)}px "JetBrains Mono", monospace`;
+      ctx.textAlign = 'center';
+      lg.stops.forEach(([v, c], i) => {
+        ctx.fillStyle = c;
+        ctx.fillRect(x0 + i * sw, y0 + fs, sw, sh);
+        if (i % 2 === 0) { ctx.fillStyle = 'rgba(255,255,255,.8)'; ctx.fillText(String(v), x0 + i * sw + sw / 2, y0 + fs + sh + fs * 0.6); }
+      });
+    }
+    ctx.restore();
+  }
+
+  // Every frame of the playback window over one map snapshot. Tile
+  // positions are fixed up front, so panning mid-export changes nothing.
+  RadarAnimator.prototype.exportLoop = async function (opts) {
+    opts = opts || {};
+    const all    = this._allFrames();
+    const format = opts.format || 'gif';
+    if (!this._map || !all.length) throw new Error('No radar loop loaded');
+    if (!global.LoopEncoder || !global.LoopEncoder.supports(format))
+      throw new Error(format.toUpperCase() + ' export is not supported here');
+
+    const wasPlaying = this._playing;
+    this.pause();
+    try {
+      const map = this._map, color = this._cfg.color;
+      const [start, end] = this._window(all.length);
+      const k = Math.min(1, (opts.width || 960) / this._canvas.width);
+      const w = Math.round(this._canvas.width * k / 2) * 2, h = Math.round(this._canvas.height * k / 2) * 2;
+      const proj = p => { const q = map.project(p); return { x: q.x * k, y: q.y * k }; };
+      const z = radarZoom(map.getZoom());
+      const rects = tilesForBounds(map.getBounds(), z).map(t => {
+        const nw = proj([t.b.west, t.b.north]), se = proj([t.b.east, t.b.south]);
+        return { t, x: nw.x, y: nw.y, w: se.x - nw.x, h: se.y - nw.y };
+      });
+      const frames = all.slice(start, end + 1).map(f => ({ f, at: f.raster ? rasterRect(f.raster, proj) : null }));
+      const base = await mapSnapshot(map, w, h);
+
+      const canvases = [], delays = [];
+      for (let i = 0; i < frames.length; i++) {
+        const { f, at } = frames[i];
+        const c = makeCanvas(w, h), ctx = c.getContext('2d');
+        ctx.drawImage(base, 0, 0);
+        ctx.globalAlpha = this._cfg.opacity;
+        ctx.imageSmoothingEnabled = this._cfg.smooth;
+        if (at) {
+          if (at.w > 0 && at.h > 0) ctx.drawImage(f.raster.canvas, at.x, at.y, at.w, at.h);
+        } else {
+          const imgs = await Promise.all(rects.map(r => fetchTile(buildUrl(this._apiBase, f, z, r.t.x, r.t.y, color))));
+          rects.forEach((r, j) => { if (imgs[j] && r.w > 0 && r.h > 0) ctx.drawImage(imgs[j], r.x, r.y, r.w, r.h); });
+        }
+        ctx.globalAlpha = 1;
+        drawChrome(ctx, w, h, f, start + i >= this._frames.length, opts);
+        canvases.push(c);
+        // Hold the last frame at least a second so viewers see the loop restart
+        delays.push(Math.max(80, this._cfg.speed) + (i === frames.length - 1 ? Math.max(1000, this._cfg.dwell) : 0));
+        if (opts.onProgress) opts.onProgress(i + 1, frames.length);
+      }
+      return format === 'gif' ? global.LoopEncoder.gif(canvases, delays) : await global.LoopEncoder.webm(canvases, delays);
+    } finally {
+      if (wasPlaying) this.play();
+    }
+  };
+
   // ── Export singleton ───────────────────────────────────────────────
   global.RadarAnimator = new RadarAnimator();
 
@@ -1,6 +1,13 @@
 // ================================================================
-//  SEVERE ANALYSIS PANEL  v13.8
-//  Shows CAPE, LI, gusts, risk tags for next 48h
+//  SEVERE ANALYSIS PANEL  v14.0
+//  Shows CAPE, shear, helicity, composite indices (SCP/STP/SHIP),
+//  gusts and risk tags, and a 72h timeline: CAPE / LI / gust traces
+//  over one swimlane per hazard. Its hover cursor is shared with the
+//  forecast chart through the 'ss-hour-hover' window event
+//  ({ time } in the forecast's local 'YYYY-MM-DDTHH:MM', null = off).
+//  With spc-layers.js loaded it also lists the Day 1 risk, watches and
+//  MDs over the point. ⚙ edits the tag rules (JSON,
+//  kept in localStorage) with a live 48h preview; see severe.js.
 // ================================================================
 
 window.SeverePanel = (() => {
@@ -10,6 +17,32 @@ window.SeverePanel = (() => {
   let _open = false;
   let _panel = null;
   let _data = null;
+  let _lat = null, _lng = null;
+  let _previewTimer = null;
+  let _previewSeq = 0;   // only the newest preview request may draw
+  let _tl = null;   // { hours, draw(cursor) } for the timeline on screen
+
+  // Lanes in this order first; core lanes are always shown, the rest when they have tags
+  const LANE_ORDER = ['tornado', 'supercell', 'hail', 'instability', 'wind', 'flood', 'fog'];
+  const CORE_LANES = ['instability', 'wind', 'flood', 'fog'];
+  const LEVEL_CLR  = { low: '#22c55e', moderate: '#f59e0b', high: '#ef4444' };
+  const RANK       = { low: 1, moderate: 2, high: 3 };
+
+  const RULES_KEY = 'ss_severe_rules';
+
+  function _esc(s) { return String(s||'').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+
+  function savedRules() {
+    try { return JSON.parse(localStorage.getItem(RULES_KEY) || 'null'); } catch (e) { return null; }
+  }
+
+  // Server tags with the given rules (or its defaults); resolves { ok, d }
+  async function analyze(lat, lng, rules) {
+    const r = rules
+      ? await fetch(`${_api}/api/severe-analysis`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ lat, lng, rules }) })
+      : await fetch(`${_api}/api/severe-analysis?lat=${lat}&lng=${lng}`);
+    return { ok: r.ok, d: await r.json() };
+  }
 
   function init(apiBase) {
     _api = apiBase;
@@ -162,6 +195,31 @@ window.SeverePanel = (() => {
         transition: background 0.15s;
       }
       .sev-refresh-btn:hover { background: rgba(239,68,68,0.2); }
+      .sev-timeline { position: relative; margin-bottom: 4px; }
+      .sev-timeline canvas { width: 100%; display: block; cursor: crosshair; border-radius: 8px; }
+      .sev-tl-info { font-size: .7rem; color: var(--t3,#9ca3af); min-height: 2.6em; margin-bottom: 6px; }
+      .sev-tl-info b { color: var(--t1,#f1f5f9); font-weight: 600; }
+      .sev-rules-text {
+        width: 100%;
+        height: 220px;
+        box-sizing: border-box;
+        background: rgba(0,0,0,0.3);
+        border: 1px solid rgba(255,255,255,0.1);
+        border-radius: 8px;
+        color: var(--t1,#f1f5f9);
+        font: .7rem/1.4 'JetBrains Mono', monospace;
+        padding: 8px;
+        resize: vertical;
+      }
+      .sev-rules-msg { font-size: .72rem; color: var(--t3,#9ca3af); margin: 4px 0; min-height: 1em; }
+      .sev-rules-msg.bad { color: #fca5a5; }
+      .sev-strip { display: flex; gap: 1px; height: 18px; margin-bottom: 6px; }
+      .sev-strip div { flex: 1; border-radius: 2px; background: rgba(255,255,255,0.06); }
+      .sev-strip .low      { background: #22c55e; }
+      .sev-strip .moderate { background: #f59e0b; }
+      .sev-strip .high     { background: #ef4444; }
+      .sev-rules-btns { display: flex; gap: 6px; }
+      .sev-rules-btns .sev-refresh-btn { flex: 1; }
       @media (max-width: 768px) {
         .severe-panel {
           right: 0;
@@ -183,6 +241,7 @@ window.SeverePanel = (() => {
     _panel.innerHTML = `
       <div class="sev-head">
         <div class="sev-head-title">⚡ Severe Analysis</div>
+        <button class="sev-close" id="sevRulesBtn" title="Tag rules">⚙</button>
         <button class="sev-close" id="sevClose">✕</button>
       </div>
       <div class="sev-body" id="sevBody">
@@ -191,6 +250,13 @@ window.SeverePanel = (() => {
     `;
     document.body.appendChild(_panel);
     document.getElementById('sevClose').onclick = close;
+    document.getElementById('sevRulesBtn').onclick = editRules;
+    window.addEventListener('ss-hour-hover', e => {
+      if (!_tl || !document.body.contains(_tl.canvas)) return;
+      const i = _tl.hours.findIndex(h => h.time === e.detail?.time);
+      _tl.draw(i);
+      info(i);
+    });
   }
 
   function open() {
@@ -211,9 +277,16 @@ window.SeverePanel = (() => {
     if (!body) return;
     body.innerHTML = '<div class="sev-loading">⚡ Analyzing forecast data…</div>';
     if (!_open) open();
+    _lat = lat; _lng = lng;
     try {
-      const r = await fetch(`${_api}/api/severe-analysis?lat=${lat}&lng=${lng}`);
-      const d = await r.json();
+      let { ok, d } = await analyze(lat, lng, savedRules());
+      // Saved rules the server no longer accepts shouldn't hide the analysis,
+      // but say that the defaults are in use
+      if (!ok && d.error === 'Bad rules') {
+        const detail = d.detail || d.error;
+        ({ d } = await analyze(lat, lng, null));
+        d.rulesRejected = detail;
+      }
       _data = d;
       render(d, lat, lng);
     } catch (e) {
@@ -228,6 +301,20 @@ window.SeverePanel = (() => {
     return '#22c55e';
   }
 
+  // SCP / STP / SHIP share a scale: 1 is the "significant" line
+  function compColor(v) {
+    if (v >= 4) return '#a855f7';
+    if (v >= 1) return '#ef4444';
+    if (v >= 0.5) return '#f59e0b';
+    return '#22c55e';
+  }
+
+  const stat = (label, val, unit, color) => `
+        <div class="sev-stat">
+          <div class="sev-stat-label">${label}</div>
+          <div class="sev-stat-val"${color ? ` style="color:${color}"` : ''}>${val}${unit ? ` <span style="font-size:.7rem;font-weight:400">${unit}</span>` : ''}</div>
+        </div>`;
+
   function render(d, lat, lng) {
     const body = document.getElementById('sevBody');
     if (!body) return;
@@ -241,22 +328,28 @@ window.SeverePanel = (() => {
     }
 
     let html = `
+      ${d.rulesRejected ? `<div class="sev-rules-msg bad">Your saved tag rules were rejected (${_esc(d.rulesRejected)}) — using the defaults. ⚙ to edit.</div>` : ''}
+      <div id="sevSpc"></div>
       <div class="sev-stat-grid">
-        <div class="sev-stat">
-          <div class="sev-stat-label">Max CAPE (48h)</div>
-          <div class="sev-stat-val" style="color:${capeColor(d.maxCape)}">${d.maxCape || 0} <span style="font-size:.7rem;font-weight:400">J/kg</span></div>
-        </div>
-        <div class="sev-stat">
-          <div class="sev-stat-label">Max Gust</div>
-          <div class="sev-stat-val">${d.maxGustMph || 0} <span style="font-size:.7rem;font-weight:400">mph</span></div>
-        </div>
+        ${stat('Max CAPE (72h)', d.maxCape || 0, 'J/kg', capeColor(d.maxCape))}
+        ${stat('Max Gust', d.maxGustMph || 0, 'mph')}
+        ${stat('0–6 km Shear', Math.round((d.maxShear6 || 0) * 1.944), 'kt')}
+        ${stat('0–1 km SRH', d.maxSrh1 || 0, 'm²/s²')}
+        ${stat('0–3 km SRH', d.maxSrh3 || 0, 'm²/s²')}
+        ${stat('Supercell (SCP)', d.maxScp || 0, '', compColor(d.maxScp))}
+        ${stat('Sig Tor (STP)', d.maxStp || 0, '', compColor(d.maxStp))}
+        ${stat('Sig Hail (SHIP)', d.maxShip || 0, '', compColor(d.maxShip))}
       </div>
     `;
 
+    if (d.hourly?.length) {
+      html += '<div class="sev-section-title">72h Timeline</div><div class="sev-timeline" id="sevTimeline"></div><div class="sev-tl-info" id="sevTlInfo"></div>';
+    }
+
     if (allTags.length > 0) {
       html += '<div class="sev-section-title">Risk Tags</div>';
       allTags.forEach(t => {
-        html += `<div class="sev-tag ${t.level || 'low'}"><span>${t.icon || '⚠️'}</span> ${t.tag}</div>`;
+        html += `<div class="sev-tag ${_esc(t.level || 'low')}"><span>${_esc(t.icon || '⚠️')}</span> ${_esc(t.tag)}</div>`;
       });
     } else {
       html += '<div class="sev-tag low">✅ No significant severe risk in forecast</div>';
@@ -272,8 +365,10 @@ window.SeverePanel = (() => {
           <div class="sev-peak-row">
             <div class="sev-peak-time">${timeStr}</div>
             <div>CAPE <strong style="color:${capeColor(h.cape)}">${Math.round(h.cape||0)}</strong> J/kg · Gust <strong>${Math.round((h.gustMs||0)*2.237)}</strong> mph</div>
+            ${h.shear6 != null ? `<div>Shear <strong>${Math.round(h.shear6*1.944)}</strong> kt · SRH₁ <strong>${h.srh1}</strong> · LCL <strong>${h.lcl}</strong> m</div>
+            <div>SCP <strong style="color:${compColor(h.scp)}">${h.scp}</strong> · STP <strong style="color:${compColor(h.stp)}">${h.stp}</strong> · SHIP <strong style="color:${compColor(h.ship)}">${h.ship}</strong></div>` : ''}
             <div class="sev-peak-tags">
-              ${(h.tags||[]).map(t=>`<span class="sev-peak-tag">${t.icon||''} ${t.tag}</span>`).join('')}
+              ${(h.tags||[]).map(t=>`<span class="sev-peak-tag">${_esc(t.icon||'')} ${_esc(t.tag)}</span>`).join('')}
             </div>
           </div>
         `;
@@ -282,6 +377,207 @@ window.SeverePanel = (() => {
 
     html += `<button class="sev-refresh-btn" onclick="if(window.SeverePanel)SeverePanel.load(${lat},${lng})">↻ Refresh Analysis</button>`;
     body.innerHTML = html;
+    if (d.hourly?.length) timeline(d);
+    if (window.SPCLayers) spcStatus(lat, lng);
+  }
+
+  // ── SPC products over this point ─────────────────────────────
+  async function spcStatus(lat, lng) {
+    const el = document.getElementById('sevSpc');
+    if (!el) return;
+    let s;
+    try { s = await SPCLayers.at(lat, lng); } catch (e) { return; }
+    if (!document.body.contains(el)) return;
+    const RISK_LEVEL = { TSTM: 'low', MRGL: 'low', SLGT: 'moderate', ENH: 'high', MDT: 'high', HIGH: 'high' };
+    const NAME = { torn: 'Tor', wind: 'Wind', hail: 'Hail' };
+    const probs = Object.entries(s.probs).map(([k, p]) => `${NAME[k]} ${p.pct}%${p.sig ? ' (sig)' : ''}`).join(' · ');
+    const until = v => v ? ' until ' + new Date(v).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }) : '';
+    let html = '<div class="sev-section-title">SPC · Your Location</div>';
+    html += s.risk
+      ? `<div class="sev-tag ${RISK_LEVEL[s.risk]}"><span>📍</span> Day 1 <strong>${_esc(s.risk)}</strong> (${_esc(s.riskName)})${probs ? ' · ' + _esc(probs) : ''}</div>`
+      : '<div class="sev-tag low"><span>📍</span> No Day 1 risk area</div>';
+    s.watches.forEach(w => {
+      html += `<div class="sev-tag high"><span>${w.kind === 'tornado' ? '🌪' : '⛈'}</span> In ${_esc(w.name)}${_esc(until(w.expires))}</div>`;
+    });
+    s.mds.forEach(m => {
+      html += `<div class="sev-tag moderate"><span>📝</span> MD #${_esc(m.number)}${m.concerning ? ' · ' + _esc(m.concerning) : ''}${m.watch_probability != null ? ` (watch ${_esc(m.watch_probability)}%)` : ''}</div>`;
+    });
+    el.innerHTML = html;
+  }
+
+  // ── Timeline ─────────────────────────────────────────────────
+  function lanesOf(hours) {
+    const seen = new Set();
+    hours.forEach(h => h.tags.forEach(t => seen.add(t.lane || t.tag)));
+    return [...LANE_ORDER.filter(l => CORE_LANES.includes(l) || seen.has(l)), ...[...seen].filter(l => !LANE_ORDER.includes(l))];
+  }
+
+  function timeline(d) {
+    const box = document.getElementById('sevTimeline');
+    const hours = d.hourly, n = hours.length, lanes = lanesOf(hours);
+    const GUTTER = 62, TRACE_H = 56, LANE_H = 13, AXIS_H = 14;
+    const H = TRACE_H + 4 + lanes.length * LANE_H + AXIS_H;
+    const canvas = document.createElement('canvas');
+    canvas.style.height = H + 'px';
+    box.appendChild(canvas);
+    const W = box.clientWidth || 270;
+    canvas.width = W; canvas.height = H;
+    const ctx = canvas.getContext('2d');
+    const cw = (W - GUTTER) / n, x = i => GUTTER + (i + .5) * cw;
+
+    // Forecast times are the location's local clock; utcOffset turns them into instants
+    const epoch = t => Date.parse(t + 'Z') - (d.utcOffset || 0) * 1000;
+    const nowIdx = hours.findIndex(h => epoch(h.time) > Date.now()) - 1;
+    const maxCape = Math.max(1000, ...hours.map(h => h.cape || 0));
+    const maxGust = Math.max(60, ...hours.map(h => h.gustMph || 0));
+    const laneTop = TRACE_H + 4;
+
+    function trace(vals, scale, color, fill) {
+      ctx.beginPath();
+      vals.forEach((v, i) => { const y = TRACE_H - 2 - Math.max(0, Math.min(1, v / scale)) * (TRACE_H - 14); i ? ctx.lineTo(x(i), y) : ctx.moveTo(x(i), y); });
+      if (fill) { ctx.lineTo(x(n - 1), TRACE_H - 2); ctx.lineTo(x(0), TRACE_H - 2); ctx.closePath(); ctx.fillStyle = fill; ctx.fill(); }
+      else { ctx.strokeStyle = color; ctx.lineWidth = 1.5; ctx.stroke(); }
+    }
+
+    function draw(cursor) {
+      ctx.clearRect(0, 0, W, H);
+      ctx.fillStyle = 'rgba(255,255,255,.03)'; ctx.fillRect(0, 0, W, H);
+      if (nowIdx > 0) { ctx.fillStyle = 'rgba(0,0,0,.25)'; ctx.fillRect(GUTTER, 0, (nowIdx + .5) * cw, H - AXIS_H); }
+
+      trace(hours.map(h => h.cape || 0), maxCape, null, 'rgba(249,115,22,.35)');
+      trace(hours.map(h => -(h.li || 0)), 10, '#38bdf8');
+      trace(hours.map(h => h.gustMph || 0), maxGust, '#a855f7');
+      ctx.font = '600 9px Inter, sans-serif'; ctx.textBaseline = 'middle';
+      [['CAPE', '#f97316'], ['LI', '#38bdf8'], ['Gust', '#a855f7']].forEach(([l, c], k) => { ctx.fillStyle = c; ctx.fillText(l, 4, 10 + k * 12); });
+
+      lanes.forEach((lane, j) => {
+        const y = laneTop + j * LANE_H;
+        ctx.fillStyle = 'rgba(255,255,255,.04)'; ctx.fillRect(GUTTER, y, W - GUTTER, LANE_H - 2);
+        ctx.fillStyle = 'rgba(255,255,255,.55)'; ctx.fillText(lane.length > 11 ? lane.slice(0, 10) + '…' : lane, 4, y + LANE_H / 2 - 1);
+        hours.forEach((h, i) => {
+          const lvl = h.tags.filter(t => (t.lane || t.tag) === lane).reduce((a, t) => RANK[t.level] > (RANK[a] || 0) ? t.level : a, '');
+          if (!lvl) return;
+          ctx.fillStyle = LEVEL_CLR[lvl]; ctx.fillRect(GUTTER + i * cw, y, Math.ceil(cw), LANE_H - 2);
+        });
+      });
+
+      // Day boundaries and labels
+      hours.forEach((h, i) => {
+        if (!h.time.endsWith('T00:00')) return;
+        const dx = GUTTER + i * cw;
+        if (i) { ctx.fillStyle = 'rgba(255,255,255,.15)'; ctx.fillRect(dx, 0, 1, H - AXIS_H); }
+        ctx.fillStyle = 'rgba(255,255,255,.45)';
+        ctx.fillText(new Date(h.time.slice(0, 10) + 'T12:00Z').toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' }), dx + 3, H - AXIS_H / 2);
+      });
+      if (nowIdx >= 0) { ctx.fillStyle = '#fff'; ctx.fillRect(x(nowIdx), 0, 1, H - AXIS_H); }
+      if (cursor >= 0) {
+        ctx.fillStyle = 'rgba(255,255,255,.8)'; ctx.fillRect(Math.round(x(cursor)) - 1, 0, 2, H - AXIS_H);
+      }
+    }
+
+    const hourAt = e => {
+      const r = canvas.getBoundingClientRect();
+      const i = Math.floor(((e.clientX - r.left) * W / r.width - GUTTER) / cw);
+      return i >= 0 && i < n ? i : -1;
+    };
+    const hover = time => window.dispatchEvent(new CustomEvent('ss-hour-hover', { detail: { time } }));
+    canvas.onmousemove = e => { const i = hourAt(e); hover(i >= 0 ? hours[i].time : null); };
+    canvas.onmouseleave = () => hover(null);
+
+    _tl = { canvas, hours, draw };
+    draw(-1);
+    info(-1);
+  }
+
+  function info(i) {
+    const el = document.getElementById('sevTlInfo');
+    if (!el || !_tl) return;
+    const h = _tl.hours[i];
+    if (!h) { el.textContent = 'Hover the timeline for hourly values'; return; }
+    const t = new Date(h.time + 'Z').toLocaleString('en-US', { weekday: 'short', hour: 'numeric', minute: '2-digit', timeZone: 'UTC' });
+    el.innerHTML = `<b>${t}</b> · CAPE <b>${Math.round(h.cape || 0)}</b> · LI <b>${h.li ?? '–'}</b> · Gust <b>${h.gustMph ?? '–'}</b> mph` +
+      (h.stp != null ? ` · STP <b>${h.stp}</b>` : '') +
+      `<br>${h.tags.length ? h.tags.map(t => `${_esc(t.icon)} ${_esc(t.tag)}`).join(' · ') : 'No tags'}`;
+  }
+
+  // ── Rules editor ─────────────────────────────────────────────
+  async function editRules() {
+    const body = document.getElementById('sevBody');
+    if (!body) return;
+    if (!_open) open();
+    let rules = savedRules();
+    if (!rules) {
+      try { rules = (await (await fetch(`${_api}/api/severe-rules`)).json()).default; }
+      catch (e) { body.innerHTML = '<div class="sev-loading">⚠️ Rules unavailable</div>'; return; }
+    }
+    body.innerHTML = `
+      <div class="sev-section-title">Tag Rules</div>
+      <textarea class="sev-rules-text" id="sevRulesText" spellcheck="false"></textarea>
+      <div class="sev-rules-msg" id="sevRulesMsg"></div>
+      <div class="sev-section-title">Preview (48h)</div>
+      <div id="sevPreview"></div>
+      <div class="sev-rules-btns">
+        <button class="sev-refresh-btn" id="sevRulesSave">Save</button>
+        <button class="sev-refresh-btn" id="sevRulesReset">Default</button>
+        <button class="sev-refresh-btn" id="sevRulesBack">Back</button>
+      </div>
+    `;
+    const text = document.getElementById('sevRulesText');
+    text.value = JSON.stringify(rules, null, 1);
+    text.oninput = () => { clearTimeout(_previewTimer); _previewTimer = setTimeout(preview, 500); };
+    // Saved only once the server has accepted them
+    document.getElementById('sevRulesSave').onclick = async () => {
+      clearTimeout(_previewTimer);
+      const r = await preview();
+      if (!r) return;
+      localStorage.setItem(RULES_KEY, JSON.stringify(r));
+      load(_lat, _lng);
+    };
+    document.getElementById('sevRulesReset').onclick = () => {
+      localStorage.removeItem(RULES_KEY);
+      editRules();
+    };
+    document.getElementById('sevRulesBack').onclick = () => {
+      clearTimeout(_previewTimer);
+      if (_data && _lat != null) render(_data, _lat, _lng); else close();
+    };
+    preview();
+  }
+
+  function parseRules() {
+    const msg = document.getElementById('sevRulesMsg');
+    try { return JSON.parse(document.getElementById('sevRulesText').value); }
+    catch (e) { msg.className = 'sev-rules-msg bad'; msg.textContent = 'JSON: ' + e.message; return null; }
+  }
+
+  // Checks the rules against the server and draws the strip; resolves the
+  // rules if they were accepted, null otherwise
+  async function preview() {
+    const msg = document.getElementById('sevRulesMsg'), el = document.getElementById('sevPreview');
+    const seq = ++_previewSeq;
+    const rules = parseRules();
+    if (!rules || !el) return null;
+    if (_lat == null) { msg.className = 'sev-rules-msg bad'; msg.textContent = 'Pick a location to check the rules'; return null; }
+    msg.className = 'sev-rules-msg'; msg.textContent = 'Checking…';
+    try {
+      const { ok, d } = await analyze(_lat, _lng, rules);
+      if (seq !== _previewSeq) return null;
+      if (!ok) { msg.className = 'sev-rules-msg bad'; msg.textContent = d.detail || d.error; return null; }
+      const rank = { low: 1, moderate: 2, high: 3 };
+      const top = h => (h.tags || []).reduce((a, t) => rank[t.level] > (rank[a] || 0) ? t.level : a, '');
+      const counts = {};
+      const hours = d.hourly.slice(0, 48);
+      hours.forEach(h => h.tags.forEach(t => { (counts[t.tag] ||= { ...t, n: 0 }).n++; }));
+      el.innerHTML = `<div class="sev-strip">${hours.map(h =>
+        `<div class="${top(h)}" title="${_esc(h.time.replace('T', ' '))}${h.tags.length ? ' · ' + _esc(h.tags.map(t => t.tag).join(', ')) : ''}"></div>`).join('')}</div>` +
+        (Object.values(counts).map(t => `<div class="sev-tag ${_esc(t.level)}"><span>${_esc(t.icon)}</span> ${_esc(t.tag)} <span style="margin-left:auto">${t.n}h</span></div>`).join('')
+          || '<div class="sev-tag low">No tags in the next 48h</div>');
+      msg.textContent = `${rules.rules.length} rule${rules.rules.length === 1 ? '' : 's'} OK`;
+      return rules;
+    } catch (e) {
+      if (seq === _previewSeq) { msg.className = 'sev-rules-msg bad'; msg.textContent = 'Preview unavailable'; }
+      return null;
+    }
   }
 
   function getData() { return _data; }
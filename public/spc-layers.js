@@ -0,0 +1,279 @@
+// ================================================================
+//  SPC LAYERS  v14.0
+//  Storm Prediction Center products as map layers, from the Python
+//  service (radar_service.py):
+//    Outlook   Day 1–3 categorical, or tornado / wind / hail
+//              probabilities (day 3: total severe), hatched where
+//              significant
+//    Watches   active tornado and severe thunderstorm watch boxes
+//    MDs       mesoscale discussions; click one for its text
+//  Choices are kept in localStorage; visible layers refresh every 5 min.
+//
+//  Public API  (window.SPCLayers)
+//    init(map, apiBase)
+//    toggleMenu()                 layer menu under the layerbar button
+//    set(layer, on)               'outlook' | 'watches' | 'mds'
+//    setOutlook(day, type)
+//    render()                     re-add layers after a map style change
+//    at(lat, lng)                 → Promise<{ risk, probs, watches, mds }>
+//    handleClick(e)               → true if an SPC feature was clicked
+//    isVisible()                  any layer on
+//    onChange = fn(visible)       set by the app; called when layers change
+// ================================================================
+
+window.SPCLayers = (() => {
+  'use strict';
+
+  let _map = null;
+  let _api = '';
+  let _menu = null;
+  let _popup = null;
+  let _timer = null;
+  let _gen = 0;        // bumped per render; stale renders drop out
+  const _cache = new Map();   // url → { t, data }
+
+  const STORE_KEY  = 'ss_spc_layers';
+  const REFRESH_MS = 5 * 60 * 1000;
+  const TYPES = { 1: ['cat', 'torn', 'wind', 'hail'], 2: ['cat', 'torn', 'wind', 'hail'], 3: ['cat', 'prob'] };
+  const TYPE_LABEL = { cat: 'Categorical', torn: 'Tornado', wind: 'Wind', hail: 'Hail', prob: 'Any severe' };
+  const CAT_ORDER  = ['TSTM', 'MRGL', 'SLGT', 'ENH', 'MDT', 'HIGH'];
+  const CAT_COLOR  = { TSTM: '#c1e9c1', MRGL: '#66a366', SLGT: '#f6f67b', ENH: '#e6c27a', MDT: '#e67f7f', HIGH: '#ff66ff' };
+  const CAT_NAME   = { TSTM: 'General thunder', MRGL: 'Marginal', SLGT: 'Slight', ENH: 'Enhanced', MDT: 'Moderate', HIGH: 'High' };
+
+  const _state = { outlook: false, watches: false, mds: false, day: 1, type: 'cat' };
+
+  function _esc(s) { return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
+
+  function init(map, apiBase) {
+    _map = map;
+    _api = apiBase;
+    try { Object.assign(_state, JSON.parse(localStorage.getItem(STORE_KEY) || '{}')); } catch (e) {}
+    if (!TYPES[_state.day]?.includes(_state.type)) { _state.day = 1; _state.type = 'cat'; }
+    buildMenu();
+    if (isVisible()) { render(); schedule(); }
+  }
+
+  // Called from the app's map click handler; true when the click opened a popup
+  function handleClick(e) {
+    if (!_map) return false;
+    const layers = ['spc-md-fill', 'spc-watch-fill', 'spc-outlook-fill'].filter(l => _map.getLayer(l));
+    const hit = layers.length && _map.queryRenderedFeatures(e.point, { layers })[0];
+    if (!hit) return false;
+    showPopup(hit, e.lngLat);
+    return true;
+  }
+
+  function save() {
+    try { localStorage.setItem(STORE_KEY, JSON.stringify(_state)); } catch (e) {}
+    if (window.SPCLayers.onChange) window.SPCLayers.onChange(isVisible());
+  }
+  function isVisible() { return _state.outlook || _state.watches || _state.mds; }
+
+  // ── Data ─────────────────────────────────────────────────────
+  const outlookUrl = (day, type) => `/api/spc/outlooks?day=${day}&type=${type}`;
+
+  async function get(path) {
+    const c = _cache.get(path);
+    if (c && Date.now() - c.t < REFRESH_MS) return c.data;
+    const r = await fetch(_api + path);
+    const data = await r.json();
+    if (!r.ok && !data.features) throw new Error(data.error || 'HTTP ' + r.status);
+    _cache.set(path, { t: Date.now(), data });
+    return data;
+  }
+
+  function schedule() {
+    clearInterval(_timer);
+    if (isVisible()) _timer = setInterval(() => { _cache.clear(); render(); }, REFRESH_MS);
+  }
+
+  // ── Map layers ───────────────────────────────────────────────
+  function clear(ids) {
+    ids.forEach(id => { if (_map.getLayer(id)) _map.removeLayer(id); });
+  }
+
+  function put(src, data) {
+    if (_map.getSource(src)) _map.getSource(src).setData(data);
+    else _map.addSource(src, { type: 'geojson', data });
+  }
+
+  async function render() {
+    if (!_map || !_map.isStyleLoaded()) return;
+    const gen = ++_gen;
+    // One failing product shouldn't keep the others off the map
+    const fetchIf = (on, path) => on ? get(path).catch(e => { if (window.SS) SS.log('SPC layer failed', e.message); return null; }) : null;
+    const [outlook, watches, mds] = await Promise.all([
+      fetchIf(_state.outlook, outlookUrl(_state.day, _state.type)),
+      fetchIf(_state.watches, '/api/watches'),
+      fetchIf(_state.mds, '/api/spc/mds'),
+    ]);
+    // A newer render (or a style change) started while we waited
+    if (gen !== _gen || !_map.isStyleLoaded()) return;
+    clear(['spc-outlook-fill', 'spc-outlook-line', 'spc-outlook-sig', 'spc-watch-fill', 'spc-watch-line', 'spc-md-fill', 'spc-md-line']);
+    if (outlook) {
+      put('spc-outlook-src', outlook);
+      const isSig = ['==', ['get', 'sig'], true];
+      _map.addLayer({ id: 'spc-outlook-fill', type: 'fill', source: 'spc-outlook-src', filter: ['!', isSig],
+        paint: { 'fill-color': ['coalesce', ['get', 'fill'], ['match', ['get', 'LABEL'], ...Object.entries(CAT_COLOR).flat(), '#888']], 'fill-opacity': .28 } });
+      _map.addLayer({ id: 'spc-outlook-line', type: 'line', source: 'spc-outlook-src', filter: ['!', isSig],
+        paint: { 'line-color': ['coalesce', ['get', 'stroke'], '#888'], 'line-width': 1.5 } });
+      _map.addLayer({ id: 'spc-outlook-sig', type: 'line', source: 'spc-outlook-src', filter: isSig,
+        paint: { 'line-color': '#000', 'line-width': 2, 'line-dasharray': [2, 2] } });
+    }
+    if (watches) {
+      put('spc-watch-src', watches);
+      const color = ['match', ['get', 'kind'], 'tornado', '#ef4444', '#eab308'];
+      _map.addLayer({ id: 'spc-watch-fill', type: 'fill', source: 'spc-watch-src', paint: { 'fill-color': color, 'fill-opacity': .08 } });
+      _map.addLayer({ id: 'spc-watch-line', type: 'line', source: 'spc-watch-src', paint: { 'line-color': color, 'line-width': 2.5 } });
+    }
+    if (mds) {
+      put('spc-md-src', mds);
+      _map.addLayer({ id: 'spc-md-fill', type: 'fill', source: 'spc-md-src', paint: { 'fill-color': '#3b82f6', 'fill-opacity': .1 } });
+      _map.addLayer({ id: 'spc-md-line', type: 'line', source: 'spc-md-src', paint: { 'line-color': '#3b82f6', 'line-width': 2, 'line-dasharray': [3, 1.5] } });
+    }
+    renderMenu();
+  }
+
+  function showPopup(f, lngLat) {
+    const p = f.properties;
+    let html;
+    if (f.layer.id === 'spc-md-fill') {
+      html = `<div class="spc-pop-title">Mesoscale Discussion ${_esc(p.number)}</div>
+        <div class="spc-pop-meta">${_esc(p.concerning)}${p.watch_probability != null ? ` · watch ${_esc(p.watch_probability)}%` : ''}${p.expires ? ` · until ${_esc(fmtTime(p.expires))}` : ''}</div>
+        <div class="spc-pop-meta">${_esc(p.areas)}</div>
+        <div class="spc-pop-text">${_esc(p.text)}</div>`;
+    } else if (f.layer.id === 'spc-watch-fill') {
+      html = `<div class="spc-pop-title">${watchName(p)}</div>
+        ${p.expires ? `<div class="spc-pop-meta">Until ${_esc(fmtTime(p.expires))}</div>` : ''}`;
+    } else {
+      html = `<div class="spc-pop-title">Day ${_state.day} ${_esc(TYPE_LABEL[_state.type])}</div>
+        <div class="spc-pop-meta">${_esc(p.LABEL2 || p.LABEL)}</div>`;
+    }
+    if (_popup) _popup.remove();
+    _popup = new mapboxgl.Popup({ maxWidth: '340px', className: 'spc-popup' }).setLngLat(lngLat).setHTML(html).addTo(_map);
+  }
+
+  const watchName = p => `${p.pds ? 'PDS ' : ''}${p.kind === 'tornado' ? 'Tornado' : 'Severe Thunderstorm'} Watch${p.number != null ? ' #' + _esc(p.number) : ''}`;
+
+  function fmtTime(v) {
+    const d = new Date(v);
+    return isNaN(d) ? v : d.toLocaleString('en-US', { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+  }
+
+  // ── Point queries ────────────────────────────────────────────
+  function inRing(ring, x, y) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i], [xj, yj] = ring[j];
+      if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  }
+
+  function contains(geom, lng, lat) {
+    if (!geom) return false;
+    const polys = geom.type === 'Polygon' ? [geom.coordinates] : geom.type === 'MultiPolygon' ? geom.coordinates : [];
+    return polys.some(rings => inRing(rings[0], lng, lat) && !rings.slice(1).some(h => inRing(h, lng, lat)));
+  }
+
+  const hits = (fc, lat, lng) => (fc?.features || []).filter(f => contains(f.geometry, lng, lat));
+  const pct = label => { const v = parseFloat(label); return isNaN(v) ? null : Math.round(v < 1 ? v * 100 : v); };
+
+  // Day 1 risk, probabilities and watches / MDs covering a point
+  async function at(lat, lng) {
+    const safe = p => get(p).catch(() => null);
+    const [cat, watches, mds, ...probs] = await Promise.all([
+      safe(outlookUrl(1, 'cat')), safe('/api/watches'), safe('/api/spc/mds'),
+      ...['torn', 'wind', 'hail'].map(t => safe(outlookUrl(1, t))),
+    ]);
+    const risk = hits(cat, lat, lng).map(f => f.properties.LABEL).filter(l => CAT_ORDER.includes(l))
+      .sort((a, b) => CAT_ORDER.indexOf(b) - CAT_ORDER.indexOf(a))[0] || null;
+    const prob = {};
+    ['torn', 'wind', 'hail'].forEach((t, k) => {
+      const h = hits(probs[k], lat, lng);
+      const v = Math.max(0, ...h.map(f => pct(f.properties.LABEL) || 0));
+      if (v) prob[t] = { pct: v, sig: h.some(f => f.properties.sig) };
+    });
+    return {
+      risk, riskName: risk && CAT_NAME[risk], probs: prob,
+      watches: hits(watches, lat, lng).map(f => ({ ...f.properties, name: watchName(f.properties) })),
+      mds: hits(mds, lat, lng).map(f => f.properties),
+    };
+  }
+
+  // ── Menu ─────────────────────────────────────────────────────
+  function buildMenu() {
+    const style = document.createElement('style');
+    style.textContent = `
+      .spc-menu {
+        position: fixed; z-index: 60; width: 230px; display: none;
+        background: var(--bg2,#111827); border: 1px solid var(--bdr2,rgba(255,255,255,.15));
+        border-radius: 12px; padding: 10px 12px; font-size: .78rem; color: var(--t1,#f1f5f9);
+        box-shadow: 0 8px 24px rgba(0,0,0,.4);
+      }
+      .spc-menu.open { display: block; }
+      .spc-menu label { display: flex; align-items: center; gap: 8px; margin: 6px 0; cursor: pointer; }
+      .spc-seg { display: flex; gap: 3px; margin: 4px 0 4px 24px; flex-wrap: wrap; }
+      .spc-seg button {
+        flex: 1; padding: 3px 4px; font-size: .7rem; border-radius: 6px; cursor: pointer;
+        background: rgba(255,255,255,.05); border: 1px solid var(--bdr,rgba(255,255,255,.1)); color: var(--t2,#cbd5e1);
+      }
+      .spc-seg button.on { background: rgba(239,68,68,.2); border-color: rgba(239,68,68,.5); color: #fff; }
+      .spc-legend { display: flex; gap: 2px; margin: 6px 0 0 24px; }
+      .spc-legend span { flex: 1; text-align: center; font-size: .6rem; padding: 2px 0; border-radius: 3px; color: #111; }
+      .spc-popup .mapboxgl-popup-content { background: #111827; color: #e2e8f0; font-family: 'Outfit', sans-serif; }
+      .spc-pop-title { font-weight: 700; margin-bottom: 4px; }
+      .spc-pop-meta { font-size: .74rem; color: #94a3b8; margin-bottom: 4px; }
+      .spc-pop-text { font: .68rem/1.4 'JetBrains Mono', monospace; white-space: pre-wrap; max-height: 220px; overflow-y: auto; }
+    `;
+    document.head.appendChild(style);
+    _menu = document.createElement('div');
+    _menu.className = 'spc-menu';
+    document.body.appendChild(_menu);
+    renderMenu();
+  }
+
+  function renderMenu() {
+    if (!_menu) return;
+    const chk = (k, label) => `<label><input type="checkbox" data-layer="${k}"${_state[k] ? ' checked' : ''}> ${label}</label>`;
+    _menu.innerHTML = `
+      ${chk('outlook', 'Convective outlook')}
+      <div class="spc-seg">${[1, 2, 3].map(d => `<button data-day="${d}" class="${_state.day === d ? 'on' : ''}">Day ${d}</button>`).join('')}</div>
+      <div class="spc-seg">${TYPES[_state.day].map(t => `<button data-type="${t}" class="${_state.type === t ? 'on' : ''}">${TYPE_LABEL[t]}</button>`).join('')}</div>
+      ${_state.type === 'cat' ? `<div class="spc-legend">${CAT_ORDER.map(c => `<span style="background:${CAT_COLOR[c]}">${c}</span>`).join('')}</div>` : ''}
+      ${chk('watches', 'Watches')}
+      ${chk('mds', 'Mesoscale discussions')}
+    `;
+    _menu.querySelectorAll('[data-layer]').forEach(el => { el.onchange = () => set(el.dataset.layer, el.checked); });
+    _menu.querySelectorAll('[data-day]').forEach(el => { el.onclick = () => setOutlook(+el.dataset.day, _state.type); });
+    _menu.querySelectorAll('[data-type]').forEach(el => { el.onclick = () => setOutlook(_state.day, el.dataset.type); });
+  }
+
+  function toggleMenu(anchor) {
+    if (!_menu) return;
+    const open = !_menu.classList.contains('open');
+    if (open && anchor) {
+      const r = anchor.getBoundingClientRect();
+      _menu.style.top = (r.bottom + 6) + 'px';
+      _menu.style.left = Math.min(r.left, window.innerWidth - 240) + 'px';
+    }
+    _menu.classList.toggle('open', open);
+    return open;
+  }
+
+  function set(layer, on) {
+    if (!(layer in _state) || typeof _state[layer] !== 'boolean') return;
+    _state[layer] = !!on;
+    save(); schedule(); render();
+  }
+
+  function setOutlook(day, type) {
+    if (!TYPES[day]) return;
+    _state.day = day;
+    _state.type = TYPES[day].includes(type) ? type : 'cat';
+    _state.outlook = true;
+    save(); schedule(); render();
+  }
+
+  return { init, toggleMenu, set, setOutlook, render, at, isVisible, handleClick };
+})();
@@ -13,6 +13,7 @@ window.SpotterNetwork = (() => {
   let _refreshTimer = null;
   let _markers = [];   // mapboxgl.Marker instances
   let _popup = null;
+  let _asOf = null;    // ISO time when replaying a past event, null = live
 
   const REFRESH_MS = 5 * 60 * 1000; // 5 min
 
@@ -63,6 +64,8 @@ window.SpotterNetwork = (() => {
     return _visible;
   }
 
+  function setAsOf(iso) { _asOf = iso || null; }
+
   function isVisible() { return _visible; }
   function getReports() { return _reports; }
 
@@ -75,7 +78,7 @@ window.SpotterNetwork = (() => {
   async function loadReports(lat, lng) {
     if (!_map) return;
     try {
-      const url = `${_api}/api/spotter-reports?lat=${lat}&lng=${lng}&dist=500`;
+      const url = `${_api}/api/spotter-reports?lat=${lat}&lng=${lng}&dist=500${_asOf ? '&at=' + encodeURIComponent(_asOf) : ''}`;
       const r = await fetch(url);
       const d = await r.json();
       _reports = d.reports || [];
@@ -156,5 +159,5 @@ window.SpotterNetwork = (() => {
     return Object.entries(counts).map(([t,n]) => `${n}x ${t}`).join(', ');
   }
 
-  return { init, show, hide, toggle, isVisible, refresh, loadReports, getReports, getSummary };
+  return { init, show, hide, toggle, isVisible, refresh, loadReports, getReports, getSummary, setAsOf };
 })();
@@ -0,0 +1,96 @@
+// ================================================================
+//  STORM SURGE WEATHER — Service Worker (web build)
+//
+//  App shell: precached on install, then stale-while-revalidate, so
+//  the page opens with no server and picks up new code next load.
+//
+//  Live data (/api/weather, /api/airquality, /api/radar/frames,
+//  /api/alerts): stale-while-revalidate. The last good response is
+//  answered at once and refreshed in the background. Stored copies
+//  carry X-SW-Fetched-At (ms) so the page can show how old they are.
+//  If the copy that was answered was older than FRESH_MS and the
+//  refresh brings something different, open pages get
+//    { type: 'swr-update', path, fetchedAt }
+//  and reload that panel.
+//
+//  Replays (?at=) and everything else go straight to the network.
+// ================================================================
+'use strict';
+
+const VERSION   = 'v14.0';
+const SHELL     = 'ss-shell-' + VERSION;
+const DATA      = 'ss-data-' + VERSION;
+const FRESH_MS  = 60 * 1000;
+
+const SHELL_FILES = [
+  './', 'index.html', 'style.css', 'token.js',
+  'radar.js', 'loop-encoder.js', 'nowcast.js', 'nexrad.js', 'level2-canvas.js', 'nexrad-panel.js',
+  'radar-readout.js', 'cell-tracker.js', 'spotter.js', 'alert-tracker.js', 'announcer.js',
+  'severe-panel.js', 'spc-layers.js', 'nws-social.js', 'widgets.js', 'pro-panel.js', 'app.js',
+];
+const SWR_API = ['/api/weather', '/api/airquality', '/api/radar/frames', '/api/alerts'];
+
+self.addEventListener('install', e => {
+  // One missing file shouldn't keep the worker from installing
+  e.waitUntil(caches.open(SHELL)
+    .then(c => Promise.all(SHELL_FILES.map(f => c.add(f).catch(() => {}))))
+    .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', e => {
+  e.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(k => k !== SHELL && k !== DATA).map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+// Copy of a response with the fetch time stamped on it
+async function stamp(res) {
+  const headers = new Headers(res.headers);
+  headers.set('X-SW-Fetched-At', String(Date.now()));
+  return new Response(await res.blob(), { status: res.status, statusText: res.statusText, headers });
+}
+
+async function notify(path, fetchedAt) {
+  (await self.clients.matchAll({ type: 'window' }))
+    .forEach(c => c.postMessage({ type: 'swr-update', path, fetchedAt }));
+}
+
+async function swrData(e, path) {
+  const cache  = await caches.open(DATA);
+  const cached = await cache.match(e.request);
+  const refresh = fetch(e.request).then(async res => {
+    if (!res.ok) return res;
+    const copy = await stamp(res.clone());
+    await cache.put(e.request, copy.clone());
+    const old = cached && Number(cached.headers.get('X-SW-Fetched-At'));
+    const changed = cached && cached.headers.get('ETag') !== res.headers.get('ETag');
+    if (old && Date.now() - old > FRESH_MS && changed) notify(path, Date.now());
+    return copy;
+  });
+  if (!cached) return refresh;
+  e.waitUntil(refresh.catch(() => {}));
+  return cached;
+}
+
+async function swrShell(e) {
+  const cache  = await caches.open(SHELL);
+  const cached = await cache.match(e.request, { ignoreSearch: true })
+    || (e.request.mode === 'navigate' && await cache.match('index.html'));
+  const refresh = fetch(e.request).then(res => {
+    if (res.ok) cache.put(e.request, res.clone());
+    return res;
+  });
+  if (!cached) return refresh;
+  e.waitUntil(refresh.catch(() => {}));
+  return cached;
+}
+
+self.addEventListener('fetch', e => {
+  const url = new URL(e.request.url);
+  if (e.request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith('/api/')) {
+    if (SWR_API.includes(url.pathname) && !url.searchParams.has('at')) e.respondWith(swrData(e, url.pathname));
+    return;
+  }
+  e.respondWith(swrShell(e));
+});
@@ -5,7 +5,7 @@ Renders NEXRAD Level II using nexradaws + numpy + matplotlib only.
 No PyART, no cartopy, no pygrib required.
 """
 
-import os, io, json, math, datetime, tempfile, threading, time, logging, struct, gzip
+import os, io, json, math, datetime, tempfile, threading, time, logging, struct, gzip, hashlib
 from pathlib import Path
 from flask import Flask, jsonify, request, send_file, Response
 from flask_cors import CORS
@@ -232,115 +232,394 @@ def _nws_velocity_cmap():
     ]
     return mcolors.LinearSegmentedColormap.from_list('nws_vel', colors)
 
+# Level II moment block names → product names used by the API
+L2_MOMENTS = {b'REF': 'reflectivity', b'VEL': 'velocity', b'ZDR': 'zdr', b'RHO': 'cc', b'SW ': 'sw'}
+BASE_PRODUCTS    = ['reflectivity', 'velocity', 'zdr', 'cc', 'sw']
+DERIVED_PRODUCTS = ['srv', 'composite', 'echotops', 'vil']
+
+KE_RE_KM  = 4.0 / 3.0 * 6371.0   # 4/3-earth effective radius for beam height
+ET_DBZ    = 18.0                 # echo-top threshold (dBZ)
+VIL_CAP   = 56.0                 # dBZ cap so hail doesn't swamp VIL
+GRID_AZ   = 1.0                  # common polar grid for volume products
+GRID_DR   = 0.5                  # km
+
+def _level2_messages(filepath):
+    """
+    Yield (msg_type, body) for every message in an AR2V volume.
+    After the 24-byte volume header the file is a run of LDM records
+    (4-byte size + bzip2 block) — or raw messages in older archives.
+    Each message sits behind a 12-byte CTM header; Msg 31 is variable
+    length, everything else is a fixed 2432-byte frame.
+    """
+    import bz2
+    raw = Path(filepath).read_bytes()
+    if raw[:2] == b'\x1f\x8b':
+        raw = gzip.decompress(raw)
+
+    chunks = []
+    if raw[28:30] == b'BZ':
+        pos = 24
+        while pos + 4 <= len(raw):
+            size = abs(struct.unpack('>i', raw[pos:pos+4])[0])
+            block = raw[pos+4:pos+4+size]
+            pos += 4 + size
+            try:
+                chunks.append(bz2.decompress(block))
+            except (OSError, ValueError):
+                continue
+    else:
+        chunks.append(raw[24:])
+
+    for buf in chunks:
+        p = 0
+        while p + 28 <= len(buf):
+            size_hw = struct.unpack('>H', buf[p+12:p+14])[0]
+            msg_type = buf[p+15]
+            if msg_type == 31 and size_hw > 8:
+                end = p + 12 + size_hw * 2
+            else:
+                end = p + 2432
+            yield msg_type, buf[p+28:end]
+            p = end
+
+
+def _msg31_radial(body, products):
+    """Decode one Msg 31 radial → (azimuth, elev_num, elev_deg, site, nyquist, {product: (values, first_km, gate_km)})."""
+    az  = struct.unpack('>f', body[12:16])[0]
+    num = body[22]
+    el  = struct.unpack('>f', body[24:28])[0]
+    nblocks = min(struct.unpack('>H', body[30:32])[0], 10)
+    ptrs = struct.unpack(f'>{nblocks}I', body[32:32 + 4*nblocks])
+
+    site = nyquist = None
+    moments = {}
+    for ptr in ptrs:
+        if not ptr or ptr + 28 > len(body):
+            continue
+        kind, name = body[ptr:ptr+1], body[ptr+1:ptr+4]
+        if kind == b'R' and name == b'VOL':
+            lat, lon = struct.unpack('>ff', body[ptr+8:ptr+16])
+            height_m, feedhorn_m = struct.unpack('>hH', body[ptr+16:ptr+20])
+            site = (lat, lon, (height_m + feedhorn_m) / 1000.0)
+        elif kind == b'R' and name == b'RAD':
+            nyquist = struct.unpack('>h', body[ptr+16:ptr+18])[0] / 100.0
+        elif kind == b'D' and L2_MOMENTS.get(name) in products:
+            ngates, first_m, gate_m = struct.unpack('>HHH', body[ptr+8:ptr+14])
+            wide  = body[ptr+19] == 16
+            scale, offset = struct.unpack('>ff', body[ptr+20:ptr+28])
+            raw = np.frombuffer(body[ptr+28:ptr+28 + ngates*(2 if wide else 1)], dtype='>u2' if wide else np.uint8).astype(np.float32)
+            # 0 = below threshold, 1 = range folded
+            vals = np.where(raw <= 1, np.nan, (raw - offset) / scale).astype(np.float32)
+            moments[L2_MOMENTS[name]] = (vals, first_m / 1000.0, gate_m / 1000.0)
+    return az, num, el, site, nyquist, moments
+
+
+def _read_level2_volume(filepath, products=BASE_PRODUCTS):
+    """
+    Decode every sweep of a Level II volume for the given moments.
+    Returns {'lat','lon','height_km','sweeps':[{elev_num, elev, nyquist,
+    azimuths, fields:{product: (grid, ranges_km)}}]} with sweeps ordered
+    by elevation, or None. Split cuts (surveillance + Doppler scans at the
+    same angle) stay as separate sweeps.
+    """
+    site = None
+    sweeps = {}
+    for msg_type, body in _level2_messages(filepath):
+        if msg_type != 31 or len(body) < 68:
+            continue
+        try:
+            az, num, el, vol, nyq, moments = _msg31_radial(body, products)
+        except (struct.error, ValueError):
+            continue
+        if vol and site is None and -90 <= vol[0] <= 90:
+            site = vol
+        sw = sweeps.setdefault(num, {'elevs': [], 'nyquist': None, 'radials': []})
+        sw['elevs'].append(el)
+        sw['nyquist'] = sw['nyquist'] or nyq
+        sw['radials'].append((az, moments))
+
+    out = []
+    for num, sw in sweeps.items():
+        azs = np.array([r[0] for r in sw['radials']], dtype=np.float32)
+        order = np.argsort(azs)
+        fields = {}
+        for prod in products:
+            rows = [sw['radials'][i][1].get(prod) for i in order]
+            present = [r for r in rows if r is not None]
+            if not present:
+                continue
+            first_km, gate_km = present[0][1], present[0][2]
+            ngates = max(len(r[0]) for r in present)
+            grid = np.full((len(rows), ngates), np.nan, dtype=np.float32)
+            for i, r in enumerate(rows):
+                if r is not None:
+                    grid[i, :len(r[0])] = r[0]
+            fields[prod] = (grid, first_km + np.arange(ngates, dtype=np.float32) * gate_km)
+        if fields:
+            out.append({'elev_num': num, 'elev': float(np.median(sw['elevs'])), 'nyquist': sw['nyquist'],
+                        'azimuths': azs[order], 'fields': fields})
+    if not out:
+        return None
+    lat, lon, height_km = site or (40.0, -74.0, 0.0)
+    out.sort(key=lambda s: (round(s['elev'], 1), s['elev_num']))
+    return {'lat': lat, 'lon': lon, 'height_km': height_km, 'sweeps': out}
+
+
+def _tilts(vol, product):
+    """One sweep per elevation angle carrying `product`, lowest first; at a split cut prefer the longer-range scan."""
+    by_elev = {}
+    for s in (vol or {}).get('sweeps', []):
+        if product not in s['fields']:
+            continue
+        k = round(s['elev'], 1)
+        if k not in by_elev or len(s['fields'][product][1]) > len(by_elev[k]['fields'][product][1]):
+            by_elev[k] = s
+    return [by_elev[k] for k in sorted(by_elev)]
+
+def _pick_tilt(tilts, tilt=None, elev=None):
+    """Sweep by tilt index, or nearest to an elevation angle; lowest by default."""
+    if not tilts:
+        return None, None
+    if elev is not None:
+        i = min(range(len(tilts)), key=lambda j: abs(tilts[j]['elev'] - elev))
+    else:
+        i = max(0, min(int(tilt or 0), len(tilts) - 1))
+    return i, tilts[i]
+
+
 def _parse_nexrad_level2(filepath, product='reflectivity'):
     """
     Parse NEXRAD Level II archive file (AR2V format) using pure Python.
-    Returns (azimuth_angles, ranges_km, data_2d, radar_lat, radar_lon, elevation_deg)
+    Returns the lowest sweep carrying `product` as
+    (azimuth_angles, ranges_km, data_2d, radar_lat, radar_lon, elevation_deg)
     """
-    import struct
-
-    PRODUCTS = {
-        'reflectivity': {'moment': b'REF ', 'scale': 0.5, 'offset': 66.0},
-        'velocity':     {'moment': b'VEL ', 'scale': 0.5, 'offset': 129.0},
-        'zdr':          {'moment': b'ZDR ', 'scale': 0.0625, 'offset': 128.0},
-        'cc':           {'moment': b'RHO ', 'scale': 0.00333, 'offset': -0.33},
-        'sw':           {'moment': b'SW  ', 'scale': 0.5, 'offset': 129.0},
-    }
+    vol = _read_level2_volume(filepath, (product,))
+    _, sw = _pick_tilt(_tilts(vol, product))
+    if sw is None:
+        return None
+    grid, ranges_km = sw['fields'][product]
+    return sw['azimuths'], ranges_km, grid, vol['lat'], vol['lon'], sw['elev']
 
-    prod_info = PRODUCTS.get(product, PRODUCTS['reflectivity'])
-
-    with open(filepath, 'rb') as f:
-        # Skip 24-byte volume header
-        header = f.read(24)
-        if header[:4] == b'AR2V':
-            pass  # standard format
-        elif header[:4] == b'\x1f\x8b':
-            # gzip compressed
-            f.seek(0)
-            import gzip as gz_mod
-            data = gz_mod.decompress(f.read())
-            import io
-            f = io.BytesIO(data)
-            f.read(24)
-
-        azimuths, data_radials = [], []
-        radar_lat = radar_lon = elev = None
-        gates = 1832
-        range_start_km = 2.125
-        gate_size_km = 0.25
-
-        while True:
-            # Read message header (28 bytes)
-            msg_hdr = f.read(28)
-            if len(msg_hdr) < 28:
-                break
-
-            # LDM record size (first 4 bytes, big-endian int)
-            try:
-                msg_size = struct.unpack('>I', msg_hdr[:4])[0] & 0x7FFFFFFF
-                msg_type = struct.unpack('B', msg_hdr[15:16])[0]
-            except Exception:
-                break
-
-            if msg_size < 28:
-                break
-
-            payload = f.read(msg_size - 28)
-            if len(payload) < msg_size - 28:
-                break
-
-            if msg_type == 31:
-                # Digital Radar Data Generic Format (Msg 31)
-                try:
-                    az  = struct.unpack('>f', payload[4:8])[0]
-                    el  = struct.unpack('>f', payload[8:12])[0]
-                    rlat= struct.unpack('>f', payload[20:24])[0]
-                    rlon= struct.unpack('>f', payload[24:28])[0]
-                    if radar_lat is None and -90 <= rlat <= 90:
-                        radar_lat, radar_lon, elev = rlat, rlon, el
-
-                    # Find data block for this product
-                    num_blocks = struct.unpack('>H', payload[18:20])[0]
-                    blk_ptr_offset = 28  # data block pointers start here
-                    for b in range(min(num_blocks, 9)):
-                        ptr = struct.unpack('>I', payload[blk_ptr_offset + b*4: blk_ptr_offset + b*4 + 4])[0]
-                        if ptr == 0 or ptr >= len(payload):
-                            continue
-                        blk_type = payload[ptr:ptr+1]
-                        blk_name = payload[ptr+1:ptr+4]
-                        full_name = blk_type + blk_name
-                        if full_name[:4] == prod_info['moment'][:4] or blk_name == prod_info['moment'][:3]:
-                            num_gates = struct.unpack('>H', payload[ptr+8:ptr+10])[0]
-                            first_gate_m = struct.unpack('>H', payload[ptr+10:ptr+12])[0]
-                            gate_size_m  = struct.unpack('>H', payload[ptr+12:ptr+14])[0]
-                            scale  = struct.unpack('>f', payload[ptr+20:ptr+24])[0]
-                            offset = struct.unpack('>f', payload[ptr+24:ptr+28])[0]
-                            raw = np.frombuffer(payload[ptr+28:ptr+28+num_gates], dtype=np.uint8).astype(float)
-                            # Convert: val = (raw - offset) / scale, mask 0 and 1
-                            data = np.where(raw <= 1, np.nan, (raw - offset) / scale)
-                            azimuths.append(az)
-                            data_radials.append(data)
-                            gates = num_gates
-                            range_start_km = first_gate_m / 1000.0
-                            gate_size_km   = gate_size_m  / 1000.0
-                            break
-                except Exception:
-                    continue
 
-    if not azimuths:
-        return None
+# ── Derived products ─────────────────────────────────────────────
+def _beam_height_km(slant_km, elev_deg, site_km=0.0):
+    """Beam centre height above MSL under standard refraction."""
+    return np.sqrt(slant_km**2 + KE_RE_KM**2 + 2*slant_km*KE_RE_KM*np.sin(np.radians(elev_deg))) - KE_RE_KM + site_km
+
+def _slant_for_ground(ground_km, elev_deg):
+    """Slant range at which a beam at `elev_deg` is above ground range `ground_km`."""
+    theta = ground_km / KE_RE_KM
+    return KE_RE_KM * np.sin(theta) / np.cos(theta + np.radians(elev_deg))
 
-    # Sort by azimuth
-    order = np.argsort(azimuths)
-    azimuths = np.array(azimuths)[order]
-    max_gates = max(len(r) for r in data_radials)
-    grid = np.full((len(data_radials), max_gates), np.nan)
-    for i, r in enumerate(data_radials):
-        grid[order[i], :len(r)] = r
+def _nearest_radial(azimuths, centers, max_gap=1.5):
+    """Index of the nearest radial for each target azimuth (wrapping at 360), -1 if none within max_gap°."""
+    d = np.abs((centers[:, None] - azimuths[None, :] + 180.0) % 360.0 - 180.0)
+    idx = d.argmin(axis=1)
+    idx[d.min(axis=1) > max_gap] = -1
+    return idx
 
-    ranges_km = range_start_km + np.arange(max_gates) * gate_size_km
+def _reflectivity_layers(vol):
+    """
+    Resample every reflectivity sweep onto a common azimuth × ground-range
+    grid. Returns (az_centers, ground_km, [(elev, dbz_2d, height_km_1d)])
+    with split cuts merged (max) so each elevation appears once.
+    """
+    sweeps = [s for s in vol['sweeps'] if 'reflectivity' in s['fields']]
+    if not sweeps:
+        return None
+    max_km = max(float(s['fields']['reflectivity'][1][-1]) for s in sweeps)
+    az_c = np.arange(0, 360, GRID_AZ, dtype=np.float32) + GRID_AZ / 2
+    gr_c = np.arange(GRID_DR / 2, max_km, GRID_DR, dtype=np.float32)
+
+    layers = {}
+    for s in sweeps:
+        grid, ranges = s['fields']['reflectivity']
+        first, gate = float(ranges[0]), float(ranges[1] - ranges[0]) if len(ranges) > 1 else 0.25
+        slant = _slant_for_ground(gr_c, s['elev'])
+        gi = np.round((slant - first) / gate).astype(int)
+        g_ok = (gi >= 0) & (gi < grid.shape[1]) & (slant > 0)
+        ai = _nearest_radial(s['azimuths'], az_c)
+        out = np.full((len(az_c), len(gr_c)), np.nan, dtype=np.float32)
+        rows = ai >= 0
+        out[np.ix_(rows, g_ok)] = grid[np.ix_(ai[rows], gi[g_ok])]
+        key = round(s['elev'], 1)
+        if key in layers:
+            layers[key] = (layers[key][0], np.fmax(layers[key][1], out), layers[key][2])
+        else:
+            heights = np.where(slant > 0, _beam_height_km(slant, s['elev'], vol['height_km']), np.nan)
+            layers[key] = (s['elev'], out, heights.astype(np.float32))
+    return az_c, gr_c, [layers[k] for k in sorted(layers)]
+
+
+def _composite(layers):
+    return np.nanmax(np.stack([l[1] for l in layers]), axis=0)
+
+def _echo_tops(layers):
+    """Highest beam (km MSL) with at least ET_DBZ; NaN where nothing reaches it."""
+    tops = np.full(layers[0][1].shape, np.nan, dtype=np.float32)
+    for _, dbz, h in layers:
+        hit = dbz >= ET_DBZ
+        tops = np.where(hit, np.fmax(tops, np.broadcast_to(h, dbz.shape)), tops)
+    return tops
+
+def _vil(layers):
+    """
+    Vertically integrated liquid (kg/m²) from the layered reflectivity:
+    VIL = Σ 3.44e-6 · ((Zᵢ + Zᵢ₊₁)/2)^(4/7) · Δh, Z in mm⁶/m³, Δh in m.
+    """
+    vil = np.zeros(layers[0][1].shape, dtype=np.float32)
+    seen = np.zeros(vil.shape, dtype=bool)
+    for (_, d0, h0), (_, d1, h1) in zip(layers, layers[1:]):
+        z0 = np.where(np.isnan(d0), 0.0, 10 ** (np.minimum(d0, VIL_CAP) / 10))
+        z1 = np.where(np.isnan(d1), 0.0, 10 ** (np.minimum(d1, VIL_CAP) / 10))
+        dh = np.broadcast_to((h1 - h0) * 1000.0, vil.shape)
+        ok = np.isfinite(dh) & (dh > 0)
+        vil += np.where(ok, 3.44e-6 * ((z0 + z1) / 2) ** (4.0 / 7.0) * dh, 0.0).astype(np.float32)
+        seen |= ok & (~np.isnan(d0) | ~np.isnan(d1))
+    return np.where(seen & (vil >= 0.5), vil, np.nan)
+
+
+def _parse_motion(arg):
+    """'240/30' (direction the storm moves FROM, degrees / knots) → (dir, kt), or None."""
+    try:
+        d, s = (float(x) for x in arg.split('/'))
+    except (AttributeError, ValueError):
+        return None
+    if not (0 <= d <= 360 and 0 <= s <= 150):
+        return None
+    return d % 360, s
 
-    return azimuths, ranges_km, grid, radar_lat or 40.0, radar_lon or -74.0, elev or 0.5
+def _motion_uv(dir_from, kt):
+    """Storm motion (from-direction, knots) → u, v in m/s toward which it moves."""
+    ms = kt * 0.514444
+    return -ms * math.sin(math.radians(dir_from)), -ms * math.cos(math.radians(dir_from))
+
+def _estimate_storm_motion(vol):
+    """
+    Estimate storm motion as the 0–6 km mean wind from a VAD fit over
+    every velocity sweep: v_r = cos(el)·(u·sin(az) + v·cos(az)) + c.
+    Aliased-looking gates (near Nyquist) are skipped. Good for ordinary
+    cells; supercells deviate from the mean wind, so pass ?motion= for them.
+    Returns (dir_from, kt) or None.
+    """
+    A, b = [], []
+    for s in vol['sweeps']:
+        f = s['fields'].get('velocity')
+        if f is None or s['elev'] > 10:
+            continue
+        grid, ranges = f
+        h = _beam_height_km(ranges, s['elev'])
+        cols = np.where((ranges > 10) & (h < 6))[0][::4]
+        if not len(cols):
+            continue
+        sub = grid[:, cols]
+        az = np.radians(np.repeat(s['azimuths'][:, None], len(cols), axis=1))
+        ok = np.isfinite(sub)
+        if s['nyquist']:
+            ok &= np.abs(sub) < 0.8 * s['nyquist']
+        ce = math.cos(math.radians(s['elev']))
+        A.append(np.column_stack([np.sin(az[ok]) * ce, np.cos(az[ok]) * ce, np.ones(ok.sum())]))
+        b.append(sub[ok])
+    if not A or sum(len(x) for x in b) < 2000:
+        return None
+    (u, v, _), *_ = np.linalg.lstsq(np.vstack(A), np.concatenate(b), rcond=None)
+    kt = math.hypot(u, v) / 0.514444
+    return round((math.degrees(math.atan2(u, v)) + 180) % 360), round(kt)
+
+def _storm_relative(vol, motion, sw):
+    """SRV on one velocity tilt: v_r minus the storm motion's radial component."""
+    if sw is None:
+        raise ValueError('No velocity data in this volume')
+    source = 'user'
+    if motion is None:
+        motion, source = _estimate_storm_motion(vol), 'vad_mean_wind'
+        if motion is None:
+            raise ValueError('Could not estimate storm motion — pass motion=DIR/KT')
+    u, v = _motion_uv(*motion)
+    grid, ranges = sw['fields']['velocity']
+    az = np.radians(sw['azimuths'])[:, None]
+    srv = grid - math.cos(math.radians(sw['elev'])) * (u * np.sin(az) + v * np.cos(az))
+    return sw['azimuths'], ranges, srv.astype(np.float32), sw['elev'], \
+        {'storm_motion': {'dir': motion[0], 'speed_kt': motion[1], 'source': source}}
+
+def _derived_product(vol, product, motion=None, sweep=None):
+    """
+    Compute a derived product → (azimuths, ranges_km, data_2d, elevation_deg, extra).
+    `sweep` is the velocity tilt for SRV (lowest if None).
+    Raises ValueError when the volume can't support it.
+    """
+    if product == 'srv':
+        return _storm_relative(vol, motion, sweep or _pick_tilt(_tilts(vol, 'velocity'))[1])
+    lay = _reflectivity_layers(vol)
+    if lay is None:
+        raise ValueError('No reflectivity data in this volume')
+    az_c, gr_c, layers = lay
+    data = {'composite': _composite, 'echotops': _echo_tops, 'vil': _vil}[product](layers)
+    return az_c, gr_c, data, None, {'tilts': len(layers)}
+
+
+# ── Cross-section ────────────────────────────────────────────────
+BEAM_WIDTH_DEG = 0.95   # WSR-88D half-power beamwidth
+XSECT_MAX_KM   = 300
+
+def _geo_from_radar(vol, lats, lons):
+    """Ground range (km) and azimuth (deg) from the radar to each point."""
+    p1, l1 = math.radians(vol['lat']), math.radians(vol['lon'])
+    p2, l2 = np.radians(lats), np.radians(lons)
+    dl = l2 - l1
+    a = np.sin((p2 - p1) / 2)**2 + math.cos(p1) * np.cos(p2) * np.sin(dl / 2)**2
+    dist = 2 * 6371.0 * np.arctan2(np.sqrt(a), np.sqrt(1 - a))
+    az = np.degrees(np.arctan2(np.sin(dl) * np.cos(p2), math.cos(p1) * np.sin(p2) - math.sin(p1) * np.cos(p2) * np.cos(dl))) % 360
+    return dist, az
+
+def _cross_section(vol, product, start, end, step_km=0.5, top_km=20.0, dz_km=0.1):
+    """
+    Range-height section along start→end (lat, lon) built from every tilt:
+    each sweep fills the heights its beam covers (±half beamwidth) above
+    each point on the line. Returns (dist_km, heights_km, data[h, x]).
+    """
+    length = haversine(start[0], start[1], end[0], end[1])
+    if length < 2 or length > XSECT_MAX_KM:
+        raise ValueError(f'Section must be 2–{XSECT_MAX_KM} km long (got {length:.0f} km)')
+    tilts = _tilts(vol, product)
+    if not tilts:
+        raise ValueError(f'No {product} data in this volume')
+
+    n = int(length / step_km) + 1
+    t = np.linspace(0.0, 1.0, n)
+    gr, az = _geo_from_radar(vol, start[0] + (end[0] - start[0]) * t, start[1] + (end[1] - start[1]) * t)
+    heights = np.arange(0.0, top_km, dz_km) + dz_km / 2
+    img = np.full((len(heights), n), np.nan, dtype=np.float32)
+
+    for sw in tilts:
+        grid, ranges = sw['fields'][product]
+        gate = float(ranges[1] - ranges[0]) if len(ranges) > 1 else 0.25
+        slant = _slant_for_ground(gr, sw['elev'])
+        gi = np.round((slant - float(ranges[0])) / gate).astype(int)
+        ai = _nearest_radial(sw['azimuths'], az)
+        ok = (slant > 0) & (gi >= 0) & (gi < grid.shape[1]) & (ai >= 0)
+        vals = np.full(n, np.nan, dtype=np.float32)
+        vals[ok] = grid[ai[ok], gi[ok]]
+        centre = _beam_height_km(slant, sw['elev'], vol['height_km'])
+        half = np.maximum(slant * math.radians(BEAM_WIDTH_DEG) / 2, dz_km / 2)
+        fill = (np.abs(heights[:, None] - centre[None, :]) <= half[None, :]) & ~np.isnan(vals)[None, :]
+        img = np.where(fill, np.broadcast_to(vals, img.shape), img)
+
+    return np.linspace(0.0, length, n), heights, img
+
+
+# product → (colormap factory, vmin, vmax, unit)
+_PRODUCT_STYLE = {
+    'reflectivity': (lambda: _nws_reflectivity_cmap(), -20, 80, 'dBZ'),
+    'composite':    (lambda: _nws_reflectivity_cmap(), -20, 80, 'dBZ'),
+    'velocity':     (lambda: _nws_velocity_cmap(), -30, 30, 'm/s'),
+    'srv':          (lambda: _nws_velocity_cmap(), -30, 30, 'm/s'),
+    'zdr':          (lambda: _nws_velocity_cmap(), -2, 6, 'dB'),
+    'cc':           (lambda: _nws_velocity_cmap(), 0.6, 1.05, 'ρhv'),
+    'sw':           (lambda: _nws_velocity_cmap(), 0, 10, 'm/s'),
+    'echotops':     (lambda: matplotlib.colormaps['turbo'], 0, 18, 'km'),
+    'vil':          (lambda: matplotlib.colormaps['gist_ncar'], 0, 70, 'kg/m²'),
+}
 
 
 def _render_ppi(azimuths, ranges_km, data, product, station, scan_time):
@@ -348,11 +627,8 @@ def _render_ppi(azimuths, ranges_km, data, product, station, scan_time):
     fig, ax = plt.subplots(1, 1, figsize=(8, 8), facecolor='#0b0f1a')
     ax.set_facecolor('#0b0f1a')
 
-    cmap = _nws_reflectivity_cmap() if product == 'reflectivity' else _nws_velocity_cmap()
-    vmin, vmax = (-20, 80) if product == 'reflectivity' else (-30, 30)
-    if product == 'zdr':   vmin, vmax = -2, 6
-    if product == 'cc':    vmin, vmax = 0.6, 1.05
-    if product == 'sw':    vmin, vmax = 0, 10
+    cmap_fn, vmin, vmax, unit = _PRODUCT_STYLE.get(product, _PRODUCT_STYLE['velocity'])
+    cmap = cmap_fn()
 
     # Convert polar to Cartesian
     az_rad = np.radians(azimuths)
@@ -390,7 +666,6 @@ def _render_ppi(azimuths, ranges_km, data, product, station, scan_time):
     # Colorbar
     cbar = plt.colorbar(im, ax=ax, fraction=0.03, pad=0.01, orientation='vertical')
     cbar.ax.tick_params(colors='white', labelsize=8)
-    unit = {'reflectivity':'dBZ','velocity':'m/s','zdr':'dB','cc':'ρhv','sw':'m/s'}.get(product,'')
     cbar.set_label(unit, color='white', fontsize=9)
 
     # Title
@@ -407,66 +682,402 @@ def _render_ppi(azimuths, ranges_km, data, product, station, scan_time):
     return base64.b64encode(buf.read()).decode()
 
 
-@app.route('/api/radar/level2/render')
-def radar_level2_render():
-    station = request.args.get('station', 'KOKX').upper()
-    product = request.args.get('product', 'reflectivity')
+GEO_PX = 1200   # max output width/height; ~0.8 km/px over a 460 km radius
+
+def _render_geo(vol, azimuths, ranges_km, data, product, elev, ground):
+    """
+    Reproject a polar field onto a Web Mercator grid covering the radar's
+    range, so a Mapbox image source can stretch it between its corners.
+    Returns (png_bytes, [[w,n],[e,n],[e,s],[w,s]]).
+    """
+    max_km = float(np.nanmax(ranges_km))
+    dlat = math.degrees(max_km / 6371.0)
+    dlon = dlat / max(math.cos(math.radians(vol['lat'])), 0.01)
+    n, s = vol['lat'] + dlat, vol['lat'] - dlat
+    w, e = vol['lon'] - dlon, vol['lon'] + dlon
+
+    merc = lambda lat: np.log(np.tan(np.pi / 4 + np.radians(lat) / 2))
+    y_n, y_s = merc(n), merc(s)
+    px = min(GEO_PX, int(2 * max_km / 0.25))
+    lons = w + (np.arange(px, dtype=np.float64) + 0.5) / px * (e - w)
+    ys = y_n - (np.arange(px, dtype=np.float64) + 0.5) / px * (y_n - y_s)
+    lats = np.degrees(2 * np.arctan(np.exp(ys)) - np.pi / 2)
+    LON, LAT = np.meshgrid(lons, lats)
+
+    gr, az = _geo_from_radar(vol, LAT.ravel(), LON.ravel())
+    rng = gr if ground else _slant_for_ground(gr, elev)
+    gate = float(ranges_km[1] - ranges_km[0]) if len(ranges_km) > 1 else 0.25
+    gi = np.round((rng - float(ranges_km[0])) / gate).astype(np.int64)
+
+    # Nearest radial via a 0.1° lookup table — a full pixel × radial distance matrix would be huge
+    table = _nearest_radial(np.asarray(azimuths, dtype=np.float64), np.arange(3600) / 10.0 + 0.05)
+    ai = table[(az * 10).astype(np.int64) % 3600]
+
+    ok = (rng > 0) & (gi >= 0) & (gi < data.shape[1]) & (ai >= 0)
+    vals = np.full(gr.shape, np.nan, dtype=np.float32)
+    vals[ok] = data[ai[ok], gi[ok]]
+    vals = vals.reshape(px, px)
+    if product in ('reflectivity', 'composite'):
+        vals[vals < 5] = np.nan   # drop clutter-level echoes so the map shows through
+
+    cmap_fn, vmin, vmax, _ = _PRODUCT_STYLE.get(product, _PRODUCT_STYLE['velocity'])
+    rgba = (cmap_fn()(np.clip((vals - vmin) / (vmax - vmin), 0, 1)) * 255).astype(np.uint8)
+    rgba[..., 3] = np.where(np.isnan(vals), 0, 255)
+
+    buf = io.BytesIO()
+    plt.imsave(buf, rgba, format='png')
+    return buf.getvalue(), [[w, n], [e, n], [e, s], [w, s]]
+
+
+def _render_xsect(dist_km, heights_km, data, product, station, scan_time, label=''):
+    """Render a range-height cross-section to PNG (base64)."""
+    fig, ax = plt.subplots(1, 1, figsize=(10, 4.5), facecolor='#0b0f1a')
+    ax.set_facecolor('#0b0f1a')
+
+    cmap_fn, vmin, vmax, unit = _PRODUCT_STYLE.get(product, _PRODUCT_STYLE['velocity'])
+    im = ax.pcolormesh(dist_km, heights_km, data, cmap=cmap_fn(), vmin=vmin, vmax=vmax, shading='nearest')
+
+    rows = np.where(np.isfinite(data).any(axis=1))[0]
+    top = float(heights_km[rows[-1]]) + 2 if len(rows) else 10.0
+    ax.set_ylim(0, max(8.0, min(top, float(heights_km[-1]))))
+    ax.set_xlim(float(dist_km[0]), float(dist_km[-1]))
+    ax.grid(color='white', alpha=0.08, linewidth=0.5)
+    ax.tick_params(colors='white', labelsize=8)
+    for side in ax.spines.values():
+        side.set_color((1, 1, 1, 0.2))
+    ax.set_xlabel(f'Distance along section (km){"  " + label if label else ""}', color='white', fontsize=9)
+    ax.set_ylabel('Height MSL (km)', color='white', fontsize=9)
+
+    cbar = plt.colorbar(im, ax=ax, fraction=0.03, pad=0.01)
+    cbar.ax.tick_params(colors='white', labelsize=8)
+    cbar.set_label(unit, color='white', fontsize=9)
+    ax.set_title(f'{station}  {product.upper()} cross-section  {scan_time}', color='white', fontsize=10, pad=4)
+
+    plt.tight_layout(pad=0.3)
+    buf = io.BytesIO()
+    plt.savefig(buf, format='png', dpi=100, bbox_inches='tight', facecolor='#0b0f1a', transparent=False)
+    plt.close(fig)
+    buf.seek(0)
+    import base64
+    return base64.b64encode(buf.read()).decode()
 
+
+class Level2Unavailable(Exception):
+    """The latest volume couldn't be fetched or decoded; carries the HTTP status."""
+    def __init__(self, message, status):
+        super().__init__(message)
+        self.status = status
+
+_VOLUMES = {}        # (station, products) → (expires, vol, scan_time)
+_VOLUME_SLOTS = 3    # decoded volumes are tens of MB each
+_VOLUME_LOCK = threading.Lock()
+
+def _latest_volume(station, products):
+    """Download and decode the newest volume for `station`; kept 5 min so tilt stepping doesn't refetch."""
+    key = (station, tuple(products))
+    hit = _VOLUMES.get(key)
+    if hit and hit[0] > time.time():
+        return hit[1], hit[2]
+
+    conn = nexradaws.NexradAwsInterface()
+    now  = datetime.datetime.utcnow()
+    scans = [s for s in conn.get_available_scans_in_range(now - datetime.timedelta(minutes=60), now, station)
+             if not s.key.endswith('_MDM')]
+    if not scans:
+        raise Level2Unavailable(f'No recent scans found for {station}', 404)
+    latest = scans[-1]
+    with tempfile.TemporaryDirectory() as tmpdir:
+        results = conn.download([latest], tmpdir)
+        if not results.success:
+            raise Level2Unavailable('Download from AWS S3 failed', 500)
+        vol = _read_level2_volume(results.success[0].filepath, products)
+    if vol is None:
+        raise Level2Unavailable('Could not decode scan. Available products depend on VCP.', 422)
+
+    scan_time = str(latest.scan_time)
+    with _VOLUME_LOCK:
+        if key not in _VOLUMES and len(_VOLUMES) >= _VOLUME_SLOTS:
+            _VOLUMES.pop(min(_VOLUMES, key=lambda k: _VOLUMES[k][0]))
+        _VOLUMES[key] = (time.time() + 300, vol, scan_time)
+    return vol, scan_time
+
+def _parse_latlng(arg):
+    """'35.2,-97.4' → (35.2, -97.4), or None."""
+    try:
+        lat, lng = (float(x) for x in arg.split(','))
+    except (AttributeError, ValueError):
+        return None
+    return (lat, lng) if -90 <= lat <= 90 and -180 <= lng <= 180 else None
+
+
+def _level2_args():
+    """Query parsing shared by render/geo → (args, None) or (None, error response)."""
+    a = {
+        'station': request.args.get('station', 'KOKX').upper(),
+        'product': request.args.get('product', 'reflectivity'),
+        'motion_arg': request.args.get('motion', '').strip(),
+        'tilt': request.args.get('tilt', type=int),
+        'elev': request.args.get('elev', type=float),
+    }
+    if a['product'] not in BASE_PRODUCTS + DERIVED_PRODUCTS:
+        return None, (jsonify({'error': f'Unknown product {a["product"]}', 'available_fields': BASE_PRODUCTS + DERIVED_PRODUCTS}), 400)
+    a['motion'] = _parse_motion(a['motion_arg']) if a['motion_arg'] else None
+    if a['motion_arg'] and a['motion'] is None:
+        return None, (jsonify({'error': 'motion must be DIR/KT, e.g. 240/30 (direction the storm moves from)'}), 400)
     if not NEXRAD_OK:
-        return jsonify({'error': 'nexradaws not installed. Run: pip install nexradaws'}), 503
+        return None, (jsonify({'error': 'nexradaws not installed. Run: pip install nexradaws'}), 503)
     if not PLOT_OK:
-        return jsonify({'error': 'matplotlib not installed. Run: pip install matplotlib numpy'}), 503
+        return None, (jsonify({'error': 'matplotlib not installed. Run: pip install matplotlib numpy'}), 503)
+    a['key'] = f'{a["station"]}_{a["product"]}_{a["motion_arg"]}_{a["tilt"]}_{a["elev"]}'
+    return a, None
+
+def _level2_field(a):
+    """
+    The 2-D polar field a render/geo request asks for, as a dict with
+    vol, scan_time, azimuths, ranges_km, data, elev (None for volume
+    products), ground (ranges are ground range, not slant) and extra.
+    Raises Level2Unavailable / ValueError.
+    """
+    product = a['product']
+    # SRV is built from velocity, the volume products from reflectivity
+    base = 'velocity' if product == 'srv' else 'reflectivity' if product in DERIVED_PRODUCTS else product
+    vol, scan_time = _latest_volume(a['station'], (base,))
+    extra = {}
+    if product in DERIVED_PRODUCTS and product != 'srv':
+        azimuths, ranges_km, data, elev, extra = _derived_product(vol, product)
+        ground = True
+    else:
+        tilts = _tilts(vol, base)
+        idx, sw = _pick_tilt(tilts, a['tilt'], a['elev'])
+        if sw is None:
+            raise Level2Unavailable(f'Could not parse {product} from scan. Available products depend on VCP.', 422)
+        if product == 'srv':
+            azimuths, ranges_km, data, elev, extra = _derived_product(vol, product, a['motion'], sw)
+        else:
+            data, ranges_km = sw['fields'][product]
+            azimuths, elev = sw['azimuths'], sw['elev']
+        extra.update(tilt=idx, elevations=[round(t['elev'], 2) for t in tilts])
+        ground = False
+    return {'vol': vol, 'scan_time': scan_time, 'azimuths': azimuths, 'ranges_km': ranges_km,
+            'data': data, 'elev': elev, 'ground': ground, 'extra': extra}
+
+def _level2_meta(a, f):
+    """Response fields common to render and geo."""
+    return {
+        'station': a['station'],
+        'product': a['product'],
+        'scan_time': f['scan_time'],
+        'lat': f['vol']['lat'], 'lng': f['vol']['lon'],
+        'elevation_deg': round(f['elev'], 2) if f['elev'] is not None else None,
+        'range_km': round(float(np.nanmax(f['ranges_km'])), 1),
+        'num_radials': len(f['azimuths']),
+        'available_fields': BASE_PRODUCTS,
+        'derived_fields': DERIVED_PRODUCTS,
+        'available_sweeps': len(f['vol']['sweeps']),
+        **f['extra'],
+    }
 
-    cache_key = f'l2_render_{station}_{product}'
+
+@app.route('/api/radar/level2/render')
+def radar_level2_render():
+    a, err = _level2_args()
+    if err:
+        return err
+
+    cache_key = f'l2_render_{a["key"]}'
     cached = cache_get(cache_key)
     if cached:
         return jsonify(cached)
 
     try:
-        conn = nexradaws.NexradAwsInterface()
-        now  = datetime.datetime.utcnow()
-        scans = conn.get_available_scans_in_range(
-            now - datetime.timedelta(minutes=60), now, station
-        )
-        if not scans:
-            return jsonify({'error': f'No recent scans found for {station}'}), 404
+        f = _level2_field(a)
+        result = _level2_meta(a, f)
+        result['image_b64'] = _render_ppi(f['azimuths'], f['ranges_km'], f['data'], a['product'], a['station'], f['scan_time'][:19])
+        cache_set(cache_key, result, 300)
+        return jsonify(result)
 
-        latest = scans[-1]
-        scan_time = str(latest.scan_time)
+    except Level2Unavailable as e:
+        return jsonify({'error': str(e), 'station': a['station']}), e.status
+    except ValueError as e:
+        return jsonify({'error': str(e), 'station': a['station']}), 422
+    except Exception as e:
+        log.error(f'Level2 render error: {e}', exc_info=True)
+        return jsonify({'error': str(e), 'station': a['station']}), 500
 
-        with tempfile.TemporaryDirectory() as tmpdir:
-            results = conn.download(scans[-1:], tmpdir)
-            if not results.success:
-                return jsonify({'error': 'Download from AWS S3 failed'}), 500
 
-            filepath = results.success[0].filepath
-            parsed = _parse_nexrad_level2(filepath, product)
+@app.route('/api/radar/level2/geo')
+def radar_level2_geo():
+    """Same field as /render, reprojected for a Mapbox image source: PNG url + corner coordinates."""
+    a, err = _level2_args()
+    if err:
+        return err
 
-            if parsed is None:
-                return jsonify({
-                    'error': f'Could not parse {product} from scan. Available products depend on VCP.',
-                    'station': station, 'scan_time': scan_time
-                }), 422
+    cache_key = f'l2_geo_{a["key"]}'
+    cached = cache_get(cache_key)
+    if cached:
+        return jsonify(cached)
 
-            azimuths, ranges_km, data, rlat, rlon, elev = parsed
-            img_b64 = _render_ppi(azimuths, ranges_km, data, product, station, scan_time[:19])
+    try:
+        f = _level2_field(a)
+        png, coordinates = _render_geo(f['vol'], f['azimuths'], f['ranges_km'], f['data'], a['product'], f['elev'], f['ground'])
+        token = hashlib.sha1(f'{cache_key}_{f["scan_time"]}'.encode()).hexdigest()[:16]
+        cache_set(f'l2_png_{token}', png, 600)
+        result = _level2_meta(a, f)
+        result.update(coordinates=coordinates, url=f'/api/radar/level2/geo/{token}.png')
+        cache_set(cache_key, result, 300)
+        return jsonify(result)
 
-            result = {
-                'station': station,
-                'product': product,
-                'scan_time': scan_time,
-                'lat': rlat, 'lng': rlon,
-                'elevation_deg': round(elev, 2),
-                'range_km': round(float(np.nanmax(ranges_km)), 1),
-                'num_radials': len(azimuths),
-                'image_b64': img_b64,
-                'available_fields': ['reflectivity', 'velocity', 'zdr', 'cc', 'sw'],
-            }
-            cache_set(cache_key, result, 300)
-            return jsonify(result)
+    except Level2Unavailable as e:
+        return jsonify({'error': str(e), 'station': a['station']}), e.status
+    except ValueError as e:
+        return jsonify({'error': str(e), 'station': a['station']}), 422
+    except Exception as e:
+        log.error(f'Level2 geo error: {e}', exc_info=True)
+        return jsonify({'error': str(e), 'station': a['station']}), 500
+
+
+@app.route('/api/radar/level2/geo/<token>.png')
+def radar_level2_geo_png(token):
+    png = cache_get(f'l2_png_{token}')
+    if png is None:
+        return jsonify({'error': 'Image expired — request /api/radar/level2/geo again'}), 404
+    return Response(png, mimetype='image/png', headers={'Cache-Control': 'public, max-age=600'})
+
+
+# ── Compact binary radials (client-side rendering) ───────────────
+# Little-endian "SSL2" payload:
+#   header   magic 'SSL2' · u8 version · u8 products · u8 tilts · u8 tilt
+#            f32 lat · f32 lon · f32 height_km · f32 reserved · f64 scan time (epoch ms)
+#   tilts ×  f32 elevation (reflectivity tilt list)
+#   per product:
+#            8-byte name · u16 radials · u16 gates · f32 elev · f32 first_km
+#            f32 gate_km · f32 scale · f32 offset · f32 nyquist (0 = n/a)
+#            radials × u16 azimuth (0.01°) · radials × gates × u8 raw
+#   value = raw·scale + offset, raw 0 = no data
+RADIAL_QUANT = {
+    'reflectivity': (0.5, -33.0),      # -32.5 … 94 dBZ
+    'velocity':     (0.5, -64.0),      # -63.5 … 63.5 m/s
+    'zdr':          (0.0625, -8.0),    # -7.94 … 7.9 dB
+    'cc':           (0.0035, 0.15),    # 0.15 … 1.04
+    'sw':           (0.25, 0.0),       # 0 … 63.75 m/s
+}
+
+def _quantize(data, scale, offset):
+    raw = np.round((data - offset) / scale)
+    return np.where(np.isnan(raw), 0, np.clip(raw, 1, 255)).astype(np.uint8)
+
+def _scan_epoch_ms(scan_time):
+    try:
+        return datetime.datetime.fromisoformat(scan_time).timestamp() * 1000
+    except ValueError:
+        return 0.0
+
+def _pack_radials(vol, scan_time, products, tilt):
+    """Pack one tilt of each product into the SSL2 payload → (bytes, tilt index, elevations)."""
+    ref_tilts = _tilts(vol, 'reflectivity') or _tilts(vol, products[0])
+    idx, target = _pick_tilt(ref_tilts, tilt)
+    if target is None:
+        raise Level2Unavailable('No sweeps in this volume', 422)
+    elevations = [t['elev'] for t in ref_tilts]
+
+    blocks = []
+    for prod in products:
+        _, sw = _pick_tilt(_tilts(vol, prod), elev=target['elev'])
+        if sw is None or abs(sw['elev'] - target['elev']) > 0.3:
+            continue   # e.g. no velocity on this tilt
+        grid, ranges = sw['fields'][prod]
+        scale, offset = RADIAL_QUANT[prod]
+        nrad, ngates = grid.shape
+        gate = float(ranges[1] - ranges[0]) if len(ranges) > 1 else 0.25
+        hdr = struct.pack('<8sHHffffff', prod[:8].ljust(8).encode(), nrad, ngates, sw['elev'],
+                          float(ranges[0]), gate, scale, offset, float(sw['nyquist'] or 0))
+        az = np.round(np.asarray(sw['azimuths'], dtype=np.float64) * 100).astype('<u2')
+        blocks.append(hdr + az.tobytes() + _quantize(grid, scale, offset).tobytes())
+    if not blocks:
+        raise Level2Unavailable('None of the requested products are on this tilt', 422)
+
+    head = struct.pack('<4sBBBBffffd', b'SSL2', 1, len(blocks), len(elevations), idx,
+                       vol['lat'], vol['lon'], vol['height_km'], 0.0, _scan_epoch_ms(scan_time))
+    return head + struct.pack(f'<{len(elevations)}f', *elevations) + b''.join(blocks), idx, elevations
+
+
+@app.route('/api/radar/level2/radials')
+def radar_level2_radials():
+    station  = request.args.get('station', 'KOKX').upper()
+    tilt     = request.args.get('tilt', 0, type=int)
+    products = [p for p in request.args.get('products', ','.join(BASE_PRODUCTS)).split(',') if p]
+
+    bad = [p for p in products if p not in BASE_PRODUCTS]
+    if bad or not products:
+        return jsonify({'error': f'Unknown product(s) {", ".join(bad)}', 'available_fields': BASE_PRODUCTS}), 400
+    if not NEXRAD_OK:
+        return jsonify({'error': 'nexradaws not installed. Run: pip install nexradaws'}), 503
+    if not PLOT_OK:
+        return jsonify({'error': 'numpy not installed. Run: pip install numpy'}), 503
 
+    cache_key = f'l2_radials_{station}_{tilt}_{",".join(products)}'
+    cached = cache_get(cache_key)
+    if cached is None:
+        try:
+            # Always decode every moment so each product shares one cached volume
+            vol, scan_time = _latest_volume(station, tuple(BASE_PRODUCTS))
+            payload, _, _ = _pack_radials(vol, scan_time, products, tilt)
+        except Level2Unavailable as e:
+            return jsonify({'error': str(e), 'station': station}), e.status
+        except Exception as e:
+            log.error(f'Level2 radials error: {e}', exc_info=True)
+            return jsonify({'error': str(e), 'station': station}), 500
+        cached = (payload, scan_time)
+        cache_set(cache_key, cached, 300)
+    payload, scan_time = cached
+    return Response(payload, mimetype='application/octet-stream',
+                    headers={'X-Scan-Time': scan_time, 'Cache-Control': 'public, max-age=120'})
+
+
+@app.route('/api/radar/level2/xsect')
+def radar_level2_xsect():
+    station = request.args.get('station', 'KOKX').upper()
+    product = request.args.get('product', 'reflectivity')
+    start = _parse_latlng(request.args.get('start'))
+    end   = _parse_latlng(request.args.get('end'))
+
+    if product not in BASE_PRODUCTS:
+        return jsonify({'error': f'Cross-sections support {", ".join(BASE_PRODUCTS)}'}), 400
+    if not start or not end:
+        return jsonify({'error': 'start and end required as lat,lng'}), 400
+    if not NEXRAD_OK:
+        return jsonify({'error': 'nexradaws not installed. Run: pip install nexradaws'}), 503
+    if not PLOT_OK:
+        return jsonify({'error': 'matplotlib not installed. Run: pip install matplotlib numpy'}), 503
+
+    cache_key = f'l2_xsect_{station}_{product}_{start[0]:.3f},{start[1]:.3f}_{end[0]:.3f},{end[1]:.3f}'
+    cached = cache_get(cache_key)
+    if cached:
+        return jsonify(cached)
+
+    try:
+        vol, scan_time = _latest_volume(station, (product,))
+        dist, heights, data = _cross_section(vol, product, start, end)
+        label = f'({start[0]:.2f}, {start[1]:.2f}) → ({end[0]:.2f}, {end[1]:.2f})'
+        result = {
+            'station': station,
+            'product': product,
+            'scan_time': scan_time,
+            'lat': vol['lat'], 'lng': vol['lon'],
+            'start': start, 'end': end,
+            'length_km': round(float(dist[-1]), 1),
+            'tilts': len(_tilts(vol, product)),
+            'image_b64': _render_xsect(dist, heights, data, product, station, scan_time[:19], label),
+        }
+        cache_set(cache_key, result, 300)
+        return jsonify(result)
+
+    except Level2Unavailable as e:
+        return jsonify({'error': str(e), 'station': station}), e.status
+    except ValueError as e:
+        return jsonify({'error': str(e), 'station': station}), 422
     except Exception as e:
-        log.error(f'Level2 render error: {e}', exc_info=True)
+        log.error(f'Level2 cross-section error: {e}', exc_info=True)
         return jsonify({'error': str(e), 'station': station}), 500
 
 
@@ -810,44 +1421,88 @@ def health():
     })
 
 
-if __name__ == '__main__':
-    port = int(os.environ.get('RADAR_PORT', 3002))
-    log.info(f'Radar microservice v14.0 on :{port}')
-    app.run(host='0.0.0.0', port=port, debug=False, threaded=True)
+SPC_UA = {'User-Agent': 'StormSurgeWeather/14.0'}
+EMPTY_FC = {'type': 'FeatureCollection', 'features': []}
+
+# Outlook layers SPC publishes per day: categorical plus tornado / wind /
+# hail probabilities for days 1-2, categorical plus total severe for day 3
+OUTLOOK_TYPES = {1: ('cat', 'torn', 'wind', 'hail'), 2: ('cat', 'torn', 'wind', 'hail'), 3: ('cat', 'prob')}
 
 
 @app.route('/api/spc/outlooks')
 def spc_outlooks():
-    """SPC Convective Outlook polygons (Day 1-3) via NOAA SPC."""
-    day = int(request.args.get('day', 1))
-    cache_key = f'spc_outlook_day{day}'
+    """SPC Convective Outlook polygons, Day 1-3. ?type=cat|torn|wind|hail (day 3: cat|prob).
+    Probability types include the significant-severe areas, flagged sig: true."""
+    try:
+        day = int(request.args.get('day', 1))
+    except ValueError:
+        day = 0
+    kind = request.args.get('type', 'cat')
+    if kind not in OUTLOOK_TYPES.get(day, ()):
+        return jsonify({'error': 'day must be 1-3 and type one of ' + ', '.join(OUTLOOK_TYPES.get(day, OUTLOOK_TYPES[1]))}), 400
+    cache_key = f'spc_outlook_day{day}_{kind}'
     cached = cache_get(cache_key)
     if cached:
         return jsonify(cached)
     try:
         import requests as req
-        day_str = {1: 'day1otlk', 2: 'day2otlk', 3: 'day3otlk'}.get(day, 'day1otlk')
-        url = f'https://www.spc.noaa.gov/products/outlook/archive/2024/{day_str}_20240101_1200.lyr.geojson'
-        # Use today's real URL format
-        from datetime import datetime
-        now = datetime.utcnow()
-        date_str = now.strftime('%Y%m%d')
-        url = f'https://www.spc.noaa.gov/products/outlook/{day_str}_{date_str}_1200.lyr.geojson'
-        r = req.get(url, timeout=8, headers={'User-Agent': 'StormSurgeWeather/14.0'})
-        if r.ok:
-            data = r.json()
-            cache_set(cache_key, data, 1800)
-            return jsonify(data)
-        # Try latest
-        url2 = f'https://www.spc.noaa.gov/products/outlook/{day_str}_latest.lyr.geojson'
-        r2 = req.get(url2, timeout=8, headers={'User-Agent': 'StormSurgeWeather/14.0'})
-        if r2.ok:
-            data = r2.json()
-            cache_set(cache_key, data, 1800)
-            return jsonify(data)
-        return jsonify({'type': 'FeatureCollection', 'features': []}), 200
+        # SPC keeps the current issuance of each layer at a fixed name
+        url = f'https://www.spc.noaa.gov/products/outlook/day{day}otlk_{kind}.lyr.geojson'
+        r = req.get(url, timeout=8, headers=SPC_UA)
+        if not r.ok:
+            return jsonify({**EMPTY_FC, 'error': f'SPC returned {r.status_code}'}), 200
+        data = r.json()
+        # Significant-severe (hatched) areas are a separate layer per hazard
+        if kind != 'cat':
+            sig_url = f'https://www.spc.noaa.gov/products/outlook/day{day}otlk_sig{kind}.lyr.geojson'
+            try:
+                rs = req.get(sig_url, timeout=8, headers=SPC_UA)
+                sig = rs.json().get('features', []) if rs.ok else []
+            except Exception:
+                sig = []
+            for f in sig:
+                f.setdefault('properties', {})['sig'] = True
+            data['features'] = data.get('features', []) + sig
+        data['day'], data['kind'] = day, kind
+        cache_set(cache_key, data, 1800)
+        return jsonify(data)
     except Exception as e:
-        return jsonify({'error': str(e), 'type': 'FeatureCollection', 'features': []}), 200
+        return jsonify({**EMPTY_FC, 'error': str(e)}), 200
+
+
+def _utc_iso(v):
+    """SPC time (YYYYMMDDHHMM[Z], ISO 8601 or epoch seconds) → 'YYYY-MM-DDTHH:MMZ' UTC, else None."""
+    if v in (None, ''):
+        return None
+    if isinstance(v, (int, float)):
+        t = datetime.datetime.fromtimestamp(v, datetime.timezone.utc)
+    else:
+        s = str(v).strip().upper().replace(' UTC', '').rstrip('Z')
+        try:
+            if s.isdigit() and len(s) == 12:
+                t = datetime.datetime.strptime(s, '%Y%m%d%H%M').replace(tzinfo=datetime.timezone.utc)
+            else:
+                t = datetime.datetime.fromisoformat(s)
+                t = t.replace(tzinfo=datetime.timezone.utc) if t.tzinfo is None else t.astimezone(datetime.timezone.utc)
+        except ValueError:
+            return None
+    return t.strftime('%Y-%m-%dT%H:%MZ')
+
+
+def _watch_props(p):
+    """Normalise a watch feature's properties: number, kind (tornado|severe), expires, pds."""
+    up = {str(k).lower(): v for k, v in (p or {}).items()}
+    import re
+    num = next((str(up[k]) for k in ('number', 'num', 'watch_num', 'ww_num') if up.get(k) not in (None, '')), '')
+    num = re.search(r'\d+', num)
+    text = ' '.join(str(up.get(k, '')) for k in ('type', 'name', 'event', 'label')).upper()
+    return {
+        **(p or {}),
+        'number': int(num.group()) if num else None,
+        'kind': 'tornado' if ('TOR' in text or text.strip() == 'TO') else 'severe',
+        'expires': _utc_iso(up.get('expire') or up.get('expires') or up.get('expiration')),
+        'pds': bool(up.get('is_pds') or 'PDS' in text),
+    }
 
 
 @app.route('/api/watches')
@@ -860,14 +1515,100 @@ def active_watches():
     try:
         import requests as req
         url = 'https://www.spc.noaa.gov/products/watch/ActiveWW.geojson'
-        r = req.get(url, timeout=8, headers={'User-Agent': 'StormSurgeWeather/14.0'})
+        r = req.get(url, timeout=8, headers=SPC_UA)
         if r.ok:
             data = r.json()
+            for f in data.get('features', []):
+                f['properties'] = _watch_props(f.get('properties'))
             cache_set(cache_key, data, 300)
             return jsonify(data)
-        return jsonify({'type': 'FeatureCollection', 'features': []}), 200
+        return jsonify(EMPTY_FC), 200
     except Exception as e:
-        return jsonify({'error': str(e), 'type': 'FeatureCollection', 'features': []}), 200
+        return jsonify({**EMPTY_FC, 'error': str(e)}), 200
+
+
+def _parse_md(text, now):
+    """Mesoscale discussion text (SWOMCD) → GeoJSON Feature, or None when expired or without a polygon."""
+    import re
+    num = re.search(r'Mesoscale Discussion\s+(\d+)', text)
+    valid = re.search(r'Valid\s+(\d{2})(\d{2})(\d{2})Z\s*-\s*(\d{2})(\d{2})(\d{2})Z', text)
+    latlon = re.search(r'LAT\.\.\.LON\s+([\d\s]+)', text)
+    if not num or not latlon:
+        return None
+    ring = []
+    for g in latlon.group(1).split():
+        if len(g) != 8:
+            continue
+        lat, lon = int(g[:4]) / 100, int(g[4:]) / 100
+        if lon < 50:  # 4 digits drop the leading 1 of 100-180 W
+            lon += 100
+        ring.append([-lon, lat])
+    if len(ring) < 3:
+        return None
+    if ring[0] != ring[-1]:
+        ring.append(ring[0])
+    expires = None
+    if valid:
+        d, h, m = int(valid.group(4)), int(valid.group(5)), int(valid.group(6))
+        month = now.replace(day=1, hour=0, minute=0, second=0, microsecond=0)
+        if d > now.day + 1:  # valid-until day belongs to last month
+            month = (month - datetime.timedelta(days=1)).replace(day=1)
+        try:
+            expires = month.replace(day=d, hour=h, minute=m)
+        except ValueError:
+            expires = None
+        if expires and expires < now:
+            return None
+    field = lambda label: (re.search(label + r'\.\.\.(.+?)(?:\n\s*\n|\n[A-Z][a-z]+ [a-z]+\.\.\.)', text, re.S) or [None, ''])[1]
+    prob = re.search(r'Probability of Watch Issuance\.\.\.(\d+) percent', text)
+    body = text[text.find('SUMMARY'):] if 'SUMMARY' in text else text
+    body = body[:body.find('ATTN...')] if 'ATTN...' in body else body
+    return {
+        'type': 'Feature',
+        'geometry': {'type': 'Polygon', 'coordinates': [ring]},
+        'properties': {
+            'number': int(num.group(1)),
+            'areas': ' '.join(field('Areas affected').split()),
+            'concerning': ' '.join(field('Concerning').split()),
+            'watch_probability': int(prob.group(1)) if prob else None,
+            'expires': expires.isoformat().replace('+00:00', 'Z') if expires else None,
+            'text': body.strip(),
+        },
+    }
+
+
+@app.route('/api/spc/mds')
+def spc_mds():
+    """Current SPC mesoscale discussions as polygons, parsed from NWS SWOMCD products."""
+    cache_key = 'spc_mds'
+    cached = cache_get(cache_key)
+    if cached:
+        return jsonify(cached)
+    try:
+        import requests as req
+        hdr = {**SPC_UA, 'Accept': 'application/ld+json'}
+        r = req.get('https://api.weather.gov/products/types/SWOMCD', timeout=8, headers=hdr)
+        if not r.ok:
+            return jsonify({**EMPTY_FC, 'error': f'NWS returned {r.status_code}'}), 200
+        now = datetime.datetime.now(datetime.timezone.utc)
+        recent = [p for p in r.json().get('@graph', [])
+                  if now - datetime.datetime.fromisoformat(p['issuanceTime'].replace('Z', '+00:00')) < datetime.timedelta(hours=6)]
+        features, seen = [], set()
+        for p in recent[:15]:
+            pr = req.get(f"https://api.weather.gov/products/{p['id']}", timeout=8, headers=hdr)
+            if not pr.ok:
+                continue
+            f = _parse_md(pr.json().get('productText', ''), now)
+            # Newest first: a corrected reissue replaces the original
+            if f and f['properties']['number'] not in seen:
+                seen.add(f['properties']['number'])
+                f['properties']['issued'] = p['issuanceTime']
+                features.append(f)
+        data = {**EMPTY_FC, 'features': features}
+        cache_set(cache_key, data, 300)
+        return jsonify(data)
+    except Exception as e:
+        return jsonify({**EMPTY_FC, 'error': str(e)}), 200
 
 
 @app.route('/api/goes/latest')
@@ -924,3 +1665,9 @@ def freezing_level():
         return jsonify({'error': 'Freezing level unavailable'}), 502
     except Exception as e:
         return jsonify({'error': str(e)}), 500
+
+
+if __name__ == '__main__':
+    port = int(os.environ.get('RADAR_PORT', 3002))
+    log.info(f'Radar microservice v14.0 on :{port}')
+    app.run(host='0.0.0.0', port=port, debug=False, threaded=True)
@@ -10,6 +10,14 @@ const rateLimit = require('express-rate-limit');
 const path      = require('path');
 const https     = require('https');
 const http      = require('http');
+const zlib      = require('zlib');
+const providers = require('./providers');
+const cassette  = require('./cassette');
+const alerts    = require('./alerts');
+const tileCache = require('./tile-cache');
+const packs     = require('./offline-pack');
+const severe    = require('./severe');
+const stormReports = require('./storm-reports');
 
 const app   = express();
 const cache = new NodeCache({ stdTTL: 600 });
@@ -21,25 +29,55 @@ const ANTHROPIC_KEY  = process.env.ANTHROPIC_API_KEY || '';
 const MAPBOX_TOKEN   = process.env.MAPBOX_TOKEN ||
   'pk.eyJ1Ijoic3Rvcm0tc3VyZ2UiLCJhIjoiY21tb3lsZXg3MDlyeTJwcHoxYjZ4emNudiJ9.de5YAbfQMvSzpVNH8QxmGw';
 
-app.use(cors({ origin: '*', methods: ['GET','POST'] }));
+app.use(cors({ origin: '*', methods: ['GET','POST','DELETE'], exposedHeaders: ['X-Offline-As-Of'] }));
 app.use(express.json({ limit: '2mb' }));
 app.use('/api/', rateLimit({ windowMs: 60000, max: 180 }));
 
-async function apiFetch(url, ttl, key) {
+async function apiFetch(url, ttl, key, opts = {}) {
   if (key) { const h = cache.get(key); if (h) return h; }
-  const r = await fetch(url, { headers: { 'User-Agent': 'StormSurgeWeather/13.9' } });
-  if (!r.ok) throw new Error(`HTTP ${r.status}`);
-  const d = await r.json();
+  const d = JSON.parse(await fetchText(url, opts));
   if (key && ttl) cache.set(key, d, ttl);
   return d;
 }
 
-function fetchBin(url) {
+function fetchText(url, opts = {}) {
+  return cassette.wrap(url, async () => {
+    const r = await fetch(url, { headers: { 'User-Agent': 'StormSurgeWeather/13.9', ...opts.headers }, signal: opts.timeout ? AbortSignal.timeout(opts.timeout) : undefined });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    return r.text();
+  });
+}
+
+function fetchBin(url) { return cassette.wrap(url, () => getBin(url)); }
+
+// Radar tiles also go through the disk cache (tile-cache.js) when it's on,
+// and come from an offline pack when upstream and cache both fail
+async function fetchTile(source, url, res) {
+  try {
+    const d = await tileCache.wrap(source, url, () => fetchBin(url));
+    if (d.cache) res.set('X-Tile-Cache', d.cache);
+    return d;
+  } catch(e) {
+    const p = await packs.tile(url);
+    if (!p) throw e;
+    res.set('X-Offline-As-Of', p.asOf);
+    return p;
+  }
+}
+
+// Answer from the newest offline pack after an upstream failure; false if none has it
+async function fromPack(res, hit) {
+  if (!hit) return false;
+  res.set('X-Offline-As-Of', hit.asOf).json(hit.data);
+  return true;
+}
+
+function getBin(url) {
   return new Promise((res, rej) => {
     const mod = url.startsWith('https') ? https : http;
     const req = mod.get(url, { headers:{'User-Agent':'StormSurgeWeather/13.9'} }, (r) => {
       if ([301,302,307,308].includes(r.statusCode) && r.headers.location)
-        return fetchBin(r.headers.location).then(res).catch(rej);
+        return getBin(r.headers.location).then(res).catch(rej);
       if (r.statusCode !== 200) return rej(new Error('HTTP '+r.statusCode));
       const c = []; r.on('data',d=>c.push(d)); r.on('end',()=>res({buf:Buffer.concat(c),type:r.headers['content-type']||'image/png'})); r.on('error',rej);
     });
@@ -47,9 +85,33 @@ function fetchBin(url) {
   });
 }
 
+// Upstream data goes through providers.js so every source can run from fixtures
+providers.use({ json: (url, opts) => apiFetch(url, 0, null, opts), text: fetchText, bin: fetchBin });
+
+// Cache-or-fetch through a provider
+async function fromProvider(name, params, ttl, key) {
+  const h = cache.get(key); if (h) return h;
+  const d = await providers.get(name, params);
+  cache.set(key, d, ttl);
+  return d;
+}
+
+// ?at= — ISO time or unix seconds. Returns a Date in the past, null for "now",
+// or false when the value can't be parsed.
+function parseAt(q) {
+  if (q == null || q === '') return null;
+  const d = /^\d+$/.test(q) ? new Date(Number(q) * 1000) : new Date(String(q));
+  if (isNaN(d)) return false;
+  return d.getTime() < Date.now() - 60000 ? d : null;
+}
+
 // ── CONFIG ──────────────────────────────────────────────────────
 app.get('/api/config', (req,res) => res.json({ mapboxToken: MAPBOX_TOKEN, version: APP_VERSION }));
-app.get('/api/health', (req,res) => res.json({ status:'ok', version:APP_VERSION, uptime:Math.round(process.uptime())+'s' }));
+app.get('/api/health', (req,res) => res.json({ status:'ok', version:APP_VERSION, uptime:Math.round(process.uptime())+'s', providers:providers.status(), cassette:cassette.mode, tileCache:tileCache.enabled }));
+
+// ── TILE CACHE ────────────────────────────────────────────────────
+app.get('/api/tile-cache', (req,res) => res.json(tileCache.status()));
+app.post('/api/tile-cache/clear', (req,res) => { tileCache.clear(); res.json(tileCache.status()); });
 
 // ── UPDATE CHECK ──────────────────────────────────────────────────
 app.get('/api/app-version', async (req,res) => {
@@ -72,16 +134,13 @@ app.get('/api/weather', async (req,res) => {
   const k = `wx_${lat.toFixed(2)}_${lng.toFixed(2)}`;
   const hit = cache.get(k); if (hit) return res.json({...hit,_cached:true});
   try {
-    const url = 'https://api.open-meteo.com/v1/forecast'
-      +`?latitude=${lat}&longitude=${lng}`
-      +'&current=temperature_2m,apparent_temperature,relative_humidity_2m,dew_point_2m,precipitation,rain,snowfall,weather_code,wind_speed_10m,wind_direction_10m,wind_gusts_10m,surface_pressure,cloud_cover,visibility,uv_index,is_day'
-      +'&hourly=temperature_2m,apparent_temperature,relative_humidity_2m,dew_point_2m,precipitation_probability,precipitation,weather_code,wind_speed_10m,wind_direction_10m,wind_gusts_10m,uv_index,visibility,cloud_cover,cape,lifted_index,surface_pressure'
-      +'&daily=weather_code,temperature_2m_max,temperature_2m_min,apparent_temperature_max,apparent_temperature_min,sunrise,sunset,daylight_duration,uv_index_max,precipitation_sum,precipitation_probability_max,wind_speed_10m_max,wind_gusts_10m_max'
-      +'&forecast_days=14&temperature_unit=celsius&wind_speed_unit=ms&precipitation_unit=mm&timezone=auto';
-    const d = await apiFetch(url, 600, null);
+    const d = await providers.get('openmeteo.forecast', {lat,lng});
     cache.set(k, d, 600);
     res.json(d);
-  } catch(e) { res.status(502).json({error:'Weather unavailable',detail:e.message}); }
+  } catch(e) {
+    if (await fromPack(res, await packs.nearest('weather', lat, lng))) return;
+    res.status(502).json({error:'Weather unavailable',detail:e.message});
+  }
 });
 
 // ── AIR QUALITY ──────────────────────────────────────────────────
@@ -89,11 +148,7 @@ app.get('/api/airquality', async (req,res) => {
   const lat=Number(req.query.lat), lng=Number(req.query.lng);
   if (!Number.isFinite(lat)||!Number.isFinite(lng)) return res.status(400).json({error:'lat/lng required'});
   try {
-    const url='https://air-quality-api.open-meteo.com/v1/air-quality'
-      +`?latitude=${lat}&longitude=${lng}`
-      +'&current=pm10,pm2_5,carbon_monoxide,nitrogen_dioxide,sulphur_dioxide,ozone,us_aqi'
-      +'&hourly=pm2_5,pm10,us_aqi&forecast_days=3&timezone=auto';
-    res.json(await apiFetch(url,1800,`aqi_${lat.toFixed(2)}_${lng.toFixed(2)}`));
+    res.json(await fromProvider('openmeteo.airquality',{lat,lng},1800,`aqi_${lat.toFixed(2)}_${lng.toFixed(2)}`));
   } catch(e) { res.status(502).json({error:'AQI unavailable'}); }
 });
 
@@ -102,46 +157,74 @@ app.get('/api/marine', async (req,res) => {
   const lat=Number(req.query.lat), lng=Number(req.query.lng);
   if (!Number.isFinite(lat)||!Number.isFinite(lng)) return res.status(400).json({error:'lat/lng required'});
   try {
-    const url='https://marine-api.open-meteo.com/v1/marine'
-      +`?latitude=${lat}&longitude=${lng}`
-      +'&current=wave_height,wave_direction,wave_period,wind_wave_height,swell_wave_height,swell_wave_direction,swell_wave_period,ocean_current_velocity,ocean_current_direction'
-      +'&hourly=wave_height,wave_direction,wave_period&forecast_days=3&timezone=auto';
-    res.json(await apiFetch(url,3600,`marine_${lat.toFixed(2)}_${lng.toFixed(2)}`));
+    res.json(await fromProvider('openmeteo.marine',{lat,lng},3600,`marine_${lat.toFixed(2)}_${lng.toFixed(2)}`));
   } catch(e) { res.status(404).json({error:'Marine unavailable'}); }
 });
 
 // ── SEVERE ANALYSIS ──────────────────────────────────────────────
-app.get('/api/severe-analysis', async (req,res) => {
-  const lat=Number(req.query.lat), lng=Number(req.query.lng);
+// GET uses the default tag rules; POST { lat, lng, rules } tags with the user's own
+app.get('/api/severe-rules', (req,res) => res.json({ default:severe.DEFAULT_RULES, fields:severe.FIELDS }));
+app.get('/api/severe-analysis', (req,res) => severeAnalysis(req.query, null, res));
+app.post('/api/severe-analysis', (req,res) => severeAnalysis(req.body||{}, req.body?.rules, res));
+async function severeAnalysis(q, custom, res) {
+  const lat=Number(q.lat), lng=Number(q.lng);
   if (!Number.isFinite(lat)||!Number.isFinite(lng)) return res.status(400).json({error:'lat/lng required'});
+  let rules = severe.DEFAULT_RULES;
+  if (custom) {
+    try { rules = severe.checkRules(custom); }
+    catch(e) { return res.status(400).json({error:'Bad rules',detail:e.message}); }
+  }
   try {
-    const url='https://api.open-meteo.com/v1/forecast'
-      +`?latitude=${lat}&longitude=${lng}`
-      +'&hourly=temperature_2m,dew_point_2m,wind_speed_10m,wind_gusts_10m,precipitation_probability,precipitation,cape,lifted_index,cloud_cover,visibility,relative_humidity_2m'
-      +'&forecast_days=3&temperature_unit=celsius&wind_speed_unit=ms&precipitation_unit=mm&timezone=auto';
-    const d = await apiFetch(url,900,`severe_${lat.toFixed(2)}_${lng.toFixed(2)}`);
-    const hours = d.hourly.time.map((t,i)=>({time:t,tempC:d.hourly.temperature_2m[i],dewC:d.hourly.dew_point_2m[i],windMs:d.hourly.wind_speed_10m[i],gustMs:d.hourly.wind_gusts_10m[i],precipProb:d.hourly.precipitation_probability[i],precip:d.hourly.precipitation[i],cape:d.hourly.cape?.[i]||0,li:d.hourly.lifted_index?.[i]||0,cloud:d.hourly.cloud_cover[i],vis:d.hourly.visibility[i],rh:d.hourly.relative_humidity_2m[i]}));
-    const analyzed = hours.map(h=>({...h,tags:analyzeSevere(h)}));
-    const maxCape = Math.max(...hours.map(h=>h.cape||0));
-    const maxGust = Math.max(...hours.map(h=>(h.gustMs||0)*2.237));
+    const d = await fromProvider('openmeteo.severe',{lat,lng},900,`severe_${lat.toFixed(2)}_${lng.toFixed(2)}`);
+    const analyzed = severe.hours(d, rules);
+    const max = k => Math.max(0, ...analyzed.map(h=>h[k]||0));
     const allTags = [...new Set(analyzed.flatMap(h=>h.tags.map(t=>t.tag)))];
-    res.json({lat,lng,maxCape:Math.round(maxCape),maxGustMph:Math.round(maxGust),summary:allTags,peakHours:analyzed.filter(h=>h.tags.length).sort((a,b)=>b.cape-a.cape).slice(0,6),hourly:analyzed.slice(0,48)});
+    res.json({lat,lng,rules:rules.name,utcOffset:d.utc_offset_seconds||0,maxCape:Math.round(max('cape')),maxGustMph:Math.round(max('gustMs')*2.237),maxScp:max('scp'),maxStp:max('stp'),maxShip:max('ship'),maxSrh1:max('srh1'),maxSrh3:max('srh3'),maxShear6:max('shear6'),
+      summary:allTags,peakHours:analyzed.filter(h=>h.tags.length).sort((a,b)=>severe.threat(b)-severe.threat(a)||b.cape-a.cape).slice(0,6),hourly:analyzed});
   } catch(e) { res.status(502).json({error:'Analysis unavailable',detail:e.message}); }
-});
-function analyzeSevere(h){
-  const tags=[],gustMph=(h.gustMs||0)*2.237;
-  if(h.cape>=2000)tags.push({tag:'significant instability',level:'high',icon:'⛈'});
-  else if(h.cape>=1000)tags.push({tag:'moderate instability',level:'moderate',icon:'🌩'});
-  else if(h.cape>=500)tags.push({tag:'marginal instability',level:'low',icon:'🌤'});
-  if(h.li<=-6)tags.push({tag:'extremely unstable',level:'high',icon:'⚠️'});
-  else if(h.li<=-3)tags.push({tag:'unstable atmosphere',level:'moderate',icon:'🌩'});
-  if(gustMph>=60)tags.push({tag:'damaging winds',level:'high',icon:'💨'});
-  else if(gustMph>=40)tags.push({tag:'strong gusts',level:'moderate',icon:'💨'});
-  if(h.precipProb>=70&&h.precip>=10)tags.push({tag:'heavy rain/flood risk',level:'high',icon:'🌊'});
-  if((h.vis||0)<1000)tags.push({tag:'dense fog',level:'moderate',icon:'🌫'});
-  return tags;
 }
 
+// ── ALERTS ───────────────────────────────────────────────────────
+// ?point=lat,lng  ?bbox=w,s,e,n  ?severity=warning,watch  ?event=Tornado Warning,...  ?at=
+app.get('/api/alerts', async (req,res) => {
+  const at = parseAt(req.query.at);
+  if (at === false) return res.status(400).json({error:'bad at'});
+  const list = v => String(v||'').split(',').map(s=>s.trim()).filter(Boolean);
+  const nums = v => list(v).map(Number);
+  const opts = { at, severity:list(req.query.severity), event:list(req.query.event) };
+  if (req.query.point) {
+    const [lat,lng] = nums(req.query.point);
+    if (!Number.isFinite(lat)||!Number.isFinite(lng)) return res.status(400).json({error:'point=lat,lng'});
+    opts.point = {lat,lng};
+  }
+  if (req.query.bbox) {
+    const b = nums(req.query.bbox);
+    if (b.length!==4||!b.every(Number.isFinite)) return res.status(400).json({error:'bbox=w,s,e,n'});
+    opts.bbox = b;
+  }
+  try { res.json(await alerts.query(opts)); }
+  catch(e) {
+    // Packs are for the live view only; expired alerts are dropped
+    const p = !at && await packs.json('alerts');
+    if (p) p.data.features = p.data.features.filter(f => !f.properties.expires || Date.parse(f.properties.expires) > Date.now());
+    if (await fromPack(res, p)) return;
+    res.status(502).json({error:'Alerts unavailable',detail:e.message});
+  }
+});
+
+// Body: { locations:[{name,lat,lng}], radiusKm?, at? } — which alerts cover / are near each place
+app.post('/api/alerts/locations', async (req,res) => {
+  const at = parseAt(req.body?.at);
+  if (at === false) return res.status(400).json({error:'bad at'});
+  const locs = (Array.isArray(req.body?.locations)?req.body.locations:[]).slice(0,50)
+    .map(l=>({name:String(l?.name||'').slice(0,80),lat:Number(l?.lat),lng:Number(l?.lng)}))
+    .filter(l=>Number.isFinite(l.lat)&&Number.isFinite(l.lng));
+  if (!locs.length) return res.status(400).json({error:'locations required'});
+  const radiusKm = Math.min(300, Math.max(1, Number(req.body.radiusKm)||50));
+  try { res.json(await alerts.forLocations(locs, {at, radiusKm})); }
+  catch(e) { res.status(502).json({error:'Alerts unavailable',detail:e.message}); }
+});
+
 // ── AI CHAT ──────────────────────────────────────────────────────
 app.post('/api/ai-chat', async (req,res) => {
   if(!ANTHROPIC_KEY) return res.status(503).json({error:'ANTHROPIC_API_KEY not set in .env'});
@@ -157,23 +240,88 @@ app.post('/api/ai-chat', async (req,res) => {
 });
 
 // ── RADAR ────────────────────────────────────────────────────────
+// Loop window: ?minutes=30–360 (default 120) and ?step=5–60 (multiple of 5,
+// default 10). RainViewer only keeps ~2 h at 10-min spacing, so longer or
+// finer live loops come from the IEM composite. At most LOOP_MAX_FRAMES
+// frames; a longer request gets a coarser step.
+const LOOP_MAX_FRAMES = 72;
+function loopParams(q) {
+  const minutes = Math.max(30, Math.min(360, parseInt(q.minutes,10) || 120));
+  let step = Math.max(5, Math.min(60, Math.round((parseInt(q.step,10) || 10) / 5) * 5));
+  const want = step;
+  while (minutes / step > LOOP_MAX_FRAMES) step += 5;
+  return { minutes, step, coarsened: step !== want };
+}
+
 app.get('/api/radar/frames', async (req,res) => {
+  const at = parseAt(req.query.at);
+  if (at === false) return res.status(400).json({error:'bad at'});
+  const loop = loopParams(req.query);
+  if (at) return res.json({ ...archiveFrames(at, loop), ...loop });
+  try { res.json(await liveFrames(loop)); }
+  catch(e) {
+    if (await fromPack(res, await packs.json('frames'))) return;
+    res.status(502).json({error:'Radar unavailable'});
+  }
+});
+
+async function liveFrames(loop) {
+  const d = await fromProvider('rainviewer.frames',{},60,'rv_frames');
+  const all = d?.radar?.past||[];
+  if(!all.length) throw new Error('No frames');
+  const last = all[all.length-1].time, from = last - loop.minutes*60;
+  // Fall back to the IEM composite when RainViewer can't cover the window
+  if (all[0].time > from + 600 || loop.step % 10) {
+    const end = new Date(Math.floor((Date.now() - 300000) / 300000) * 300000);
+    return { ...await compositeFrames(end, loop), ...loop, source:'iem-live', at:undefined };
+  }
+  const past = all.filter(f => f.time > from && (last - f.time) % (loop.step*60) === 0);
+  return {past,nowcast:d?.radar?.nowcast?.slice(0,3)||[],source:'rainviewer',...loop};
+}
+
+// Past loops come from the IEM national composite archive (5-min stamps).
+// Frames carry their own tile template so the animator doesn't need to know.
+function archiveFrames(at, loop = { minutes:120, step:10 }) {
+  const end = Math.floor(at.getTime() / 300000) * 300;
+  const past = [];
+  for (let i = Math.max(2, Math.floor(loop.minutes / loop.step)) - 1; i >= 0; i--) {
+    const t = end - i * loop.step * 60, stamp = new Date(t * 1000).toISOString().replace(/\D/g,'').slice(0,12);
+    past.push({ time:t, path:stamp, tile:`/api/radar/archive/${stamp}/{z}/{x}/{y}.png` });
+  }
+  return { past, nowcast:[], source:'iem-archive', at:at.toISOString() };
+}
+
+// archiveFrames for a live loop, keeping only scans IEM has published
+async function compositeFrames(end, loop) {
+  const start = new Date(end.getTime() - loop.minutes*60000);
+  const d = await fromProvider('iem.composite.scans', {start,end}, 60, 'iem_scans_'+end.getTime()+'_'+loop.minutes);
+  const have = new Set((d.scans||[]).map(s => Date.parse(s.ts)/1000));
+  const frames = archiveFrames(end, loop);
+  frames.past = frames.past.filter(f => have.has(f.time));
+  if (!frames.past.length) throw new Error('No composite scans');
+  return frames;
+}
+
+const archiveTileUrl = (stamp,z,x,y) => `https://mesonet.agron.iastate.edu/cache/tile.py/1.0.0/ridge::USCOMP-N0Q-${stamp}/${z}/${x}/${y}.png`;
+const rvTileUrl = p => `https://tilecache.rainviewer.com/${p.replace(/^\/+/,'')}`;
+
+app.get('/api/radar/archive/:stamp/:z/:x/:y.png', async (req,res) => {
+  const {stamp} = req.params, z=Number(req.params.z), x=Number(req.params.x), y=Number(req.params.y);
+  if (!/^\d{12}$/.test(stamp) || ![z,x,y].every(Number.isInteger)) return res.status(400).end();
   try {
-    const d = await apiFetch('https://api.rainviewer.com/public/weather-maps.json',60,'rv_frames');
-    const past = d?.radar?.past?.slice(-12)||[];
-    if(!past.length) throw new Error('No frames');
-    res.json({past,nowcast:d?.radar?.nowcast?.slice(0,3)||[],source:'rainviewer'});
-  } catch(e) { res.status(502).json({error:'Radar unavailable'}); }
+    const {buf,type} = await fetchTile('iem-archive', archiveTileUrl(stamp,z,x,y), res);
+    res.set('Content-Type',type).set('Cache-Control','public,max-age=86400').send(buf);
+  } catch(e) {
+    res.set('Content-Type','image/png').send(Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8/x8AAwMCAO+/n1QAAAAASUVORK5CYII=','base64'));
+  }
 });
 
 app.get('/api/radar/tile', async (req,res) => {
   const p = String(req.query.path||'');
   if(!p||p.includes('..')) return res.status(400).end();
   try {
-    const r = await fetch(`https://tilecache.rainviewer.com/${p.replace(/^\/+/,'')}`);
-    if(!r.ok) throw new Error(r.status);
-    const buf = Buffer.from(await r.arrayBuffer());
-    res.set('Content-Type',r.headers.get('content-type')||'image/png').set('Cache-Control','public,max-age=120').send(buf);
+    const {buf,type} = await fetchTile('rainviewer', rvTileUrl(p), res);
+    res.set('Content-Type',type).set('Cache-Control','public,max-age=120').send(buf);
   } catch(e) {
     res.set('Content-Type','image/png').send(Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8/x8AAwMCAO+/n1QAAAAASUVORK5CYII=','base64'));
   }
@@ -273,85 +421,189 @@ app.get('/api/nexrad/nearest', async (req,res) => {
 
   function hav(a,b,c,d){const R=6371,dL=(c-a)*Math.PI/180,dN=(d-b)*Math.PI/180,x=Math.sin(dL/2)**2+Math.cos(a*Math.PI/180)*Math.cos(c*Math.PI/180)*Math.sin(dN/2)**2;return R*2*Math.atan2(Math.sqrt(x),Math.sqrt(1-x));}
 
-  // Try live API first; fallback to hardcoded list
-  let stations = null;
-  let sd = cache.get('nexrad_stations');
-  if (sd) {
-    stations = sd.stations;
-  } else {
-    try {
-      const r=await fetch('https://api.weather.gov/radar/stations',{
-        headers:{'User-Agent':'(StormSurgeWeather/13.9)','Accept':'application/geo+json'},
-        signal: AbortSignal.timeout(5000)
-      });
-      if (r.ok) {
-        const d=await r.json();
-        stations=(d.features||[]).map(f=>({
-          id:f.properties.stationIdentifier,
-          name:f.properties.name,
-          lat:f.geometry?.coordinates?.[1]||0,
-          lng:f.geometry?.coordinates?.[0]||0
-        })).filter(s=>s.id&&STA_RE.test(s.id));
-        if (stations.length) cache.set('nexrad_stations',{stations},86400);
-      }
-    } catch(e) {
-      console.warn('NWS radar stations API failed, using hardcoded fallback:', e.message);
-    }
-  }
-
-  // Always fallback to hardcoded if API failed or returned nothing
-  if (!stations || !stations.length) {
-    stations = NEXRAD_FALLBACK;
+  // Try live API first, then an offline pack, then the hardcoded list
+  const sd = cache.get('nexrad_stations');
+  let stations = sd?.stations || await radarStations(), source = sd ? 'cache' : 'live';
+  if (!stations) {
+    const p = await packs.json('stations');
+    if (p) { stations = p.data; source = 'offline'; res.set('X-Offline-As-Of', p.asOf); }
   }
+  if (!stations || !stations.length) { stations = NEXRAD_FALLBACK; source = 'fallback'; }
 
   const withDist=stations.map(s=>({...s,distKm:Math.round(hav(lat,lng,s.lat,s.lng))})).sort((a,b)=>a.distKm-b.distKm).slice(0,10);
-  res.json({stations:withDist, source: sd ? 'cache' : stations === NEXRAD_FALLBACK ? 'fallback' : 'live'});
+  res.json({stations:withDist, source});
 });
 
+// NWS radar station list (cached a day), or null when the API fails
+async function radarStations() {
+  try {
+    const r=await fetch('https://api.weather.gov/radar/stations',{
+      headers:{'User-Agent':'(StormSurgeWeather/13.9)','Accept':'application/geo+json'},
+      signal: AbortSignal.timeout(5000)
+    });
+    if (!r.ok) throw new Error('HTTP '+r.status);
+    const d=await r.json();
+    const stations=(d.features||[]).map(f=>({
+      id:f.properties.stationIdentifier,
+      name:f.properties.name,
+      lat:f.geometry?.coordinates?.[1]||0,
+      lng:f.geometry?.coordinates?.[0]||0
+    })).filter(s=>s.id&&STA_RE.test(s.id));
+    if (!stations.length) return null;
+    cache.set('nexrad_stations',{stations},86400);
+    return stations;
+  } catch(e) {
+    console.warn('NWS radar stations API failed:', e.message);
+    return null;
+  }
+}
+
 app.get('/api/nexrad/tile/:station/:product/:z/:x/:y', async (req,res) => {
   const {station,product}=req.params;
   const z=Number(req.params.z),x=Number(req.params.x),y=Number(req.params.y);
   if(!STA_RE.test(station)||!NEXRAD_PRODS.has(product)) return res.status(400).end();
   const empty=Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8/x8AAwMCAO+/n1QAAAAASUVORK5CYII=','base64');
   try {
-    const {buf,type}=await fetchBin(`https://mesonet.agron.iastate.edu/cache/tile.py/1.0.0/${product}_${station}/${z}/${x}/${y}.png`);
+    const {buf,type}=await fetchTile('nexrad', `https://mesonet.agron.iastate.edu/cache/tile.py/1.0.0/${product}_${station}/${z}/${x}/${y}.png`, res);
     res.set('Content-Type',type).set('Cache-Control','public,max-age=60').send(buf);
   } catch(e){res.set('Content-Type','image/png').send(empty);}
 });
 
+// ── OFFLINE PACKS ─────────────────────────────────────────────────
+// Body: { name, bbox:[w,s,e,n], zooms:[…], minutes, color, favorites:[{name,lat,lng}] }.
+// Downloads forecasts for the favorites, the radar loop over the bbox at
+// each zoom, NEXRAD stations, alerts in the bbox and SPC outlooks, watches
+// and MDs into offline-pack.js, for routes to fall back on.
+const PACK_MAX_TILES = 20000;
+// Exact URLs the frontend asks for (public/spc-layers.js); fallback matches on them
+const SPC_OUTLOOKS = {1:['cat','torn','wind','hail'],2:['cat','torn','wind','hail'],3:['cat','prob']};
+const PACK_PROXY = [
+  ...Object.entries(SPC_OUTLOOKS).flatMap(([day,types]) => types.map(t => `/api/spc/outlooks?day=${day}&type=${t}`)),
+  '/api/watches','/api/spc/mds',
+];
+
+function tileXY(lng, lat, z) {
+  const n = 2 ** z, r = Math.max(-85.05, Math.min(85.05, lat)) * Math.PI / 180;
+  return [Math.floor((lng + 180) / 360 * n), Math.floor((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2 * n)];
+}
+function packTiles(bbox, zooms) {
+  const out = [];
+  zooms.forEach(z => {
+    const n = 2 ** z, [x0,y0] = tileXY(bbox[0], bbox[3], z), [x1,y1] = tileXY(bbox[2], bbox[1], z);
+    for (let x = Math.max(0,x0); x <= Math.min(n-1,x1); x++)
+      for (let y = Math.max(0,y0); y <= Math.min(n-1,y1); y++) out.push({z,x,y});
+  });
+  return out;
+}
+
+async function buildPack(spec, frames, w) {
+  const tiles = packTiles(spec.bbox, spec.zooms);
+  const urls = frames.past.concat(frames.nowcast).flatMap(f => tiles.map(t => f.tile
+    ? { source:'iem-archive', url:archiveTileUrl(f.path, t.z, t.x, t.y) }
+    : { source:'rainviewer', url:rvTileUrl(`${f.path}/256/${t.z}/${t.x}/${t.y}/${spec.color}/1_1.png`) }));
+  const steps = [
+    ...spec.favorites.map(f => async () => w.point('weather', f.lat, f.lng, await providers.get('openmeteo.forecast', f))),
+    async () => { const s = await radarStations(); if (!s) throw new Error('No stations'); await w.json('stations', s); },
+    async () => w.json('alerts', await alerts.query({ bbox:spec.bbox })),
+    ...PACK_PROXY.map(u => async () => {
+      const r = await fetch(RADAR_SERVICE_URL + u, { signal:AbortSignal.timeout(15000) });
+      const d = r.ok && await r.json();
+      if (!d || d.error) throw new Error(d?.error || 'HTTP ' + r.status);
+      await w.json('proxy:' + u, d);
+    }),
+    () => w.json('frames', frames),
+  ];
+  const total = steps.length + urls.length;
+  let done = 0, failed = 0, tilesOk = 0;
+  const run = async (fn, label) => {
+    try { await fn(); return true; }
+    catch(e) { failed++; if (label) console.warn(`[pack ${spec.name}] ${label} failed:`, e.message); return false; }
+    finally { w.progress(++done, total, failed); }
+  };
+  for (const [i, fn] of steps.entries()) await run(fn, `step ${i + 1}`);
+  let next = 0;
+  const worker = async () => {
+    while (next < urls.length) {
+      const { source, url } = urls[next++];
+      if (await run(async () => w.tile(url, (await tileCache.wrap(source, url, () => fetchBin(url))).buf))) tilesOk++;
+    }
+  };
+  await Promise.all(Array.from({ length:6 }, worker));
+  if (tilesOk < urls.length) console.warn(`[pack ${spec.name}] ${urls.length - tilesOk} of ${urls.length} tiles failed`);
+  if (urls.length && !tilesOk) throw new Error('No radar tiles could be downloaded');
+}
+
+app.get('/api/offline/packs', (req,res) => res.json({ enabled:packs.enabled, packs:packs.enabled ? packs.list() : [] }));
+
+app.post('/api/offline/packs', async (req,res) => {
+  if (!packs.enabled) return res.status(404).json({error:'Offline packs are off (set SS_PACK_DIR)'});
+  const b = req.body || {};
+  const bbox = (Array.isArray(b.bbox) ? b.bbox : []).map(Number);
+  if (bbox.length!==4 || !bbox.every(Number.isFinite) || bbox[0]>=bbox[2] || bbox[1]>=bbox[3]) return res.status(400).json({error:'bbox=[w,s,e,n] required'});
+  const zooms = [...new Set((Array.isArray(b.zooms) ? b.zooms : [5,6,7]).map(Number).filter(z => Number.isInteger(z) && z>=2 && z<=8))].sort((a,b)=>a-b);
+  if (!zooms.length) return res.status(400).json({error:'zooms must be 2–8'});
+  const favorites = (Array.isArray(b.favorites) ? b.favorites : []).slice(0,20)
+    .map(f=>({name:String(f?.name||'').slice(0,80),lat:Number(f?.lat),lng:Number(f?.lng)}))
+    .filter(f=>Number.isFinite(f.lat)&&Number.isFinite(f.lng));
+  const loop = loopParams({ minutes:b.minutes, step:10 });
+  const spec = { name:String(b.name||'Region').slice(0,60), bbox, zooms, minutes:loop.minutes,
+    color:/^\d{1,2}$/.test(String(b.color)) ? String(b.color) : '6', favorites };
+  let frames;
+  try { frames = await liveFrames(loop); }
+  catch(e) { return res.status(502).json({error:'Radar unavailable — connect before building a pack'}); }
+  const tiles = packTiles(bbox, zooms).length * (frames.past.length + frames.nowcast.length);
+  if (tiles > PACK_MAX_TILES) return res.status(400).json({error:`${tiles} tiles — pick a smaller region, fewer zooms or a shorter loop (max ${PACK_MAX_TILES})`, tiles});
+  res.json(await packs.create({ ...spec, tiles }, w => buildPack(spec, frames, w)));
+});
+
+app.delete('/api/offline/packs/:id', async (req,res) => {
+  if (!await packs.remove(req.params.id)) return res.status(404).json({error:'No such pack, or still building'});
+  res.json({ok:true});
+});
+
 // ── SPOTTER REPORTS ──────────────────────────────────────────────
 app.get('/api/spotter-reports', async (req,res) => {
   const lat=Number(req.query.lat)||0, lng=Number(req.query.lng)||0, dist=Number(req.query.dist)||300;
-  const k=`spotter_${lat.toFixed(1)}_${lng.toFixed(1)}`;
+  const at=parseAt(req.query.at);
+  if(at===false) return res.status(400).json({error:'bad at'});
+  const k=`spotter_${lat.toFixed(1)}_${lng.toFixed(1)}${at?'_'+at.getTime():''}`;
   const cached=cache.get(k); if(cached) return res.json({...cached,_cached:true});
   const reports=[];
   try {
-    const now=Math.floor(Date.now()/1000), from=now-3*3600;
-    const mr=await fetch(`https://mping.nssl.noaa.gov/mping/api/v2/reports/?format=json&time__gte=${from}&limit=200`,{headers:{'User-Agent':'StormSurgeWeather/13.9','Accept':'application/json'}});
-    if(mr.ok){
-      const md=await mr.json();
-      const cm={1:{t:'Rain',i:'🌧'},2:{t:'Freezing Rain',i:'🌨'},3:{t:'Snow',i:'❄️'},4:{t:'Sleet',i:'🧊'},5:{t:'Hail',i:'🌨'},6:{t:'Tornado',i:'🌪'},7:{t:'Thunderstorm',i:'⛈'},8:{t:'Fog',i:'🌫'},9:{t:'High Wind',i:'💨'},11:{t:'Lightning',i:'⚡'},13:{t:'Flash Flood',i:'🌊'}};
-      (md.results||[]).forEach(r=>{const c=cm[r.category_id]||{t:'Report',i:'📍'};reports.push({id:`m-${r.id}`,source:'mPing',type:c.t,icon:c.i,lat:r.geom?.coordinates?.[1]||0,lng:r.geom?.coordinates?.[0]||0,description:r.description||'',city:r.city||'',state:r.state||'',ts:r.ob_time||new Date().toISOString(),verified:false});});
-    }
+    const now=Math.floor((at||new Date()).getTime()/1000), from=now-3*3600;
+    const md=await providers.get('mping.reports',{since:from,until:at?now:null});
+    const cm={1:{t:'Rain',i:'🌧'},2:{t:'Freezing Rain',i:'🌨'},3:{t:'Snow',i:'❄️'},4:{t:'Sleet',i:'🧊'},5:{t:'Hail',i:'🌨'},6:{t:'Tornado',i:'🌪'},7:{t:'Thunderstorm',i:'⛈'},8:{t:'Fog',i:'🌫'},9:{t:'High Wind',i:'💨'},11:{t:'Lightning',i:'⚡'},13:{t:'Flash Flood',i:'🌊'}};
+    (md.results||[]).forEach(r=>{const c=cm[r.category_id]||{t:'Report',i:'📍'};reports.push({id:`m-${r.id}`,source:'mPing',type:c.t,icon:c.i,lat:r.geom?.coordinates?.[1]||0,lng:r.geom?.coordinates?.[0]||0,description:r.description||'',city:r.city||'',state:r.state||'',ts:r.ob_time||new Date().toISOString(),verified:false});});
   } catch(e){}
   function hav(a,b,c,d){const R=6371,dL=(c-a)*Math.PI/180,dN=(d-b)*Math.PI/180,x=Math.sin(dL/2)**2+Math.cos(a*Math.PI/180)*Math.cos(c*Math.PI/180)*Math.sin(dN/2)**2;return R*2*Math.atan2(Math.sqrt(x),Math.sqrt(1-x));}
   const nearby=lat&&lng?reports.filter(r=>r.lat&&r.lng&&hav(lat,lng,r.lat,r.lng)<=dist):reports;
   nearby.forEach(r=>{if(lat&&lng)r.distKm=Math.round(hav(lat,lng,r.lat,r.lng));});
   nearby.sort((a,b)=>(a.distKm||999)-(b.distKm||999));
-  const result={reports:nearby.slice(0,150),total:nearby.length};
-  cache.set(k,result,300);
+  const result={reports:nearby.slice(0,150),total:nearby.length,...(at&&{at:at.toISOString()})};
+  cache.set(k,result,at?3600:300);
   res.json(result);
 });
 
 // ── STORM REPORTS ──────────────────────────────────────────────
 app.get('/api/storm-reports', async (req,res) => {
-  try {
-    const r=await fetch('https://www.spc.noaa.gov/climo/reports/today_filtered_torn.csv',{headers:{'User-Agent':'StormSurgeWeather/13.9'}});
-    if(!r.ok) throw new Error('SPC '+r.status);
-    const text=await r.text();
-    const items=text.trim().split('\n').slice(1).slice(0,50).map((line,i)=>{const p=line.split(',');return{id:'sr-'+i,type:'tornado',lat:parseFloat(p[5])||0,lng:parseFloat(p[6])||0,magnitude:p[3]||'EF?',text:p[7]||'Tornado report'};}).filter(r=>r.lat!==0);
-    res.json({items,source:'spc'});
-  } catch(e){res.json({items:[],source:'unavailable'});}
+  const at=parseAt(req.query.at);
+  if(at===false) return res.status(400).json({error:'bad at'});
+  const day=stormReports.resolveDay(req.query.day);
+  if(!day) return res.status(400).json({error:'day=today|yesterday|YYYY-MM-DD'});
+  const list=v=>String(v||'').split(',').map(s=>s.trim()).filter(Boolean);
+  const num=v=>v==null||v===''?undefined:Number(v);
+  const types=list(req.query.types);
+  if(types.some(t=>!stormReports.KINDS[t])) return res.status(400).json({error:'types=tornado,hail,wind'});
+  const opts={day,at,types,minEF:num(req.query.minEF),minHail:num(req.query.minHail),minWind:num(req.query.minWind),
+    sig:req.query.sig==='1'||req.query.sig==='true',radiusKm:num(req.query.radius),sort:req.query.sort};
+  if([opts.minEF,opts.minHail,opts.minWind,opts.radiusKm].some(v=>v!==undefined&&!Number.isFinite(v))) return res.status(400).json({error:'minEF, minHail, minWind and radius are numbers'});
+  if(req.query.lat!=null&&req.query.lng!=null){
+    const lat=Number(req.query.lat),lng=Number(req.query.lng);
+    if(!Number.isFinite(lat)||!Number.isFinite(lng)) return res.status(400).json({error:'lat,lng'});
+    opts.point={lat,lng};
+  }
+  try { res.json(await stormReports.query(opts)); }
+  catch(e){res.json({items:[],counts:{},total:0,source:'unavailable',day});}
 });
 
 // ================================================================
@@ -428,10 +680,7 @@ app.get('/api/metar/station', async (req, res) => {
   const cached = cache.get(cacheKey);
   if (cached) return res.json(cached);
   try {
-    const url = `https://aviationweather.gov/api/data/metar?ids=${station}&format=json`;
-    const r = await fetch(url, { headers: { 'User-Agent': 'StormSurgeWeather/14.0' }, signal: AbortSignal.timeout(8000) });
-    if (!r.ok) throw new Error('HTTP ' + r.status);
-    const data = await r.json();
+    const data = await providers.get('awc.metar', { station });
     const result = { metars: data, station };
     cache.set(cacheKey, result, 600);
     res.json(result);
@@ -447,6 +696,7 @@ app.get('/api/metar/station', async (req, res) => {
 //  /api/alerts/custom to Python service on port 3002
 // ================================================================
 const RADAR_SERVICE_URL = process.env.RADAR_SERVICE_URL || 'http://127.0.0.1:3002';
+const gzip = require('util').promisify(zlib.gzip);
 
 const PROXY_ROUTES = [
   '/api/radar/nearest',
@@ -466,6 +716,8 @@ const PROXY_ROUTES = [
   '/api/freezing_level',
 ];
 
+const jsonError = text => { try { return !!JSON.parse(text).error; } catch(e) { return false; } };
+
 // Generic proxy handler
 async function proxyToPython(req, res) {
   const url = `${RADAR_SERVICE_URL}${req.originalUrl}`;
@@ -481,14 +733,28 @@ async function proxyToPython(req, res) {
     const r = await fetch(url, opts);
     const ct = r.headers.get('content-type') || 'application/json';
     res.status(r.status).set('Content-Type', ct);
+    ['cache-control', 'x-scan-time'].forEach(h => { const v = r.headers.get(h); if (v) res.set(h, v); });
     if (ct.includes('image/')) {
       const buf = Buffer.from(await r.arrayBuffer());
       res.send(buf);
+    } else if (ct.includes('application/octet-stream')) {
+      // Level II radials are a few MB of mostly-empty gates; they gzip ~10:1
+      const buf = Buffer.from(await r.arrayBuffer());
+      if (/\bgzip\b/.test(req.headers['accept-encoding'] || '')) {
+        res.set('Content-Encoding', 'gzip').set('Vary', 'Accept-Encoding');
+        res.send(await gzip(buf));
+      } else res.send(buf);
     } else {
-      res.send(await r.text());
+      const text = await r.text();
+      // The service answers 200 + { error } when its own upstream fails
+      if (PACK_PROXY.includes(req.originalUrl) && (r.status >= 500 || jsonError(text))) {
+        if (await fromPack(res.status(200), await packs.json('proxy:' + req.originalUrl))) return;
+      }
+      res.send(text);
     }
   } catch(e) {
     console.warn(`Python proxy error for ${url}:`, e.message);
+    if (PACK_PROXY.includes(req.originalUrl) && await fromPack(res.status(200), await packs.json('proxy:' + req.originalUrl))) return;
     res.status(503).json({ error: 'Radar service unavailable. Run: python3 radar_service.py', detail: e.message });
   }
 }
@@ -502,4 +768,9 @@ const fp = path.join(__dirname,'public');
 app.use(express.static(fp));
 app.get('*',(req,res)=>res.sendFile(path.join(fp,'index.html')));
 
-app.listen(PORT,()=>console.log(`⛈  Storm Surge v${APP_VERSION} on :${PORT}`));
+app.listen(PORT,()=>{
+  console.log(`⛈  Storm Surge v${APP_VERSION} on :${PORT}`);
+  if (cassette.mode) console.log(`📼 Cassette ${cassette.mode}: ${cassette.dir}`);
+  if (tileCache.enabled) console.log(`🗄  Tile cache: ${tileCache.status().dir}`);
+  if (packs.enabled) console.log(`📦 Offline packs: ${packs.dir}`);
+});
@@ -0,0 +1,255 @@
+// ================================================================
+//  STORM SURGE WEATHER — Severe Parameters
+//  Turns the Open-Meteo hourly forecast (surface plus pressure-level
+//  winds, heights and temperatures) into per-hour convective indices
+//  and risk tags for /api/severe-analysis.
+//
+//  Per hour:
+//    shear1, shear6   0–1 / 0–6 km bulk shear, m/s
+//    srh1, srh3       storm-relative helicity, m²/s², Bunkers right
+//                     mover (left mover south of the equator)
+//    lcl              LCL height AGL, m (Espy: 125 m per °C spread)
+//    scp, stp, ship   Supercell Composite, fixed-layer Significant
+//                     Tornado Parameter, Significant Hail Parameter
+//
+//  There is no full sounding, so these are the SPC fixed-layer forms:
+//  surface CAPE stands in for MU/ML CAPE and 0–3 km SRH / 0–6 km shear
+//  for the effective-layer terms. Hours without pressure-level data
+//  get nulls and only the surface tags.
+//
+//  Tags come from a JSON rule set (DEFAULT_RULES, or the user's own —
+//  see Tag rules below).
+// ================================================================
+const LEVELS = [1000, 975, 950, 925, 900, 850, 800, 700, 600, 500, 400];
+
+// Open-Meteo hourly variables this module reads
+const HOURLY = [
+  'temperature_2m', 'dew_point_2m', 'relative_humidity_2m', 'surface_pressure',
+  'wind_speed_10m', 'wind_direction_10m', 'wind_gusts_10m',
+  'precipitation_probability', 'precipitation', 'cloud_cover', 'visibility',
+  'cape', 'lifted_index', 'convective_inhibition', 'freezing_level_height',
+  'temperature_700hPa', 'temperature_500hPa',
+  ...LEVELS.flatMap(p => [`wind_speed_${p}hPa`, `wind_direction_${p}hPa`, `geopotential_height_${p}hPa`]),
+];
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+const round = (v, k = 0) => v == null || !Number.isFinite(v) ? null : Math.round(v * 10 ** k) / 10 ** k;
+const wind  = (spd, dir) => { const r = dir * Math.PI / 180; return { u: -spd * Math.sin(r), v: -spd * Math.cos(r) }; };
+
+// ── Wind profile ─────────────────────────────────────────────────
+// [{ z (m AGL), u, v }] from 10 m up, levels under the ground skipped
+function profile(H, i, elev) {
+  const sfc = H.wind_speed_10m?.[i], sdir = H.wind_direction_10m?.[i];
+  if (sfc == null || sdir == null) return null;
+  const pts = [{ z: 10, ...wind(sfc, sdir) }];
+  LEVELS.forEach(p => {
+    const s = H[`wind_speed_${p}hPa`]?.[i], d = H[`wind_direction_${p}hPa`]?.[i], gh = H[`geopotential_height_${p}hPa`]?.[i];
+    if (s == null || d == null || gh == null || gh - elev <= pts[pts.length - 1].z) return;
+    pts.push({ z: gh - elev, ...wind(s, d) });
+  });
+  return pts[pts.length - 1].z >= 6000 ? pts : null;
+}
+
+function at(pts, z) {
+  for (let k = 1; k < pts.length; k++) {
+    if (pts[k].z < z) continue;
+    const a = pts[k - 1], b = pts[k], f = (z - a.z) / (b.z - a.z);
+    return { u: a.u + (b.u - a.u) * f, v: a.v + (b.v - a.v) * f };
+  }
+  return pts[pts.length - 1];
+}
+
+function layerMean(pts, z0, z1) {
+  let u = 0, v = 0, n = 0;
+  for (let z = z0; z <= z1; z += 100) { const w = at(pts, z); u += w.u; v += w.v; n++; }
+  return { u: u / n, v: v / n };
+}
+
+const bulkShear = (pts, z) => { const a = at(pts, 10), b = at(pts, z); return Math.hypot(b.u - a.u, b.v - a.v); };
+
+// Bunkers internal dynamics method: 0–6 km mean wind, 7.5 m/s off the shear vector
+function stormMotion(pts, south) {
+  const mean = layerMean(pts, 10, 6000);
+  const lo = layerMean(pts, 10, 500), hi = layerMean(pts, 5500, 6000);
+  const su = hi.u - lo.u, sv = hi.v - lo.v, s = Math.hypot(su, sv) || 1;
+  const k = (south ? -7.5 : 7.5) / s;
+  return { u: mean.u + sv * k, v: mean.v - su * k };
+}
+
+function helicity(pts, c, depth) {
+  let srh = 0, prev = at(pts, 10);
+  for (let z = 100; z <= depth; z += 100) {
+    const w = at(pts, z);
+    srh += (w.u - c.u) * (prev.v - c.v) - (prev.u - c.u) * (w.v - c.v);
+    prev = w;
+  }
+  return srh;
+}
+
+// ── Composites (SPC definitions) ─────────────────────────────────
+function scp({ cape, cin, srh3, shear6 }) {
+  const shr = shear6 < 10 ? 0 : Math.min(shear6 / 20, 1);
+  const cinTerm = cin > 40 ? 40 / cin : 1;
+  return Math.max(0, cape / 1000 * srh3 / 50 * shr * cinTerm);
+}
+
+function stp({ cape, lcl, srh1, shear6 }) {
+  const lclTerm = lcl < 1000 ? 1 : lcl > 2000 ? 0 : (2000 - lcl) / 1000;
+  const shr = shear6 < 12.5 ? 0 : Math.min(shear6, 30) / 20;
+  return Math.max(0, cape / 1500 * lclTerm * srh1 / 150 * shr);
+}
+
+function ship({ cape, mr, lapse, t500, shear6, fzl }) {
+  if (mr == null || lapse == null || t500 == null) return null;
+  let v = cape * clamp(mr, 11, 13.6) * lapse * -Math.min(t500, -5.5) * clamp(shear6, 7, 27) / 42e6;
+  if (cape < 1300) v *= cape / 1300;
+  if (lapse < 5.8) v *= lapse / 5.8;
+  if (fzl != null && fzl < 2400) v *= Math.max(0, fzl) / 2400;
+  return Math.max(0, v);
+}
+
+// g/kg from dewpoint (°C) and pressure (hPa)
+function mixingRatio(td, p) {
+  if (td == null || p == null) return null;
+  const e = 6.112 * Math.exp(17.67 * td / (td + 243.5));
+  return 622 * e / (p - e);
+}
+
+// ── Hours ────────────────────────────────────────────────────────
+function hours(d, rules = DEFAULT_RULES) {
+  const H = d.hourly, elev = d.elevation || 0, south = d.latitude < 0;
+  return H.time.map((time, i) => {
+    const h = {
+      time, tempC: H.temperature_2m[i], dewC: H.dew_point_2m[i], windMs: H.wind_speed_10m[i], gustMs: H.wind_gusts_10m[i],
+      precipProb: H.precipitation_probability[i], precip: H.precipitation[i], cape: H.cape?.[i] || 0, li: H.lifted_index?.[i] || 0,
+      cloud: H.cloud_cover[i], vis: H.visibility[i], rh: H.relative_humidity_2m[i],
+      shear1: null, shear6: null, srh1: null, srh3: null, lcl: null, scp: null, stp: null, ship: null,
+    };
+    if (h.tempC != null && h.dewC != null) h.lcl = Math.max(0, 125 * (h.tempC - h.dewC));
+    const pts = profile(H, i, elev);
+    if (!pts) return finish(h, rules);
+    const c = stormMotion(pts, south), sign = south ? -1 : 1;
+    Object.assign(h, {
+      shear1: bulkShear(pts, 1000), shear6: bulkShear(pts, 6000),
+      srh1: sign * helicity(pts, c, 1000), srh3: sign * helicity(pts, c, 3000),
+    });
+    const cin = Math.abs(H.convective_inhibition?.[i] || 0);
+    const t700 = H.temperature_700hPa?.[i], t500 = H.temperature_500hPa?.[i];
+    const z700 = H.geopotential_height_700hPa?.[i], z500 = H.geopotential_height_500hPa?.[i];
+    const lapse = t700 != null && t500 != null && z500 > z700 ? (t700 - t500) / ((z500 - z700) / 1000) : null;
+    const fzl = H.freezing_level_height?.[i] != null ? H.freezing_level_height[i] - elev : null;
+    const env = { ...h, cin, lapse, t500, fzl, mr: mixingRatio(h.dewC, H.surface_pressure?.[i]) };
+    h.scp = scp(env); h.stp = stp(env); h.ship = ship(env);
+    return finish(h, rules);
+  });
+}
+
+function finish(h, rules) {
+  ['shear1', 'shear6', 'scp', 'stp', 'ship'].forEach(k => { h[k] = round(h[k], 1); });
+  ['srh1', 'srh3', 'lcl'].forEach(k => { h[k] = round(h[k]); });
+  h.gustMph = round((h.gustMs || 0) * 2.237);
+  h.hour = Number(h.time.slice(11, 13));
+  h.tags = tags(h, rules);
+  return h;
+}
+
+// ── Tag rules ────────────────────────────────────────────────────
+// A rule set is plain JSON, so users can keep their own (the severe
+// panel stores it in localStorage and posts it with the request):
+//   { name, rules: [ { tag, level, icon, group?, lane?, when } ] }
+//   when = { field, op, value } | { all: [when…] } | { any: [when…] } | { not: when }
+// op is one of > >= < <= == !=; a field with no value never matches.
+// Rules that share a group are a ladder: only the first match counts.
+// lane is the timeline swimlane the tag is drawn in (default: group,
+// else the tag itself).
+const FIELDS = {
+  tempC: '°C', dewC: '°C', rh: '%', windMs: 'm/s', gustMs: 'm/s', gustMph: 'mph',
+  precipProb: '%', precip: 'mm', cloud: '%', vis: 'm', cape: 'J/kg', li: '°C',
+  shear1: 'm/s', shear6: 'm/s', srh1: 'm²/s²', srh3: 'm²/s²', lcl: 'm',
+  scp: '', stp: '', ship: '', hour: 'local 0–23',
+};
+const TAG_LEVELS = ['low', 'moderate', 'high'];
+const OPS = {
+  '>': (a, b) => a > b, '>=': (a, b) => a >= b, '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b, '==': (a, b) => a === b, '!=': (a, b) => a !== b,
+};
+const MAX_RULES = 100, MAX_DEPTH = 6;
+
+const when  = (field, op, value) => ({ field, op, value });
+const rule  = (tag, level, icon, cond, { group, lane } = {}) => ({ tag, level, icon, ...(group ? { group } : {}), ...(lane ? { lane } : {}), when: cond });
+
+const DEFAULT_RULES = {
+  name: 'Default',
+  rules: [
+    rule('significant tornado environment', 'high', '🌪', when('stp', '>=', 1), { group: 'tornado' }),
+    rule('tornado possible', 'moderate', '🌪', when('stp', '>=', 0.3), { group: 'tornado' }),
+    // High-shear / low-CAPE: cool-season and overnight tornadoes that CAPE thresholds miss
+    rule('high-shear low-CAPE tornado risk', 'high', '🌪', { all: [when('cape', '>', 0), when('cape', '<=', 500), when('shear6', '>=', 18), when('srh1', '>=', 100)] }, { lane: 'tornado' }),
+    rule('supercells likely', 'high', '🌀', when('scp', '>=', 4), { group: 'supercell' }),
+    rule('supercells possible', 'moderate', '🌀', when('scp', '>=', 1), { group: 'supercell' }),
+    rule('significant hail (2"+)', 'high', '🧊', when('ship', '>=', 1), { group: 'hail' }),
+    rule('large hail possible', 'moderate', '🧊', when('ship', '>=', 0.5), { group: 'hail' }),
+    rule('significant instability', 'high', '⛈', when('cape', '>=', 2000), { group: 'cape', lane: 'instability' }),
+    rule('moderate instability', 'moderate', '🌩', when('cape', '>=', 1000), { group: 'cape', lane: 'instability' }),
+    rule('marginal instability', 'low', '🌤', when('cape', '>=', 500), { group: 'cape', lane: 'instability' }),
+    rule('weak shear, pulse storms only', 'low', '🌦', { all: [when('cape', '>=', 1000), when('shear6', '<', 10)] }, { lane: 'instability' }),
+    rule('extremely unstable', 'high', '⚠️', when('li', '<=', -6), { group: 'li', lane: 'instability' }),
+    rule('unstable atmosphere', 'moderate', '🌩', when('li', '<=', -3), { group: 'li', lane: 'instability' }),
+    rule('damaging winds', 'high', '💨', when('gustMph', '>=', 60), { group: 'gust', lane: 'wind' }),
+    rule('strong gusts', 'moderate', '💨', when('gustMph', '>=', 40), { group: 'gust', lane: 'wind' }),
+    rule('heavy rain/flood risk', 'high', '🌊', { all: [when('precipProb', '>=', 70), when('precip', '>=', 10)] }, { lane: 'flood' }),
+    rule('dense fog', 'moderate', '🌫', when('vis', '<', 1000), { lane: 'fog' }),
+  ],
+};
+
+// Throws with a message naming the offending rule; returns the set trimmed to known keys
+function checkRules(set) {
+  if (!set || !Array.isArray(set.rules)) throw new Error('rules must be an array');
+  if (set.rules.length > MAX_RULES) throw new Error(`at most ${MAX_RULES} rules`);
+  const cond = (c, at, depth) => {
+    if (depth > MAX_DEPTH) throw new Error(`${at}: nested too deep`);
+    if (!c || typeof c !== 'object') throw new Error(`${at}: condition must be an object`);
+    for (const k of ['all', 'any']) if (k in c) {
+      if (!Array.isArray(c[k]) || !c[k].length) throw new Error(`${at}: ${k} must be a non-empty array`);
+      return { [k]: c[k].map((x, i) => cond(x, `${at}.${k}[${i}]`, depth + 1)) };
+    }
+    if ('not' in c) return { not: cond(c.not, `${at}.not`, depth + 1) };
+    if (!(c.field in FIELDS)) throw new Error(`${at}: unknown field "${c.field}"`);
+    if (!OPS[c.op]) throw new Error(`${at}: unknown op "${c.op}"`);
+    if (typeof c.value !== 'number' || !Number.isFinite(c.value)) throw new Error(`${at}: value must be a number`);
+    return when(c.field, c.op, c.value);
+  };
+  return {
+    name: String(set.name || 'Custom').slice(0, 60),
+    rules: set.rules.map((r, i) => {
+      const at = `rule ${i + 1}`;
+      if (!r || typeof r.tag !== 'string' || !r.tag.trim()) throw new Error(`${at}: tag required`);
+      if (!TAG_LEVELS.includes(r.level)) throw new Error(`${at}: level must be ${TAG_LEVELS.join(', ')}`);
+      const name = v => v ? String(v).slice(0, 40) : null;
+      return rule(r.tag.trim().slice(0, 60), r.level, String(r.icon || '⚠️').slice(0, 4), cond(r.when, at, 1), { group: name(r.group), lane: name(r.lane) });
+    }),
+  };
+}
+
+function matches(c, h) {
+  if (c.all) return c.all.every(x => matches(x, h));
+  if (c.any) return c.any.some(x => matches(x, h));
+  if (c.not) return !matches(c.not, h);
+  const v = h[c.field];
+  return v != null && Number.isFinite(v) && OPS[c.op](v, c.value);
+}
+
+function tags(h, set = DEFAULT_RULES) {
+  const taken = new Set();
+  return set.rules.filter(r => {
+    if (r.group && taken.has(r.group)) return false;
+    if (!matches(r.when, h)) return false;
+    if (r.group) taken.add(r.group);
+    return true;
+  }).map(({ tag, level, icon, group, lane }) => ({ tag, level, icon, lane: lane || group || tag }));
+}
+
+// Ranking for peak hours: composites first, CAPE breaks ties
+const threat = h => (h.stp || 0) * 2 + (h.scp || 0) + (h.ship || 0);
+
+module.exports = { HOURLY, FIELDS, DEFAULT_RULES, checkRules, hours, tags, threat };
@@ -0,0 +1,156 @@
+// ================================================================
+//  STORM SURGE WEATHER — SPC Storm Reports
+//  Filtered tornado, hail and wind reports, one CSV per kind per
+//  report day. SPC days run 12Z–12Z and are named by the UTC date they
+//  start on (YYMMDD); the current and previous day come from the live
+//  today_/yesterday_ files, older days from the archive.
+//
+//  Magnitudes come back as numbers: tornado EF rating, hail size in
+//  inches (the CSV has hundredths) and gust in mph. UNK is null and is
+//  dropped by a magnitude filter for that kind. `sig` marks the SPC
+//  significant-severe thresholds: EF2+, 2" hail, 65 kt (75 mph) wind.
+// ================================================================
+const NodeCache = require('node-cache');
+const providers = require('./providers');
+
+const cache = new NodeCache({ stdTTL: 120 });
+const KINDS = { tornado: 'torn', hail: 'hail', wind: 'wind' };
+const SIG = { tornado: 2, hail: 2, wind: 75 };
+const DAY_MS = 86400000;
+
+// YYMMDD of the report day a moment falls in
+function spcDay(at) {
+  return new Date(at.getTime() - 12 * 3600000).toISOString().slice(2, 10).replace(/-/g, '');
+}
+
+// today | yesterday | YYMMDD | YYYY-MM-DD → YYMMDD, or null if unusable
+function resolveDay(q, now = new Date()) {
+  const today = spcDay(now);
+  if (q == null || q === '' || q === 'today') return today;
+  if (q === 'yesterday') return spcDay(new Date(now.getTime() - DAY_MS));
+  const m = String(q).match(/^(?:\d\d(\d\d)-(\d\d)-(\d\d)|(\d\d)(\d\d)(\d\d))$/);
+  if (!m) return null;
+  const day = m[1] ? m[1] + m[2] + m[3] : m[4] + m[5] + m[6];
+  const start = startOf(day);
+  // Date.parse rolls 02-30 over to March, so check it round-trips
+  return isNaN(start) || spcDay(new Date(start)) !== day || day > today ? null : day;
+}
+
+// 12Z on the day's date, as ms
+function startOf(day) {
+  return Date.parse(`20${day.slice(0, 2)}-${day.slice(2, 4)}-${day.slice(4, 6)}T12:00:00Z`);
+}
+
+// RFC 4180: quoted fields may hold commas, line breaks and "" for a quote
+function parseCSV(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c !== '"') field += c;
+      else if (text[i + 1] === '"') { field += '"'; i++; }
+      else quoted = false;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.length > 1 || r[0].trim());
+}
+
+function magnitude(type, raw) {
+  const v = String(raw || '').trim().toUpperCase();
+  if (type === 'tornado') {
+    const n = v.match(/^E?F(\d)$/);
+    return n ? { mag: Number(n[1]), label: 'EF' + n[1] } : { mag: null, label: 'UNK' };
+  }
+  const n = Number(v);
+  if (!v || !Number.isFinite(n)) return { mag: null, label: 'UNK' };
+  return type === 'hail' ? { mag: n / 100, label: (n / 100).toFixed(2) + '"' } : { mag: n, label: n + ' mph' };
+}
+
+function parse(type, text, day) {
+  const [head, ...rows] = parseCSV(text);
+  if (!head) return [];
+  const col = Object.fromEntries(head.map((h, i) => [h.trim().toLowerCase(), i]));
+  const get = (r, k) => (r[col[k]] || '').trim();
+  const start = startOf(day);
+  return rows.filter(r => get(r, 'time').toLowerCase() !== 'time').map((r, i) => {
+    const hhmm = get(r, 'time').padStart(4, '0');
+    const mins = Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(2));
+    // Times are UTC; 0000–1159 belong to the next calendar date
+    const ts = start + ((mins - 720 + 1440) % 1440) * 60000;
+    const m = magnitude(type, r[1]);
+    return {
+      id: `${KINDS[type]}-${day}-${i}`, type,
+      time: Number.isFinite(ts) ? new Date(ts).toISOString() : null,
+      mag: m.mag, magnitude: m.label, sig: m.mag != null && m.mag >= SIG[type],
+      location: get(r, 'location'), county: get(r, 'county'), state: get(r, 'state'),
+      lat: parseFloat(get(r, 'lat')), lng: parseFloat(get(r, 'lon')),
+      text: get(r, 'comments'),
+    };
+  }).filter(r => Number.isFinite(r.lat) && Number.isFinite(r.lng) && r.lat !== 0);
+}
+
+// Live file names for the two days SPC still updates
+function fileDay(day, now) {
+  if (day === spcDay(now)) return 'today';
+  if (day === spcDay(new Date(now.getTime() - DAY_MS))) return 'yesterday';
+  return day;
+}
+
+// → { reports, missing } for one day; a kind that fails is listed in
+// missing, and the whole call throws only if every kind failed
+async function load(day) {
+  const now = new Date(), file = fileDay(day, now), types = Object.keys(KINDS);
+  const out = await Promise.all(types.map(async type => {
+    const k = `${type}_${day}`;
+    let list = cache.get(k);
+    if (!list) {
+      try { list = parse(type, await providers.get('spc.reports', { day: file, kind: KINDS[type] }), day); }
+      catch (e) { return { type, error: e }; }
+      // Closed days don't change any more
+      cache.set(k, list, file === 'today' ? 120 : file === 'yesterday' ? 900 : 6 * 3600);
+    }
+    return { type, list };
+  }));
+  const missing = out.filter(o => o.error).map(o => o.type);
+  if (missing.length === types.length) throw out[0].error;
+  return { reports: out.flatMap(o => o.list || []), missing };
+}
+
+function haversineKm(a, b, c, d) {
+  const R = 6371, dL = (c - a) * Math.PI / 180, dN = (d - b) * Math.PI / 180;
+  const x = Math.sin(dL / 2) ** 2 + Math.cos(a * Math.PI / 180) * Math.cos(c * Math.PI / 180) * Math.sin(dN / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(x), Math.sqrt(1 - x));
+}
+
+// opts: { day (YYMMDD), at, types, minEF, minHail, minWind, sig,
+//         point: {lat,lng}, radiusKm, sort: 'time'|'dist' }
+// counts are per type after the magnitude and distance filters, before
+// the type filter, so a UI can show what switching a type on would add.
+async function query(opts = {}) {
+  const day = opts.at ? spcDay(opts.at) : opts.day;
+  const types = opts.types?.length ? opts.types : Object.keys(KINDS);
+  let { reports, missing } = await load(day);
+  if (opts.at) reports = reports.filter(r => !r.time || Date.parse(r.time) <= opts.at.getTime());
+  const min = { tornado: opts.minEF, hail: opts.minHail, wind: opts.minWind };
+  reports = reports.filter(r => opts.sig ? r.sig : min[r.type] == null || r.mag != null && r.mag >= min[r.type]);
+  if (opts.point) {
+    const { lat, lng } = opts.point;
+    reports = reports.map(r => ({ ...r, distKm: Math.round(haversineKm(lat, lng, r.lat, r.lng) * 10) / 10 }));
+    if (opts.radiusKm) reports = reports.filter(r => r.distKm <= opts.radiusKm);
+  }
+  const counts = Object.fromEntries(Object.keys(KINDS).map(t => [t, reports.filter(r => r.type === t).length]));
+  const items = reports.filter(r => types.includes(r.type));
+  if (opts.sort === 'dist' && opts.point) items.sort((a, b) => a.distKm - b.distKm);
+  else items.sort((a, b) => (b.time || '').localeCompare(a.time || ''));
+  const date = `20${day.slice(0, 2)}-${day.slice(2, 4)}-${day.slice(4, 6)}`;
+  return { items, counts, total: items.length, day, date, source: 'spc', ...(missing.length && { missing }), ...(opts.at && { at: opts.at.toISOString() }) };
+}
+
+module.exports = { KINDS, spcDay, resolveDay, parseCSV, parse, query };
@@ -0,0 +1,114 @@
+// NWS alerts: geometry helpers and the fixture feed
+process.env.SS_PROVIDERS = 'fixture';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const alerts = require('../alerts');
+const providers = require('../providers');
+
+const square = (x0, y0, x1, y1) => [[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]];
+const donut = { type: 'Polygon', coordinates: [square(-98, 35, -97, 36), square(-97.6, 35.4, -97.4, 35.6)] };
+const multi = { type: 'MultiPolygon', coordinates: [[square(-98, 35, -97, 36)], [square(-90, 30, -89, 31)]] };
+
+test('sevClass buckets events like the alert filter buttons', () => {
+  assert.equal(alerts.sevClass('Tornado Warning'), 'emergency');
+  assert.equal(alerts.sevClass('Severe Thunderstorm Warning'), 'warning');
+  assert.equal(alerts.sevClass('Winter Storm Watch'), 'watch');
+  assert.equal(alerts.sevClass('Heat Advisory'), 'advisory');
+  assert.equal(alerts.sevClass('Special Weather Statement'), 'default');
+  assert.equal(alerts.sevClass(undefined), 'default');
+});
+
+test('SEV_RANK orders the buckets', () => {
+  const r = alerts.SEV_RANK;
+  assert.ok(r.emergency > r.warning && r.warning > r.watch && r.watch > r.advisory && r.advisory > r.default);
+});
+
+test('polygonsOf flattens Polygon, MultiPolygon and GeometryCollection', () => {
+  assert.equal(alerts.polygonsOf(donut).length, 1);
+  assert.equal(alerts.polygonsOf(multi).length, 2);
+  assert.equal(alerts.polygonsOf({ type: 'GeometryCollection', geometries: [donut, multi, { type: 'Point', coordinates: [0, 0] }] }).length, 3);
+  assert.deepEqual(alerts.polygonsOf(null), []);
+});
+
+test('bboxOf', () => {
+  assert.deepEqual(alerts.bboxOf(multi), [-98, 30, -89, 36]);
+  assert.equal(alerts.bboxOf(null), null);
+});
+
+test('containsPoint respects holes and every part of a MultiPolygon', () => {
+  assert.equal(alerts.containsPoint(donut, 35.2, -97.8), true);
+  assert.equal(alerts.containsPoint(donut, 35.5, -97.5), false, 'in the hole');
+  assert.equal(alerts.containsPoint(donut, 37, -97.5), false);
+  assert.equal(alerts.containsPoint(multi, 30.5, -89.5), true);
+});
+
+test('distanceKm is 0 inside and the edge distance outside', () => {
+  assert.equal(alerts.distanceKm(donut, 35.2, -97.8), 0);
+  const d = alerts.distanceKm(donut, 36.1, -97.5);   // 0.1° north of the top edge
+  assert.ok(Math.abs(d - 11.06) < 0.1, String(d));
+  assert.ok(alerts.distanceKm(donut, 35.5, -97.5) > 0, 'the hole is outside');
+});
+
+test('query: zone geometry, superseded updates and cancellations', async () => {
+  const res = await alerts.query();
+  const byName = id => res.features.find(f => f.id.endsWith(id));
+
+  const watch = byName('toa1');
+  assert.equal(watch.properties.geometrySource, 'zones');
+  assert.equal(watch.geometry.type, 'MultiPolygon');
+  assert.equal(byName('tor1').properties.geometrySource, 'polygon');
+
+  assert.equal(byName('svr1'), undefined, 'superseded by svr2');
+  assert.ok(byName('svr2'));
+  assert.equal(byName('sps1'), undefined, 'cancelled');
+  assert.ok(res.meta.cancelled.some(c => c.id.endsWith('sps1c') && c.references.some(r => r.endsWith('sps1'))));
+  assert.equal(res.meta.count, res.features.length);
+  assert.ok(res.features.every(f => !('affectedZones' in f.properties)));
+});
+
+test('query: point and severity filters', async () => {
+  const norman = await alerts.query({ point: { lat: 35.22, lng: -97.44 } });
+  assert.ok(norman.features.length);
+  assert.ok(norman.features.every(f => alerts.containsPoint(f.geometry, 35.22, -97.44)));
+
+  const warn = await alerts.query({ severity: ['warning'] });
+  assert.ok(warn.features.length && warn.features.every(f => f.properties.sev === 'warning'));
+});
+
+test('as-of windows follow pagination.next to the last page', async () => {
+  const page = (ids, next) => ({ type: 'FeatureCollection', features: ids.map(id => ({ id, properties: {} })), ...(next && { pagination: { next } }) });
+  const pages = { 2: page(['c', 'd'], 'https://nws.test/p3'), 3: page([], 'https://nws.test/p4') };
+  const urls = [];
+  providers.use({ json: async url => { urls.push(url); return urls.length === 1 ? page(['a', 'b'], 'https://nws.test/p2') : pages[url.slice(-1)]; } });
+  process.env.SS_PROVIDER_NWS_ALERTS = 'live';
+  try {
+    const d = await providers.get('nws.alerts', { start: new Date('2026-05-20T00:00:00Z'), end: new Date('2026-05-21T00:00:00Z') });
+    assert.deepEqual(d.features.map(f => f.id), ['a', 'b', 'c', 'd']);
+    assert.equal(urls.length, 3, 'stops at the first empty page');
+    assert.match(urls[0], /start=2026-05-20T00:00:00Z&end=2026-05-21T00:00:00Z/);
+    assert.equal(d.pagination, undefined);
+  } finally { delete process.env.SS_PROVIDER_NWS_ALERTS; }
+});
+
+test('as-of pagination stops at the page cap', async (t) => {
+  let n = 0;
+  providers.use({ json: async () => ({ features: [{ id: 'x' + n++, properties: {} }], pagination: { next: 'https://nws.test/more' } }) });
+  t.mock.method(console, 'warn', () => {});
+  process.env.SS_PROVIDER_NWS_ALERTS = 'live';
+  try {
+    const d = await providers.get('nws.alerts', { start: new Date(0), end: new Date(86400000) });
+    assert.equal(d.features.length, 10);
+    assert.equal(console.warn.mock.callCount(), 1);
+  } finally { delete process.env.SS_PROVIDER_NWS_ALERTS; }
+});
+
+test('forLocations sorts inside alerts worst-first and carries references and cancellations', async () => {
+  const { locations: [loc], radiusKm, cancelled } = await alerts.forLocations([{ name: 'Norman', lat: 35.22, lng: -97.44 }], { radiusKm: 80 });
+  assert.equal(radiusKm, 80);
+  assert.ok(cancelled.some(id => id.endsWith('sps1')), 'ids withdrawn by a Cancel');
+  assert.equal(loc.name, 'Norman');
+  const rank = loc.inside.map(a => alerts.SEV_RANK[a.sev]);
+  assert.deepEqual(rank, [...rank].sort((a, b) => b - a));
+  assert.ok([...loc.inside, ...loc.nearby].every(a => Array.isArray(a.references)));
+  assert.ok(loc.nearby.every((a, i, l) => a.distKm > 0 && a.distKm <= 80 && (!i || l[i - 1].distKm <= a.distKm)));
+});
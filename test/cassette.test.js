@@ -0,0 +1,54 @@
+// Cassette keys and record → replay round trip
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// MODE and DIR are read when the module loads
+function fresh(vars) {
+  Object.assign(process.env, vars);
+  delete require.cache[require.resolve('../cassette')];
+  return require('../cassette');
+}
+
+test('keys ignore a relative lookback start', () => {
+  const { keyOf } = fresh({});
+  const a = keyOf('https://mping.test/reports/?format=json&time__gte=100&limit=200');
+  const b = keyOf('https://mping.test/reports/?format=json&time__gte=200&limit=200');
+  assert.equal(a, b);
+});
+
+test('keys keep the window when it is pinned with an end (as-of queries)', () => {
+  const { keyOf } = fresh({});
+  const a = keyOf('https://mping.test/reports/?format=json&time__gte=100&time__lte=200');
+  const b = keyOf('https://mping.test/reports/?format=json&time__gte=300&time__lte=400');
+  assert.notEqual(a, b);
+});
+
+test('other params are part of the key', () => {
+  const { keyOf } = fresh({});
+  assert.notEqual(keyOf('https://x.test/a?lat=1'), keyOf('https://x.test/a?lat=2'));
+  assert.equal(keyOf('not a url'), keyOf('not a url'));
+});
+
+test('record then replay returns the same text and binary bodies', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ss-cassette-'));
+  try {
+    const rec = fresh({ SS_CASSETTE: 'record', SS_CASSETTE_DIR: dir });
+    assert.equal(await rec.wrap('https://x.test/t', async () => 'hello'), 'hello');
+    const png = { buf: Buffer.from([137, 80, 78, 71]), type: 'image/png' };
+    await rec.wrap('https://x.test/b.png', async () => png);
+
+    const play = fresh({ SS_CASSETTE: 'replay', SS_CASSETTE_DIR: dir });
+    const never = async () => { throw new Error('fetched during replay'); };
+    assert.equal(await play.wrap('https://x.test/t', never), 'hello');
+    const b = await play.wrap('https://x.test/b.png', never);
+    assert.equal(b.type, 'image/png');
+    assert.deepEqual([...b.buf], [137, 80, 78, 71]);
+    await assert.rejects(play.wrap('https://x.test/missing', never), /Not in cassette/);
+  } finally {
+    delete process.env.SS_CASSETTE; delete process.env.SS_CASSETTE_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
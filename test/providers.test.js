@@ -0,0 +1,64 @@
+// Provider registry: mode selection, fixture loading, live transport
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const providers = require('../providers');
+
+const env = (vars, fn) => async () => {
+  const old = Object.fromEntries(Object.keys(vars).map(k => [k, process.env[k]]));
+  Object.assign(process.env, vars);
+  try { await fn(); }
+  finally { Object.entries(old).forEach(([k, v]) => v === undefined ? delete process.env[k] : process.env[k] = v); }
+};
+
+providers.register('test.echo', {
+  describe: 'echoes its params',
+  live: (params, io) => io.json(`https://example.test/echo?q=${params.q}`),
+  fixture: async (params, read) => ({ fixture: true, ...params }),
+});
+
+test('live() is required', () => {
+  assert.throws(() => providers.register('test.bad', {}), /live\(\) required/);
+});
+
+test('unknown provider is an error', async () => {
+  await assert.rejects(providers.get('test.nope'), /Unknown provider test.nope/);
+});
+
+test('SS_PROVIDERS=fixture uses the fixture loader with the params', env({ SS_PROVIDERS: 'fixture' }, async () => {
+  assert.equal(providers.modeOf('test.echo'), 'fixture');
+  assert.deepEqual(await providers.get('test.echo', { q: 1 }), { fixture: true, q: 1 });
+}));
+
+test('SS_PROVIDER_<NAME> overrides the default, and live goes through the transport', env({ SS_PROVIDERS: 'fixture', SS_PROVIDER_TEST_ECHO: 'live' }, async () => {
+  const urls = [];
+  providers.use({ json: async url => { urls.push(url); return { live: true }; } });
+  assert.deepEqual(await providers.get('test.echo', { q: 'x' }), { live: true });
+  assert.deepEqual(urls, ['https://example.test/echo?q=x']);
+}));
+
+test('an unknown mode falls back to live', env({ SS_PROVIDERS: 'bogus' }, () => {
+  assert.equal(providers.modeOf('test.echo'), 'live');
+}));
+
+test('file fixtures: .json is parsed, anything else is text', env({ SS_PROVIDERS: 'fixture' }, async () => {
+  const frames = await providers.get('rainviewer.frames');
+  assert.ok(Array.isArray(frames.radar.past));
+  const csv = await providers.get('spc.reports', { day: 'today', kind: 'torn' });
+  assert.equal(typeof csv, 'string');
+  assert.match(csv, /^Time,F_Scale,/);
+}));
+
+test('status() lists every provider with its mode', env({ SS_PROVIDERS: 'fixture' }, () => {
+  const s = providers.status();
+  const echo = s.find(p => p.name === 'test.echo');
+  assert.deepEqual(echo, { name: 'test.echo', mode: 'fixture', describe: 'echoes its params' });
+  ['openmeteo.forecast', 'rainviewer.frames', 'iem.composite.scans', 'spc.reports'].forEach(n => assert.ok(s.some(p => p.name === n), n));
+}));
+
+test('iem.composite.scans fixture is shifted to end at the requested time', env({ SS_PROVIDERS: 'fixture' }, async () => {
+  const end = new Date('2026-05-20T21:00:00Z'), start = new Date(end.getTime() - 3600000);
+  const { scans } = await providers.get('iem.composite.scans', { start, end });
+  assert.equal(scans[scans.length - 1].ts, '2026-05-20T21:00Z');
+  assert.ok(scans.every(s => Date.parse(s.ts) >= start.getTime()));
+  assert.ok(scans.length >= 11 && scans.length <= 13);
+}));
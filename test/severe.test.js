@@ -0,0 +1,111 @@
+// Severe parameters: indices from synthetic soundings, tag rules
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const severe = require('../severe');
+const fixture = require('../fixtures/openmeteo.severe.json');
+
+const HEIGHTS = { 1000: 100, 975: 320, 950: 540, 925: 760, 900: 1000, 850: 1500, 800: 2000, 700: 3000, 600: 4200, 500: 5600, 400: 7200 };
+
+// One-hour forecast; wind(level) → [speed m/s, direction °] for 'sfc' and each level
+function sounding(wind, extra = {}) {
+  const hourly = {
+    time: ['2026-05-20T18:00'], temperature_2m: [30], dew_point_2m: [22], relative_humidity_2m: [62], surface_pressure: [970],
+    wind_gusts_10m: [12], precipitation_probability: [40], precipitation: [1], cloud_cover: [50], visibility: [20000],
+    cape: [3000], lifted_index: [-7], convective_inhibition: [-20], freezing_level_height: [4200],
+    temperature_700hPa: [8], temperature_500hPa: [-12],
+    wind_speed_10m: [wind('sfc')[0]], wind_direction_10m: [wind('sfc')[1]],
+  };
+  Object.entries(HEIGHTS).forEach(([p, z]) => {
+    const [s, d] = wind(Number(p));
+    hourly[`wind_speed_${p}hPa`] = [s];
+    hourly[`wind_direction_${p}hPa`] = [d];
+    hourly[`geopotential_height_${p}hPa`] = [z];
+  });
+  Object.assign(hourly, extra);
+  return { latitude: 35.2, elevation: 0, hourly };
+}
+
+// Southeasterly at the surface veering to westerly and strengthening aloft
+const veering = p => {
+  if (p === 'sfc') return [5, 140];
+  const f = (1000 - p) / 600;
+  return [5 + 30 * f, 140 + 130 * f];
+};
+
+test('uniform wind: no shear, no helicity, no composites', () => {
+  const [h] = severe.hours(sounding(() => [15, 225]));
+  assert.equal(h.shear1, 0);
+  assert.equal(h.shear6, 0);
+  assert.ok(Math.abs(h.srh1) <= 1 && Math.abs(h.srh3) <= 1);
+  assert.equal(h.scp, 0);
+  assert.equal(h.stp, 0);
+});
+
+test('veering, strengthening wind: positive shear and helicity', () => {
+  const [h] = severe.hours(sounding(veering));
+  assert.ok(h.shear6 > 20, `shear6 ${h.shear6}`);
+  assert.ok(h.shear1 > 0 && h.shear1 < h.shear6);
+  assert.ok(h.srh1 > 0 && h.srh3 > h.srh1, `srh ${h.srh1}/${h.srh3}`);
+  assert.ok(h.scp > 1 && h.stp > 0 && h.ship > 0);
+  assert.ok(h.tags.some(t => /tornado/.test(t.tag)));
+});
+
+test('helicity flips sign south of the equator', () => {
+  const mirror = p => { const [s, d] = veering(p); return [s, (360 - d) % 360]; };
+  const north = severe.hours(sounding(veering))[0];
+  const d = sounding(mirror); d.latitude = -35.2;
+  const south = severe.hours(d)[0];
+  assert.ok(Math.abs(south.srh3 - north.srh3) <= 2, `${south.srh3} vs ${north.srh3}`);
+});
+
+test('LCL from the dewpoint spread', () => {
+  const [h] = severe.hours(sounding(veering, { temperature_2m: [28], dew_point_2m: [20] }));
+  assert.equal(h.lcl, 1000);
+});
+
+test('no pressure-level data: nulls and surface tags only', () => {
+  const d = sounding(veering);
+  Object.keys(d.hourly).filter(k => k.endsWith('hPa')).forEach(k => delete d.hourly[k]);
+  const [h] = severe.hours(d);
+  ['shear1', 'shear6', 'srh1', 'srh3', 'scp', 'stp', 'ship'].forEach(k => assert.equal(h[k], null, k));
+  assert.equal(h.lcl, 1000);
+  assert.deepEqual(h.tags.map(t => t.tag), ['significant instability', 'extremely unstable']);
+});
+
+test('fixture forecast gives an hour per time with tags', () => {
+  const list = severe.hours(fixture);
+  assert.equal(list.length, fixture.hourly.time.length);
+  assert.ok(list.every(h => Array.isArray(h.tags) && h.hour >= 0 && h.hour < 24));
+  assert.ok(list.some(h => h.tags.length));
+});
+
+test('checkRules accepts the defaults', () => {
+  const out = severe.checkRules(severe.DEFAULT_RULES);
+  assert.deepEqual(out, severe.DEFAULT_RULES);
+});
+
+test('checkRules names the offending rule', () => {
+  const r = when => ({ rules: [{ tag: 't', level: 'low', when }] });
+  assert.throws(() => severe.checkRules({}), /rules must be an array/);
+  assert.throws(() => severe.checkRules(r({ field: 'foo', op: '>', value: 1 })), /^Error: rule 1: unknown field "foo"$/);
+  assert.throws(() => severe.checkRules(r({ all: [{ field: 'cape', op: '=>', value: 1 }] })), /rule 1\.all\[0\]: unknown op "=>"/);
+  assert.throws(() => severe.checkRules(r({ field: 'cape', op: '>', value: '1' })), /value must be a number/);
+  assert.throws(() => severe.checkRules(r({ any: [] })), /any must be a non-empty array/);
+  assert.throws(() => severe.checkRules({ rules: [{ tag: 't', level: 'severe', when: { field: 'cape', op: '>', value: 1 } }] }), /rule 1: level must be low, moderate, high/);
+  assert.throws(() => severe.checkRules({ rules: [{ level: 'low' }] }), /rule 1: tag required/);
+  let deep = { field: 'cape', op: '>', value: 1 };
+  for (let i = 0; i < 8; i++) deep = { not: deep };
+  assert.throws(() => severe.checkRules(r(deep)), /nested too deep/);
+});
+
+test('tags: a group is a ladder, lane falls back to group then tag', () => {
+  const set = severe.checkRules({ rules: [
+    { tag: 'big', level: 'high', group: 'cape', when: { field: 'cape', op: '>=', value: 2000 } },
+    { tag: 'some', level: 'low', group: 'cape', when: { field: 'cape', op: '>=', value: 500 } },
+    { tag: 'foggy', level: 'moderate', when: { field: 'vis', op: '<', value: 1000 } },
+    { tag: 'humid', level: 'low', lane: 'moisture', when: { not: { field: 'rh', op: '<', value: 80 } } },
+  ] });
+  assert.deepEqual(severe.tags({ cape: 2500, vis: 500, rh: 90 }, set).map(t => [t.tag, t.lane]),
+    [['big', 'cape'], ['foggy', 'foggy'], ['humid', 'moisture']]);
+  assert.deepEqual(severe.tags({ cape: 800, vis: null, rh: 50 }, set).map(t => t.tag), ['some'], 'missing values never match');
+});
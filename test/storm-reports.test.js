@@ -0,0 +1,80 @@
+// SPC storm reports: CSV parsing, report days, magnitude filters
+process.env.SS_PROVIDERS = 'fixture';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sr = require('../storm-reports');
+
+test('parseCSV handles quoted commas, line breaks, doubled quotes and CRLF', () => {
+  const rows = sr.parseCSV('a,b,c\r\n1,"x, y","say ""hi"""\r\n2,"two\nlines",z\n\n');
+  assert.deepEqual(rows, [['a', 'b', 'c'], ['1', 'x, y', 'say "hi"'], ['2', 'two\nlines', 'z']]);
+});
+
+test('parseCSV keeps a last row with no trailing newline', () => {
+  assert.deepEqual(sr.parseCSV('h\n1'), [['h'], ['1']]);
+  assert.deepEqual(sr.parseCSV(''), []);
+});
+
+test('spcDay runs 12Z to 12Z', () => {
+  assert.equal(sr.spcDay(new Date('2026-05-20T12:00:00Z')), '260520');
+  assert.equal(sr.spcDay(new Date('2026-05-21T11:59:00Z')), '260520');
+});
+
+test('resolveDay', () => {
+  const now = new Date('2026-05-21T03:00:00Z');
+  assert.equal(sr.resolveDay(undefined, now), '260520');
+  assert.equal(sr.resolveDay('today', now), '260520');
+  assert.equal(sr.resolveDay('yesterday', now), '260519');
+  assert.equal(sr.resolveDay('2026-05-18', now), '260518');
+  assert.equal(sr.resolveDay('260518', now), '260518');
+  assert.equal(sr.resolveDay('260521', now), null, 'future day');
+  assert.equal(sr.resolveDay('2024-02-30', now), null, 'not a date');
+  assert.equal(sr.resolveDay('2024-02-29', now), '240229');
+  assert.equal(sr.resolveDay('last week', now), null);
+});
+
+test('parse: magnitudes, UNK and times after midnight UTC', () => {
+  const hail = sr.parse('hail', 'Time,Size,Location,County,State,Lat,Lon,Comments\n2040,275,Moore,Cleveland,OK,35.34,-97.49,x\n0130,100,Noble,Cleveland,OK,35.1,-97.4,y\n', '260520');
+  assert.equal(hail[0].mag, 2.75);
+  assert.equal(hail[0].magnitude, '2.75"');
+  assert.equal(hail[0].sig, true);
+  assert.equal(hail[0].time, '2026-05-20T20:40:00.000Z');
+  assert.equal(hail[1].time, '2026-05-21T01:30:00.000Z');
+  assert.equal(hail[1].sig, false);
+
+  const wind = sr.parse('wind', 'Time,Speed,Location,County,State,Lat,Lon,Comments\n2050,UNK,Norman,Cleveland,OK,35.22,-97.44,z\n', '260520');
+  assert.equal(wind[0].mag, null);
+  assert.equal(wind[0].magnitude, 'UNK');
+
+  const torn = sr.parse('tornado', 'Time,F_Scale,Location,County,State,Lat,Lon,Comments\n2031,EF2,Moore,Cleveland,OK,35.32,-97.49,z\n2032,F1,X,Y,OK,0,0,no position\n', '260520');
+  assert.equal(torn.length, 1, 'reports without a position are dropped');
+  assert.equal(torn[0].mag, 2);
+  assert.equal(torn[0].magnitude, 'EF2');
+  assert.equal(torn[0].id, 'torn-260520-0');
+});
+
+test('query: counts, type, magnitude and sig filters', async () => {
+  const all = await sr.query({ day: '260520' });
+  assert.equal(all.date, '2026-05-20');
+  assert.equal(all.total, all.counts.tornado + all.counts.hail + all.counts.wind);
+  assert.ok(all.items.every((r, i, a) => !i || a[i - 1].time >= r.time), 'newest first');
+
+  const torn = await sr.query({ day: '260520', types: ['tornado'] });
+  assert.ok(torn.items.every(r => r.type === 'tornado'));
+  assert.deepEqual(torn.counts, all.counts, 'counts ignore the type filter');
+
+  const big = await sr.query({ day: '260520', minHail: 2, minWind: 70 });
+  assert.ok(big.items.filter(r => r.type === 'hail').every(r => r.mag >= 2));
+  assert.ok(big.items.filter(r => r.type === 'wind').every(r => r.mag >= 70));
+  assert.equal(big.counts.tornado, all.counts.tornado);
+
+  const sig = await sr.query({ day: '260520', sig: true, minEF: 0 });
+  assert.ok(sig.items.length && sig.items.every(r => r.sig));
+});
+
+test('query: distance filter and sort', async () => {
+  const point = { lat: 35.22, lng: -97.44 };
+  const near = await sr.query({ day: '260520', point, radiusKm: 25, sort: 'dist' });
+  assert.ok(near.items.length);
+  assert.ok(near.items.every((r, i, a) => r.distKm <= 25 && (!i || a[i - 1].distKm <= r.distKm)));
+  assert.equal(near.items[0].distKm, 0);
+});
@@ -0,0 +1,129 @@
+// ================================================================
+//  STORM SURGE WEATHER — Disk Tile Cache
+//  Radar tiles kept on disk across restarts and zooms, so a chaser on
+//  a metered connection downloads each tile once.
+//
+//    SS_TILE_CACHE_DIR=<dir>    off when unset; the desktop app sets it
+//                               to <userData>/tile-cache
+//    SS_TILE_CACHE_MB=<n>       size cap, default 512
+//
+//  Files are <dir>/<source>/<sha1 of URL>; <dir>/index.json lists them
+//  least recently used first. Past the cap the oldest are evicted.
+//  Each source has a TTL. An expired tile is refetched, but still served
+//  when upstream fails, up to the source's stale limit.
+// ================================================================
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const DIR       = process.env.SS_TILE_CACHE_DIR || null;
+const MAX_BYTES = (Number(process.env.SS_TILE_CACHE_MB) || 512) * 1048576;
+const INDEX     = DIR && path.join(DIR, 'index.json');
+
+// Seconds. ttl: served without asking upstream; stale: still served if upstream fails
+const SOURCES = {
+  rainviewer:    { ttl: 7 * 86400,  stale: 7 * 86400 },    // paths carry the frame time
+  'iem-archive': { ttl: 30 * 86400, stale: 30 * 86400 },   // stamped composite, never changes
+  nexrad:        { ttl: 240,        stale: 6 * 3600 },     // latest scan, same URL each volume
+};
+
+const index    = new Map();   // key → { source, type, size, fetchedAt }, LRU order
+const inflight = new Map();
+const counts   = { hit: 0, miss: 0, stale: 0 };
+let bytes = 0, saveTimer = null;
+
+const keyOf  = url => crypto.createHash('sha1').update(url).digest('hex');
+const fileOf = (key, e) => path.join(DIR, e.source, key);
+
+function load() {
+  try {
+    JSON.parse(fs.readFileSync(INDEX, 'utf8')).forEach(([key, e]) => {
+      if (!SOURCES[e.source] || !fs.existsSync(fileOf(key, e))) return;
+      index.set(key, e); bytes += e.size;
+    });
+  } catch(e) {}
+  // Tiles written after the last index save are orphans; don't let them pile up
+  Object.keys(SOURCES).forEach(source => {
+    let names = [];
+    try { names = fs.readdirSync(path.join(DIR, source)); } catch(e) {}
+    names.filter(k => !index.has(k)).forEach(k => fs.promises.unlink(path.join(DIR, source, k)).catch(() => {}));
+  });
+}
+
+function saveNow() {
+  clearTimeout(saveTimer); saveTimer = null;
+  try { fs.mkdirSync(DIR, { recursive: true }); fs.writeFileSync(INDEX, JSON.stringify([...index])); }
+  catch(e) { console.warn('Tile cache index write failed:', e.message); }
+}
+function save() { if (!saveTimer) (saveTimer = setTimeout(saveNow, 5000)).unref(); }
+
+function touch(key, e) { index.delete(key); index.set(key, e); save(); }
+
+function drop(key, e) {
+  // Two reads of the same missing file both land here; count it once
+  if (index.get(key) !== e) return;
+  index.delete(key); bytes -= e.size;
+  fs.promises.unlink(fileOf(key, e)).catch(() => {});
+  save();
+}
+
+async function read(key, e) {
+  try { return await fs.promises.readFile(fileOf(key, e)); }
+  catch(err) { drop(key, e); return null; }
+}
+
+async function store(source, key, { buf, type }) {
+  const old = index.get(key);
+  if (old) { index.delete(key); bytes -= old.size; }
+  const e = { source, type, size: buf.length, fetchedAt: Math.floor(Date.now() / 1000) };
+  try {
+    await fs.promises.mkdir(path.join(DIR, source), { recursive: true });
+    await fs.promises.writeFile(fileOf(key, e), buf);
+  } catch(err) { console.warn('Tile cache write failed:', err.message); return; }
+  index.set(key, e); bytes += e.size;
+  for (const [k, old] of index) { if (bytes <= MAX_BYTES) break; drop(k, old); }
+  save();
+}
+
+// fetcher() resolves { buf, type }; so does this, plus cache: 'hit' | 'miss' | 'stale'
+async function wrap(source, url, fetcher) {
+  const ttl = SOURCES[source];
+  if (!DIR || !ttl) return fetcher();
+  const key = keyOf(url), e = index.get(key);
+  const age = e ? Date.now() / 1000 - e.fetchedAt : Infinity;
+  if (age < ttl.ttl) {
+    const buf = await read(key, e);
+    if (buf) { counts.hit++; touch(key, e); return { buf, type: e.type, cache: 'hit' }; }
+  }
+  if (inflight.has(key)) return inflight.get(key);
+  const p = (async () => {
+    try {
+      const data = await fetcher();
+      counts.miss++;
+      await store(source, key, data);
+      return { ...data, cache: 'miss' };
+    } catch(err) {
+      const buf = age < ttl.stale && await read(key, e);
+      if (!buf) throw err;
+      counts.stale++; touch(key, e);
+      return { buf, type: e.type, cache: 'stale' };
+    }
+  })().finally(() => inflight.delete(key));
+  inflight.set(key, p);
+  return p;
+}
+
+function clear() {
+  [...index].forEach(([k, e]) => drop(k, e));
+  saveNow();
+}
+
+function status() {
+  const bySource = {};
+  index.forEach(e => { const s = bySource[e.source] ||= { tiles: 0, bytes: 0 }; s.tiles++; s.bytes += e.size; });
+  return { enabled: !!DIR, dir: DIR, tiles: index.size, bytes, maxBytes: MAX_BYTES, bySource, ...counts };
+}
+
+if (DIR) { load(); process.on('exit', () => { if (saveTimer) saveNow(); }); }
+
+module.exports = { wrap, clear, status, enabled: !!DIR };